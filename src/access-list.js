@@ -0,0 +1,281 @@
+/**
+ * Allow/deny lists consulted before any limiter runs
+ * Allow entries bypass rate limiting, deny entries are refused outright
+ */
+
+const crypto = require('crypto');
+const { MemoryStore } = require('./stores/memory');
+const { ValidationError, validateEnum } = require('./utils/validation');
+const { ConfigurationError } = require('./utils/errors');
+const { formatIp, parseCidr, cidrContains } = require('./utils/ip');
+
+const ACTIONS = ['allow', 'deny'];
+const MATCHERS = ['cidr', 'userId', 'apiKey'];
+
+/**
+ * API keys are only ever kept as hashes, so the shared list does not
+ * hand out credentials to whoever can read the store
+ * @param {string} apiKey
+ * @returns {string}
+ */
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+}
+
+function toTimestamp(value, name) {
+  const timestamp = value instanceof Date ? value.getTime() : value;
+  if (!Number.isFinite(timestamp)) {
+    throw new ValidationError(`${name} must be a Date or a timestamp in milliseconds`, name);
+  }
+  return timestamp;
+}
+
+class AccessList {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.store] - Store shared by every instance (default: a private MemoryStore)
+   * @param {string} [options.key='access-list'] - Store key holding the shared entries
+   * @param {number} [options.cacheMs=1000] - How long shared entries are reused before re-reading the store
+   * @param {number} [options.denyStatus=403] - Status for denied requests, 403 or 429
+   * @param {string} [options.apiKeyHeader='x-api-key'] - Header carrying the API key
+   * @param {Object[]} [options.allow] - Static allow matchers, kept in memory only
+   * @param {Object[]} [options.deny] - Static deny matchers, kept in memory only
+   */
+  constructor(options = {}) {
+    this.store = options.store || new MemoryStore();
+    for (const method of ['getFields', 'setField', 'deleteField']) {
+      if (typeof this.store[method] !== 'function') {
+        throw new ConfigurationError(`The access list needs a store implementing '${method}'`);
+      }
+    }
+    this.key = options.key || 'access-list';
+    this.cacheMs = options.cacheMs !== undefined ? options.cacheMs : 1000;
+    this.denyStatus = validateEnum(options.denyStatus || 403, [403, 429], 'denyStatus');
+    this.apiKeyHeader = (options.apiKeyHeader || 'x-api-key').toLowerCase();
+
+    this.staticEntries = [
+      ...(options.allow || []).map(matcher => this.createEntry('allow', matcher)),
+      ...(options.deny || []).map(matcher => this.createEntry('deny', matcher))
+    ].map(compile);
+
+    this.shared = [];
+    this.loadedAt = -Infinity;
+    this.loading = null;
+  }
+
+  /**
+   * Build a stored entry from a matcher such as `{ cidr: '10.0.0.0/8' }`,
+   * `{ userId: 'u1' }` or `{ apiKey: 'key' }`
+   * @param {string} action - 'allow' or 'deny'
+   * @param {Object} matcher - Exactly one of cidr, userId, apiKey
+   * @param {Object} [options]
+   * @param {Date|number} [options.expiresAt] - When the entry stops applying
+   * @param {number} [options.ttlMs] - Alternative to expiresAt, from now
+   * @param {string} [options.reason] - Free text kept with the entry
+   * @returns {Object} Entry
+   */
+  createEntry(action, matcher, options = {}) {
+    validateEnum(action, ACTIONS, 'action');
+    const { type, value } = identify(matcher);
+
+    let expiresAt = null;
+    if (options.expiresAt !== undefined) {
+      expiresAt = toTimestamp(options.expiresAt, 'expiresAt');
+    } else if (options.ttlMs !== undefined) {
+      expiresAt = Date.now() + toTimestamp(options.ttlMs, 'ttlMs');
+    }
+
+    return {
+      action,
+      type,
+      value,
+      expiresAt,
+      reason: options.reason || null
+    };
+  }
+
+  /**
+   * Let matching requests bypass rate limiting
+   * @param {Object} matcher - `{ cidr }`, `{ userId }` or `{ apiKey }`
+   * @param {Object} [options] - expiresAt, ttlMs, reason
+   * @returns {Promise<Object>} The stored entry
+   */
+  async allow(matcher, options) {
+    return this.add(this.createEntry('allow', matcher, options));
+  }
+
+  /**
+   * Refuse matching requests before they reach a limiter
+   * @param {Object} matcher - `{ cidr }`, `{ userId }` or `{ apiKey }`
+   * @param {Object} [options] - expiresAt, ttlMs, reason
+   * @returns {Promise<Object>} The stored entry
+   */
+  async deny(matcher, options) {
+    return this.add(this.createEntry('deny', matcher, options));
+  }
+
+  /**
+   * Remove the shared entry for a matcher from either list
+   * @param {Object} matcher
+   * @returns {Promise<boolean>} Whether an entry was removed
+   */
+  async remove(matcher) {
+    const removed = await this.store.deleteField(this.key, entryField(identify(matcher)));
+    await this.load(true);
+    return removed;
+  }
+
+  /**
+   * Live entries, static ones first
+   * @returns {Promise<Object[]>}
+   */
+  async entries() {
+    const now = Date.now();
+    return [...this.staticEntries, ...await this.load()]
+      .filter(entry => isLive(entry, now))
+      .map(publicEntry);
+  }
+
+  /**
+   * Look a request up. A deny entry wins over an allow entry.
+   * @param {Object} requestInfo - Normalized request (ip, user, headers)
+   * @returns {Promise<{action: string, entry: Object}|null>}
+   */
+  async check(requestInfo) {
+    const now = Date.now();
+    const subject = {
+      ip: requestInfo.ip,
+      userId: requestInfo.user && requestInfo.user.id !== undefined ? String(requestInfo.user.id) : null,
+      apiKey: requestInfo.headers && requestInfo.headers[this.apiKeyHeader]
+    };
+    const apiKeyHash = subject.apiKey ? hashApiKey(subject.apiKey) : null;
+
+    let allowed = null;
+    for (const entry of [...this.staticEntries, ...await this.load()]) {
+      if (!isLive(entry, now) || !matches(entry, subject, apiKeyHash)) {
+        continue;
+      }
+      if (entry.action === 'deny') {
+        return { action: 'deny', entry: publicEntry(entry) };
+      }
+      allowed = allowed || entry;
+    }
+
+    return allowed ? { action: 'allow', entry: publicEntry(allowed) } : null;
+  }
+
+  /**
+   * Shared entries, read from the store at most once per `cacheMs`
+   * @param {boolean} [fresh] - Bypass the local copy
+   * @returns {Promise<Object[]>}
+   */
+  async load(fresh = false) {
+    if (!fresh && Date.now() - this.loadedAt < this.cacheMs) {
+      return this.shared;
+    }
+
+    if (!this.loading) {
+      this.loading = this.store.getFields(this.key)
+        .then((fields) => {
+          this.shared = Object.values(fields)
+            .filter(entry => entry && MATCHERS.includes(entry.type))
+            .map(compile);
+          this.loadedAt = Date.now();
+          return this.shared;
+        })
+        .finally(() => {
+          this.loading = null;
+        });
+    }
+
+    return this.loading;
+  }
+
+  /**
+   * Write one entry in its own field of the shared record, so instances
+   * writing different entries at the same time keep each other's
+   * @param {Object} entry
+   * @returns {Promise<Object>} The entry
+   */
+  async add(entry) {
+    await this.store.setField(this.key, entryField(entry), publicEntry(entry));
+    await this.prune(await this.load(true));
+    return entry;
+  }
+
+  /**
+   * Delete expired entries from the store. Each is only deleted while it
+   * still holds the expired value, so an entry written again meanwhile stays.
+   * @param {Object[]} entries - Shared entries just read
+   * @returns {Promise<void>}
+   */
+  async prune(entries) {
+    const now = Date.now();
+
+    for (const entry of entries.filter(shared => !isLive(shared, now))) {
+      await this.store.deleteField(this.key, entryField(entry), publicEntry(entry));
+    }
+  }
+}
+
+/**
+ * Type and canonical value of a matcher
+ * @param {Object} matcher
+ * @returns {{type: string, value: string}}
+ */
+function identify(matcher) {
+  const types = MATCHERS.filter(type => matcher && matcher[type] !== undefined);
+  if (types.length !== 1) {
+    throw new ValidationError(`matcher must have exactly one of: ${MATCHERS.join(', ')}`, 'matcher');
+  }
+
+  if (matcher.cidr !== undefined) {
+    const { bytes, prefix } = parseCidr(matcher.cidr, 'cidr');
+    return { type: 'cidr', value: `${formatIp(bytes)}/${prefix}` };
+  }
+
+  if (matcher.userId !== undefined) {
+    return { type: 'userId', value: String(matcher.userId) };
+  }
+
+  return { type: 'apiKey', value: hashApiKey(matcher.apiKey) };
+}
+
+/**
+ * Field of the shared record holding the entry for a subject
+ * @param {{type: string, value: string}} entry
+ * @returns {string}
+ */
+function entryField({ type, value }) {
+  return `${type}:${value}`;
+}
+
+function compile(entry) {
+  return entry.type === 'cidr' ? { ...entry, range: parseCidr(entry.value, 'cidr') } : entry;
+}
+
+function isLive(entry, now) {
+  return entry.expiresAt === null || entry.expiresAt === undefined || entry.expiresAt > now;
+}
+
+function matches(entry, subject, apiKeyHash) {
+  switch (entry.type) {
+    case 'cidr':
+      return Boolean(subject.ip) && cidrContains(entry.range, subject.ip);
+    case 'userId':
+      return subject.userId === entry.value;
+    case 'apiKey':
+      return apiKeyHash === entry.value;
+    default:
+      return false;
+  }
+}
+
+function publicEntry({ action, type, value, expiresAt, reason }) {
+  return { action, type, value, expiresAt, reason };
+}
+
+module.exports = {
+  AccessList,
+  hashApiKey
+};
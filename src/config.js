@@ -1,131 +1,164 @@
-/**
- * Configuration loader for rate-guard
- * Supports environment variables and custom config objects
- */
-
-const defaults = {
-  // Default rate limit settings
-  windowMs: 60 * 1000, // 1 minute
-  maxRequests: 100,
-  
-  // Token bucket defaults
-  bucketSize: 100,
-  refillRate: 10, // tokens per second
-  
-  // Storage defaults
-  store: 'memory',
-  
-  // Redis configuration
-  redis: {
-    host: 'localhost',
-    port: 6379,
-    password: null,
-    db: 0,
-    keyPrefix: 'rate-guard:'
-  },
-  
-  // MongoDB configuration
-  mongo: {
-    uri: 'mongodb://localhost:27017',
-    dbName: 'rate-guard',
-    collectionName: 'rate_limits'
-  },
-  
-  // Response settings
-  statusCode: 429,
-  message: 'Too many requests, please try again later.',
-  headers: true,
-  
-  // Skip/whitelist settings
-  skip: null,
-  keyGenerator: null,
-  
-  // Logging
-  enableLogging: false
-};
-
-function loadFromEnv() {
-  const env = process.env;
-  
-  return {
-    windowMs: env.RATE_GUARD_WINDOW_MS ? parseInt(env.RATE_GUARD_WINDOW_MS, 10) : undefined,
-    maxRequests: env.RATE_GUARD_MAX_REQUESTS ? parseInt(env.RATE_GUARD_MAX_REQUESTS, 10) : undefined,
-    bucketSize: env.RATE_GUARD_BUCKET_SIZE ? parseInt(env.RATE_GUARD_BUCKET_SIZE, 10) : undefined,
-    refillRate: env.RATE_GUARD_REFILL_RATE ? parseInt(env.RATE_GUARD_REFILL_RATE, 10) : undefined,
-    store: env.RATE_GUARD_STORE,
-    redis: {
-      host: env.RATE_GUARD_REDIS_HOST,
-      port: env.RATE_GUARD_REDIS_PORT ? parseInt(env.RATE_GUARD_REDIS_PORT, 10) : undefined,
-      password: env.RATE_GUARD_REDIS_PASSWORD,
-      db: env.RATE_GUARD_REDIS_DB ? parseInt(env.RATE_GUARD_REDIS_DB, 10) : undefined
-    },
-    mongo: {
-      uri: env.RATE_GUARD_MONGO_URI,
-      dbName: env.RATE_GUARD_MONGO_DB
-    },
-    enableLogging: env.RATE_GUARD_LOGGING === 'true'
-  };
-}
-
-function deepMerge(target, source) {
-  const result = { ...target };
-  
-  for (const key of Object.keys(source)) {
-    if (source[key] === undefined) continue;
-    
-    if (source[key] && typeof source[key] === 'object' && !Array.isArray(source[key])) {
-      result[key] = deepMerge(target[key] || {}, source[key]);
-    } else {
-      result[key] = source[key];
-    }
-  }
-  
-  return result;
-}
-
-function createConfig(userConfig = {}) {
-  const envConfig = loadFromEnv();
-  
-  // Merge: defaults <- env <- user config
-  let config = deepMerge(defaults, envConfig);
-  config = deepMerge(config, userConfig);
-  
-  return Object.freeze(config);
-}
-
-function validateConfig(config) {
-  const errors = [];
-  
-  if (config.windowMs <= 0) {
-    errors.push('windowMs must be a positive number');
-  }
-  
-  if (config.maxRequests <= 0) {
-    errors.push('maxRequests must be a positive number');
-  }
-  
-  if (config.bucketSize <= 0) {
-    errors.push('bucketSize must be a positive number');
-  }
-  
-  if (config.refillRate <= 0) {
-    errors.push('refillRate must be a positive number');
-  }
-  
-  if (!['memory', 'redis', 'mongo'].includes(config.store)) {
-    errors.push('store must be one of: memory, redis, mongo');
-  }
-  
-  if (errors.length > 0) {
-    throw new Error(`Invalid configuration: ${errors.join(', ')}`);
-  }
-  
-  return true;
-}
-
-module.exports = {
-  defaults,
-  createConfig,
-  validateConfig,
-  loadFromEnv
-};
+/**
+ * Configuration loader for rate-guard
+ * Supports environment variables and custom config objects
+ */
+
+const { ALGORITHMS, validateLimits } = require('./utils/validation');
+const { HEADER_MODES } = require('./utils/headers');
+const { DEFAULT_IPV6_SUBNET } = require('./utils/ip');
+
+const defaults = {
+  // Default rate limit settings
+  windowMs: 60 * 1000, // 1 minute
+  maxRequests: 100,
+  
+  // Limiting algorithm, one of ALGORITHMS
+  algorithm: 'sliding-window',
+  
+  // Token bucket defaults
+  bucketSize: 100,
+  refillRate: 10, // tokens per second
+  
+  // Storage defaults
+  store: 'memory',
+  
+  // Redis configuration
+  redis: {
+    host: 'localhost',
+    port: 6379,
+    password: null,
+    db: 0,
+    keyPrefix: 'rate-guard:'
+  },
+  
+  // MongoDB configuration
+  mongo: {
+    uri: 'mongodb://localhost:27017',
+    dbName: 'rate-guard',
+    collectionName: 'rate_limits'
+  },
+  
+  // Response settings
+  statusCode: 429,
+  message: 'Too many requests, please try again later.',
+  headers: 'legacy',
+  
+  // Skip/whitelist settings
+  skip: null,
+  keyGenerator: null,
+  tenantResolver: null,
+  ipv6Subnet: DEFAULT_IPV6_SUBNET,
+  
+  // Logging
+  enableLogging: false
+};
+
+function loadFromEnv() {
+  const env = process.env;
+  
+  return {
+    windowMs: env.RATE_GUARD_WINDOW_MS ? parseInt(env.RATE_GUARD_WINDOW_MS, 10) : undefined,
+    maxRequests: env.RATE_GUARD_MAX_REQUESTS ? parseInt(env.RATE_GUARD_MAX_REQUESTS, 10) : undefined,
+    algorithm: env.RATE_GUARD_ALGORITHM,
+    bucketSize: env.RATE_GUARD_BUCKET_SIZE ? parseInt(env.RATE_GUARD_BUCKET_SIZE, 10) : undefined,
+    refillRate: env.RATE_GUARD_REFILL_RATE ? parseInt(env.RATE_GUARD_REFILL_RATE, 10) : undefined,
+    store: env.RATE_GUARD_STORE,
+    headers: env.RATE_GUARD_HEADERS,
+    ipv6Subnet: env.RATE_GUARD_IPV6_SUBNET ? parseInt(env.RATE_GUARD_IPV6_SUBNET, 10) : undefined,
+    redis: {
+      host: env.RATE_GUARD_REDIS_HOST,
+      port: env.RATE_GUARD_REDIS_PORT ? parseInt(env.RATE_GUARD_REDIS_PORT, 10) : undefined,
+      password: env.RATE_GUARD_REDIS_PASSWORD,
+      db: env.RATE_GUARD_REDIS_DB ? parseInt(env.RATE_GUARD_REDIS_DB, 10) : undefined
+    },
+    mongo: {
+      uri: env.RATE_GUARD_MONGO_URI,
+      dbName: env.RATE_GUARD_MONGO_DB
+    },
+    enableLogging: env.RATE_GUARD_LOGGING === 'true'
+  };
+}
+
+function deepMerge(target, source) {
+  const result = { ...target };
+  
+  for (const key of Object.keys(source)) {
+    if (source[key] === undefined) continue;
+    
+    if (source[key] && typeof source[key] === 'object' && !Array.isArray(source[key])) {
+      result[key] = deepMerge(target[key] || {}, source[key]);
+    } else {
+      result[key] = source[key];
+    }
+  }
+  
+  return result;
+}
+
+function createConfig(userConfig = {}) {
+  const envConfig = loadFromEnv();
+  
+  // Merge: defaults <- env <- user config
+  let config = deepMerge(defaults, envConfig);
+  config = deepMerge(config, userConfig);
+  
+  return Object.freeze(config);
+}
+
+function validateConfig(config) {
+  const errors = [];
+  
+  if (config.windowMs <= 0) {
+    errors.push('windowMs must be a positive number');
+  }
+  
+  if (config.maxRequests <= 0) {
+    errors.push('maxRequests must be a positive number');
+  }
+  
+  if (config.bucketSize <= 0) {
+    errors.push('bucketSize must be a positive number');
+  }
+  
+  if (config.refillRate <= 0) {
+    errors.push('refillRate must be a positive number');
+  }
+  
+  if (config.limits !== undefined) {
+    try {
+      validateLimits(config.limits, 'limits');
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+  
+  if (config.headers !== true && config.headers !== false && !HEADER_MODES.includes(config.headers)) {
+    errors.push(`headers must be one of: ${HEADER_MODES.join(', ')}`);
+  }
+  
+  if (config.ipv6Subnet !== false &&
+      !(Number.isInteger(config.ipv6Subnet) && config.ipv6Subnet >= 1 && config.ipv6Subnet <= 128)) {
+    errors.push('ipv6Subnet must be an integer from 1 to 128, or false');
+  }
+  
+  if (!ALGORITHMS.includes(config.algorithm)) {
+    errors.push(`algorithm must be one of: ${ALGORITHMS.join(', ')}`);
+  }
+  
+  if (!['memory', 'redis', 'mongo'].includes(config.store)) {
+    errors.push('store must be one of: memory, redis, mongo');
+  }
+  
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration: ${errors.join(', ')}`);
+  }
+  
+  return true;
+}
+
+module.exports = {
+  defaults,
+  createConfig,
+  validateConfig,
+  loadFromEnv
+};
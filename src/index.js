@@ -1,122 +1,298 @@
-/**
- * Rate Guard
- * A lightweight rate limiting middleware with pluggable storage backends
- */
-
-const { SlidingWindowLimiter, TokenBucketLimiter, createLimiter } = require('./limiters');
-const { createStore, registerStore, closeAllStores, MemoryStore, RedisStore, MongoStore, BaseStore } = require('./stores');
-const { RuleEngine, createRuleEngine } = require('./rules');
-const { TierManager } = require('./tiers');
-const { createMiddleware, expressMiddleware, connectMiddleware } = require('./middleware');
-const { loadConfig, validateConfig, mergeConfig } = require('./config');
-const { ValidationError, RateLimitError, ConfigurationError, StoreError } = require('./utils/errors');
-const validation = require('./utils/validation');
-
-/**
- * Create a complete rate limiter setup with sensible defaults
- * @param {Object} options - Configuration options
- * @returns {Object} Configured rate limiter instance
- */
-function rateGuard(options = {}) {
-  const config = mergeConfig(options);
-  validateConfig(config);
-
-  // Create store using factory
-  const store = createStore(config.store);
-  
-  // Create limiter
-  const limiter = createLimiter({
-    algorithm: config.algorithm,
-    windowMs: config.windowMs,
-    maxRequests: config.maxRequests,
-    tokensPerInterval: config.tokensPerInterval,
-    bucketSize: config.bucketSize,
-    store
-  });
-
-  // Create tier manager if tiers are configured
-  let tierManager = null;
-  if (config.tiers) {
-    tierManager = new TierManager(config.tiers);
-  }
-
-  // Create rule engine if rules are configured
-  let ruleEngine = null;
-  if (config.rules) {
-    ruleEngine = createRuleEngine(config.rules);
-  }
-
-  // Create middleware
-  const middleware = createMiddleware({
-    limiter,
-    tierManager,
-    ruleEngine,
-    keyGenerator: config.keyGenerator,
-    onRateLimited: config.onRateLimited,
-    skipFailedRequests: config.skipFailedRequests,
-    skip: config.skip,
-    headers: config.headers
-  });
-
-  return {
-    middleware,
-    limiter,
-    store,
-    tierManager,
-    ruleEngine,
-    
-    // Convenience methods
-    check: (key) => limiter.check(key),
-    consume: (key, tokens = 1) => limiter.consume(key, tokens),
-    reset: (key) => limiter.reset(key),
-    
-    // Cleanup
-    close: async () => {
-      await store.close();
-    }
-  };
-}
-
-// Main export
-module.exports = rateGuard;
-
-// Named exports
-module.exports.rateGuard = rateGuard;
-
-// Limiters
-module.exports.SlidingWindowLimiter = SlidingWindowLimiter;
-module.exports.TokenBucketLimiter = TokenBucketLimiter;
-module.exports.createLimiter = createLimiter;
-
-// Stores
-module.exports.MemoryStore = MemoryStore;
-module.exports.RedisStore = RedisStore;
-module.exports.MongoStore = MongoStore;
-module.exports.BaseStore = BaseStore;
-module.exports.createStore = createStore;
-module.exports.registerStore = registerStore;
-module.exports.closeAllStores = closeAllStores;
-
-// Rules and Tiers
-module.exports.RuleEngine = RuleEngine;
-module.exports.createRuleEngine = createRuleEngine;
-module.exports.TierManager = TierManager;
-
-// Middleware
-module.exports.createMiddleware = createMiddleware;
-module.exports.expressMiddleware = expressMiddleware;
-module.exports.connectMiddleware = connectMiddleware;
-
-// Configuration
-module.exports.loadConfig = loadConfig;
-module.exports.validateConfig = validateConfig;
-module.exports.mergeConfig = mergeConfig;
-
-// Errors
-module.exports.ValidationError = ValidationError;
-module.exports.RateLimitError = RateLimitError;
-module.exports.ConfigurationError = ConfigurationError;
-module.exports.StoreError = StoreError;
-
-// Utilities
-module.exports.validation = validation;
+/**
+ * Rate Guard
+ * A lightweight rate limiting middleware with pluggable storage backends
+ */
+
+const {
+  SlidingWindowLimiter,
+  SlidingWindowCounterLimiter,
+  MultiWindowLimiter,
+  HierarchicalLimiter,
+  TokenBucketLimiter,
+  LeakyBucketLimiter,
+  FixedWindowLimiter,
+  GcraLimiter,
+  ConcurrencyLimiter,
+  createLimiter
+} = require('./limiters');
+const { createStore, registerStore, closeAllStores, MemoryStore, RedisStore, MongoStore, BaseStore } = require('./stores');
+const { RuleEngine } = require('./rules');
+const { TierManager } = require('./tiers');
+const { AccessList } = require('./access-list');
+const { PenaltyBox } = require('./penalty-box');
+const { QuotaManager } = require('./quotas');
+const { RateLimitMiddleware, createMiddleware } = require('./middleware');
+const { createConfig, validateConfig, loadFromEnv } = require('./config');
+const { RateGuardError, RateLimitExceededError, ConfigurationError, StoreError } = require('./utils/errors');
+const validation = require('./utils/validation');
+const { ValidationError } = validation;
+
+/**
+ * Store factory options for the configured backend
+ * @param {Object} config - Result of createConfig()
+ * @returns {Object}
+ */
+function storeOptions(config) {
+  // Each rateGuard() owns its store, so never hand out a cached instance
+  const options = { type: config.store, cache: false };
+
+  if (config.store === 'redis') {
+    const { keyPrefix, ...redis } = config.redis;
+    return { ...options, ...redis, prefix: keyPrefix };
+  }
+
+  if (config.store === 'mongo') {
+    return { ...options, ...config.mongo };
+  }
+
+  return options;
+}
+
+/**
+ * Create a complete rate limiter setup with sensible defaults
+ *
+ * The returned value is an Express/Connect-style middleware function with
+ * the other framework adapters and helpers attached:
+ *
+ *   const guard = rateGuard({ windowMs: 60000, maxRequests: 100 });
+ *   app.use(guard);          // Express
+ *   koaApp.use(guard.koa);   // Koa
+ *   fastify.register(guard.fastify);
+ *   honoApp.use(guard.hono);
+ *   export const GET = guard.fetch(handler);   // Next.js route handler
+ *   http.createServer(guard.http(handler));
+ *   await guard.check(key);  // Outside of a request
+ *
+ * @param {Object} [options] - Configuration options (see config.js), plus:
+ * @param {Object|string} [options.store] - Store instance, or the name of
+ *   the backend to create from the `redis`/`mongo` configuration
+ * @param {RuleEngine} [options.ruleEngine] - Rule engine instance
+ * @param {Object} [options.rules] - Route rules, keyed by route pattern
+ * @param {TierManager} [options.tierManager] - Tier manager instance
+ * @param {Object} [options.tiers] - Custom tiers, keyed by tier name
+ * @param {AccessList|Object|boolean} [options.accessList] - Access list
+ *   instance, or AccessList options (`true` for the defaults); entries are
+ *   shared through the guard's store unless another store is given
+ * @param {PenaltyBox|Object|boolean} [options.penaltyBox] - Penalty box
+ *   instance, or PenaltyBox options (`true` for the defaults), likewise
+ *   sharing the guard's store
+ * @param {QuotaManager|Object|boolean} [options.quotas] - Quota manager
+ *   instance, or QuotaManager options (`true` for the defaults), likewise
+ *   sharing the guard's store
+ * @returns {Function} Express middleware with helpers attached
+ */
+function rateGuard(options = {}) {
+  const {
+    store: storeOption,
+    ruleEngine,
+    rules,
+    tierManager,
+    tiers,
+    accessList,
+    penaltyBox,
+    quotas,
+    ...settings
+  } = options;
+
+  // `store` is either a backend name for the configuration or an instance
+  const storeInstance = typeof storeOption === 'object' ? storeOption : null;
+  if (typeof storeOption === 'string') {
+    settings.store = storeOption;
+  }
+
+  const config = createConfig(settings);
+  validateConfig(config);
+
+  const ownStore = !storeInstance;
+  const store = storeInstance || createStore(storeOptions(config));
+
+  const middleware = new RateLimitMiddleware({
+    ...settings,
+    store,
+    ruleEngine,
+    tierManager: tierManager || (tiers ? new TierManager(tiers) : undefined),
+    accessList: accessList instanceof AccessList || !accessList
+      ? accessList
+      : new AccessList({ store, ...(accessList === true ? {} : accessList) }),
+    penaltyBox: penaltyBox instanceof PenaltyBox || !penaltyBox
+      ? penaltyBox
+      : new PenaltyBox({ store, ...(penaltyBox === true ? {} : penaltyBox) }),
+    quotas: quotas instanceof QuotaManager || !quotas
+      ? quotas
+      : new QuotaManager({ store, ...(quotas === true ? {} : quotas) })
+  });
+
+  const requirePenaltyBox = () => {
+    if (!middleware.penaltyBox) {
+      throw new ConfigurationError('Bans need a penalty box: pass `penaltyBox` to rateGuard()');
+    }
+    return middleware.penaltyBox;
+  };
+
+  const requireQuotas = () => {
+    if (!middleware.quotas) {
+      throw new ConfigurationError('Quotas need a quota manager: pass `quotas` to rateGuard()');
+    }
+    return middleware;
+  };
+
+  if (rules) {
+    for (const [route, rule] of Object.entries(rules)) {
+      middleware.ruleEngine.setRouteRule(route, rule);
+    }
+  }
+
+  const guard = middleware.express();
+
+  return Object.assign(guard, {
+    express: guard,
+    koa: middleware.koa(),
+    fastify: middleware.fastify(),
+    hono: middleware.hono(),
+    fetch: (handler, fetchOptions) => middleware.fetch(handler, fetchOptions),
+    http: (handler, httpOptions) => middleware.http(handler, httpOptions),
+    evaluate: (requestInfo) => middleware.evaluate(requestInfo),
+    explain: (requestInfo) => middleware.explain(requestInfo),
+    middleware,
+    store,
+    ruleEngine: middleware.ruleEngine,
+    tierManager: middleware.tierManager,
+    accessList: middleware.accessList,
+    penaltyBox: middleware.penaltyBox,
+    quotas: middleware.quotas,
+
+    /**
+     * Count one request for a key outside of a request handler
+     * @param {string} key - Client key
+     * @param {Object} [requestInfo] - Path, user etc. used to pick rules and tiers
+     * @returns {Promise<Object>} Limit result
+     */
+    check: (key, requestInfo = {}) => middleware.checkLimit(key, { path: '/', ...requestInfo }),
+
+    /**
+     * Take `cost` units from a key's limits
+     * @param {string} key - Client key
+     * @param {number} [cost=1] - Units to take
+     * @param {Object} [requestInfo] - Path, user etc. used to pick rules and tiers
+     * @returns {Promise<Object>} Limit result
+     */
+    consume: (key, cost = 1, requestInfo = {}) => {
+      const info = { path: '/', ...requestInfo };
+      return middleware.checkLimit(key, info, info, cost);
+    },
+
+    /**
+     * Forget what was counted for a key, including under its tier and route
+     * @param {string} key - Client key
+     * @param {Object} [requestInfo] - Path, user etc. used to pick rules and tiers
+     * @returns {Promise<void>}
+     */
+    reset: (key, requestInfo = {}) => middleware.resetLimit(key, { path: '/', ...requestInfo }),
+
+    /**
+     * Put a key in the penalty box
+     * @param {string} key - Client key
+     * @param {number} [ms] - Ban duration, the penalty box's `banMs` by default
+     * @returns {Promise<Object>} The ban
+     */
+    ban: async (key, ms) => requirePenaltyBox().ban(key, ms, { reason: 'Banned manually' }),
+
+    /**
+     * Lift a key's ban and forget its violations
+     * @param {string} key - Client key
+     * @returns {Promise<void>}
+     */
+    unban: async (key) => requirePenaltyBox().unban(key),
+
+    /**
+     * @param {string} key - Client key
+     * @returns {Promise<boolean>} Whether the key is banned
+     */
+    isBanned: async (key) => requirePenaltyBox().isBanned(key),
+
+    /**
+     * A key's quota usage in the current period
+     * @param {string} key - Client key
+     * @param {Object} [requestInfo] - Path, user etc. used to pick rules and tiers
+     * @returns {Promise<Object|null>} Usage, or null if no quota applies
+     */
+    getUsage: async (key, requestInfo = {}) => requireQuotas().getUsage(key, { path: '/', ...requestInfo }),
+
+    /**
+     * Top up a key's quota with units that carry over between periods
+     * @param {string} key - Client key
+     * @param {number} units - Units to add
+     * @param {Object} [requestInfo] - Path, user etc. used to pick rules and tiers
+     * @returns {Promise<Object>} Usage after the top-up
+     */
+    addCredits: async (key, units, requestInfo = {}) =>
+      requireQuotas().addCredits(key, units, { path: '/', ...requestInfo }),
+
+    /**
+     * Close the store if rateGuard() created it
+     * @returns {Promise<void>}
+     */
+    close: async () => {
+      if (ownStore) {
+        await store.close();
+      }
+    }
+  });
+}
+
+// Main export
+module.exports = rateGuard;
+
+// Named exports
+module.exports.rateGuard = rateGuard;
+
+// Limiters
+module.exports.SlidingWindowLimiter = SlidingWindowLimiter;
+module.exports.TokenBucketLimiter = TokenBucketLimiter;
+module.exports.LeakyBucketLimiter = LeakyBucketLimiter;
+module.exports.FixedWindowLimiter = FixedWindowLimiter;
+module.exports.SlidingWindowCounterLimiter = SlidingWindowCounterLimiter;
+module.exports.MultiWindowLimiter = MultiWindowLimiter;
+module.exports.HierarchicalLimiter = HierarchicalLimiter;
+module.exports.GcraLimiter = GcraLimiter;
+module.exports.ConcurrencyLimiter = ConcurrencyLimiter;
+module.exports.createLimiter = createLimiter;
+
+// Stores
+module.exports.MemoryStore = MemoryStore;
+module.exports.RedisStore = RedisStore;
+module.exports.MongoStore = MongoStore;
+module.exports.BaseStore = BaseStore;
+module.exports.createStore = createStore;
+module.exports.registerStore = registerStore;
+module.exports.closeAllStores = closeAllStores;
+
+// Rules and Tiers
+module.exports.RuleEngine = RuleEngine;
+module.exports.TierManager = TierManager;
+
+// Access lists and bans
+module.exports.AccessList = AccessList;
+module.exports.PenaltyBox = PenaltyBox;
+
+// Quotas
+module.exports.QuotaManager = QuotaManager;
+
+// Middleware
+module.exports.RateLimitMiddleware = RateLimitMiddleware;
+module.exports.createMiddleware = createMiddleware;
+
+// Configuration
+module.exports.createConfig = createConfig;
+module.exports.validateConfig = validateConfig;
+module.exports.loadFromEnv = loadFromEnv;
+
+// Errors
+module.exports.RateGuardError = RateGuardError;
+module.exports.ValidationError = ValidationError;
+module.exports.RateLimitExceededError = RateLimitExceededError;
+module.exports.ConfigurationError = ConfigurationError;
+module.exports.StoreError = StoreError;
+
+// Utilities
+module.exports.validation = validation;
@@ -1,154 +1,775 @@
-/**
- * Rate limiting algorithms
- */
-
-class SlidingWindowLimiter {
-  constructor(store, options = {}) {
-    this.store = store;
-    this.windowMs = options.windowMs || 60000;
-    this.maxRequests = options.maxRequests || 100;
-  }
-
-  async isAllowed(key) {
-    const now = Date.now();
-    const windowStart = now - this.windowMs;
-    
-    // Use atomic operation to prevent race conditions
-    const result = await this.store.atomicIncrement(key, now, windowStart, this.windowMs);
-    
-    // Fallback for stores that don't support atomic operations
-    if (result === null) {
-      return this._isAllowedNonAtomic(key, now, windowStart);
-    }
-    
-    const allowed = result.count <= this.maxRequests;
-    
-    return {
-      allowed,
-      remaining: Math.max(0, this.maxRequests - result.count),
-      resetAt: new Date(now + this.windowMs),
-      total: this.maxRequests
-    };
-  }
-
-  async _isAllowedNonAtomic(key, now, windowStart) {
-    // Clean old entries and get current count
-    await this.store.removeOldEntries(key, windowStart);
-    const timestamps = await this.store.getTimestamps(key);
-    const currentCount = timestamps.length;
-    
-    if (currentCount < this.maxRequests) {
-      await this.store.addTimestamp(key, now, this.windowMs);
-      return {
-        allowed: true,
-        remaining: this.maxRequests - currentCount - 1,
-        resetAt: new Date(now + this.windowMs),
-        total: this.maxRequests
-      };
-    }
-    
-    return {
-      allowed: false,
-      remaining: 0,
-      resetAt: new Date(timestamps[0] + this.windowMs),
-      total: this.maxRequests
-    };
-  }
-
-  async reset(key) {
-    await this.store.clear(key);
-  }
-}
-
-class TokenBucketLimiter {
-  constructor(store, options = {}) {
-    this.store = store;
-    this.bucketSize = options.bucketSize || 10;
-    this.refillRate = options.refillRate || 1; // tokens per second
-    this.refillInterval = 1000 / this.refillRate;
-  }
-
-  async isAllowed(key, tokensRequired = 1) {
-    const now = Date.now();
-    
-    // Use atomic operation to prevent race conditions
-    const result = await this.store.atomicTokenBucket(
-      key,
-      now,
-      this.bucketSize,
-      this.refillRate,
-      tokensRequired
-    );
-    
-    // Fallback for stores that don't support atomic operations
-    if (result === null) {
-      return this._isAllowedNonAtomic(key, now, tokensRequired);
-    }
-    
-    return {
-      allowed: result.allowed,
-      remaining: Math.floor(result.tokens),
-      resetAt: new Date(now + ((this.bucketSize - result.tokens) * this.refillInterval)),
-      total: this.bucketSize
-    };
-  }
-
-  async _isAllowedNonAtomic(key, now, tokensRequired) {
-    let bucket = await this.store.getBucket(key);
-    
-    if (!bucket) {
-      bucket = {
-        tokens: this.bucketSize,
-        lastRefill: now
-      };
-    }
-
-    // Calculate tokens to add based on time elapsed
-    const elapsed = now - bucket.lastRefill;
-    const tokensToAdd = (elapsed / 1000) * this.refillRate;
-    bucket.tokens = Math.min(this.bucketSize, bucket.tokens + tokensToAdd);
-    bucket.lastRefill = now;
-
-    if (bucket.tokens >= tokensRequired) {
-      bucket.tokens -= tokensRequired;
-      await this.store.setBucket(key, bucket);
-      
-      return {
-        allowed: true,
-        remaining: Math.floor(bucket.tokens),
-        resetAt: new Date(now + ((this.bucketSize - bucket.tokens) * this.refillInterval)),
-        total: this.bucketSize
-      };
-    }
-
-    await this.store.setBucket(key, bucket);
-    
-    return {
-      allowed: false,
-      remaining: Math.floor(bucket.tokens),
-      resetAt: new Date(now + ((tokensRequired - bucket.tokens) * this.refillInterval)),
-      total: this.bucketSize
-    };
-  }
-
-  async reset(key) {
-    await this.store.deleteBucket(key);
-  }
-}
-
-function createLimiter(type, store, options) {
-  switch (type) {
-    case 'sliding-window':
-      return new SlidingWindowLimiter(store, options);
-    case 'token-bucket':
-      return new TokenBucketLimiter(store, options);
-    default:
-      throw new Error(`Unknown limiter type: ${type}`);
-  }
-}
-
-module.exports = {
-  SlidingWindowLimiter,
-  TokenBucketLimiter,
-  createLimiter
-};
+/**
+ * Rate limiting algorithms
+ *
+ * Limiters only talk to stores through the contract documented in
+ * stores/base.js: they try the atomic primitive first and fall back to the
+ * non-atomic ones when the store returns null or does not provide it.
+ */
+
+const { randomUUID } = require('crypto');
+const { ConfigurationError } = require('./utils/errors');
+const { validateLimits } = require('./utils/validation');
+const {
+  slideCounters,
+  slideMultiCounters,
+  slideMultiKeyCounters,
+  multiCounterState,
+  gcraStep
+} = require('./stores/base');
+
+class SlidingWindowLimiter {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.windowMs = options.windowMs || 60000;
+    this.maxRequests = options.maxRequests || 100;
+  }
+
+  async isAllowed(key, cost = 1) {
+    const now = Date.now();
+    const windowStart = now - this.windowMs;
+    
+    // Use atomic operation to prevent race conditions
+    const result = typeof this.store.atomicIncrement === 'function'
+      ? await this.store.atomicIncrement(key, now, windowStart, this.windowMs, this.maxRequests, cost)
+      : null;
+    
+    // Fallback for stores that don't support atomic operations
+    if (result === null) {
+      return this._isAllowedNonAtomic(key, now, windowStart, cost);
+    }
+    
+    return {
+      allowed: result.allowed,
+      remaining: Math.max(0, this.maxRequests - result.count),
+      resetAt: new Date(result.allowed ? now + this.windowMs : result.oldest + this.windowMs),
+      total: this.maxRequests
+    };
+  }
+
+  async _isAllowedNonAtomic(key, now, windowStart, cost) {
+    // Clean old entries and get current count
+    await this.store.removeOldEntries(key, windowStart);
+    const timestamps = await this.store.getTimestamps(key);
+    const currentCount = timestamps.length;
+    
+    if (currentCount + cost <= this.maxRequests) {
+      for (let i = 0; i < cost; i++) {
+        await this.store.addTimestamp(key, now, this.windowMs);
+      }
+      return {
+        allowed: true,
+        remaining: this.maxRequests - currentCount - cost,
+        resetAt: new Date(now + this.windowMs),
+        total: this.maxRequests
+      };
+    }
+    
+    return {
+      allowed: false,
+      remaining: Math.max(0, this.maxRequests - currentCount),
+      resetAt: new Date(timestamps.length > 0 ? timestamps[0] + this.windowMs : now + this.windowMs),
+      total: this.maxRequests
+    };
+  }
+
+  async reset(key) {
+    await this.store.reset(key);
+  }
+}
+
+class TokenBucketLimiter {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.bucketSize = options.bucketSize || 10;
+    this.refillRate = options.refillRate || 1; // tokens per second
+    this.refillInterval = 1000 / this.refillRate;
+  }
+
+  async isAllowed(key, tokensRequired = 1) {
+    const now = Date.now();
+    tokensRequired = Math.max(0, tokensRequired);
+
+    if (tokensRequired > this.bucketSize) {
+      return {
+        allowed: false,
+        remaining: 0,
+        resetAt: new Date(now + (this.bucketSize * this.refillInterval)),
+        total: this.bucketSize,
+        reason: 'Request exceeds bucket capacity'
+      };
+    }
+    
+    // Use atomic operation to prevent race conditions
+    const result = typeof this.store.atomicTokenBucket === 'function'
+      ? await this.store.atomicTokenBucket(
+        key,
+        now,
+        this.bucketSize,
+        this.refillRate,
+        tokensRequired
+      )
+      : null;
+    
+    // Fallback for stores that don't support atomic operations
+    if (result === null) {
+      return this._isAllowedNonAtomic(key, now, tokensRequired);
+    }
+    
+    return {
+      allowed: result.allowed,
+      remaining: Math.floor(result.tokens),
+      resetAt: result.allowed
+        ? new Date(now + this.timeUntilTokens(result.tokens, this.bucketSize))
+        : new Date(now + this.timeUntilTokens(result.tokens, tokensRequired)),
+      total: this.bucketSize
+    };
+  }
+
+  async _isAllowedNonAtomic(key, now, tokensRequired) {
+    let bucket = await this.store.getBucket(key);
+    
+    if (!bucket) {
+      bucket = {
+        tokens: this.bucketSize,
+        lastRefill: now
+      };
+    }
+
+    // Calculate tokens to add based on time elapsed
+    const elapsed = now - bucket.lastRefill;
+    const tokensToAdd = (elapsed / 1000) * this.refillRate;
+    bucket.tokens = Math.min(this.bucketSize, bucket.tokens + tokensToAdd);
+    bucket.lastRefill = now;
+
+    if (bucket.tokens >= tokensRequired) {
+      bucket.tokens -= tokensRequired;
+      await this.store.setBucket(key, bucket, this._bucketTTL());
+      
+      return {
+        allowed: true,
+        remaining: Math.floor(bucket.tokens),
+        resetAt: new Date(now + this.timeUntilTokens(bucket.tokens, this.bucketSize)),
+        total: this.bucketSize
+      };
+    }
+
+    await this.store.setBucket(key, bucket, this._bucketTTL());
+    
+    return {
+      allowed: false,
+      remaining: Math.floor(bucket.tokens),
+      resetAt: new Date(now + this.timeUntilTokens(bucket.tokens, tokensRequired)),
+      total: this.bucketSize
+    };
+  }
+
+  /**
+   * Get the current bucket state without taking any tokens
+   * @param {string} key
+   * @returns {Promise<{tokens: number, bucketSize: number, refillRate: number}>}
+   */
+  async getStatus(key) {
+    const now = Date.now();
+    const bucket = await this.store.getBucket(key);
+    let tokens = this.bucketSize;
+
+    if (bucket) {
+      const elapsed = Math.max(0, now - bucket.lastRefill);
+      tokens = Math.min(this.bucketSize, bucket.tokens + (elapsed / 1000) * this.refillRate);
+    }
+
+    return {
+      tokens: Math.floor(tokens),
+      bucketSize: this.bucketSize,
+      refillRate: this.refillRate
+    };
+  }
+
+  async reset(key) {
+    await this.store.deleteBucket(key);
+  }
+
+  /**
+   * Time until a bucket holding `available` tokens has refilled to `required`
+   * @param {number} available
+   * @param {number} required
+   * @returns {number} Milliseconds
+   */
+  timeUntilTokens(available, required) {
+    return Math.max(0, (required - available) * this.refillInterval);
+  }
+
+  /**
+   * Time for an empty bucket to refill completely; idle buckets can expire
+   * after this since they would be full again anyway
+   * @returns {number}
+   */
+  _bucketTTL() {
+    return Math.ceil(this.bucketSize * this.refillInterval);
+  }
+}
+
+/**
+ * Leaky bucket queue
+ * A token bucket that holds over-limit requests in a bounded per-key queue
+ * and lets them through in order as the bucket refills (drains) instead of
+ * rejecting them. Requests are only rejected when the queue is full or
+ * their estimated wait exceeds `maxWaitMs`. Queues are per process; the
+ * bucket itself lives in the store and is shared.
+ */
+class LeakyBucketLimiter extends TokenBucketLimiter {
+  constructor(store, options = {}) {
+    super(store, options);
+    this.maxQueueSize = options.maxQueueSize !== undefined ? options.maxQueueSize : 10;
+    this.maxWaitMs = options.maxWaitMs !== undefined ? options.maxWaitMs : 10000;
+    this.queues = new Map();
+  }
+
+  async isAllowed(key, tokensRequired = 1) {
+    // Only skip the queue when nobody is waiting, so arrivals stay in order
+    if (!this.queues.has(key)) {
+      const result = await super.isAllowed(key, tokensRequired);
+      if (result.allowed || result.reason) {
+        return { ...result, queued: false, waitMs: 0 };
+      }
+    }
+
+    return this._enqueue(key, tokensRequired);
+  }
+
+  async _enqueue(key, tokensRequired) {
+    let queue = this.queues.get(key);
+
+    if ((queue ? queue.size : 0) >= this.maxQueueSize) {
+      return this._reject(Date.now(), this.maxWaitMs, 'Queue is full');
+    }
+
+    if (!queue) {
+      queue = { size: 0, tokens: 0, tail: Promise.resolve() };
+      this.queues.set(key, queue);
+    }
+
+    // Take the slot before awaiting anything so concurrent arrivals see it
+    queue.size++;
+    queue.tokens += tokensRequired;
+
+    try {
+      // Everyone already waiting gets their tokens first
+      const status = await this.getStatus(key);
+      const estimatedWait = this.timeUntilTokens(status.tokens, queue.tokens);
+
+      if (estimatedWait > this.maxWaitMs) {
+        return this._reject(Date.now(), estimatedWait, 'Wait would exceed maxWaitMs');
+      }
+
+      const enqueuedAt = Date.now();
+      const turn = queue.tail.then(() => this._waitForTokens(key, tokensRequired, enqueuedAt + this.maxWaitMs));
+      queue.tail = turn.catch(() => {});
+
+      const result = await turn;
+      return { ...result, queued: true, waitMs: Date.now() - enqueuedAt };
+    } finally {
+      queue.size--;
+      queue.tokens -= tokensRequired;
+      if (queue.size === 0 && this.queues.get(key) === queue) {
+        this.queues.delete(key);
+      }
+    }
+  }
+
+  async _waitForTokens(key, tokensRequired, deadline) {
+    for (;;) {
+      const result = await super.isAllowed(key, tokensRequired);
+      if (result.allowed) {
+        return result;
+      }
+
+      const now = Date.now();
+      const delay = Math.max(1, result.resetAt.getTime() - now);
+      if (now + delay > deadline) {
+        return { ...result, reason: 'Wait would exceed maxWaitMs' };
+      }
+
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  _reject(now, waitMs, reason) {
+    return {
+      allowed: false,
+      remaining: 0,
+      resetAt: new Date(now + waitMs),
+      total: this.bucketSize,
+      queued: false,
+      waitMs: 0,
+      reason
+    };
+  }
+}
+
+/**
+ * Fixed window counter
+ * Keeps a single counter per key regardless of maxRequests, and counts a
+ * request only if the window has room for it. Allows up to 2x bursts
+ * across a window boundary.
+ */
+class FixedWindowLimiter {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.windowMs = options.windowMs || 60000;
+    this.maxRequests = options.maxRequests || 100;
+  }
+
+  async isAllowed(key, cost = 1) {
+    const now = Date.now();
+
+    // Checks the limit and counts the request in one step, so refused requests are never counted
+    const result = typeof this.store.atomicFixedWindow === 'function'
+      ? await this.store.atomicFixedWindow(key, now, this.windowMs, this.maxRequests, cost)
+      : null;
+
+    if (result === null) {
+      return this._isAllowedNonAtomic(key, now, cost);
+    }
+
+    return {
+      allowed: result.allowed,
+      remaining: Math.max(0, this.maxRequests - result.count),
+      resetAt: new Date(result.resetAt),
+      total: this.maxRequests
+    };
+  }
+
+  async _isAllowedNonAtomic(key, now, cost) {
+    let count = Number(await this.store.get(key)) || 0;
+    const allowed = count + cost <= this.maxRequests;
+
+    if (allowed) {
+      count = await this.store.increment(key, this.windowMs, cost);
+    }
+
+    const ttl = typeof this.store.getTTL === 'function' ? await this.store.getTTL(key) : -1;
+
+    return {
+      allowed,
+      remaining: Math.max(0, this.maxRequests - count),
+      resetAt: new Date(now + (ttl > 0 ? ttl : this.windowMs)),
+      total: this.maxRequests
+    };
+  }
+
+  async reset(key) {
+    await this.store.reset(key);
+  }
+}
+
+/**
+ * Sliding window counter (weighted two-bucket approximation)
+ * Keeps only the current and previous fixed-window counts and weights the
+ * previous one by how much of it still overlaps the rolling window, so each
+ * key costs two counters regardless of maxRequests.
+ */
+class SlidingWindowCounterLimiter {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.windowMs = options.windowMs || 60000;
+    this.maxRequests = options.maxRequests || 100;
+  }
+
+  async isAllowed(key, cost = 1) {
+    const now = Date.now();
+
+    // Rolls the window over and adds the cost in one step
+    let result = typeof this.store.atomicSlidingCounter === 'function'
+      ? await this.store.atomicSlidingCounter(key, now, this.windowMs, this.maxRequests, cost)
+      : null;
+
+    if (result === null) {
+      result = slideCounters(await this.store.get(key), now, this.windowMs, this.maxRequests, cost);
+      await this.store.set(key, {
+        windowStart: result.windowStart,
+        current: result.current,
+        previous: result.previous
+      }, this.windowMs * 2);
+    }
+
+    return {
+      allowed: result.allowed,
+      remaining: Math.max(0, Math.floor(this.maxRequests - result.estimate)),
+      resetAt: new Date(result.allowed
+        ? result.windowStart + this.windowMs
+        : nextCounterSlot(result, this.windowMs, this.maxRequests, cost)),
+      total: this.maxRequests
+    };
+  }
+
+  async reset(key) {
+    await this.store.reset(key);
+  }
+}
+
+/**
+ * Multiple windows per key (e.g. 10/sec AND 1000/hour AND 50k/day)
+ * Tracks each window as a sliding window counter so long windows stay
+ * cheap, and counts a request in all of them or in none. The result
+ * reports the most restrictive window, with every window under `limits`.
+ */
+class MultiWindowLimiter {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.limits = validateLimits(options.limits, 'limits');
+    this.windows = this.limits.map(({ windowMs, maxRequests }) => ({ windowMs, limit: maxRequests }));
+  }
+
+  async isAllowed(key, cost = 1) {
+    const now = Date.now();
+
+    // Adds the cost to every window only if all of them allow it
+    let result = typeof this.store.atomicMultiCounter === 'function'
+      ? await this.store.atomicMultiCounter(key, now, this.windows, cost)
+      : null;
+
+    if (result === null) {
+      result = slideMultiCounters(await this.store.get(key), now, this.windows, cost);
+      const longest = Math.max(...this.windows.map(({ windowMs }) => windowMs));
+      await this.store.set(key, multiCounterState(this.windows, result.windows), longest * 2);
+    }
+
+    const limits = windowResults(this.limits, result.windows, cost);
+
+    return {
+      ...mostRestrictive(limits, result.allowed),
+      allowed: result.allowed,
+      limits
+    };
+  }
+
+  async reset(key) {
+    await this.store.reset(key);
+  }
+}
+
+/**
+ * Several keys checked as one, each with its own limits, e.g. a user and
+ * the organisation whose quota it shares. A request is counted under every
+ * key or under none, so a request the organisation has no room for does
+ * not use up the user's own limit. Every limit is a sliding window counter,
+ * as in MultiWindowLimiter.
+ */
+class HierarchicalLimiter {
+  /**
+   * @param {Object} store
+   * @param {Object} options
+   * @param {Object[]} options.levels - Limits for each key, in the order
+   *   the keys are passed to isAllowed(): `{ windowMs, maxRequests }` or
+   *   `{ limits: [{ windowMs, maxRequests }, ...] }`
+   */
+  constructor(store, options = {}) {
+    if (!Array.isArray(options.levels) || options.levels.length === 0) {
+      throw new ConfigurationError('levels must be a non-empty array of limits');
+    }
+
+    this.store = store;
+    this.levels = options.levels.map((level, i) => {
+      const limits = level.limits
+        ? validateLimits(level.limits, `levels[${i}].limits`)
+        : [{ windowMs: level.windowMs || 60000, maxRequests: level.maxRequests || 100 }];
+      return {
+        limits,
+        windows: limits.map(({ windowMs, maxRequests }) => ({ windowMs, limit: maxRequests }))
+      };
+    });
+  }
+
+  /**
+   * @param {string[]} keys - One key per level
+   * @param {number} [cost=1]
+   * @returns {Promise<Object>} The most restrictive window over all keys,
+   *   plus every window under `limits` and, per key, its `key`, `allowed`
+   *   and windows under `levels`
+   */
+  async isAllowed(keys, cost = 1) {
+    if (keys.length !== this.levels.length) {
+      throw new ConfigurationError(`Expected ${this.levels.length} keys, got ${keys.length}`);
+    }
+
+    const now = Date.now();
+    const windows = this.levels.map(level => level.windows);
+
+    // Charges every level or none of them
+    let result = typeof this.store.atomicMultiKeyCounter === 'function'
+      ? await this.store.atomicMultiKeyCounter(keys.map((key, i) => ({ key, windows: windows[i] })), now, cost)
+      : null;
+
+    if (result === null) {
+      const states = await Promise.all(keys.map(key => this.store.get(key)));
+      result = slideMultiKeyCounters(states, now, windows, cost);
+      await Promise.all(keys.map((key, i) => {
+        const longest = Math.max(...windows[i].map(({ windowMs }) => windowMs));
+        return this.store.set(key, multiCounterState(windows[i], result.keys[i].windows), longest * 2);
+      }));
+    }
+
+    const levels = this.levels.map(({ limits }, i) => {
+      const levelLimits = windowResults(limits, result.keys[i].windows, cost);
+      return {
+        ...mostRestrictive(levelLimits, result.keys[i].allowed),
+        key: keys[i],
+        allowed: result.keys[i].allowed,
+        limits: levelLimits
+      };
+    });
+
+    const limits = levels.flatMap(level => level.limits);
+
+    return {
+      ...mostRestrictive(limits, result.allowed),
+      allowed: result.allowed,
+      limits,
+      levels
+    };
+  }
+
+  /**
+   * @param {string|string[]} keys - Keys to forget
+   */
+  async reset(keys) {
+    await Promise.all([].concat(keys).map(key => this.store.reset(key)));
+  }
+}
+
+/**
+ * Report per window for a sliding window counter result
+ * @param {Array<{windowMs: number, maxRequests: number}>} limits
+ * @param {Object[]} counters - slideCounters() result per window
+ * @param {number} cost
+ * @returns {Object[]} `{ windowMs, allowed, remaining, resetAt, total }` per window
+ */
+function windowResults(limits, counters, cost) {
+  return limits.map(({ windowMs, maxRequests }, i) => ({
+    windowMs,
+    allowed: counters[i].allowed,
+    remaining: Math.max(0, Math.floor(maxRequests - counters[i].estimate)),
+    resetAt: new Date(counters[i].allowed
+      ? counters[i].windowStart + windowMs
+      : nextCounterSlot(counters[i], windowMs, maxRequests, cost)),
+    total: maxRequests
+  }));
+}
+
+/**
+ * Earliest time at which a sliding window counter's weighted estimate drops
+ * enough for a request of the given cost, assuming no other traffic
+ * @param {{windowStart: number, current: number, previous: number}} counters
+ * @param {number} windowMs
+ * @param {number} limit
+ * @param {number} cost
+ * @returns {number} Timestamp in milliseconds
+ */
+function nextCounterSlot({ windowStart, current, previous }, windowMs, limit, cost) {
+  const room = limit - cost;
+
+  // The previous window decays enough before this one ends
+  if (current <= room && previous > 0) {
+    const fraction = 1 - (room - current) / previous;
+    if (fraction < 1) {
+      return windowStart + Math.ceil(Math.max(0, fraction) * windowMs);
+    }
+  }
+
+  // Otherwise wait for the current window to decay in the next one
+  const fraction = current > 0 ? Math.max(0, 1 - room / current) : 0;
+  return windowStart + windowMs + Math.ceil(fraction * windowMs);
+}
+
+/**
+ * Pick the window to report: when rejected, the rejecting window that frees
+ * up last; otherwise the one with the fewest requests left
+ * @param {Object[]} limits - Per-window results
+ * @param {boolean} allowed - Overall decision
+ * @returns {Object}
+ */
+function mostRestrictive(limits, allowed) {
+  const candidates = allowed ? limits : limits.filter(limit => !limit.allowed);
+
+  return candidates.reduce((worst, limit) => {
+    if (allowed) {
+      return limit.remaining < worst.remaining ? limit : worst;
+    }
+    return limit.resetAt > worst.resetAt ? limit : worst;
+  });
+}
+
+/**
+ * Generic Cell Rate Algorithm
+ * Stores a single theoretical arrival time (TAT) per key. Requests are
+ * spaced one emission interval apart at the steady rate, and up to `burst`
+ * requests may arrive at once.
+ */
+class GcraLimiter {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.windowMs = options.windowMs || 60000;
+    this.maxRequests = options.maxRequests || 100;
+    this.emissionInterval = options.emissionInterval || this.windowMs / this.maxRequests;
+    this.burst = options.burst || this.maxRequests;
+    this.tolerance = this.emissionInterval * this.burst;
+  }
+
+  async isAllowed(key, cost = 1) {
+    const now = Date.now();
+
+    // Reads and advances the theoretical arrival time in one step
+    let result = typeof this.store.atomicGcra === 'function'
+      ? await this.store.atomicGcra(key, now, this.emissionInterval, this.tolerance, cost)
+      : null;
+
+    if (result === null) {
+      result = gcraStep(await this.store.get(key), now, this.emissionInterval, this.tolerance, cost);
+      if (result.allowed) {
+        await this.store.set(key, result.tat, Math.max(1, result.tat - now));
+      }
+    }
+
+    if (!result.allowed) {
+      return {
+        allowed: false,
+        remaining: 0,
+        resetAt: new Date(now + result.retryAfter),
+        total: this.burst,
+        retryAfter: Math.ceil(result.retryAfter)
+      };
+    }
+
+    return {
+      allowed: true,
+      remaining: Math.max(0, Math.floor((now + this.tolerance - result.tat) / this.emissionInterval)),
+      resetAt: new Date(result.tat),
+      total: this.burst,
+      retryAfter: 0
+    };
+  }
+
+  async reset(key) {
+    await this.store.reset(key);
+  }
+}
+
+/**
+ * Concurrency limiter
+ * Caps the number of requests in flight per key rather than arrivals.
+ * Each admitted request holds a lease until it is released; leases expire
+ * after `leaseMs` so a crashed process cannot hold slots forever.
+ */
+class ConcurrencyLimiter {
+  constructor(store, options = {}) {
+    // Leases have no fallback on other store methods, unlike the other primitives
+    for (const method of ['acquireLease', 'releaseLease']) {
+      if (!store || typeof store[method] !== 'function') {
+        throw new ConfigurationError(`The concurrency limiter needs a store implementing '${method}'`);
+      }
+    }
+
+    this.store = store;
+    this.maxConcurrent = options.maxConcurrent || options.maxRequests || 10;
+    this.leaseMs = options.leaseMs || 60000;
+  }
+
+  /**
+   * Try to take slots for a key
+   * @param {string} key
+   * @param {number} [cost=1] - Number of slots the request occupies
+   * @returns {Promise<Object>} Limit result; `lease` is set when allowed
+   */
+  async acquire(key, cost = 1) {
+    const now = Date.now();
+    const id = randomUUID();
+    const result = await this.store.acquireLease(key, id, now, this.leaseMs, this.maxConcurrent, cost);
+
+    return {
+      allowed: result.allowed,
+      remaining: Math.max(0, this.maxConcurrent - result.count),
+      resetAt: new Date(result.allowed ? now + this.leaseMs : result.earliestExpiry),
+      total: this.maxConcurrent,
+      lease: result.allowed ? { key, id, cost, expiresAt: now + this.leaseMs } : null
+    };
+  }
+
+  /**
+   * Give back a slot taken by acquire(); safe to call more than once
+   * @param {{key: string, id: string, cost: number}} lease
+   * @returns {Promise<void>}
+   */
+  async release(lease) {
+    if (!lease) {
+      return;
+    }
+    await this.store.releaseLease(lease.key, lease.id, lease.cost);
+  }
+
+  async isAllowed(key, cost = 1) {
+    return this.acquire(key, cost);
+  }
+
+  async reset(key) {
+    await this.store.reset(key);
+  }
+}
+
+/**
+ * Length of the window a limiter's quota refers to, as advertised in
+ * RateLimit-Policy headers: the time to refill an empty bucket, the GCRA
+ * burst period, or the configured window. Concurrency limits have none.
+ * @param {Object} limiter
+ * @returns {number|null} Milliseconds
+ */
+function policyWindowMs(limiter) {
+  if (limiter instanceof TokenBucketLimiter) {
+    return Math.ceil((limiter.bucketSize / limiter.refillRate) * 1000);
+  }
+
+  if (limiter instanceof GcraLimiter) {
+    return Math.ceil(limiter.emissionInterval * limiter.burst);
+  }
+
+  return limiter.windowMs || null;
+}
+
+function createLimiter(type, store, options) {
+  if (!store) {
+    throw new ConfigurationError('Store is required');
+  }
+
+  switch (type) {
+    case 'sliding-window':
+      return new SlidingWindowLimiter(store, options);
+    case 'token-bucket':
+      return new TokenBucketLimiter(store, options);
+    case 'leaky-bucket':
+      return new LeakyBucketLimiter(store, options);
+    case 'fixed-window':
+      return new FixedWindowLimiter(store, options);
+    case 'sliding-window-counter':
+      return new SlidingWindowCounterLimiter(store, options);
+    case 'gcra':
+      return new GcraLimiter(store, options);
+    case 'concurrency':
+      return new ConcurrencyLimiter(store, options);
+    default:
+      throw new Error(`Unknown limiter type: ${type}`);
+  }
+}
+
+module.exports = {
+  SlidingWindowLimiter,
+  TokenBucketLimiter,
+  LeakyBucketLimiter,
+  FixedWindowLimiter,
+  SlidingWindowCounterLimiter,
+  MultiWindowLimiter,
+  HierarchicalLimiter,
+  GcraLimiter,
+  ConcurrencyLimiter,
+  createLimiter,
+  policyWindowMs
+};
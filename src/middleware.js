@@ -1,170 +1,989 @@
-const { SlidingWindowLimiter, TokenBucketLimiter } = require('./limiters');
-const { MemoryStore } = require('./stores/memory');
-const { RuleEngine } = require('./rules');
-const { TierManager } = require('./tiers');
-const { Config } = require('./config');
-
-class RateLimitMiddleware {
-  constructor(options = {}) {
-    this.config = new Config(options);
-    this.store = options.store || new MemoryStore();
-    this.ruleEngine = options.ruleEngine || new RuleEngine();
-    this.tierManager = options.tierManager || new TierManager();
-    
-    const LimiterClass = this.config.get('algorithm') === 'token-bucket'
-      ? TokenBucketLimiter
-      : SlidingWindowLimiter;
-    
-    this.limiter = new LimiterClass(this.store, {
-      windowMs: this.config.get('windowMs'),
-      maxRequests: this.config.get('maxRequests'),
-      tokensPerInterval: this.config.get('tokensPerInterval'),
-      interval: this.config.get('interval'),
-      bucketSize: this.config.get('bucketSize')
-    });
-
-    this.keyGenerator = options.keyGenerator || this.defaultKeyGenerator;
-    this.onRateLimited = options.onRateLimited || null;
-    this.skip = options.skip || (() => false);
-  }
-
-  defaultKeyGenerator(req) {
-    return req.ip || req.connection?.remoteAddress || 'unknown';
-  }
-
-  extractRequestInfo(req) {
-    // Normalize request object for Express/Koa compatibility
-    return {
-      ip: req.ip || req.connection?.remoteAddress,
-      path: req.path || req.url,
-      method: req.method,
-      headers: req.headers,
-      user: req.user || null
-    };
-  }
-
-  async checkLimit(key, requestInfo) {
-    // Check for route-specific rules
-    const rule = this.ruleEngine.match(requestInfo.path, requestInfo.method);
-    
-    // Check for user tier limits
-    let tierConfig = null;
-    if (requestInfo.user?.tier) {
-      tierConfig = this.tierManager.getTier(requestInfo.user.tier);
-    }
-
-    // Determine effective limits
-    let effectiveLimits = {
-      maxRequests: this.config.get('maxRequests'),
-      windowMs: this.config.get('windowMs')
-    };
-
-    if (rule) {
-      effectiveLimits = { ...effectiveLimits, ...rule.limits };
-    }
-
-    if (tierConfig) {
-      effectiveLimits = { ...effectiveLimits, ...tierConfig };
-    }
-
-    return this.limiter.tryAcquire(key, effectiveLimits);
-  }
-
-  setRateLimitHeaders(res, result) {
-    res.setHeader('X-RateLimit-Limit', result.limit);
-    res.setHeader('X-RateLimit-Remaining', Math.max(0, result.remaining));
-    res.setHeader('X-RateLimit-Reset', result.resetTime);
-    
-    if (!result.allowed) {
-      res.setHeader('Retry-After', Math.ceil(result.retryAfter / 1000));
-    }
-  }
-
-  express() {
-    return async (req, res, next) => {
-      try {
-        if (await this.skip(req)) {
-          return next();
-        }
-
-        const requestInfo = this.extractRequestInfo(req);
-        const key = await this.keyGenerator(req);
-        const result = await this.checkLimit(key, requestInfo);
-
-        this.setRateLimitHeaders(res, result);
-
-        if (!result.allowed) {
-          if (this.onRateLimited) {
-            return this.onRateLimited(req, res, next, result);
-          }
-          
-          res.status(429).json({
-            error: 'Too Many Requests',
-            message: 'Rate limit exceeded',
-            retryAfter: Math.ceil(result.retryAfter / 1000)
-          });
-          return;
-        }
-
-        next();
-      } catch (error) {
-        next(error);
-      }
-    };
-  }
-
-  koa() {
-    return async (ctx, next) => {
-      try {
-        const req = {
-          ip: ctx.ip,
-          path: ctx.path,
-          method: ctx.method,
-          headers: ctx.headers,
-          user: ctx.state?.user
-        };
-
-        if (await this.skip(req)) {
-          return next();
-        }
-
-        const requestInfo = this.extractRequestInfo(req);
-        const key = await this.keyGenerator(req);
-        const result = await this.checkLimit(key, requestInfo);
-
-        ctx.set('X-RateLimit-Limit', result.limit);
-        ctx.set('X-RateLimit-Remaining', Math.max(0, result.remaining));
-        ctx.set('X-RateLimit-Reset', result.resetTime);
-
-        if (!result.allowed) {
-          ctx.set('Retry-After', Math.ceil(result.retryAfter / 1000));
-          
-          if (this.onRateLimited) {
-            return this.onRateLimited(ctx, next, result);
-          }
-
-          ctx.status = 429;
-          ctx.body = {
-            error: 'Too Many Requests',
-            message: 'Rate limit exceeded',
-            retryAfter: Math.ceil(result.retryAfter / 1000)
-          };
-          return;
-        }
-
-        await next();
-      } catch (error) {
-        ctx.throw(500, error.message);
-      }
-    };
-  }
-}
-
-function createMiddleware(options = {}) {
-  return new RateLimitMiddleware(options);
-}
-
-module.exports = {
-  RateLimitMiddleware,
-  createMiddleware
-};
+const { createLimiter, MultiWindowLimiter, HierarchicalLimiter, policyWindowMs } = require('./limiters');
+const { MemoryStore } = require('./stores/memory');
+const { RuleEngine, overlayRule } = require('./rules');
+const { TierManager } = require('./tiers');
+const { createConfig, validateConfig } = require('./config');
+const { validatePositiveInteger } = require('./utils/validation');
+const { normalizeIp, ipKey, compileTrustedProxies, resolveClientIp } = require('./utils/ip');
+const { resolveHeaderMode, formatHeaders } = require('./utils/headers');
+
+// Options that describe a limit, as opposed to middleware behaviour
+const LIMIT_OPTIONS = [
+  'algorithm',
+  'windowMs',
+  'maxRequests',
+  'bucketSize',
+  'refillRate',
+  'burst',
+  'emissionInterval',
+  'maxConcurrent',
+  'leaseMs',
+  'maxQueueSize',
+  'maxWaitMs',
+  'limits'
+];
+
+function pickLimits(source = {}) {
+  const limits = {};
+  for (const name of LIMIT_OPTIONS) {
+    if (source[name] !== undefined) {
+      limits[name] = source[name];
+    }
+  }
+  return limits;
+}
+
+// What a limiter keeps under its key: algorithms store differently shaped
+// state, and a list of limits is kept by MultiWindowLimiter
+function limitKind(limits) {
+  return limits.limits ? 'limits' : limits.algorithm;
+}
+
+// Suffix counting a route's limits apart, e.g. `:POST /reports/:id`
+function routeSuffix({ route, methods }) {
+  return `:${methods ? `${methods.join(',')} ` : ''}${route}`;
+}
+
+/**
+ * Lay limit layers over each other, noting which layer set each field
+ * @param {Object[]} layers - Layers from resolveLimits()
+ * @returns {{limits: Object, fields: Object<string, string>}}
+ */
+function attribute(layers) {
+  const limits = layers.reduce((rule, layer) => overlayRule(rule, layer.limits), {});
+  const fields = {};
+
+  for (const layer of layers) {
+    for (const name of Object.keys(layer.limits)) {
+      fields[name] = layer.source;
+    }
+  }
+  for (const name of Object.keys(fields)) {
+    if (limits[name] === undefined) {
+      delete fields[name];
+    }
+  }
+
+  return { limits, fields };
+}
+
+class RateLimitMiddleware {
+  constructor(options = {}) {
+    this.config = createConfig({
+      ...pickLimits(options),
+      headers: options.headers,
+      ipv6Subnet: options.ipv6Subnet
+    });
+    validateConfig(this.config);
+
+    this.store = options.store || new MemoryStore();
+    this.ruleEngine = options.ruleEngine || new RuleEngine(pickLimits(this.config));
+    this.tierManager = options.tierManager || new TierManager();
+
+    // One limiter per distinct set of limits, created on first use
+    this.limiters = new Map();
+    this.limiter = this.getLimiter(pickLimits(this.config));
+
+    this.keyGenerator = options.keyGenerator || this.defaultKeyGenerator;
+    this.tenantResolver = options.tenantResolver || null;
+    this.onRateLimited = options.onRateLimited || null;
+    this.skip = options.skip || (() => false);
+    this.cost = options.cost || null;
+    this.trustedProxies = options.trustedProxies || [];
+    this.isTrustedProxy = compileTrustedProxies(this.trustedProxies);
+    this.accessList = options.accessList || null;
+    this.penaltyBox = options.penaltyBox || null;
+    this.quotas = options.quotas || null;
+    this.headers = resolveHeaderMode(this.config.headers);
+    this.ipv6Subnet = this.config.ipv6Subnet;
+  }
+
+  /**
+   * Get the limiter for a set of limits, creating it on first use
+   * @param {Object} limits - Effective limits, including the algorithm
+   * @returns {Object} Limiter instance
+   */
+  getLimiter(limits) {
+    const cacheKey = JSON.stringify(LIMIT_OPTIONS.map(name => limits[name]));
+
+    if (!this.limiters.has(cacheKey)) {
+      // A list of limits is always checked as one all-or-nothing unit
+      const limiter = limits.limits
+        ? new MultiWindowLimiter(this.store, limits)
+        : createLimiter(limits.algorithm, this.store, limits);
+      this.limiters.set(cacheKey, limiter);
+    }
+
+    return this.limiters.get(cacheKey);
+  }
+
+  /**
+   * Get the limiter checking a user and its organisation's pool together
+   * @param {Object} userLimits - Effective limits of the user
+   * @param {Object} poolLimits - Effective limits of the pool
+   * @returns {HierarchicalLimiter}
+   */
+  getPoolLimiter(userLimits, poolLimits) {
+    const cacheKey = JSON.stringify([userLimits, poolLimits].map(limits => LIMIT_OPTIONS.map(name => limits[name])));
+
+    if (!this.limiters.has(cacheKey)) {
+      this.limiters.set(cacheKey, new HierarchicalLimiter(this.store, { levels: [userLimits, poolLimits] }));
+    }
+
+    return this.limiters.get(cacheKey);
+  }
+
+  /**
+   * Key clients by address; IPv6 clients by their `ipv6Subnet` prefix
+   * @param {Object} req - Framework request
+   * @param {Object} [requestInfo] - Normalized request with the resolved `ip`
+   * @returns {string}
+   */
+  defaultKeyGenerator(req, requestInfo = req) {
+    const ip = requestInfo.ip || req.ip || req.connection?.remoteAddress;
+    return ip ? ipKey(ip, this.ipv6Subnet) : 'unknown';
+  }
+
+  /**
+   * Client address of a request. Without `trustedProxies` the framework's
+   * own answer is kept (it honours Express `trust proxy`, Koa `app.proxy`
+   * and Fastify `trustProxy`). With them, the walk starts at the socket
+   * peer and X-Forwarded-For/Forwarded are only believed from trusted proxies.
+   * @param {Object} [raw] - Node IncomingMessage, when there is one
+   * @param {string} [frameworkIp] - Address reported by the framework
+   * @param {Object} [headers] - Request headers with lower-case names
+   * @param {Function|null} [isTrusted] - Compiled trustedProxies
+   * @returns {string|undefined}
+   */
+  clientIp(raw, frameworkIp, headers = {}, isTrusted = this.isTrustedProxy) {
+    const peer = raw?.socket?.remoteAddress || raw?.connection?.remoteAddress;
+
+    if (!isTrusted) {
+      return normalizeIp(frameworkIp || peer);
+    }
+    return resolveClientIp(peer || frameworkIp, headers, isTrusted);
+  }
+
+  extractRequestInfo(req) {
+    // Normalize request object for Express/Koa compatibility
+    return {
+      ip: this.clientIp(req, req.ip, req.headers),
+      path: req.path || req.url,
+      method: req.method,
+      headers: req.headers,
+      query: req.query || parseQuery(req.url),
+      body: req.body,
+      user: req.user || null
+    };
+  }
+
+  /**
+   * Work out how many units a request consumes: the `cost(req)` option
+   * wins, then the matching rule's `cost`, then 1
+   * @param {Object} req - Framework request
+   * @param {Object} rule - Rule from resolveLimits()
+   * @returns {Promise<number>}
+   */
+  async getCost(req, rule) {
+    if (this.cost) {
+      return validatePositiveInteger(await this.cost(req), 'cost');
+    }
+    return rule && rule.cost ? rule.cost : 1;
+  }
+
+  /**
+   * Tier of a request, through TierManager.resolveTier (whose resolver
+   * answers are cached per identifier), then the `user.tier` the request
+   * carries. The identifier is the user's id, or the client key.
+   * @param {string} key - Client key
+   * @param {Object} requestInfo - Normalized request
+   * @param {Object} [req] - Framework request passed to the tier resolver
+   * @returns {Promise<Object|null>} Tier limits with their `name`, or null
+   */
+  async resolveTier(key, requestInfo, req = requestInfo) {
+    const user = requestInfo.user;
+    const identifier = user && user.id !== undefined && user.id !== null ? String(user.id) : key;
+    const tier = await this.tierManager.resolveTier(req, identifier, { fallback: false });
+
+    if (tier) {
+      return tier;
+    }
+    return user?.tier ? { name: user.tier, ...this.tierManager.getTierLimits(user.tier) } : null;
+  }
+
+  /**
+   * Organisation a request belongs to, from the `tenantResolver` option
+   * @param {Object} requestInfo - Normalized request
+   * @param {Object} [req] - Framework request passed to the resolver
+   * @returns {Promise<string|null>} Tenant id, or null for none
+   */
+  async resolveTenant(requestInfo, req = requestInfo) {
+    if (!this.tenantResolver) {
+      return null;
+    }
+
+    const tenant = await this.tenantResolver(req, requestInfo);
+    return tenant === undefined || tenant === null || tenant === '' ? null : String(tenant);
+  }
+
+  /**
+   * Work out the limits for a request from its layers. Each layer is laid
+   * over the ones before it, so a later layer wins for every field it sets:
+   *
+   *   1. `config`      the middleware's own limit options
+   *   2. `default`     the rule engine's default rule
+   *   3. `route`       the most specific route rule
+   *   4. `rule`        the first matching named rule
+   *   5. `routeConfig` limits declared on the framework route, e.g.
+   *                    Fastify's `config.rateLimit`
+   *   6. `tier`        the request's tier, one layer per tier in its
+   *                    inheritance chain, the root first
+   *   7. `tier-route`  the tier's override for the route
+   *
+   * For a request with a tenant, the tier is the tenant's and only applies
+   * to the tenant's pool: the key itself gets layers 1 to 5, the pool all
+   * of them.
+   *
+   * A route rule's limits are counted apart from the rest, under
+   * `<key>:<route>`, a named rule's under a further `:rule:<name>`, and so
+   * are limits kept by an algorithm other than
+   * the default rule's, under a further `:<algorithm>` (`:limits` for a
+   * list of limits), so limiters never read each other's state.
+   *
+   * @param {string} key - Client key
+   * @param {Object} requestInfo - Normalized request (see extractRequestInfo)
+   * @param {Object} [req] - Framework request passed to conditions and the resolvers
+   * @returns {Promise<{key: string, tier: string|null, tenant: string|null,
+   *   layers: Object[], rule: Object, pool: {key: string, rule: Object}|null}>}
+   *   The key the limits are counted under, the tier, the tenant, the
+   *   layers that applied, the resulting rule and, with a tenant, the key
+   *   and rule of its pool
+   */
+  async resolveLimits(key, requestInfo, req = requestInfo) {
+    const layers = [
+      { source: 'config', limits: pickLimits(this.config) },
+      ...this.ruleEngine.explain(requestInfo, req)
+    ];
+
+    if (requestInfo.routeConfig) {
+      layers.push({ source: 'routeConfig', limits: { ...requestInfo.routeConfig } });
+    }
+
+    const ruleLayers = layers.length;
+    const route = layers.find(layer => layer.source === 'route');
+    const named = layers.find(layer => layer.source === 'rule');
+    const ruleSuffix = named ? `:rule:${named.name}` : '';
+    const tenant = await this.resolveTenant(requestInfo, req);
+    const tier = tenant !== null
+      ? await this.tierManager.resolveTier(req, tenant)
+      : await this.resolveTier(key, requestInfo, req);
+
+    // Each tier counts separately, so an upgrade is not held back by
+    // requests made on the old plan
+    let limitKey = key;
+    if (tenant !== null) {
+      limitKey = this.ruleEngine.generateKey({ tenantId: tenant, tier: tier.name });
+    } else if (tier) {
+      limitKey = `${key}:tier:${tier.name}`;
+    }
+
+    let override = null;
+    if (tier) {
+      for (const layer of this.tierManager.getTierLayers(tier.name)) {
+        layers.push({ source: 'tier', ...layer });
+      }
+
+      override = this.tierManager.matchRoute(tier.name, requestInfo.path, requestInfo.method);
+      if (override) {
+        layers.push({ source: 'tier-route', ...override });
+        // A route with its own tier limit is counted apart from the rest
+        limitKey += routeSuffix(override);
+      }
+    }
+
+    const overlay = list => list.reduce((rule, layer) => overlayRule(rule, layer.limits), {});
+
+    if (tenant === null) {
+      const rule = overlay(layers);
+      const kind = limitKind(rule);
+      // The first two layers are the config and the default rule
+      const kindSuffix = kind !== limitKind(overlay(layers.slice(0, 2))) ? `:${kind}` : '';
+      // The tier's override for the route, if any, already counts it apart
+      const routeKey = route && !override ? routeSuffix(route) : '';
+      return { key: `${limitKey}${routeKey}${ruleSuffix}${kindSuffix}`, tier: tier ? tier.name : null, tenant, layers, rule, pool: null };
+    }
+
+    // The key and the pool are always counted together by HierarchicalLimiter
+    return {
+      key: `${key}${route ? routeSuffix(route) : ''}${ruleSuffix}`,
+      tier: tier.name,
+      tenant,
+      layers,
+      rule: overlay(layers.slice(0, ruleLayers)),
+      pool: { key: limitKey, rule: overlay(layers) }
+    };
+  }
+
+  /**
+   * Show how the limits for a request were arrived at, without counting it
+   * @param {Object} requestInfo - Normalized request (see extractRequestInfo)
+   * @param {Object} [req] - Framework request passed to `keyGenerator`,
+   *   conditions and the tier resolver
+   * @returns {Promise<{key: string, tier: string|null, tenant: string|null,
+   *   layers: Object[], limits: Object, fields: Object<string, string>,
+   *   pool: Object|null}>} The layers in the order of resolveLimits(), the
+   *   effective limits, and for each of their fields the source of the
+   *   layer that set it; with a tenant, `pool` has the same for its pool
+   */
+  async explain(requestInfo, req = requestInfo) {
+    const clientKey = await this.keyGenerator(req, requestInfo);
+    const { key, tier, tenant, layers, pool } = await this.resolveLimits(clientKey, requestInfo, req);
+    const userLayers = pool ? layers.filter(layer => !layer.source.startsWith('tier')) : layers;
+
+    return {
+      key,
+      tier,
+      tenant,
+      layers,
+      ...attribute(userLayers),
+      pool: pool ? { key: pool.key, ...attribute(layers) } : null
+    };
+  }
+
+  /**
+   * Key and settings of the calendar quota for a request. A tenant's quota
+   * belongs to the organisation; otherwise it follows the client key across
+   * tiers, so a plan change keeps the period's usage.
+   * @param {string} key - Client key
+   * @param {Object} requestInfo - Normalized request (see extractRequestInfo)
+   * @param {Object} [req] - Framework request
+   * @returns {Promise<{key: string, quota: Object|undefined}>} `quota` is
+   *   the setting of the rules and tiers that apply
+   */
+  async resolveQuota(key, requestInfo, req = requestInfo) {
+    const { tenant, rule, pool } = await this.resolveLimits(key, requestInfo, req);
+    return this.quotaFor(key, tenant, pool ? pool.rule : rule);
+  }
+
+  quotaFor(key, tenant, rule) {
+    return {
+      key: tenant !== null ? this.ruleEngine.generateKey({ tenantId: tenant }) : key,
+      quota: rule.quota
+    };
+  }
+
+  /**
+   * A key's quota usage in the current period (see QuotaManager#getUsage)
+   * @param {string} key - Client key
+   * @param {Object} requestInfo - Request used to pick the rules and tiers
+   * @param {Object} [req] - Framework request
+   * @returns {Promise<Object|null>}
+   */
+  async getUsage(key, requestInfo, req = requestInfo) {
+    const quota = await this.resolveQuota(key, requestInfo, req);
+    return this.quotas.getUsage(quota.key, quota.quota);
+  }
+
+  /**
+   * Top up a key's quota (see QuotaManager#addCredits)
+   * @param {string} key - Client key
+   * @param {number} units - Units to add
+   * @param {Object} requestInfo - Request used to pick the rules and tiers
+   * @param {Object} [req] - Framework request
+   * @returns {Promise<Object>} Usage after the top-up
+   */
+  async addCredits(key, units, requestInfo, req = requestInfo) {
+    const quota = await this.resolveQuota(key, requestInfo, req);
+    return this.quotas.addCredits(quota.key, units, quota.quota);
+  }
+
+  /**
+   * Count a request against the limits that apply to it (see resolveLimits)
+   * @param {string} key - Client key
+   * @param {Object} requestInfo - Normalized request (see extractRequestInfo)
+   * @param {Object} [req] - Framework request passed to the `cost` option
+   * @param {number} [units] - Explicit cost, bypassing the `cost` option and rules
+   * @returns {Promise<Object>} Limiter result plus header values and, with
+   *   `quotas`, the quota usage; a request over its quota is refused with
+   *   `reason: 'quota'` but still counts against the rate limit
+   */
+  async checkLimit(key, requestInfo, req = requestInfo, units) {
+    const { key: limitKey, tier, tenant, rule, pool } = await this.resolveLimits(key, requestInfo, req);
+    const cost = units !== undefined
+      ? validatePositiveInteger(units, 'cost')
+      : await this.getCost(req, pool ? pool.rule : rule);
+
+    // A tenant's request is counted under the key and the pool together
+    const limiter = pool
+      ? this.getPoolLimiter(pickLimits(rule), pickLimits(pool.rule))
+      : this.getLimiter(pickLimits(rule));
+    const result = pool
+      ? await limiter.isAllowed([limitKey, pool.key], cost)
+      : await limiter.isAllowed(limitKey, cost);
+    const resetMs = result.resetAt.getTime();
+
+    // Only requests the rate limit lets through use up the quota
+    const { key: quotaKey, quota: settings } = this.quotaFor(key, tenant, pool ? pool.rule : rule);
+    const quota = this.quotas && result.allowed
+      ? await this.quotas.consume(quotaKey, cost, settings)
+      : null;
+    const overQuota = quota !== null && !quota.allowed;
+    if (overQuota && result.lease) {
+      await limiter.release(result.lease);
+    }
+
+    let retryAfter = result.retryAfter !== undefined
+      ? result.retryAfter
+      : Math.max(0, resetMs - Date.now());
+    if (overQuota) {
+      retryAfter = Math.max(0, quota.resetAt.getTime() - Date.now());
+    }
+
+    return {
+      ...result,
+      ...(overQuota ? { allowed: false, reason: 'quota' } : {}),
+      release: result.lease && !overQuota ? () => limiter.release(result.lease) : null,
+      key: limitKey,
+      tier,
+      tenant,
+      windowMs: result.windowMs !== undefined ? result.windowMs : policyWindowMs(limiter),
+      cost,
+      limit: result.total,
+      resetTime: Math.ceil(resetMs / 1000),
+      quota,
+      retryAfter
+    };
+  }
+
+  /**
+   * Forget what was counted for a key: under the key itself and under the
+   * key the limits of the request are counted under (see resolveLimits),
+   * e.g. the key's tier and route. A tenant's pool is shared with the rest
+   * of the organisation and is left alone.
+   * @param {string} key - Client key
+   * @param {Object} requestInfo - Request used to pick the rules and tiers
+   * @param {Object} [req] - Framework request
+   * @returns {Promise<void>}
+   */
+  async resetLimit(key, requestInfo, req = requestInfo) {
+    const { key: limitKey, rule, pool } = await this.resolveLimits(key, requestInfo, req);
+
+    await this.store.reset(key);
+    if (limitKey !== key) {
+      await (pool ? this.store.reset(limitKey) : this.getLimiter(pickLimits(rule)).reset(limitKey));
+    }
+  }
+
+  /**
+   * Rate limit headers for a result of checkLimit(), in the format chosen
+   * by the `headers` option. Retry-After is sent with every rejection.
+   * @param {Object} result
+   * @returns {Object<string, number|string>} Header name to value
+   */
+  getRateLimitHeaders(result) {
+    const headers = formatHeaders(result, this.headers);
+
+    if (!result.allowed) {
+      headers['Retry-After'] = Math.ceil(result.retryAfter / 1000);
+    }
+
+    return headers;
+  }
+
+  setRateLimitHeaders(res, result) {
+    for (const [name, value] of Object.entries(this.getRateLimitHeaders(result))) {
+      res.setHeader(name, value);
+    }
+  }
+
+  /**
+   * Response body sent with a 429
+   * @param {Object} result - Result of checkLimit()
+   * @returns {Object}
+   */
+  getRejectionBody(result) {
+    const body = {
+      error: 'Too Many Requests',
+      message: result.reason === 'quota' ? 'Quota exceeded' : 'Rate limit exceeded',
+      retryAfter: Math.ceil(result.retryAfter / 1000)
+    };
+
+    if (this.penaltyBox) {
+      body.banned = false;
+    }
+
+    return body;
+  }
+
+  /**
+   * Release a concurrency lease once the response is done. Both `finish`
+   * and `close` are watched so aborted requests free their slot too.
+   * @param {Object} res - Node response (or anything with `once`)
+   * @param {Object} result - Result of checkLimit()
+   * @returns {boolean} Whether a release was scheduled
+   */
+  releaseOnFinish(res, result) {
+    if (!result || !result.release || !res || typeof res.once !== 'function') {
+      return false;
+    }
+
+    let released = false;
+    const release = () => {
+      if (released) return;
+      released = true;
+      result.release().catch(() => {});
+    };
+
+    res.once('finish', release);
+    res.once('close', release);
+    return true;
+  }
+
+  /**
+   * Framework-neutral core: skip check, access list, key generation, limit
+   * check, headers and rejection body. Adapters only translate the decision.
+   * Requests on the allow list are reported as skipped; denied ones carry
+   * the access list's status and no limiter result, as do requests from
+   * keys in the penalty box.
+   * @param {Object} requestInfo - Normalized request (see extractRequestInfo)
+   * @param {Object} [req] - Request passed to `skip`, `keyGenerator` and `cost`;
+   *   `keyGenerator` also receives the requestInfo, whose `ip` is the resolved client
+   * @returns {Promise<{allowed: boolean, skipped: boolean, status: number,
+   *   headers: Object<string, number|string>, body: Object|null, result: Object|null,
+   *   access?: Object, ban?: Object}>}
+   */
+  async evaluate(requestInfo, req = requestInfo) {
+    if (await this.skip(req)) {
+      return { allowed: true, skipped: true, status: 200, headers: {}, body: null, result: null };
+    }
+
+    const access = this.accessList ? await this.accessList.check(requestInfo) : null;
+    if (access && access.action === 'allow') {
+      return { allowed: true, skipped: true, status: 200, headers: {}, body: null, result: null, access };
+    }
+    if (access) {
+      const status = this.accessList.denyStatus;
+      return {
+        allowed: false,
+        skipped: false,
+        status,
+        headers: {},
+        body: {
+          error: status === 403 ? 'Forbidden' : 'Too Many Requests',
+          message: 'Access denied'
+        },
+        result: null,
+        access
+      };
+    }
+
+    const key = await this.keyGenerator(req, requestInfo);
+
+    // Banned keys are refused without touching the limiter
+    const ban = this.penaltyBox ? await this.penaltyBox.getBan(key) : null;
+    if (ban) {
+      return this.bannedDecision(ban);
+    }
+
+    const result = await this.checkLimit(key, requestInfo, req);
+
+    // Running out of quota is not abuse, so it never leads to a ban
+    if (!result.allowed && result.reason !== 'quota' && this.penaltyBox) {
+      const newBan = await this.penaltyBox.recordViolation(key);
+      if (newBan) {
+        return this.bannedDecision(newBan, { ...result, ban: newBan });
+      }
+    }
+
+    return {
+      allowed: result.allowed,
+      skipped: false,
+      status: result.allowed ? 200 : 429,
+      headers: this.getRateLimitHeaders(result),
+      body: result.allowed ? null : this.getRejectionBody(result),
+      result
+    };
+  }
+
+  /**
+   * Rejection for a key in the penalty box
+   * @param {Object} ban - Ban from the penalty box
+   * @param {Object} [result] - Limit result when the ban was just imposed
+   * @returns {Object} Decision
+   */
+  bannedDecision(ban, result = null) {
+    const retryAfter = Math.max(0, Math.ceil((ban.until - Date.now()) / 1000));
+
+    return {
+      allowed: false,
+      skipped: false,
+      status: 429,
+      headers: { ...(result ? this.getRateLimitHeaders(result) : {}), 'Retry-After': retryAfter },
+      body: {
+        error: 'Too Many Requests',
+        message: 'Temporarily banned',
+        retryAfter,
+        banned: true,
+        bannedUntil: new Date(ban.until).toISOString()
+      },
+      result,
+      ban
+    };
+  }
+
+  /**
+   * Express/Connect middleware
+   * @param {Object} [options]
+   * @param {Function} [options.extractRequestInfo] - req => requestInfo
+   * @returns {Function}
+   */
+  express(options = {}) {
+    const extract = options.extractRequestInfo || (req => this.extractRequestInfo(req));
+
+    return async (req, res, next) => {
+      try {
+        const decision = await this.evaluate(extract(req), req);
+
+        for (const [name, value] of Object.entries(decision.headers)) {
+          res.setHeader(name, value);
+        }
+
+        if (!decision.allowed) {
+          if (this.onRateLimited && decision.result) {
+            return this.onRateLimited(req, res, next, decision.result);
+          }
+          
+          res.status(decision.status).json(decision.body);
+          return;
+        }
+
+        this.releaseOnFinish(res, decision.result);
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+
+  /**
+   * Koa middleware
+   * @param {Object} [options]
+   * @param {Function} [options.extractRequestInfo] - ctx => requestInfo
+   * @returns {Function}
+   */
+  koa(options = {}) {
+    const extract = options.extractRequestInfo || (ctx => ({
+      ip: this.clientIp(ctx.req, ctx.ip, ctx.headers),
+      path: ctx.path,
+      method: ctx.method,
+      headers: ctx.headers,
+      query: ctx.query,
+      body: ctx.request?.body,
+      user: ctx.state?.user || null
+    }));
+
+    return async (ctx, next) => {
+      try {
+        const requestInfo = extract(ctx);
+        const decision = await this.evaluate(requestInfo);
+
+        for (const [name, value] of Object.entries(decision.headers)) {
+          ctx.set(name, value);
+        }
+
+        if (!decision.allowed) {
+          if (this.onRateLimited && decision.result) {
+            return this.onRateLimited(ctx, next, decision.result);
+          }
+
+          ctx.status = decision.status;
+          ctx.body = decision.body;
+          return;
+        }
+
+        const result = decision.result;
+        if (!result || this.releaseOnFinish(ctx.res, result) || !result.release) {
+          return await next();
+        }
+
+        // No underlying response to watch; release once downstream is done
+        try {
+          await next();
+        } finally {
+          await result.release();
+        }
+      } catch (error) {
+        ctx.throw(500, error.message);
+      }
+    };
+  }
+
+  /**
+   * Fastify plugin, registered with `fastify.register(middleware.fastify())`.
+   * Limits every route through an `onRequest` hook; a route's
+   * `config.rateLimit` refines the matching rule, or turns limiting off
+   * for the route when `false`. The result is available as
+   * `request.rateLimit`.
+   * @param {Object} [options]
+   * @param {Function} [options.extractRequestInfo] - request => requestInfo
+   * @returns {Function} Fastify plugin
+   */
+  fastify(options = {}) {
+    const extract = options.extractRequestInfo || (request => ({
+      ip: this.clientIp(request.raw, request.ip, request.headers),
+      path: request.url.split('?')[0],
+      method: request.method,
+      headers: request.headers,
+      query: request.query,
+      body: request.body,
+      user: request.user || null
+    }));
+
+    const plugin = async (instance) => {
+      if (!instance.hasRequestDecorator('rateLimit')) {
+        instance.decorateRequest('rateLimit', null);
+      }
+
+      // Reject bad per-route limits when the route is declared
+      instance.addHook('onRoute', (routeOptions) => {
+        const routeConfig = routeOptions.config && routeOptions.config.rateLimit;
+        if (routeConfig) {
+          this.ruleEngine.validateRule(overlayRule(this.ruleEngine.defaultRule, routeConfig));
+        }
+      });
+
+      instance.addHook('onRequest', async (request, reply) => {
+        const config = (request.routeOptions && request.routeOptions.config) ||
+          (request.context && request.context.config) ||
+          {};
+
+        if (config.rateLimit === false) {
+          return;
+        }
+
+        const requestInfo = { ...extract(request), routeConfig: config.rateLimit || null };
+        const decision = await this.evaluate(requestInfo, request);
+
+        request.rateLimit = decision.result;
+
+        for (const [name, value] of Object.entries(decision.headers)) {
+          reply.header(name, value);
+        }
+
+        if (!decision.allowed) {
+          if (this.onRateLimited && decision.result) {
+            return this.onRateLimited(request, reply, decision.result);
+          }
+          return reply.code(decision.status).send(decision.body);
+        }
+
+        if (decision.result) {
+          this.releaseOnFinish(reply.raw, decision.result);
+        }
+      });
+    };
+
+    // Same as wrapping with fastify-plugin: apply the hooks to the parent
+    // instance instead of an encapsulated child context
+    plugin[Symbol.for('skip-override')] = true;
+    plugin[Symbol.for('fastify.display-name')] = 'rate-guard';
+
+    return plugin;
+  }
+
+  /**
+   * Wrap a `node:http` request handler, for servers built directly on
+   * `http.createServer`. The client address comes from the socket, or from
+   * the forwarding headers when the socket peer is one of `trustedProxies`.
+   * Rejected requests get a JSON 429 and never reach the handler.
+   * @param {Function} handler - (req, res) => void
+   * @param {Object} [options]
+   * @param {string[]|Function} [options.trustedProxies] - Overrides the middleware's list
+   * @param {Function} [options.extractRequestInfo] - req => requestInfo
+   * @returns {Function} (req, res) => Promise<void>
+   */
+  http(handler, options = {}) {
+    const isTrusted = options.trustedProxies
+      ? compileTrustedProxies(options.trustedProxies)
+      : this.isTrustedProxy;
+    const extract = options.extractRequestInfo || (req => ({
+      ip: this.clientIp(req, undefined, req.headers, isTrusted),
+      path: (req.url || '/').split('?')[0],
+      method: req.method,
+      headers: req.headers,
+      query: parseQuery(req.url),
+      user: req.user || null
+    }));
+
+    return async (req, res) => {
+      let decision;
+      try {
+        decision = await this.evaluate(extract(req));
+      } catch (error) {
+        sendJson(res, 500, { error: 'Internal Server Error', message: error.message });
+        return;
+      }
+
+      for (const [name, value] of Object.entries(decision.headers)) {
+        res.setHeader(name, value);
+      }
+
+      if (!decision.allowed) {
+        if (this.onRateLimited && decision.result) {
+          return this.onRateLimited(req, res, decision.result);
+        }
+        sendJson(res, decision.status, decision.body);
+        return;
+      }
+
+      if (decision.result) {
+        this.releaseOnFinish(res, decision.result);
+      }
+      return handler(req, res);
+    };
+  }
+
+  /**
+   * Wrap a WHATWG fetch handler, `(request, ...rest) => Response`, as used
+   * by Next.js route handlers and `fetch`-style servers. Rejected requests
+   * get a JSON 429 Response; allowed ones get the headers added to the
+   * handler's Response.
+   * @param {Function} handler - Fetch handler to protect
+   * @param {Object} [options]
+   * @param {Function} [options.extractRequestInfo] - (request, ...rest) => requestInfo
+   * @returns {Function} Fetch handler
+   */
+  fetch(handler, options = {}) {
+    const extract = options.extractRequestInfo || ((request) => {
+      const requestInfo = requestInfoFromFetch(request);
+      return { ...requestInfo, ip: this.clientIp(null, requestInfo.ip, requestInfo.headers) };
+    });
+
+    return async (request, ...rest) => {
+      const decision = await this.evaluate(extract(request, ...rest));
+
+      if (!decision.allowed) {
+        if (this.onRateLimited && decision.result) {
+          return this.onRateLimited(request, decision.result);
+        }
+        return jsonResponse(decision.status, decision.body, decision.headers);
+      }
+
+      const release = decision.result && decision.result.release;
+      let response;
+      try {
+        response = await handler(request, ...rest);
+      } finally {
+        if (release) {
+          await release();
+        }
+      }
+
+      // Responses from fetch() have immutable headers
+      const limited = new Response(response.body, response);
+      for (const [name, value] of Object.entries(decision.headers)) {
+        limited.headers.set(name, String(value));
+      }
+      return limited;
+    };
+  }
+
+  /**
+   * Hono middleware. The result is stored as `c.get('rateLimit')`.
+   * @param {Object} [options]
+   * @param {Function} [options.extractRequestInfo] - c => requestInfo
+   * @returns {Function}
+   */
+  hono(options = {}) {
+    const extract = options.extractRequestInfo || ((c) => {
+      const requestInfo = requestInfoFromFetch(c.req.raw);
+      return {
+        ...requestInfo,
+        // @hono/node-server exposes the Node request as c.env.incoming
+        ip: this.clientIp(c.env?.incoming, requestInfo.ip, requestInfo.headers),
+        user: c.get('user') || null
+      };
+    });
+
+    return async (c, next) => {
+      const decision = await this.evaluate(extract(c));
+
+      c.set('rateLimit', decision.result);
+      for (const [name, value] of Object.entries(decision.headers)) {
+        c.header(name, String(value));
+      }
+
+      if (!decision.allowed) {
+        if (this.onRateLimited && decision.result) {
+          return this.onRateLimited(c, next, decision.result);
+        }
+        return c.json(decision.body, decision.status);
+      }
+
+      const release = decision.result && decision.result.release;
+      try {
+        await next();
+      } finally {
+        if (release) {
+          await release();
+        }
+      }
+    };
+  }
+}
+
+/**
+ * Default requestInfo for a WHATWG Request. The Fetch API has no notion of
+ * the client address, so `ip` is only set where the runtime adds it
+ * (e.g. `request.ip` on Next.js); pass `extractRequestInfo` or a
+ * `keyGenerator` suited to the platform otherwise.
+ * @param {Request} request
+ * @returns {Object}
+ */
+function requestInfoFromFetch(request) {
+  const url = new URL(request.url);
+  return {
+    ip: request.ip,
+    path: url.pathname,
+    method: request.method,
+    headers: Object.fromEntries(request.headers),
+    query: Object.fromEntries(url.searchParams),
+    user: null
+  };
+}
+
+/**
+ * Query parameters of a request URL; the last of repeated names wins
+ * @param {string} [url]
+ * @returns {Object<string, string>}
+ */
+function parseQuery(url = '') {
+  const index = url.indexOf('?');
+  return index === -1 ? {} : Object.fromEntries(new URLSearchParams(url.slice(index + 1)));
+}
+
+function sendJson(res, status, body) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+}
+
+function jsonResponse(status, body, headers) {
+  const response = new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+  for (const [name, value] of Object.entries(headers)) {
+    response.headers.set(name, String(value));
+  }
+  return response;
+}
+
+function createMiddleware(options = {}) {
+  return new RateLimitMiddleware(options);
+}
+
+module.exports = {
+  RateLimitMiddleware,
+  createMiddleware
+};
@@ -0,0 +1,115 @@
+/**
+ * Penalty box for keys that keep hitting their limit
+ * After `threshold` rejections within `windowMs` a key is banned: every
+ * request is refused without touching the limiter until the ban ends.
+ */
+
+const { MemoryStore } = require('./stores/memory');
+const { ValidationError, validatePositiveInteger } = require('./utils/validation');
+
+class PenaltyBox {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.store] - Store shared by every instance (default: a private MemoryStore)
+   * @param {string} [options.prefix='penalty:'] - Prefix of the keys kept in the store
+   * @param {number} [options.threshold=5] - Rejections that trigger a ban
+   * @param {number} [options.windowMs=300000] - Period the rejections are counted over
+   * @param {number} [options.banMs=900000] - Length of the first ban
+   * @param {number} [options.multiplier=1] - Growth of each further ban, e.g. 2 to double
+   * @param {number} [options.maxBanMs=86400000] - Upper bound for a grown ban
+   * @param {number} [options.decayMs=86400000] - How long after the last ban previous bans count towards growth
+   */
+  constructor(options = {}) {
+    this.store = options.store || new MemoryStore();
+    this.prefix = options.prefix !== undefined ? options.prefix : 'penalty:';
+    this.threshold = validatePositiveInteger(options.threshold || 5, 'threshold');
+    this.windowMs = validatePositiveInteger(options.windowMs || 300000, 'windowMs');
+    this.banMs = validatePositiveInteger(options.banMs || 900000, 'banMs');
+    this.multiplier = options.multiplier || 1;
+    this.maxBanMs = validatePositiveInteger(options.maxBanMs || 86400000, 'maxBanMs');
+    this.decayMs = validatePositiveInteger(options.decayMs || 86400000, 'decayMs');
+
+    if (!(this.multiplier >= 1)) {
+      throw new ValidationError('multiplier must be a number of at least 1', 'multiplier');
+    }
+  }
+
+  banKey(key) {
+    return `${this.prefix}ban:${key}`;
+  }
+
+  /**
+   * Count a rejection for a key and ban it once the threshold is reached
+   * @param {string} key - Client key
+   * @returns {Promise<Object|null>} The new ban, or null
+   */
+  async recordViolation(key) {
+    const violations = await this.store.increment(`${this.prefix}violations:${key}`, this.windowMs);
+
+    if (violations < this.threshold) {
+      return null;
+    }
+
+    // Each ban within decayMs of the previous one lasts `multiplier` times
+    // longer. increment() only sets the expiry of a new counter, so it is
+    // restarted to make strikes decay decayMs after the last ban.
+    const strikesKey = `${this.prefix}strikes:${key}`;
+    const strikes = await this.store.increment(strikesKey, this.decayMs);
+    await this.store.set(strikesKey, strikes, this.decayMs);
+    const duration = Math.min(this.maxBanMs, Math.round(this.banMs * Math.pow(this.multiplier, strikes - 1)));
+
+    return this.ban(key, duration, { strikes, reason: 'Repeated rate limit violations' });
+  }
+
+  /**
+   * Ban a key
+   * @param {string} key - Client key
+   * @param {number} [ms] - Duration, `banMs` by default
+   * @param {Object} [details] - Extra fields stored with the ban (e.g. reason)
+   * @returns {Promise<Object>} The ban
+   */
+  async ban(key, ms = this.banMs, details = {}) {
+    const duration = validatePositiveInteger(ms, 'ms');
+    const now = Date.now();
+    const ban = { ...details, bannedAt: now, until: now + duration };
+
+    await this.store.set(this.banKey(key), ban, duration);
+    await this.store.delete(`${this.prefix}violations:${key}`);
+    return ban;
+  }
+
+  /**
+   * Lift a ban and forget the key's violations and previous bans
+   * @param {string} key - Client key
+   * @returns {Promise<void>}
+   */
+  async unban(key) {
+    await Promise.all([
+      this.store.delete(this.banKey(key)),
+      this.store.delete(`${this.prefix}violations:${key}`),
+      this.store.delete(`${this.prefix}strikes:${key}`)
+    ]);
+  }
+
+  /**
+   * The key's current ban
+   * @param {string} key - Client key
+   * @returns {Promise<Object|null>} `{ bannedAt, until, ... }` or null
+   */
+  async getBan(key) {
+    const ban = await this.store.get(this.banKey(key));
+    return ban && ban.until > Date.now() ? ban : null;
+  }
+
+  /**
+   * @param {string} key - Client key
+   * @returns {Promise<boolean>}
+   */
+  async isBanned(key) {
+    return (await this.getBan(key)) !== null;
+  }
+}
+
+module.exports = {
+  PenaltyBox
+};
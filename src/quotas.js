@@ -0,0 +1,252 @@
+/**
+ * Calendar quotas for long-horizon usage, e.g. 100,000 calls a month
+ * A quota allows `limit` units per hour, day, week or month in the key's
+ * time zone and starts again from zero when the next period begins. Credits
+ * granted on top carry over between periods and are only spent once the
+ * period's allowance is used up.
+ */
+
+const { MemoryStore } = require('./stores/memory');
+const { quotaStep, quotaTTL } = require('./stores/base');
+const { PERIODS, zonedFormat, periodBounds } = require('./utils/calendar');
+const {
+  ValidationError,
+  validateEnum,
+  validateNonNegativeInteger,
+  validatePositiveInteger
+} = require('./utils/validation');
+
+// Formatters are costly to build and the same few time zones come up again and again
+const formats = new Map();
+
+function formatFor(timezone, name) {
+  if (!formats.has(timezone)) {
+    formats.set(timezone, zonedFormat(timezone, name));
+  }
+  return formats.get(timezone);
+}
+
+/**
+ * Validate quota settings given either as a limit or as an object
+ * @param {number|Object} value - e.g. `5000` or `{ limit: 5000, period: 'day' }`
+ * @param {string} [name] - Name of the field for error messages
+ * @returns {{limit?: number, period?: string, timezone?: string, weekStart?: number}}
+ */
+function validateQuota(value, name) {
+  const field = suffix => (name ? `${name}.${suffix}` : suffix);
+  const quota = typeof value === 'number' ? { limit: value } : value;
+
+  if (!quota || typeof quota !== 'object' || Array.isArray(quota)) {
+    throw new ValidationError(`${name || 'quota'} must be a limit or an object`, name || 'quota');
+  }
+
+  const validated = {};
+  if (quota.limit !== undefined) {
+    validated.limit = validatePositiveInteger(quota.limit, field('limit'));
+  }
+  if (quota.period !== undefined) {
+    validated.period = validateEnum(quota.period, PERIODS, field('period'));
+  }
+  if (quota.timezone !== undefined) {
+    formatFor(quota.timezone, field('timezone'));
+    validated.timezone = quota.timezone;
+  }
+  if (quota.weekStart !== undefined) {
+    validated.weekStart = validateNonNegativeInteger(quota.weekStart, field('weekStart'));
+    if (validated.weekStart > 6) {
+      throw new ValidationError(`${field('weekStart')} must be a day from 0 (Sunday) to 6`, field('weekStart'));
+    }
+  }
+
+  return validated;
+}
+
+class QuotaManager {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.store] - Store shared by every instance (default: a private MemoryStore)
+   * @param {string} [options.prefix='quota:'] - Prefix of the keys kept in the store
+   * @param {number} [options.limit] - Units per period for keys with no limit of their own
+   * @param {string} [options.period='month'] - 'hour', 'day', 'week' or 'month'
+   * @param {string} [options.timezone='UTC'] - Time zone the periods follow
+   * @param {number} [options.weekStart=1] - First day of a week, 0 for Sunday
+   */
+  constructor(options = {}) {
+    this.store = options.store || new MemoryStore();
+    this.prefix = options.prefix !== undefined ? options.prefix : 'quota:';
+    this.defaults = {
+      period: 'month',
+      timezone: 'UTC',
+      weekStart: 1,
+      ...validateQuota({
+        limit: options.limit,
+        period: options.period,
+        timezone: options.timezone,
+        weekStart: options.weekStart
+      })
+    };
+  }
+
+  usageKey(key) {
+    return `${this.prefix}usage:${key}`;
+  }
+
+  settingsKey(key) {
+    return `${this.prefix}settings:${key}`;
+  }
+
+  /**
+   * Give a key its own quota settings, e.g. a customer's time zone or a
+   * negotiated limit. They take precedence over rules, tiers and defaults.
+   * @param {string} key - Client key
+   * @param {number|Object|null} settings - Limit or `{limit, period, timezone,
+   *   weekStart}`; null removes them
+   * @returns {Promise<Object|null>} The stored settings
+   */
+  async configure(key, settings) {
+    if (settings === null) {
+      await this.store.delete(this.settingsKey(key));
+      return null;
+    }
+
+    const validated = validateQuota(settings, 'settings');
+    await this.store.set(this.settingsKey(key), validated);
+    return validated;
+  }
+
+  /**
+   * Settings in force for a key: its own over `quota` over the defaults
+   * @param {string} key - Client key
+   * @param {number|Object} [quota] - Settings from the rule or tier that applies
+   * @returns {Promise<{limit?: number, period: string, timezone: string, weekStart: number}>}
+   */
+  async getSettings(key, quota) {
+    const own = await this.store.get(this.settingsKey(key));
+    return {
+      ...this.defaults,
+      ...(quota !== undefined && quota !== null ? validateQuota(quota, 'quota') : {}),
+      ...(own || {})
+    };
+  }
+
+  /**
+   * Charge a request against a key's quota
+   * @param {string} key - Client key
+   * @param {number} [cost=1] - Units the request counts for
+   * @param {number|Object} [quota] - Settings from the rule or tier that applies
+   * @returns {Promise<Object|null>} Usage (see getUsage) plus `allowed`; null
+   *   if no limit applies to the key
+   */
+  async consume(key, cost = 1, quota) {
+    return this.update(key, { cost: validatePositiveInteger(cost, 'cost'), quota });
+  }
+
+  /**
+   * A key's usage in the current period, without charging anything
+   * @param {string} key - Client key
+   * @param {number|Object} [quota] - Settings from the rule or tier that applies
+   * @returns {Promise<{key: string, limit: number, used: number, remaining: number,
+   *   credits: number, period: string, timezone: string, periodStart: Date,
+   *   resetAt: Date}|null>} `used` includes units paid for with credits,
+   *   `remaining` includes the credit balance; null if no limit applies
+   */
+  async getUsage(key, quota) {
+    const period = await this.currentPeriod(key, quota);
+    if (!period) {
+      return null;
+    }
+
+    // Only read: a look at the usage must not create or extend the record
+    const state = quotaStep(await this.store.get(this.usageKey(key)), period.start, period.limit, 0);
+    return this.describe(key, period, state);
+  }
+
+  /**
+   * Top up a key with units that outlast the period, e.g. after a purchase
+   * @param {string} key - Client key
+   * @param {number} units - Units to add
+   * @param {number|Object} [quota] - Settings from the rule or tier that applies
+   * @returns {Promise<Object>} Usage after the top-up (see getUsage)
+   */
+  async addCredits(key, units, quota) {
+    const usage = await this.update(key, { credits: validatePositiveInteger(units, 'units'), quota });
+    delete usage.allowed;
+    return usage;
+  }
+
+  /**
+   * Forget a key's usage and credits; its settings are kept
+   * @param {string} key - Client key
+   * @returns {Promise<void>}
+   */
+  async reset(key) {
+    await this.store.delete(this.usageKey(key));
+  }
+
+  /**
+   * Add credits and charge a cost in one step, atomically where the store
+   * supports it
+   * @returns {Promise<Object|null>}
+   */
+  async update(key, { cost = 0, credits = 0, quota } = {}) {
+    const period = await this.currentPeriod(key, quota, credits);
+    if (!period) {
+      return null;
+    }
+
+    const { now, start, end, limit } = period;
+    const usageKey = this.usageKey(key);
+
+    let state = typeof this.store.atomicQuota === 'function'
+      ? await this.store.atomicQuota(usageKey, now, start, end, limit, cost, credits)
+      : null;
+    if (!state) {
+      state = quotaStep(await this.store.get(usageKey), start, limit, cost, credits);
+      await this.store.set(usageKey, state, quotaTTL(state, now, end));
+    }
+
+    return { allowed: state.allowed, ...this.describe(key, period, state) };
+  }
+
+  /**
+   * Settings and bounds of the period a key is in now
+   * @param {string} key - Client key
+   * @param {number|Object} [quota] - Settings from the rule or tier that applies
+   * @param {number} [credits=0] - Credits about to be added; they need no limit
+   * @returns {Promise<{settings: Object, limit: number, now: number, start: number,
+   *   end: number}|null>} null if no limit applies and no credits are added
+   */
+  async currentPeriod(key, quota, credits = 0) {
+    const settings = await this.getSettings(key, quota);
+    if (settings.limit === undefined && credits === 0) {
+      return null;
+    }
+
+    const now = Date.now();
+    const { start, end } = periodBounds(settings.period, now, {
+      format: formatFor(settings.timezone),
+      weekStart: settings.weekStart
+    });
+    return { settings, limit: settings.limit || 0, now, start, end };
+  }
+
+  /**
+   * Usage as reported by getUsage
+   * @returns {Object}
+   */
+  describe(key, { settings, limit, start, end }, state) {
+    return {
+      key,
+      limit,
+      used: state.used + state.creditsUsed,
+      remaining: Math.max(0, limit - state.used) + state.credits,
+      credits: state.credits,
+      period: settings.period,
+      timezone: settings.timezone,
+      periodStart: new Date(start),
+      resetAt: new Date(end)
+    };
+  }
+}
+
+module.exports = { QuotaManager, validateQuota };
@@ -1,121 +1,347 @@
-/**
- * Rule Engine for customizable rate limit rules
- * Supports per-route and per-user-tier configurations
- */
-
-class RuleEngine {
-  constructor(defaultRule = {}) {
-    this.defaultRule = {
-      windowMs: 60000,
-      maxRequests: 100,
-      algorithm: 'sliding-window',
-      ...defaultRule
-    };
-    this.routeRules = new Map();
-    this.tierRules = new Map();
-  }
-
-  /**
-   * Set rate limit rule for a specific route
-   * @param {string|RegExp} route - Route pattern
-   * @param {Object} rule - Rate limit configuration
-   */
-  setRouteRule(route, rule) {
-    const normalizedRoute = route instanceof RegExp ? route : new RegExp(`^${route}$`);
-    this.routeRules.set(normalizedRoute, { ...this.defaultRule, ...rule });
-    return this;
-  }
-
-  /**
-   * Set rate limit rule for a user tier
-   * @param {string} tier - User tier name (e.g., 'free', 'pro', 'enterprise')
-   * @param {Object} rule - Rate limit configuration
-   */
-  setTierRule(tier, rule) {
-    this.tierRules.set(tier.toLowerCase(), { ...this.defaultRule, ...rule });
-    return this;
-  }
-
-  /**
-   * Get the applicable rule for a request
-   * @param {string} route - Request route
-   * @param {string} [tier] - User tier
-   * @returns {Object} The most specific matching rule
-   */
-  getRule(route, tier = null) {
-    let rule = { ...this.defaultRule };
-
-    // Check route-specific rules
-    for (const [pattern, routeRule] of this.routeRules) {
-      if (pattern.test(route)) {
-        rule = { ...rule, ...routeRule };
-        break;
-      }
-    }
-
-    // Apply tier-specific overrides
-    if (tier && this.tierRules.has(tier.toLowerCase())) {
-      const tierRule = this.tierRules.get(tier.toLowerCase());
-      rule = { ...rule, ...tierRule };
-    }
-
-    return rule;
-  }
-
-  /**
-   * Generate a unique key for rate limiting
-   * @param {Object} options - Key generation options
-   * @returns {string} Rate limit key
-   */
-  generateKey({ ip, userId, route, tier }) {
-    const identifier = userId || ip || 'anonymous';
-    const tierPart = tier ? `:${tier}` : '';
-    const routePart = route ? `:${this.normalizeRoute(route)}` : '';
-    return `ratelimit:${identifier}${tierPart}${routePart}`;
-  }
-
-  /**
-   * Normalize route for key generation
-   * @param {string} route - Route path
-   * @returns {string} Normalized route
-   */
-  normalizeRoute(route) {
-    return route
-      .replace(/\/+/g, '/')
-      .replace(/\/$/, '')
-      .replace(/\/:[^/]+/g, '/:param')
-      .toLowerCase();
-  }
-
-  /**
-   * Clear all rules
-   */
-  clearRules() {
-    this.routeRules.clear();
-    this.tierRules.clear();
-  }
-
-  /**
-   * Get all configured rules for debugging
-   * @returns {Object} All rules
-   */
-  getAllRules() {
-    const routes = {};
-    for (const [pattern, rule] of this.routeRules) {
-      routes[pattern.toString()] = rule;
-    }
-
-    const tiers = {};
-    for (const [tier, rule] of this.tierRules) {
-      tiers[tier] = rule;
-    }
-
-    return {
-      default: this.defaultRule,
-      routes,
-      tiers
-    };
-  }
-}
-
-module.exports = { RuleEngine };
+/**
+ * Rule Engine for customizable rate limit rules
+ * Supports per-route, conditional (named) and per-user-tier configurations
+ */
+
+const {
+  ALGORITHMS,
+  ValidationError,
+  validateEnum,
+  validateFunction,
+  validateNonEmptyString,
+  validatePositiveInteger,
+  validateLimits
+} = require('./utils/validation');
+const { DEFAULT_IPV6_SUBNET, ipKey } = require('./utils/ip');
+const { parseRoute, routeId } = require('./utils/path-pattern');
+const { RouteTrie } = require('./utils/route-trie');
+const { compileConditions } = require('./utils/conditions');
+const { validateQuota } = require('./quotas');
+
+/**
+ * Merge a rule over a base rule. A single window (windowMs/maxRequests) and
+ * a `limits` array replace each other rather than applying together.
+ * @param {Object} base - Rule being overridden
+ * @param {Object} rule - Overriding rule
+ * @returns {Object} Merged rule
+ */
+function overlayRule(base, rule) {
+  const merged = { ...base, ...rule };
+
+  if (rule.limits === undefined && (rule.windowMs !== undefined || rule.maxRequests !== undefined)) {
+    delete merged.limits;
+  }
+
+  return merged;
+}
+
+class RuleEngine {
+  constructor(defaultRule = {}) {
+    this.defaultRule = this.validateRule({
+      windowMs: 60000,
+      maxRequests: 100,
+      algorithm: 'sliding-window',
+      ...defaultRule
+    });
+    this.routeRules = new Map();
+    this.sequence = 0;
+    this.routeTrie = null;
+    this.namedRules = new Map();
+    this.namedOrder = null;
+    this.tierRules = new Map();
+  }
+
+  /**
+   * Set rate limit rule for a specific route. Strings are Express-style
+   * patterns (`/users/:id`, `/files/:name?`, `/api/*`) and may start with
+   * the methods they apply to, e.g. `'POST /api/upload'`.
+   * @param {string|RegExp} route - Route pattern
+   * @param {Object} rule - Rate limit configuration
+   * @param {string|string[]} [rule.method] - Only apply to these HTTP methods
+   */
+  setRouteRule(route, rule = {}) {
+    const { method, ...limits } = rule;
+    const parsed = parseRoute(route, method);
+    const id = routeId(parsed);
+    const existing = this.routeRules.get(id);
+
+    this.routeRules.set(id, {
+      ...parsed,
+      rule: this.validateRule(overlayRule(this.defaultRule, limits)),
+      overrides: limits,
+      order: existing ? existing.order : this.sequence++
+    });
+    this.routeTrie = null;
+    return this;
+  }
+
+  /**
+   * Find the most specific route rule for a request. Path patterns win
+   * over RegExp routes; among patterns the one with the more specific
+   * leftmost segment wins (static, then `:param`, then `:param?`, then
+   * `*`), then a rule for the request's method over one for any method,
+   * then the rule set first. Patterns are looked up in a segment trie
+   * (see RouteTrie), rebuilt on the first lookup after a rule changes.
+   * @param {string} path - Request path
+   * @param {string} [method] - HTTP method; without it only rules for any method apply
+   * @returns {{route: string, methods: string[]|null, params: Object<string, string>, rule: Object}|null}
+   */
+  match(path, method) {
+    if (!this.routeTrie) {
+      this.routeTrie = new RouteTrie(this.routeRules.values());
+    }
+
+    const best = this.routeTrie.lookup(path, method ? String(method).toUpperCase() : null);
+    if (!best) {
+      return null;
+    }
+
+    return {
+      route: best.entry.name,
+      methods: best.entry.methods,
+      params: best.params,
+      rule: { ...best.entry.rule },
+      overrides: { ...best.entry.overrides }
+    };
+  }
+
+  /**
+   * Add a named rule that applies to requests meeting its conditions, e.g.
+   * `addRule('scripts', { match: { headers: { 'user-agent': /python-requests/ } }, maxRequests: 10 })`.
+   * Its limits are laid over the route rule. Rules are tried from the
+   * highest `priority` down, equal priorities in the order they were
+   * added, and only the first whose conditions all hold applies.
+   * @param {string} name - Rule name; adding it again replaces the rule
+   * @param {Object} rule - Rate limit configuration
+   * @param {Object} [rule.match] - Declarative conditions (see utils/conditions)
+   * @param {Function} [rule.condition] - (req, requestInfo) => boolean, checked after `match`
+   * @param {number} [rule.priority=0] - Higher runs first
+   */
+  addRule(name, rule = {}) {
+    validateNonEmptyString(name, 'name');
+    const { match, condition, priority = 0, ...limits } = rule;
+
+    if (condition !== undefined) {
+      validateFunction(condition, 'condition');
+    }
+    if (!Number.isFinite(priority)) {
+      throw new ValidationError('priority must be a number', 'priority');
+    }
+    this.validateRule(overlayRule(this.defaultRule, limits));
+
+    const existing = this.namedRules.get(name);
+    this.namedRules.set(name, {
+      name,
+      matches: compileConditions(match),
+      condition: condition || null,
+      priority,
+      order: existing ? existing.order : this.sequence++,
+      definition: rule,
+      limits
+    });
+    this.namedOrder = null;
+    return this;
+  }
+
+  /**
+   * Remove a named rule
+   * @param {string} name
+   */
+  removeRule(name) {
+    this.namedRules.delete(name);
+    this.namedOrder = null;
+    return this;
+  }
+
+  /**
+   * First named rule, by priority, whose conditions hold for a request
+   * @param {Object} requestInfo - Normalized request
+   * @param {Object} [req] - Framework request passed to `condition`
+   * @returns {{name: string, rule: Object}|null} The rule's limits
+   */
+  findNamedRule(requestInfo, req = requestInfo) {
+    if (!this.namedOrder) {
+      this.namedOrder = [...this.namedRules.values()]
+        .sort((a, b) => b.priority - a.priority || a.order - b.order);
+    }
+
+    for (const entry of this.namedOrder) {
+      if (entry.matches(requestInfo) && (!entry.condition || entry.condition(req, requestInfo))) {
+        return { name: entry.name, rule: { ...entry.limits } };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * The rules that apply to a request, least specific first: the default
+   * rule, the most specific route rule for its path and method (only the
+   * fields it sets), then the first matching named rule. Laying each over
+   * the previous one gives evaluate().
+   * @param {Object} requestInfo - Normalized request (path, method, headers, query, body, user)
+   * @param {Object} [req] - Framework request passed to `condition`
+   * @returns {Object[]} Layers `{ source: 'default'|'route'|'rule', limits }`;
+   *   a route layer also has its `route`, `methods` and `params`, a rule
+   *   layer its `name`
+   */
+  explain(requestInfo, req = requestInfo) {
+    const layers = [{ source: 'default', limits: { ...this.defaultRule } }];
+
+    const route = this.match(requestInfo.path, requestInfo.method);
+    if (route) {
+      layers.push({
+        source: 'route',
+        route: route.route,
+        methods: route.methods,
+        params: route.params,
+        limits: route.overrides
+      });
+    }
+
+    const named = this.findNamedRule(requestInfo, req);
+    if (named) {
+      layers.push({ source: 'rule', name: named.name, limits: named.rule });
+    }
+
+    return layers;
+  }
+
+  /**
+   * Rule for a request: the layers of explain() laid over each other
+   * @param {Object} requestInfo - Normalized request (path, method, headers, query, body, user)
+   * @param {Object} [req] - Framework request passed to `condition`
+   * @returns {Object} Rule
+   */
+  evaluate(requestInfo, req = requestInfo) {
+    return this.explain(requestInfo, req)
+      .reduce((rule, layer) => overlayRule(rule, layer.limits), {});
+  }
+
+  /**
+   * Set rate limit rule for a user tier
+   * @param {string} tier - User tier name (e.g., 'free', 'pro', 'enterprise')
+   * @param {Object} rule - Rate limit configuration
+   */
+  setTierRule(tier, rule) {
+    this.tierRules.set(tier.toLowerCase(), this.validateRule(overlayRule(this.defaultRule, rule)));
+    return this;
+  }
+
+  /**
+   * Check that a rule names a known algorithm and, if it sets them, a
+   * positive integer cost, a valid list of limits and a valid quota
+   * @param {Object} rule - Rate limit configuration
+   * @returns {Object} The rule
+   */
+  validateRule(rule) {
+    validateEnum(rule.algorithm, ALGORITHMS, 'algorithm');
+    if (rule.cost !== undefined) {
+      rule.cost = validatePositiveInteger(rule.cost, 'cost');
+    }
+    if (rule.limits !== undefined) {
+      rule.limits = validateLimits(rule.limits, 'limits');
+    }
+    if (rule.quota !== undefined) {
+      rule.quota = validateQuota(rule.quota, 'quota');
+    }
+    return rule;
+  }
+
+  /**
+   * Get the applicable rule for a request
+   * @param {string} route - Request route
+   * @param {string} [tier] - User tier
+   * @param {string} [method] - HTTP method
+   * @returns {Object} The most specific matching rule
+   */
+  getRule(route, tier = null, method) {
+    let rule = { ...this.defaultRule };
+
+    // Check route-specific rules
+    const match = this.match(route, method);
+    if (match) {
+      rule = overlayRule(rule, match.rule);
+    }
+
+    // Apply tier-specific overrides
+    if (tier && this.tierRules.has(tier.toLowerCase())) {
+      const tierRule = this.tierRules.get(tier.toLowerCase());
+      rule = overlayRule(rule, tierRule);
+    }
+
+    return rule;
+  }
+
+  /**
+   * Generate a unique key for rate limiting. IPv6 addresses are grouped
+   * by subnet (see ipKey).
+   * @param {Object} options - Key generation options
+   * @param {string} [options.tenantId] - Organisation whose shared quota
+   *   the key counts, instead of a user or address
+   * @param {number|false} [options.ipv6Subnet=56] - IPv6 prefix length
+   * @returns {string} Rate limit key
+   */
+  generateKey({ ip, userId, tenantId, route, tier, ipv6Subnet = DEFAULT_IPV6_SUBNET }) {
+    const identifier = tenantId
+      ? `tenant:${tenantId}`
+      : userId || (ip && ipKey(ip, ipv6Subnet)) || 'anonymous';
+    const tierPart = tier ? `:${tier}` : '';
+    const routePart = route ? `:${this.normalizeRoute(route)}` : '';
+    return `ratelimit:${identifier}${tierPart}${routePart}`;
+  }
+
+  /**
+   * Normalize route for key generation
+   * @param {string} route - Route path
+   * @returns {string} Normalized route
+   */
+  normalizeRoute(route) {
+    return route
+      .replace(/\/+/g, '/')
+      .replace(/\/$/, '')
+      .replace(/\/:[^/]+/g, '/:param')
+      .toLowerCase();
+  }
+
+  /**
+   * Clear all rules
+   */
+  clearRules() {
+    this.routeRules.clear();
+    this.routeTrie = null;
+    this.namedRules.clear();
+    this.namedOrder = null;
+    this.tierRules.clear();
+  }
+
+  /**
+   * Get all configured rules for debugging
+   * @returns {Object} All rules
+   */
+  getAllRules() {
+    const routes = {};
+    for (const [id, { methods, rule }] of this.routeRules) {
+      routes[methods ? id : id.slice(2)] = rule;
+    }
+
+    const tiers = {};
+    for (const [tier, rule] of this.tierRules) {
+      tiers[tier] = rule;
+    }
+
+    const named = {};
+    for (const [name, { definition }] of this.namedRules) {
+      named[name] = definition;
+    }
+
+    return {
+      default: this.defaultRule,
+      routes,
+      named,
+      tiers
+    };
+  }
+}
+
+module.exports = { RuleEngine, overlayRule };
@@ -1,134 +1,875 @@
-/**
- * Base store adapter class
- * Provides common interface and utilities for all storage backends
- */
-class BaseStore {
-  constructor(options = {}) {
-    this.prefix = options.prefix || 'rg:';
-    this.connected = false;
-    this.connectionPromise = null;
-  }
-
-  /**
-   * Generate a prefixed key
-   * @param {string} key - The raw key
-   * @returns {string} Prefixed key
-   */
-  prefixKey(key) {
-    return `${this.prefix}${key}`;
-  }
-
-  /**
-   * Connect to the store
-   * @returns {Promise<void>}
-   */
-  async connect() {
-    if (this.connected) {
-      return;
-    }
-    if (this.connectionPromise) {
-      return this.connectionPromise;
-    }
-    this.connectionPromise = this._connect();
-    await this.connectionPromise;
-    this.connected = true;
-    this.connectionPromise = null;
-  }
-
-  /**
-   * Internal connect method - override in subclasses
-   * @returns {Promise<void>}
-   */
-  async _connect() {
-    // Override in subclasses
-  }
-
-  /**
-   * Disconnect from the store
-   * @returns {Promise<void>}
-   */
-  async disconnect() {
-    if (!this.connected) {
-      return;
-    }
-    await this._disconnect();
-    this.connected = false;
-  }
-
-  /**
-   * Internal disconnect method - override in subclasses
-   * @returns {Promise<void>}
-   */
-  async _disconnect() {
-    // Override in subclasses
-  }
-
-  /**
-   * Ensure connection before operation
-   * @returns {Promise<void>}
-   */
-  async ensureConnection() {
-    if (!this.connected) {
-      await this.connect();
-    }
-  }
-
-  /**
-   * Get current count for a key
-   * @param {string} key
-   * @returns {Promise<number>}
-   */
-  async get(key) {
-    throw new Error('Method get() must be implemented');
-  }
-
-  /**
-   * Increment count for a key
-   * @param {string} key
-   * @param {number} windowMs
-   * @returns {Promise<number>}
-   */
-  async increment(key, windowMs) {
-    throw new Error('Method increment() must be implemented');
-  }
-
-  /**
-   * Reset count for a key
-   * @param {string} key
-   * @returns {Promise<void>}
-   */
-  async reset(key) {
-    throw new Error('Method reset() must be implemented');
-  }
-
-  /**
-   * Get time-to-live for a key in milliseconds
-   * @param {string} key
-   * @returns {Promise<number>}
-   */
-  async getTTL(key) {
-    throw new Error('Method getTTL() must be implemented');
-  }
-
-  /**
-   * Clean up expired entries
-   * @returns {Promise<number>} Number of entries cleaned
-   */
-  async cleanup() {
-    return 0;
-  }
-
-  /**
-   * Get store statistics
-   * @returns {Promise<Object>}
-   */
-  async getStats() {
-    return {
-      type: this.constructor.name,
-      connected: this.connected,
-      prefix: this.prefix
-    };
-  }
-}
-
-module.exports = { BaseStore };
+/**
+ * Base store adapter class
+ * Provides common interface and utilities for all storage backends
+ *
+ * Store contract
+ * --------------
+ * Every store must implement the core key/value and counter methods:
+ *   get(key), set(key, value, ttlMs), delete(key),
+ *   increment(key, windowMs, amount), getTTL(key), reset(key), close()
+ *
+ * The limiters additionally rely on the following primitives. BaseStore
+ * provides non-atomic defaults built on get/set/delete, so a minimal
+ * custom store works out of the box; backends should override them with
+ * native (atomic) implementations where possible.
+ *
+ *   Fixed window:
+ *     atomicFixedWindow(key, now, windowMs, limit, cost)
+ *     (falls back to get/increment/getTTL)
+ *
+ *   Sliding window log:
+ *     atomicIncrement(key, now, windowStart, windowMs, limit, cost)
+ *     removeOldEntries(key, windowStart)
+ *     getTimestamps(key)
+ *     addTimestamp(key, timestamp, windowMs)
+ *
+ *   Sliding window counter:
+ *     atomicSlidingCounter(key, now, windowMs, limit, cost)
+ *     (falls back to get/set with slideCounters())
+ *
+ *   Multiple windows per key (all-or-nothing):
+ *     atomicMultiCounter(key, now, windows, cost)
+ *     (falls back to get/set with slideMultiCounters())
+ *
+ *   Multiple windows over several keys (all-or-nothing):
+ *     atomicMultiKeyCounter(entries, now, cost)
+ *     (falls back to get/set with slideMultiKeyCounters())
+ *
+ *   GCRA:
+ *     atomicGcra(key, now, emissionInterval, tolerance, cost)
+ *     (falls back to get/set with gcraStep())
+ *
+ *   Calendar quotas:
+ *     atomicQuota(key, now, periodStart, periodEnd, limit, cost, credits)
+ *     (falls back to get/set with quotaStep())
+ *
+ *   Concurrency leases (defaults are non-atomic, built on get/set):
+ *     acquireLease(key, leaseId, now, leaseMs, limit, cost)
+ *     releaseLease(key, leaseId, cost)
+ *
+ *   Token bucket:
+ *     atomicTokenBucket(key, now, bucketSize, refillRate, tokensRequired)
+ *     getBucket(key)
+ *     setBucket(key, bucket)
+ *     deleteBucket(key)
+ *
+ *   Records of named fields, written one field at a time (defaults are
+ *   non-atomic, built on get/set):
+ *     getFields(key)
+ *     setField(key, field, value)
+ *     deleteField(key, field, expected)
+ *
+ * The atomic variants return null when the store cannot perform them
+ * atomically, in which case the limiters fall back to the non-atomic
+ * primitives.
+ *
+ *   Change notifications (optional):
+ *     publish(channel, message)
+ *     subscribe(channel, handler)
+ *   The defaults do nothing: publish() resolves to false and subscribe()
+ *   to null, and callers fall back to expiring what they cached.
+ */
+class BaseStore {
+  constructor(options = {}) {
+    this.prefix = options.prefix || 'rg:';
+    this.connected = false;
+    this.connectionPromise = null;
+  }
+
+  /**
+   * Generate a prefixed key
+   * @param {string} key - The raw key
+   * @returns {string} Prefixed key
+   */
+  prefixKey(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  /**
+   * Connect to the store
+   * @returns {Promise<void>}
+   */
+  async connect() {
+    if (this.connected) {
+      return;
+    }
+    if (this.connectionPromise) {
+      return this.connectionPromise;
+    }
+    this.connectionPromise = this._connect();
+    await this.connectionPromise;
+    this.connected = true;
+    this.connectionPromise = null;
+  }
+
+  /**
+   * Internal connect method - override in subclasses
+   * @returns {Promise<void>}
+   */
+  async _connect() {
+    // Override in subclasses
+  }
+
+  /**
+   * Disconnect from the store
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    if (!this.connected) {
+      return;
+    }
+    await this._disconnect();
+    this.connected = false;
+  }
+
+  /**
+   * Internal disconnect method - override in subclasses
+   * @returns {Promise<void>}
+   */
+  async _disconnect() {
+    // Override in subclasses
+  }
+
+  /**
+   * Ensure connection before operation
+   * @returns {Promise<void>}
+   */
+  async ensureConnection() {
+    if (!this.connected) {
+      await this.connect();
+    }
+  }
+
+  /**
+   * Close the store and release its resources
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.disconnect();
+  }
+
+  /**
+   * Get the stored value for a key
+   * @param {string} key
+   * @returns {Promise<*>} The value, or null if missing or expired
+   */
+  async get(_key) {
+    throw new Error('Method get() must be implemented');
+  }
+
+  /**
+   * Store a value for a key
+   * @param {string} key
+   * @param {*} value
+   * @param {number} [ttlMs] - Time to live in milliseconds (no expiry if omitted)
+   * @returns {Promise<void>}
+   */
+  async set(_key, _value, _ttlMs) {
+    throw new Error('Method set() must be implemented');
+  }
+
+  /**
+   * Delete a key
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  async delete(_key) {
+    throw new Error('Method delete() must be implemented');
+  }
+
+  /**
+   * Increment count for a key
+   * @param {string} key
+   * @param {number} windowMs
+   * @param {number} [amount=1] - How much to add
+   * @returns {Promise<number>}
+   */
+  async increment(_key, _windowMs, _amount) {
+    throw new Error('Method increment() must be implemented');
+  }
+
+  /**
+   * Reset count for a key
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  async reset(_key) {
+    throw new Error('Method reset() must be implemented');
+  }
+
+  /**
+   * Get time-to-live for a key in milliseconds
+   * @param {string} key
+   * @returns {Promise<number>}
+   */
+  async getTTL(_key) {
+    throw new Error('Method getTTL() must be implemented');
+  }
+
+  /**
+   * Atomically prune a sliding window log and record a request if the
+   * window still has room for it
+   * @param {string} key
+   * @param {number} now - Current timestamp in milliseconds
+   * @param {number} windowStart - Entries at or before this timestamp are dropped
+   * @param {number} windowMs - Window length, used as the key TTL
+   * @param {number} limit - Maximum entries allowed in the window
+   * @param {number} [cost=1] - Entries the request takes up
+   * @returns {Promise<{count: number, allowed: boolean, oldest: number}|null>}
+   *   Entry count after the call, whether the request was recorded and the
+   *   oldest timestamp in the window; null if not supported atomically
+   */
+  async atomicIncrement(_key, _now, _windowStart, _windowMs, _limit, _cost) {
+    return null;
+  }
+
+  /**
+   * Atomically count a request in a fixed window counter if the window
+   * still has room for it; a refused request is not counted
+   * @param {string} key
+   * @param {number} now - Current timestamp in milliseconds
+   * @param {number} windowMs - Window length, from the first request
+   * @param {number} limit - Maximum count per window
+   * @param {number} [cost=1] - Units the request counts for
+   * @returns {Promise<{allowed: boolean, count: number, resetAt: number}|null>}
+   *   Count after the call and when the window ends; null if not
+   *   supported atomically
+   */
+  async atomicFixedWindow(_key, _now, _windowMs, _limit, _cost) {
+    return null;
+  }
+
+  /**
+   * Remove sliding window entries at or before windowStart
+   * @param {string} key
+   * @param {number} windowStart
+   * @returns {Promise<void>}
+   */
+  async removeOldEntries(key, windowStart) {
+    const timestamps = await this.getTimestamps(key);
+    const remaining = timestamps.filter(ts => ts > windowStart);
+
+    if (remaining.length !== timestamps.length) {
+      const ttl = await this.getTTL(key);
+      await this.set(key, { timestamps: remaining }, ttl > 0 ? ttl : undefined);
+    }
+  }
+
+  /**
+   * Get the sliding window timestamps for a key, oldest first
+   * @param {string} key
+   * @returns {Promise<number[]>}
+   */
+  async getTimestamps(key) {
+    const data = await this.get(key);
+    return sanitizeTimestamps(data && data.timestamps);
+  }
+
+  /**
+   * Record a timestamp in the sliding window log
+   * @param {string} key
+   * @param {number} timestamp
+   * @param {number} windowMs
+   * @returns {Promise<void>}
+   */
+  async addTimestamp(key, timestamp, windowMs) {
+    const timestamps = await this.getTimestamps(key);
+    timestamps.push(timestamp);
+    await this.set(key, { timestamps }, windowMs);
+  }
+
+  /**
+   * Atomically roll the two-window counters forward and count a request if
+   * the weighted estimate leaves room for it
+   * @param {string} key
+   * @param {number} now - Current timestamp in milliseconds
+   * @param {number} windowMs - Window length
+   * @param {number} limit - Maximum weighted requests per window
+   * @param {number} [cost=1] - Units the request counts for
+   * @returns {Promise<Object|null>} Result of slideCounters(); null if not
+   *   supported atomically
+   */
+  async atomicSlidingCounter(_key, _now, _windowMs, _limit, _cost) {
+    return null;
+  }
+
+  /**
+   * Atomically roll the counters of several windows forward and count a
+   * request in all of them, or in none if any window is full
+   * @param {string} key
+   * @param {number} now - Current timestamp in milliseconds
+   * @param {Array<{windowMs: number, limit: number}>} windows
+   * @param {number} [cost=1] - Units the request counts for
+   * @returns {Promise<Object|null>} Result of slideMultiCounters(); null if
+   *   not supported atomically
+   */
+  async atomicMultiCounter(_key, _now, _windows, _cost) {
+    return null;
+  }
+
+  /**
+   * Atomically roll the counters of several keys forward, each with its
+   * own windows, and count a request under all of them, or under none if
+   * any window is full
+   * @param {Array<{key: string, windows: Array<{windowMs: number, limit: number}>}>} entries
+   * @param {number} now - Current timestamp in milliseconds
+   * @param {number} [cost=1] - Units the request counts for
+   * @returns {Promise<Object|null>} Result of slideMultiKeyCounters(); null
+   *   if not supported atomically
+   */
+  async atomicMultiKeyCounter(_entries, _now, _cost) {
+    return null;
+  }
+
+  /**
+   * Atomically advance the GCRA theoretical arrival time (TAT) for a key if
+   * the request conforms
+   * @param {string} key
+   * @param {number} now - Current timestamp in milliseconds
+   * @param {number} emissionInterval - Milliseconds per request at the steady rate
+   * @param {number} tolerance - Burst tolerance in milliseconds
+   * @param {number} cost - Requests this call accounts for
+   * @returns {Promise<Object|null>} Result of gcraStep(); null if not
+   *   supported atomically
+   */
+  async atomicGcra(_key, _now, _emissionInterval, _tolerance, _cost) {
+    return null;
+  }
+
+  /**
+   * Atomically add credits to a quota and charge a request against it,
+   * starting a new count when the calendar period has changed
+   * @param {string} key
+   * @param {number} now - Current timestamp in milliseconds
+   * @param {number} periodStart - Start of the current period
+   * @param {number} periodEnd - Start of the next period
+   * @param {number} limit - Units included per period
+   * @param {number} [cost=1] - Units the request counts for; 0 only reads
+   * @param {number} [credits=0] - Units to add to the credit balance first
+   * @returns {Promise<Object|null>} Result of quotaStep(); null if not
+   *   supported atomically
+   */
+  async atomicQuota(_key, _now, _periodStart, _periodEnd, _limit, _cost, _credits) {
+    return null;
+  }
+
+  /**
+   * Take a concurrency lease if the unexpired slots held leave room for it
+   * @param {string} key
+   * @param {string} leaseId - Unique lease identifier
+   * @param {number} now - Current timestamp in milliseconds
+   * @param {number} leaseMs - Lease lifetime; expired leases no longer count
+   * @param {number} limit - Maximum concurrent slots
+   * @param {number} [cost=1] - Slots the lease occupies
+   * @returns {Promise<{allowed: boolean, count: number, earliestExpiry: number}>}
+   *   Slots held after the call and when the oldest of them expires
+   */
+  async acquireLease(key, leaseId, now, leaseMs, limit, cost = 1) {
+    const leases = pruneLeases(await this.get(key), now);
+    const result = takeLease(leases, leaseId, now, leaseMs, limit, cost);
+    await this.set(key, { leases }, leaseTTL(leases, now));
+    return result;
+  }
+
+  /**
+   * Give back a concurrency lease; releasing twice is a no-op
+   * @param {string} key
+   * @param {string} leaseId
+   * @param {number} [cost=1] - Slots the lease was acquired with
+   * @returns {Promise<void>}
+   */
+  async releaseLease(key, leaseId, cost = 1) {
+    const now = Date.now();
+    const leases = pruneLeases(await this.get(key), now);
+    const slots = leaseSlots(leaseId, cost).filter(slot => slot in leases);
+
+    if (slots.length === 0) {
+      return;
+    }
+
+    for (const slot of slots) {
+      delete leases[slot];
+    }
+
+    if (Object.keys(leases).length === 0) {
+      await this.delete(key);
+    } else {
+      await this.set(key, { leases }, leaseTTL(leases, now));
+    }
+  }
+
+  /**
+   * Atomically refill a token bucket and take tokens from it
+   * @param {string} key
+   * @param {number} now - Current timestamp in milliseconds
+   * @param {number} bucketSize - Bucket capacity
+   * @param {number} refillRate - Tokens added per second
+   * @param {number} tokensRequired - Tokens to take
+   * @returns {Promise<{allowed: boolean, tokens: number}|null>}
+   *   Whether the tokens were taken and the tokens left afterwards;
+   *   null if not supported atomically
+   */
+  async atomicTokenBucket(_key, _now, _bucketSize, _refillRate, _tokensRequired) {
+    return null;
+  }
+
+  /**
+   * Get the token bucket state for a key
+   * @param {string} key
+   * @returns {Promise<{tokens: number, lastRefill: number}|null>}
+   */
+  async getBucket(key) {
+    return sanitizeBucket(await this.get(key));
+  }
+
+  /**
+   * Store the token bucket state for a key
+   * @param {string} key
+   * @param {{tokens: number, lastRefill: number}} bucket
+   * @param {number} [ttlMs]
+   * @returns {Promise<void>}
+   */
+  async setBucket(key, bucket, ttlMs) {
+    await this.set(key, { tokens: bucket.tokens, lastRefill: bucket.lastRefill }, ttlMs);
+  }
+
+  /**
+   * Delete the token bucket state for a key
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  async deleteBucket(key) {
+    await this.delete(key);
+  }
+
+  /**
+   * Get every field of a record
+   * @param {string} key
+   * @returns {Promise<Object<string, any>>} Field name to value; empty if
+   *   there is no record
+   */
+  async getFields(key) {
+    return { ...fieldsOf(await this.get(key)) };
+  }
+
+  /**
+   * Add or replace one field of a record, leaving the others alone
+   * @param {string} key
+   * @param {string} field
+   * @param {any} value - JSON-serializable
+   * @returns {Promise<void>}
+   */
+  async setField(key, field, value) {
+    await this.set(key, { ...await this.getFields(key), [field]: value });
+  }
+
+  /**
+   * Delete one field of a record
+   * @param {string} key
+   * @param {string} field
+   * @param {any} [expected] - Only delete the field while it holds this value
+   * @returns {Promise<boolean>} Whether the field was deleted
+   */
+  async deleteField(key, field, expected) {
+    const fields = await this.getFields(key);
+
+    if (!fieldHolds(fields, field, expected)) {
+      return false;
+    }
+
+    delete fields[field];
+    if (Object.keys(fields).length === 0) {
+      await this.delete(key);
+    } else {
+      await this.set(key, fields);
+    }
+    return true;
+  }
+
+  /**
+   * Clean up expired entries
+   * @returns {Promise<number>} Number of entries cleaned
+   */
+  async cleanup() {
+    return 0;
+  }
+
+  /**
+   * Notify every subscriber of a channel, in any process sharing the store
+   * @param {string} channel
+   * @param {Object} message - JSON-serializable
+   * @returns {Promise<boolean>} Whether the store delivers notifications
+   */
+  async publish(_channel, _message) {
+    return false;
+  }
+
+  /**
+   * Receive the messages published on a channel
+   * @param {string} channel
+   * @param {Function} handler - message => void
+   * @param {Function} [onError] - Called with the error when a message
+   *   cannot be read or `handler` throws
+   * @returns {Promise<Function|null>} Async unsubscribe function, or null
+   *   if the store cannot deliver notifications
+   */
+  async subscribe(_channel, _handler, _onError) {
+    return null;
+  }
+
+  /**
+   * Get store statistics
+   * @returns {Promise<Object>}
+   */
+  async getStats() {
+    return {
+      type: this.constructor.name,
+      connected: this.connected,
+      prefix: this.prefix
+    };
+  }
+}
+
+/**
+ * Drop anything that is not a finite timestamp from a sliding window log
+ * @param {*} timestamps
+ * @returns {number[]}
+ */
+function sanitizeTimestamps(timestamps) {
+  if (!Array.isArray(timestamps)) {
+    return [];
+  }
+  return timestamps
+    .filter(ts => typeof ts === 'number' && Number.isFinite(ts))
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Return a bucket only if both of its fields are usable numbers
+ * @param {*} bucket
+ * @returns {{tokens: number, lastRefill: number}|null}
+ */
+function sanitizeBucket(bucket) {
+  if (!bucket ||
+      !Number.isFinite(bucket.tokens) ||
+      !Number.isFinite(bucket.lastRefill)) {
+    return null;
+  }
+  return { tokens: bucket.tokens, lastRefill: bucket.lastRefill };
+}
+
+/**
+ * Sliding window counter step shared by the stores and the limiter fallback.
+ * Keeps the counts of the current and previous fixed windows and estimates
+ * the rolling count as previous * (1 - elapsed fraction) + current.
+ * @param {*} state - Stored {windowStart, current, previous}, or null
+ * @param {number} now
+ * @param {number} windowMs
+ * @param {number} limit
+ * @param {number} [cost=1]
+ * @returns {{windowStart: number, current: number, previous: number,
+ *   estimate: number, allowed: boolean}} New state plus the decision
+ */
+function slideCounters(state, now, windowMs, limit, cost = 1) {
+  const windowStart = now - (now % windowMs);
+  let current = 0;
+  let previous = 0;
+
+  if (state && Number.isFinite(state.current)) {
+    if (state.windowStart === windowStart) {
+      current = state.current;
+      previous = Number.isFinite(state.previous) ? state.previous : 0;
+    } else if (state.windowStart === windowStart - windowMs) {
+      previous = state.current;
+    }
+  }
+
+  const weight = 1 - (now - windowStart) / windowMs;
+  let estimate = previous * weight + current;
+  const allowed = estimate + cost <= limit;
+
+  if (allowed) {
+    current += cost;
+    estimate += cost;
+  }
+
+  return { windowStart, current, previous, estimate, allowed };
+}
+
+/**
+ * slideCounters() over several windows sharing one key. The request is
+ * counted in every window only if each of them has room for it, so a window
+ * that rejects never leaves the others charged.
+ * @param {*} state - Stored {windows: {[windowMs]: counters}}, or null
+ * @param {number} now
+ * @param {Array<{windowMs: number, limit: number}>} windows
+ * @param {number} [cost=1]
+ * @returns {{allowed: boolean, windows: Object[]}} The decision plus one
+ *   slideCounters() result per window, in order; each window's `allowed`
+ *   says whether it had room on its own
+ */
+function slideMultiCounters(state, now, windows, cost = 1) {
+  const results = measureMultiCounters(state, now, windows, cost);
+  const allowed = results.every(result => result.allowed);
+
+  if (allowed) {
+    chargeCounters(results, cost);
+  }
+
+  return { allowed, windows: results };
+}
+
+/**
+ * slideMultiCounters() over several keys. The request is counted under
+ * every key only if each of their windows has room for it.
+ * @param {Array<*>} states - Stored state per key, or null
+ * @param {number} now
+ * @param {Array<Array<{windowMs: number, limit: number}>>} windows - Windows per key
+ * @param {number} [cost=1]
+ * @returns {{allowed: boolean, keys: Array<{allowed: boolean, windows: Object[]}>}}
+ *   The decision plus one slideMultiCounters()-shaped result per key, in
+ *   order; each key's `allowed` says whether it had room on its own
+ */
+function slideMultiKeyCounters(states, now, windows, cost = 1) {
+  const keys = windows.map((keyWindows, i) => {
+    const results = measureMultiCounters(states[i], now, keyWindows, cost);
+    return { allowed: results.every(result => result.allowed), windows: results };
+  });
+  const allowed = keys.every(key => key.allowed);
+
+  if (allowed) {
+    for (const key of keys) {
+      chargeCounters(key.windows, cost);
+    }
+  }
+
+  return { allowed, keys };
+}
+
+/**
+ * Roll each window's counters forward and check whether it has room for
+ * the request, without counting it
+ * @param {*} state - Stored {windows: {[windowMs]: counters}}, or null
+ * @param {number} now
+ * @param {Array<{windowMs: number, limit: number}>} windows
+ * @param {number} cost
+ * @returns {Object[]} slideCounters() result per window
+ */
+function measureMultiCounters(state, now, windows, cost) {
+  const stored = state && typeof state.windows === 'object' && state.windows !== null
+    ? state.windows
+    : {};
+
+  return windows.map(({ windowMs, limit }) => {
+    const counters = slideCounters(stored[windowMs], now, windowMs, limit, 0);
+    return { ...counters, allowed: counters.estimate + cost <= limit };
+  });
+}
+
+function chargeCounters(results, cost) {
+  for (const result of results) {
+    result.current += cost;
+    result.estimate += cost;
+  }
+}
+
+/**
+ * Stored form of a slideMultiCounters() result
+ * @param {Array<{windowMs: number}>} windows
+ * @param {Object[]} results
+ * @returns {{windows: Object}}
+ */
+function multiCounterState(windows, results) {
+  const state = {};
+  windows.forEach(({ windowMs }, i) => {
+    const { windowStart, current, previous } = results[i];
+    state[windowMs] = { windowStart, current, previous };
+  });
+  return { windows: state };
+}
+
+/**
+ * GCRA step shared by the stores and the limiter fallback. The only state
+ * is the theoretical arrival time; a request conforms if it does not arrive
+ * more than `tolerance` ahead of it.
+ * @param {*} tat - Stored TAT, or null
+ * @param {number} now
+ * @param {number} emissionInterval
+ * @param {number} tolerance
+ * @param {number} cost
+ * @returns {{allowed: boolean, tat: number, retryAfter: number}} TAT to
+ *   store (unchanged when rejected) and the wait before a retry conforms
+ */
+function gcraStep(tat, now, emissionInterval, tolerance, cost) {
+  const current = Number.isFinite(tat) ? Math.max(tat, now) : now;
+  const newTat = current + emissionInterval * cost;
+  const allowAt = newTat - tolerance;
+
+  if (now < allowAt) {
+    return { allowed: false, tat: current, retryAfter: allowAt - now };
+  }
+
+  return { allowed: true, tat: newTat, retryAfter: 0 };
+}
+
+/**
+ * Quota step shared by the stores and the QuotaManager fallback. Usage
+ * starts again from zero in a new period; credits carry over and are only
+ * spent once the period's allowance is used up.
+ * @param {*} state - Stored {periodStart, used, creditsUsed, credits}, or null
+ * @param {number} periodStart
+ * @param {number} limit
+ * @param {number} [cost=1]
+ * @param {number} [credits=0] - Units added to the balance before charging
+ * @returns {{allowed: boolean, periodStart: number, used: number,
+ *   creditsUsed: number, credits: number}} New state plus the decision;
+ *   `used` counts the allowance only, `credits` is the balance left
+ */
+function quotaStep(state, periodStart, limit, cost = 1, credits = 0) {
+  const current = state && typeof state === 'object' ? state : {};
+  const samePeriod = current.periodStart === periodStart;
+  let used = samePeriod && Number.isFinite(current.used) ? current.used : 0;
+  let creditsUsed = samePeriod && Number.isFinite(current.creditsUsed) ? current.creditsUsed : 0;
+  let balance = (Number.isFinite(current.credits) ? current.credits : 0) + credits;
+
+  const fromAllowance = Math.min(cost, Math.max(0, limit - used));
+  const fromCredits = cost - fromAllowance;
+  const allowed = fromCredits <= balance;
+
+  if (allowed) {
+    used += fromAllowance;
+    creditsUsed += fromCredits;
+    balance -= fromCredits;
+  }
+
+  return { allowed, periodStart, used, creditsUsed, credits: balance };
+}
+
+/**
+ * Fields of a stored record, ignoring values that are not records
+ * @param {any} value
+ * @returns {Object<string, any>}
+ */
+function fieldsOf(value) {
+  return value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+}
+
+/**
+ * Whether a record has a field, holding `expected` if one is given
+ * @param {Object<string, any>} fields
+ * @param {string} field
+ * @param {any} [expected] - Compared by its JSON form
+ * @returns {boolean}
+ */
+function fieldHolds(fields, field, expected) {
+  if (!Object.prototype.hasOwnProperty.call(fields, field)) {
+    return false;
+  }
+  return expected === undefined || JSON.stringify(fields[field]) === JSON.stringify(expected);
+}
+
+/**
+ * Keep a quota until its period ends, or for good while it holds credits
+ * @param {{credits: number}} state - Result of quotaStep()
+ * @param {number} now
+ * @param {number} periodEnd
+ * @returns {number} TTL in milliseconds; 0 for no expiry
+ */
+function quotaTTL(state, now, periodEnd) {
+  return state.credits > 0 ? 0 : Math.max(1, periodEnd - now);
+}
+
+/**
+ * Live leases from a stored `{ leases: { id: expiresAt } }` value
+ * @param {*} value
+ * @param {number} now
+ * @returns {Object<string, number>}
+ */
+function pruneLeases(value, now) {
+  const leases = {};
+  const stored = value && value.leases;
+
+  if (stored && typeof stored === 'object') {
+    for (const [id, expiresAt] of Object.entries(stored)) {
+      if (Number.isFinite(expiresAt) && expiresAt > now) {
+        leases[id] = expiresAt;
+      }
+    }
+  }
+
+  return leases;
+}
+
+/**
+ * Slot names of a lease; a lease with cost n occupies n slots
+ * @param {string} leaseId
+ * @param {number} cost
+ * @returns {string[]}
+ */
+function leaseSlots(leaseId, cost) {
+  const slots = [];
+  for (let i = 0; i < cost; i++) {
+    slots.push(`${leaseId}:${i}`);
+  }
+  return slots;
+}
+
+/**
+ * Add a lease to a pruned lease map if there is room
+ * @param {Object<string, number>} leases - Mutated in place
+ * @returns {{allowed: boolean, count: number, earliestExpiry: number}}
+ */
+function takeLease(leases, leaseId, now, leaseMs, limit, cost = 1) {
+  const allowed = Object.keys(leases).length + cost <= limit;
+
+  if (allowed) {
+    for (const slot of leaseSlots(leaseId, cost)) {
+      leases[slot] = now + leaseMs;
+    }
+  }
+
+  const expiries = Object.values(leases);
+
+  return {
+    allowed,
+    count: expiries.length,
+    earliestExpiry: expiries.length > 0 ? Math.min(...expiries) : now
+  };
+}
+
+/**
+ * Keep a lease set until its last lease expires
+ * @param {Object<string, number>} leases
+ * @param {number} now
+ * @returns {number}
+ */
+function leaseTTL(leases, now) {
+  const expiries = Object.values(leases);
+  return expiries.length > 0 ? Math.max(1, Math.max(...expiries) - now) : 1;
+}
+
+/**
+ * Methods every store must provide, checked when registering custom stores.
+ * The limiter primitives are optional: whatever needs one without a
+ * fallback checks for it itself.
+ */
+const REQUIRED_METHODS = ['get', 'set', 'increment', 'reset', 'close'];
+
+module.exports = BaseStore;
+module.exports.BaseStore = BaseStore;
+module.exports.REQUIRED_METHODS = REQUIRED_METHODS;
+module.exports.sanitizeTimestamps = sanitizeTimestamps;
+module.exports.sanitizeBucket = sanitizeBucket;
+module.exports.slideCounters = slideCounters;
+module.exports.slideMultiCounters = slideMultiCounters;
+module.exports.slideMultiKeyCounters = slideMultiKeyCounters;
+module.exports.multiCounterState = multiCounterState;
+module.exports.gcraStep = gcraStep;
+module.exports.quotaStep = quotaStep;
+module.exports.quotaTTL = quotaTTL;
+module.exports.fieldsOf = fieldsOf;
+module.exports.fieldHolds = fieldHolds;
+module.exports.pruneLeases = pruneLeases;
+module.exports.leaseSlots = leaseSlots;
+module.exports.takeLease = takeLease;
+module.exports.leaseTTL = leaseTTL;
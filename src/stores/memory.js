@@ -1,146 +1,474 @@
-const { BaseStore } = require('./base');
-
-/**
- * In-memory store adapter using Map
- * Suitable for single-instance applications
- */
-class MemoryStore extends BaseStore {
-  constructor(options = {}) {
-    super(options);
-    this.store = new Map();
-    this.cleanupInterval = options.cleanupInterval || 60000;
-    this.cleanupTimer = null;
-    this.hits = 0;
-    this.misses = 0;
-  }
-
-  async _connect() {
-    // Start cleanup interval
-    if (this.cleanupInterval > 0) {
-      this.cleanupTimer = setInterval(() => {
-        this.cleanup().catch(() => {});
-      }, this.cleanupInterval);
-      
-      // Don't prevent process exit
-      if (this.cleanupTimer.unref) {
-        this.cleanupTimer.unref();
-      }
-    }
-  }
-
-  async _disconnect() {
-    if (this.cleanupTimer) {
-      clearInterval(this.cleanupTimer);
-      this.cleanupTimer = null;
-    }
-    this.store.clear();
-  }
-
-  async get(key) {
-    await this.ensureConnection();
-    const prefixedKey = this.prefixKey(key);
-    const entry = this.store.get(prefixedKey);
-    
-    if (!entry) {
-      this.misses++;
-      return 0;
-    }
-    
-    if (Date.now() > entry.expiresAt) {
-      this.store.delete(prefixedKey);
-      this.misses++;
-      return 0;
-    }
-    
-    this.hits++;
-    return entry.count;
-  }
-
-  async increment(key, windowMs) {
-    await this.ensureConnection();
-    const prefixedKey = this.prefixKey(key);
-    const now = Date.now();
-    let entry = this.store.get(prefixedKey);
-    
-    if (!entry || now > entry.expiresAt) {
-      entry = {
-        count: 0,
-        createdAt: now,
-        expiresAt: now + windowMs
-      };
-    }
-    
-    entry.count++;
-    entry.lastAccess = now;
-    this.store.set(prefixedKey, entry);
-    
-    return entry.count;
-  }
-
-  async reset(key) {
-    await this.ensureConnection();
-    const prefixedKey = this.prefixKey(key);
-    this.store.delete(prefixedKey);
-  }
-
-  async getTTL(key) {
-    await this.ensureConnection();
-    const prefixedKey = this.prefixKey(key);
-    const entry = this.store.get(prefixedKey);
-    
-    if (!entry) {
-      return -1;
-    }
-    
-    const ttl = entry.expiresAt - Date.now();
-    return ttl > 0 ? ttl : -1;
-  }
-
-  async cleanup() {
-    const now = Date.now();
-    let cleaned = 0;
-    
-    for (const [key, entry] of this.store.entries()) {
-      if (now > entry.expiresAt) {
-        this.store.delete(key);
-        cleaned++;
-      }
-    }
-    
-    return cleaned;
-  }
-
-  async getStats() {
-    const baseStats = await super.getStats();
-    return {
-      ...baseStats,
-      entries: this.store.size,
-      hits: this.hits,
-      misses: this.misses,
-      hitRate: this.hits + this.misses > 0 
-        ? (this.hits / (this.hits + this.misses) * 100).toFixed(2) + '%'
-        : '0%'
-    };
-  }
-
-  /**
-   * Get all keys matching a pattern (for debugging)
-   * @param {string} pattern
-   * @returns {Promise<string[]>}
-   */
-  async keys(pattern = '*') {
-    await this.ensureConnection();
-    const regex = new RegExp('^' + pattern.replace(/\*/g, '.*') + '$');
-    const keys = [];
-    
-    for (const key of this.store.keys()) {
-      if (regex.test(key)) {
-        keys.push(key);
-      }
-    }
-    
-    return keys;
-  }
-}
-
-module.exports = { MemoryStore };
+const { EventEmitter } = require('events');
+const {
+  BaseStore,
+  sanitizeTimestamps,
+  sanitizeBucket,
+  slideCounters,
+  slideMultiCounters,
+  slideMultiKeyCounters,
+  multiCounterState,
+  gcraStep,
+  quotaStep,
+  quotaTTL,
+  fieldsOf,
+  fieldHolds,
+  pruneLeases,
+  takeLease,
+  leaseSlots,
+  leaseTTL
+} = require('./base');
+
+/**
+ * In-memory store adapter using Map
+ * Suitable for single-instance applications
+ *
+ * All primitives run synchronously once the connection check has resolved,
+ * so the "atomic" operations cannot interleave within a single process.
+ */
+class MemoryStore extends BaseStore {
+  constructor(options = {}) {
+    super(options);
+    this.store = new Map();
+    this.autoCleanup = options.autoCleanup !== false;
+    this.cleanupInterval = options.cleanupInterval || 60000;
+    this.cleanupTimer = null;
+    this.hits = 0;
+    this.misses = 0;
+    this.channels = new EventEmitter();
+    this.channels.setMaxListeners(0);
+  }
+
+  async _connect() {
+    // Start cleanup interval
+    if (this.autoCleanup && this.cleanupInterval > 0) {
+      this.cleanupTimer = setInterval(() => {
+        this.cleanup().catch(() => {});
+      }, this.cleanupInterval);
+
+      // Don't prevent process exit
+      if (this.cleanupTimer.unref) {
+        this.cleanupTimer.unref();
+      }
+    }
+  }
+
+  async _disconnect() {
+    this.destroy();
+  }
+
+  /**
+   * Stop the cleanup timer and drop all entries synchronously
+   */
+  destroy() {
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+    }
+    this.store.clear();
+    this.connected = false;
+  }
+
+  /**
+   * Read a live entry, evicting it if it has expired
+   * @param {string} prefixedKey
+   * @param {number} now
+   * @returns {Object|undefined}
+   */
+  _getEntry(prefixedKey, now = Date.now()) {
+    const entry = this.store.get(prefixedKey);
+
+    if (entry && now > entry.expiresAt) {
+      this.store.delete(prefixedKey);
+      return undefined;
+    }
+
+    return entry;
+  }
+
+  _setEntry(prefixedKey, value, ttlMs, now = Date.now()) {
+    this.store.set(prefixedKey, {
+      value,
+      createdAt: now,
+      expiresAt: ttlMs > 0 ? now + ttlMs : Infinity
+    });
+  }
+
+  async get(key) {
+    await this.ensureConnection();
+    const entry = this._getEntry(this.prefixKey(key));
+
+    if (!entry) {
+      this.misses++;
+      return null;
+    }
+
+    this.hits++;
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs) {
+    await this.ensureConnection();
+    this._setEntry(this.prefixKey(key), value, ttlMs);
+  }
+
+  async delete(key) {
+    await this.ensureConnection();
+    this.store.delete(this.prefixKey(key));
+  }
+
+  async increment(key, windowMs, amount = 1) {
+    await this.ensureConnection();
+    const prefixedKey = this.prefixKey(key);
+    const now = Date.now();
+    let entry = this._getEntry(prefixedKey, now);
+
+    if (!entry || typeof entry.value !== 'number') {
+      entry = {
+        value: 0,
+        createdAt: now,
+        expiresAt: now + windowMs
+      };
+    }
+
+    entry.value += amount;
+    entry.lastAccess = now;
+    this.store.set(prefixedKey, entry);
+
+    return entry.value;
+  }
+
+  async reset(key) {
+    await this.ensureConnection();
+    const prefixedKey = this.prefixKey(key);
+    this.store.delete(prefixedKey);
+  }
+
+  async getTTL(key) {
+    await this.ensureConnection();
+    const entry = this._getEntry(this.prefixKey(key));
+
+    if (!entry || entry.expiresAt === Infinity) {
+      return -1;
+    }
+
+    const ttl = entry.expiresAt - Date.now();
+    return ttl > 0 ? ttl : -1;
+  }
+
+  async atomicIncrement(key, now, windowStart, windowMs, limit, cost = 1) {
+    await this.ensureConnection();
+    const prefixedKey = this.prefixKey(key);
+    const entry = this._getEntry(prefixedKey, now);
+    const timestamps = sanitizeTimestamps(entry && entry.value && entry.value.timestamps)
+      .filter(ts => ts > windowStart);
+
+    const allowed = timestamps.length + cost <= limit;
+    for (let i = 0; allowed && i < cost; i++) {
+      timestamps.push(now);
+    }
+
+    this._setEntry(prefixedKey, { timestamps }, windowMs, now);
+
+    return {
+      count: timestamps.length,
+      allowed,
+      oldest: timestamps.length > 0 ? timestamps[0] : now
+    };
+  }
+
+  async atomicSlidingCounter(key, now, windowMs, limit, cost = 1) {
+    await this.ensureConnection();
+    const prefixedKey = this.prefixKey(key);
+    const entry = this._getEntry(prefixedKey, now);
+    const result = slideCounters(entry && entry.value, now, windowMs, limit, cost);
+
+    this._setEntry(prefixedKey, {
+      windowStart: result.windowStart,
+      current: result.current,
+      previous: result.previous
+    }, windowMs * 2, now);
+
+    return result;
+  }
+
+  async atomicMultiCounter(key, now, windows, cost = 1) {
+    await this.ensureConnection();
+    const prefixedKey = this.prefixKey(key);
+    const entry = this._getEntry(prefixedKey, now);
+    const result = slideMultiCounters(entry && entry.value, now, windows, cost);
+    const longest = Math.max(...windows.map(({ windowMs }) => windowMs));
+
+    this._setEntry(prefixedKey, multiCounterState(windows, result.windows), longest * 2, now);
+
+    return result;
+  }
+
+  async atomicMultiKeyCounter(entries, now, cost = 1) {
+    await this.ensureConnection();
+    const prefixedKeys = entries.map(({ key }) => this.prefixKey(key));
+    const states = prefixedKeys.map((prefixedKey) => {
+      const entry = this._getEntry(prefixedKey, now);
+      return entry && entry.value;
+    });
+    const result = slideMultiKeyCounters(states, now, entries.map(({ windows }) => windows), cost);
+
+    entries.forEach(({ windows }, i) => {
+      const longest = Math.max(...windows.map(({ windowMs }) => windowMs));
+      this._setEntry(prefixedKeys[i], multiCounterState(windows, result.keys[i].windows), longest * 2, now);
+    });
+
+    return result;
+  }
+
+  async atomicFixedWindow(key, now, windowMs, limit, cost = 1) {
+    await this.ensureConnection();
+    const prefixedKey = this.prefixKey(key);
+    const entry = this._getEntry(prefixedKey, now);
+    const live = entry && typeof entry.value === 'number';
+    const count = live ? entry.value : 0;
+    const resetAt = live ? entry.expiresAt : now + windowMs;
+    const allowed = count + cost <= limit;
+
+    if (allowed) {
+      this.store.set(prefixedKey, {
+        value: count + cost,
+        createdAt: live ? entry.createdAt : now,
+        expiresAt: resetAt,
+        lastAccess: now
+      });
+    }
+
+    return { allowed, count: allowed ? count + cost : count, resetAt };
+  }
+
+  async atomicGcra(key, now, emissionInterval, tolerance, cost) {
+    await this.ensureConnection();
+    const prefixedKey = this.prefixKey(key);
+    const entry = this._getEntry(prefixedKey, now);
+    const result = gcraStep(entry && entry.value, now, emissionInterval, tolerance, cost);
+
+    if (result.allowed) {
+      // Once the TAT has passed the key is indistinguishable from a new one
+      this._setEntry(prefixedKey, result.tat, Math.max(1, result.tat - now), now);
+    }
+
+    return result;
+  }
+
+  async atomicQuota(key, now, periodStart, periodEnd, limit, cost = 1, credits = 0) {
+    await this.ensureConnection();
+    const prefixedKey = this.prefixKey(key);
+    const entry = this._getEntry(prefixedKey, now);
+    const result = quotaStep(entry && entry.value, periodStart, limit, cost, credits);
+
+    this._setEntry(prefixedKey, { ...result }, quotaTTL(result, now, periodEnd), now);
+
+    return result;
+  }
+
+  async acquireLease(key, leaseId, now, leaseMs, limit, cost = 1) {
+    await this.ensureConnection();
+    const prefixedKey = this.prefixKey(key);
+    const entry = this._getEntry(prefixedKey, now);
+    const leases = pruneLeases(entry && entry.value, now);
+    const result = takeLease(leases, leaseId, now, leaseMs, limit, cost);
+
+    this._setEntry(prefixedKey, { leases }, leaseTTL(leases, now), now);
+
+    return result;
+  }
+
+  async releaseLease(key, leaseId, cost = 1) {
+    await this.ensureConnection();
+    const prefixedKey = this.prefixKey(key);
+    const now = Date.now();
+    const entry = this._getEntry(prefixedKey, now);
+    const leases = pruneLeases(entry && entry.value, now);
+
+    for (const slot of leaseSlots(leaseId, cost)) {
+      delete leases[slot];
+    }
+
+    if (Object.keys(leases).length === 0) {
+      this.store.delete(prefixedKey);
+    } else {
+      this._setEntry(prefixedKey, { leases }, leaseTTL(leases, now), now);
+    }
+  }
+
+  async atomicTokenBucket(key, now, bucketSize, refillRate, tokensRequired) {
+    await this.ensureConnection();
+    const prefixedKey = this.prefixKey(key);
+    const entry = this._getEntry(prefixedKey, now);
+    const bucket = sanitizeBucket(entry && entry.value) ||
+      { tokens: bucketSize, lastRefill: now };
+
+    const elapsed = Math.max(0, now - bucket.lastRefill);
+    let tokens = Math.min(bucketSize, bucket.tokens + (elapsed / 1000) * refillRate);
+
+    const allowed = tokens >= tokensRequired;
+    if (allowed) {
+      tokens -= tokensRequired;
+    }
+
+    // Keep the bucket only as long as it takes to refill completely
+    const ttlMs = Math.ceil((bucketSize / refillRate) * 1000);
+    this._setEntry(prefixedKey, { tokens, lastRefill: now }, ttlMs, now);
+
+    return { allowed, tokens };
+  }
+
+  async getTimestamps(key) {
+    await this.ensureConnection();
+    const entry = this._getEntry(this.prefixKey(key));
+    return sanitizeTimestamps(entry && entry.value && entry.value.timestamps);
+  }
+
+  async getBucket(key) {
+    await this.ensureConnection();
+    const entry = this._getEntry(this.prefixKey(key));
+    return sanitizeBucket(entry && entry.value);
+  }
+
+  /**
+   * Get every field of a record
+   * @param {string} key
+   * @returns {Promise<Object<string, any>>} Empty if there is no record
+   */
+  async getFields(key) {
+    await this.ensureConnection();
+    const entry = this._getEntry(this.prefixKey(key));
+    return { ...fieldsOf(entry && entry.value) };
+  }
+
+  /**
+   * Add or replace one field, leaving the others alone
+   * @param {string} key
+   * @param {string} field
+   * @param {any} value
+   * @returns {Promise<void>}
+   */
+  async setField(key, field, value) {
+    await this.ensureConnection();
+    const prefixedKey = this.prefixKey(key);
+    const entry = this._getEntry(prefixedKey);
+    this._setEntry(prefixedKey, { ...fieldsOf(entry && entry.value), [field]: value });
+  }
+
+  /**
+   * Delete one field, only while it holds `expected` if given
+   * @param {string} key
+   * @param {string} field
+   * @param {any} [expected]
+   * @returns {Promise<boolean>} Whether the field was deleted
+   */
+  async deleteField(key, field, expected) {
+    await this.ensureConnection();
+    const prefixedKey = this.prefixKey(key);
+    const entry = this._getEntry(prefixedKey);
+    const fields = { ...fieldsOf(entry && entry.value) };
+
+    if (!fieldHolds(fields, field, expected)) {
+      return false;
+    }
+
+    delete fields[field];
+    if (Object.keys(fields).length === 0) {
+      this.store.delete(prefixedKey);
+    } else {
+      this._setEntry(prefixedKey, fields);
+    }
+    return true;
+  }
+
+  /**
+   * Remove every entry from the store
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.store.clear();
+  }
+
+  /**
+   * Notify subscribers of a channel within this process
+   * @param {string} channel
+   * @param {Object} message
+   * @returns {Promise<boolean>}
+   */
+  async publish(channel, message) {
+    this.channels.emit(channel, message);
+    return true;
+  }
+
+  /**
+   * @param {string} channel
+   * @param {Function} handler - message => void
+   * @param {Function} [onError] - Called with the error when `handler` throws
+   * @returns {Promise<Function>} Async unsubscribe function
+   */
+  async subscribe(channel, handler, onError) {
+    const listener = (message) => {
+      try {
+        handler(message);
+      } catch (error) {
+        if (onError) {
+          onError(error);
+        }
+      }
+    };
+
+    this.channels.on(channel, listener);
+    return async () => {
+      this.channels.off(channel, listener);
+    };
+  }
+
+  async cleanup() {
+    const now = Date.now();
+    let cleaned = 0;
+
+    for (const [key, entry] of this.store.entries()) {
+      if (now > entry.expiresAt) {
+        this.store.delete(key);
+        cleaned++;
+      }
+    }
+
+    return cleaned;
+  }
+
+  async getStats() {
+    const baseStats = await super.getStats();
+    return {
+      ...baseStats,
+      entries: this.store.size,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: this.hits + this.misses > 0
+        ? (this.hits / (this.hits + this.misses) * 100).toFixed(2) + '%'
+        : '0%'
+    };
+  }
+
+  /**
+   * Get all keys matching a pattern (for debugging)
+   * @param {string} pattern
+   * @returns {Promise<string[]>}
+   */
+  async keys(pattern = '*') {
+    await this.ensureConnection();
+    const regex = new RegExp('^' + pattern.replace(/\*/g, '.*') + '$');
+    const keys = [];
+
+    for (const key of this.store.keys()) {
+      if (regex.test(key)) {
+        keys.push(key);
+      }
+    }
+
+    return keys;
+  }
+}
+
+module.exports = MemoryStore;
+module.exports.MemoryStore = MemoryStore;
@@ -1,86 +1,507 @@
-/**
- * MongoDB storage adapter for rate limiting
- * Suitable for applications already using MongoDB
- */
-class MongoStore {
-	/**
-	 * Create a MongoDB store
-	 * @param {Object} collection - MongoDB collection instance
-	 */
-	constructor(collection) {
-		if (!collection) {
-			throw new Error('MongoDB collection is required');
-		}
-		this.collection = collection;
-		this._ensureIndex();
-	}
-
-	/**
-	 * Ensure TTL index exists for automatic cleanup
-	 */
-	async _ensureIndex() {
-		try {
-			await this.collection.createIndex(
-				{ expiresAt: 1 },
-				{ expireAfterSeconds: 0 }
-			);
-		} catch (error) {
-			// Index might already exist
-			console.warn('MongoStore: Could not create TTL index:', error.message);
-		}
-	}
-
-	/**
-	 * Get a value from MongoDB
-	 * @param {string} key - The key to retrieve
-	 * @returns {Promise<any>} The stored value or null
-	 */
-	async get(key) {
-		const doc = await this.collection.findOne({ _id: key });
-		
-		if (!doc) return null;
-		
-		// Check if expired (backup check, TTL index handles cleanup)
-		if (doc.expiresAt && doc.expiresAt < new Date()) {
-			return null;
-		}
-		
-		return doc.value;
-	}
-
-	/**
-	 * Set a value in MongoDB
-	 * @param {string} key - The key to store
-	 * @param {any} value - The value to store
-	 * @param {number} ttlMs - Time to live in milliseconds
-	 * @returns {Promise<void>}
-	 */
-	async set(key, value, ttlMs) {
-		const doc = {
-			_id: key,
-			value,
-			updatedAt: new Date()
-		};
-
-		if (ttlMs) {
-			doc.expiresAt = new Date(Date.now() + ttlMs);
-		}
-
-		await this.collection.updateOne(
-			{ _id: key },
-			{ $set: doc },
-			{ upsert: true }
-		);
-	}
-
-	/**
-	 * Delete a key from MongoDB
-	 * @param {string} key - The key to delete
-	 * @returns {Promise<void>}
-	 */
-	async delete(key) {
-		await this.collection.deleteOne({ _id: key });
-	}
-}
-
-module.exports = MongoStore;
\ No newline at end of file
+const { BaseStore, sanitizeTimestamps, sanitizeBucket, quotaStep, fieldsOf } = require('./base');
+
+// Field names may not contain '.' or start with '$', so record fields are
+// stored under their base64url form
+const encodeField = field => Buffer.from(field).toString('base64url');
+const decodeField = field => Buffer.from(field, 'base64url').toString();
+
+/**
+ * MongoDB storage adapter for rate limiting
+ * Suitable for applications already using MongoDB
+ *
+ * Each key is a single document `{ _id, value, expiresAt }`. Counters,
+ * sliding window logs and token buckets are updated atomically with
+ * `findOneAndUpdate` aggregation pipelines (MongoDB 4.4+).
+ */
+class MongoStore extends BaseStore {
+	/**
+	 * Create a MongoDB store
+	 * @param {Object} [options] - Store options, or a collection instance
+	 * @param {Object} [options.collection] - Existing collection to use
+	 * @param {Object} [options.client] - Existing MongoClient to use
+	 * @param {string} [options.uri] - Connection string when no client is given
+	 * @param {string} [options.dbName] - Database name
+	 * @param {string} [options.collectionName] - Collection name
+	 */
+	constructor(options = {}) {
+		// Support the original `new MongoStore(collection)` signature
+		if (options && typeof options.findOneAndUpdate === 'function') {
+			options = { collection: options };
+		}
+
+		super(options);
+		this.collection = options.collection || null;
+		this.client = options.client || null;
+		this.uri = options.uri || 'mongodb://localhost:27017';
+		this.dbName = options.dbName || 'rate-guard';
+		this.collectionName = options.collectionName || 'rate_limits';
+		this.ownClient = false;
+	}
+
+	async _connect() {
+		if (!this.collection) {
+			if (!this.client) {
+				// Lazy load mongodb to make it optional
+				let MongoClient;
+				try {
+					({ MongoClient } = require('mongodb'));
+				} catch (e) {
+					throw new Error('mongodb is required for MongoStore. Install it with: npm install mongodb');
+				}
+
+				this.client = new MongoClient(this.uri);
+				this.ownClient = true;
+				await this.client.connect();
+			}
+
+			this.collection = this.client.db(this.dbName).collection(this.collectionName);
+		}
+
+		await this._ensureIndex();
+	}
+
+	async _disconnect() {
+		if (this.client && this.ownClient) {
+			await this.client.close();
+			this.client = null;
+			this.collection = null;
+		}
+	}
+
+	/**
+	 * Ensure TTL index exists for automatic cleanup
+	 */
+	async _ensureIndex() {
+		try {
+			await this.collection.createIndex(
+				{ expiresAt: 1 },
+				{ expireAfterSeconds: 0 }
+			);
+		} catch (error) {
+			// Index might already exist
+			console.warn('MongoStore: Could not create TTL index:', error.message);
+		}
+	}
+
+	/**
+	 * Read a live document, ignoring it if it has expired
+	 * (backup check, TTL index handles cleanup)
+	 * @param {string} key - Unprefixed key
+	 * @returns {Promise<Object|null>}
+	 */
+	async _findLive(key) {
+		await this.ensureConnection();
+		const doc = await this.collection.findOne({ _id: this.prefixKey(key) });
+
+		if (!doc) return null;
+
+		if (doc.expiresAt && doc.expiresAt < new Date()) {
+			return null;
+		}
+
+		return doc;
+	}
+
+	/**
+	 * Run an upserting update pipeline and return the document. Pipelines
+	 * unset their working fields in the last stage, so the limiter
+	 * primitives ask for the document as it was before the update and repeat
+	 * the pipeline's decision with the step the other stores use.
+	 * @param {string} key - Unprefixed key
+	 * @param {Object[]} pipeline - Aggregation pipeline update
+	 * @param {string} [returnDocument='after'] - 'before' for the previous
+	 *   document (null if the update created it)
+	 * @returns {Promise<Object|null>}
+	 */
+	async _update(key, pipeline, returnDocument = 'after') {
+		await this.ensureConnection();
+		const result = await this.collection.findOneAndUpdate(
+			{ _id: this.prefixKey(key) },
+			pipeline,
+			{ upsert: true, returnDocument, includeResultMetadata: false }
+		);
+
+		// Drivers before v6 always wrap the document in { value }
+		return result && result.value !== undefined && result._id === undefined
+			? result.value
+			: result;
+	}
+
+	/**
+	 * Get a value from MongoDB
+	 * @param {string} key - The key to retrieve
+	 * @returns {Promise<any>} The stored value or null
+	 */
+	async get(key) {
+		const doc = await this._findLive(key);
+		return doc ? doc.value : null;
+	}
+
+	/**
+	 * Set a value in MongoDB
+	 * @param {string} key - The key to store
+	 * @param {any} value - The value to store
+	 * @param {number} ttlMs - Time to live in milliseconds
+	 * @returns {Promise<void>}
+	 */
+	async set(key, value, ttlMs) {
+		await this.ensureConnection();
+		const prefixedKey = this.prefixKey(key);
+		const doc = {
+			_id: prefixedKey,
+			value,
+			updatedAt: new Date()
+		};
+		const update = { $set: doc };
+
+		if (ttlMs) {
+			doc.expiresAt = new Date(Date.now() + ttlMs);
+		} else {
+			update.$unset = { expiresAt: '' };
+		}
+
+		await this.collection.updateOne(
+			{ _id: prefixedKey },
+			update,
+			{ upsert: true }
+		);
+	}
+
+	/**
+	 * Delete a key from MongoDB
+	 * @param {string} key - The key to delete
+	 * @returns {Promise<void>}
+	 */
+	async delete(key) {
+		await this.ensureConnection();
+		await this.collection.deleteOne({ _id: this.prefixKey(key) });
+	}
+
+	async increment(key, windowMs, amount = 1) {
+		const now = new Date();
+		const live = { $gt: ['$expiresAt', now] };
+
+		const doc = await this._update(key, [
+			{
+				$set: {
+					value: {
+						$cond: [live, { $add: [{ $ifNull: ['$value', 0] }, amount] }, amount]
+					},
+					expiresAt: {
+						$cond: [live, '$expiresAt', new Date(now.getTime() + windowMs)]
+					},
+					updatedAt: now
+				}
+			}
+		]);
+
+		return doc.value;
+	}
+
+	async reset(key) {
+		await this.delete(key);
+	}
+
+	async getTTL(key) {
+		const doc = await this._findLive(key);
+
+		if (!doc || !doc.expiresAt) {
+			return -1;
+		}
+
+		const ttl = doc.expiresAt.getTime() - Date.now();
+		return ttl > 0 ? ttl : -1;
+	}
+
+	async atomicFixedWindow(key, now, windowMs, limit, cost = 1) {
+		const date = new Date(now);
+		const live = {
+			$and: [
+				{ $gt: ['$expiresAt', date] },
+				{ $isNumber: '$value' }
+			]
+		};
+
+		const previous = await this._update(key, [
+			{
+				$set: {
+					_count: { $cond: [live, '$value', 0] }
+				}
+			},
+			{
+				$set: {
+					_allowed: { $lte: [{ $add: ['$_count', cost] }, limit] }
+				}
+			},
+			{
+				$set: {
+					value: {
+						$cond: ['$_allowed', { $add: ['$_count', cost] }, '$_count']
+					},
+					expiresAt: {
+						$cond: [live, '$expiresAt', new Date(now + windowMs)]
+					},
+					updatedAt: date
+				}
+			},
+			{ $unset: ['_count', '_allowed'] }
+		], 'before');
+
+		const current = previous && typeof previous.value === 'number' &&
+			previous.expiresAt && previous.expiresAt > date;
+		const count = current ? previous.value : 0;
+		const allowed = count + cost <= limit;
+
+		return {
+			allowed,
+			count: allowed ? count + cost : count,
+			resetAt: current ? previous.expiresAt.getTime() : now + windowMs
+		};
+	}
+
+	async atomicIncrement(key, now, windowStart, windowMs, limit, cost = 1) {
+		const previous = await this._update(key, [
+			{
+				$set: {
+					_window: {
+						$filter: {
+							input: {
+								$cond: [
+									{ $isArray: '$value.timestamps' },
+									'$value.timestamps',
+									[]
+								]
+							},
+							cond: {
+								$and: [
+									{ $isNumber: '$$this' },
+									{ $gt: ['$$this', windowStart] }
+								]
+							}
+						}
+					}
+				}
+			},
+			{
+				$set: {
+					_allowed: { $lte: [{ $add: [{ $size: '$_window' }, cost] }, limit] }
+				}
+			},
+			{
+				$set: {
+					value: {
+						timestamps: {
+							$cond: ['$_allowed', { $concatArrays: ['$_window', new Array(cost).fill(now)] }, '$_window']
+						}
+					},
+					expiresAt: new Date(now + windowMs),
+					updatedAt: new Date(now)
+				}
+			},
+			{ $unset: ['_window', '_allowed'] }
+		], 'before');
+
+		const timestamps = sanitizeTimestamps(previous && previous.value && previous.value.timestamps)
+			.filter(ts => ts > windowStart);
+		const allowed = timestamps.length + cost <= limit;
+
+		return {
+			count: timestamps.length + (allowed ? cost : 0),
+			allowed,
+			oldest: timestamps.length > 0 ? timestamps[0] : now
+		};
+	}
+
+	async atomicTokenBucket(key, now, bucketSize, refillRate, tokensRequired) {
+		const valid = {
+			$and: [
+				{ $isNumber: '$value.tokens' },
+				{ $isNumber: '$value.lastRefill' }
+			]
+		};
+
+		const previous = await this._update(key, [
+			{
+				$set: {
+					_tokens: {
+						$cond: [
+							valid,
+							{
+								$min: [
+									bucketSize,
+									{
+										$add: [
+											'$value.tokens',
+											{
+												$multiply: [
+													{ $divide: [{ $max: [0, { $subtract: [now, '$value.lastRefill'] }] }, 1000] },
+													refillRate
+												]
+											}
+										]
+									}
+								]
+							},
+							bucketSize
+						]
+					}
+				}
+			},
+			{
+				$set: {
+					_allowed: { $gte: ['$_tokens', tokensRequired] }
+				}
+			},
+			{
+				$set: {
+					value: {
+						tokens: {
+							$cond: ['$_allowed', { $subtract: ['$_tokens', tokensRequired] }, '$_tokens']
+						},
+						lastRefill: now
+					},
+					// Keep the bucket only as long as it takes to refill completely
+					expiresAt: new Date(now + Math.ceil((bucketSize / refillRate) * 1000)),
+					updatedAt: new Date(now)
+				}
+			},
+			{ $unset: ['_tokens', '_allowed'] }
+		], 'before');
+
+		const bucket = sanitizeBucket(previous && previous.value);
+		const tokens = bucket
+			? Math.min(bucketSize, bucket.tokens + (Math.max(0, now - bucket.lastRefill) / 1000) * refillRate)
+			: bucketSize;
+		const allowed = tokens >= tokensRequired;
+
+		return {
+			allowed,
+			tokens: allowed ? tokens - tokensRequired : tokens
+		};
+	}
+
+	async atomicQuota(key, now, periodStart, periodEnd, limit, cost = 1, credits = 0) {
+		const samePeriod = { $eq: ['$value.periodStart', periodStart] };
+		const count = field => ({
+			$cond: [{ $and: [samePeriod, { $isNumber: field }] }, field, 0]
+		});
+
+		const previous = await this._update(key, [
+			{
+				$set: {
+					_used: count('$value.used'),
+					_creditsUsed: count('$value.creditsUsed'),
+					_credits: {
+						$add: [
+							{ $cond: [{ $isNumber: '$value.credits' }, '$value.credits', 0] },
+							credits
+						]
+					}
+				}
+			},
+			{
+				$set: {
+					_fromCredits: {
+						$subtract: [cost, { $min: [cost, { $max: [0, { $subtract: [limit, '$_used'] }] }] }]
+					}
+				}
+			},
+			{
+				$set: {
+					_allowed: { $lte: ['$_fromCredits', '$_credits'] }
+				}
+			},
+			{
+				$set: {
+					value: {
+						periodStart,
+						used: {
+							$cond: ['$_allowed', { $add: ['$_used', { $subtract: [cost, '$_fromCredits'] }] }, '$_used']
+						},
+						creditsUsed: {
+							$cond: ['$_allowed', { $add: ['$_creditsUsed', '$_fromCredits'] }, '$_creditsUsed']
+						},
+						credits: {
+							$cond: ['$_allowed', { $subtract: ['$_credits', '$_fromCredits'] }, '$_credits']
+						}
+					},
+					updatedAt: new Date(now)
+				}
+			},
+			{
+				$set: {
+					// Credits outlive the period, so a quota holding them never expires
+					expiresAt: {
+						$cond: [{ $gt: ['$value.credits', 0] }, '$$REMOVE', new Date(Math.max(now + 1, periodEnd))]
+					}
+				}
+			},
+			{ $unset: ['_used', '_creditsUsed', '_credits', '_fromCredits', '_allowed'] }
+		], 'before');
+
+		return quotaStep(previous && previous.value, periodStart, limit, cost, credits);
+	}
+
+	async getBucket(key) {
+		const doc = await this._findLive(key);
+		return sanitizeBucket(doc && doc.value);
+	}
+
+	/**
+	 * Get every field of a record
+	 * @param {string} key
+	 * @returns {Promise<Object<string, any>>} Empty if there is no record
+	 */
+	async getFields(key) {
+		const doc = await this._findLive(key);
+		return Object.fromEntries(Object.entries(fieldsOf(doc && doc.value))
+			.map(([field, value]) => [decodeField(field), value]));
+	}
+
+	/**
+	 * Add or replace one field, leaving the others alone
+	 * @param {string} key
+	 * @param {string} field
+	 * @param {any} value
+	 * @returns {Promise<void>}
+	 */
+	async setField(key, field, value) {
+		await this.ensureConnection();
+		await this.collection.updateOne(
+			{ _id: this.prefixKey(key) },
+			{ $set: { [`value.${encodeField(field)}`]: value, updatedAt: new Date() } },
+			{ upsert: true }
+		);
+	}
+
+	/**
+	 * Delete one field, only while it holds `expected` if given
+	 * @param {string} key
+	 * @param {string} field
+	 * @param {any} [expected]
+	 * @returns {Promise<boolean>} Whether the field was deleted
+	 */
+	async deleteField(key, field, expected) {
+		await this.ensureConnection();
+		const path = `value.${encodeField(field)}`;
+		const result = await this.collection.updateOne(
+			{ _id: this.prefixKey(key), [path]: expected === undefined ? { $exists: true } : expected },
+			{ $unset: { [path]: '' }, $set: { updatedAt: new Date() } }
+		);
+		return result.modifiedCount > 0;
+	}
+
+	/**
+	 * Remove every key under this store's prefix
+	 * @returns {Promise<number>} Number of documents deleted
+	 */
+	async clear() {
+		await this.ensureConnection();
+		const escaped = this.prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+		const result = await this.collection.deleteMany({ _id: { $regex: `^${escaped}` } });
+		return result.deletedCount;
+	}
+}
+
+module.exports = MongoStore;
+module.exports.MongoStore = MongoStore;
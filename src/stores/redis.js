@@ -1,182 +1,986 @@
-const { BaseStore } = require('./base');
-
-/**
- * Redis store adapter
- * Suitable for distributed applications
- */
-class RedisStore extends BaseStore {
-  constructor(options = {}) {
-    super(options);
-    this.client = options.client || null;
-    this.host = options.host || 'localhost';
-    this.port = options.port || 6379;
-    this.password = options.password || null;
-    this.db = options.db || 0;
-    this.enableOfflineQueue = options.enableOfflineQueue !== false;
-    this.maxRetriesPerRequest = options.maxRetriesPerRequest || 3;
-    this.ownClient = false;
-  }
-
-  async _connect() {
-    if (this.client) {
-      // Using provided client
-      this.ownClient = false;
-      return;
-    }
-
-    // Lazy load redis to make it optional
-    let Redis;
-    try {
-      Redis = require('ioredis');
-    } catch (e) {
-      throw new Error('ioredis is required for RedisStore. Install it with: npm install ioredis');
-    }
-
-    this.client = new Redis({
-      host: this.host,
-      port: this.port,
-      password: this.password,
-      db: this.db,
-      enableOfflineQueue: this.enableOfflineQueue,
-      maxRetriesPerRequest: this.maxRetriesPerRequest,
-      lazyConnect: true
-    });
-
-    this.ownClient = true;
-    await this.client.connect();
-  }
-
-  async _disconnect() {
-    if (this.client && this.ownClient) {
-      await this.client.quit();
-      this.client = null;
-    }
-  }
-
-  async get(key) {
-    await this.ensureConnection();
-    const prefixedKey = this.prefixKey(key);
-    const value = await this.client.get(prefixedKey);
-    return value ? parseInt(value, 10) : 0;
-  }
-
-  async increment(key, windowMs) {
-    await this.ensureConnection();
-    const prefixedKey = this.prefixKey(key);
-    const ttlSeconds = Math.ceil(windowMs / 1000);
-    
-    // Use Lua script for atomic increment with TTL
-    const script = `
-      local current = redis.call('INCR', KEYS[1])
-      if current == 1 then
-        redis.call('EXPIRE', KEYS[1], ARGV[1])
-      end
-      return current
-    `;
-    
-    const result = await this.client.eval(script, 1, prefixedKey, ttlSeconds);
-    return parseInt(result, 10);
-  }
-
-  async reset(key) {
-    await this.ensureConnection();
-    const prefixedKey = this.prefixKey(key);
-    await this.client.del(prefixedKey);
-  }
-
-  async getTTL(key) {
-    await this.ensureConnection();
-    const prefixedKey = this.prefixKey(key);
-    const ttl = await this.client.pttl(prefixedKey);
-    return ttl > 0 ? ttl : -1;
-  }
-
-  /**
-   * Reset multiple keys by pattern
-   * @param {string} pattern
-   * @returns {Promise<number>} Number of keys deleted
-   */
-  async resetPattern(pattern) {
-    await this.ensureConnection();
-    const prefixedPattern = this.prefixKey(pattern);
-    
-    let cursor = '0';
-    let deleted = 0;
-    
-    do {
-      const [newCursor, keys] = await this.client.scan(
-        cursor,
-        'MATCH',
-        prefixedPattern,
-        'COUNT',
-        100
-      );
-      
-      cursor = newCursor;
-      
-      if (keys.length > 0) {
-        const result = await this.client.del(...keys);
-        deleted += result;
-      }
-    } while (cursor !== '0');
-    
-    return deleted;
-  }
-
-  async getStats() {
-    await this.ensureConnection();
-    const baseStats = await super.getStats();
-    
-    try {
-      const info = await this.client.info('memory');
-      const memoryMatch = info.match(/used_memory_human:([^\r\n]+)/);
-      
-      return {
-        ...baseStats,
-        host: this.host,
-        port: this.port,
-        db: this.db,
-        memory: memoryMatch ? memoryMatch[1] : 'unknown'
-      };
-    } catch (e) {
-      return {
-        ...baseStats,
-        host: this.host,
-        port: this.port,
-        db: this.db
-      };
-    }
-  }
-
-  /**
-   * Batch increment for multiple keys
-   * @param {Array<{key: string, windowMs: number}>} items
-   * @returns {Promise<number[]>}
-   */
-  async batchIncrement(items) {
-    await this.ensureConnection();
-    const pipeline = this.client.pipeline();
-    
-    const script = `
-      local current = redis.call('INCR', KEYS[1])
-      if current == 1 then
-        redis.call('EXPIRE', KEYS[1], ARGV[1])
-      end
-      return current
-    `;
-    
-    for (const { key, windowMs } of items) {
-      const prefixedKey = this.prefixKey(key);
-      const ttlSeconds = Math.ceil(windowMs / 1000);
-      pipeline.eval(script, 1, prefixedKey, ttlSeconds);
-    }
-    
-    const results = await pipeline.exec();
-    return results.map(([err, result]) => {
-      if (err) throw err;
-      return parseInt(result, 10);
-    });
-  }
-}
-
-module.exports = { RedisStore };
+const { BaseStore, leaseSlots } = require('./base');
+
+/**
+ * Sliding window log: prune, count and conditionally record in one step.
+ * Returns {count, allowed, oldest}.
+ */
+const SLIDING_WINDOW_SCRIPT = `
+  local key = KEYS[1]
+  local now = tonumber(ARGV[1])
+  local windowStart = tonumber(ARGV[2])
+  local windowMs = tonumber(ARGV[3])
+  local limit = tonumber(ARGV[4])
+  local cost = tonumber(ARGV[6])
+
+  redis.call('ZREMRANGEBYSCORE', key, '-inf', windowStart)
+  local count = redis.call('ZCARD', key)
+  local allowed = 0
+
+  if count + cost <= limit then
+    for i = 0, cost - 1 do
+      redis.call('ZADD', key, now, ARGV[5] .. ':' .. i)
+    end
+    count = count + cost
+    allowed = 1
+  end
+
+  redis.call('PEXPIRE', key, windowMs)
+
+  local oldest = redis.call('ZRANGE', key, 0, 0, 'WITHSCORES')
+  return {count, allowed, oldest[2] or tostring(now)}
+`;
+
+/**
+ * Fixed window counter: count the request only if the window has room for
+ * it. The window starts with the first counted request. Returns
+ * {allowed, count, ttl}.
+ */
+const FIXED_WINDOW_SCRIPT = `
+  local key = KEYS[1]
+  local windowMs = tonumber(ARGV[1])
+  local limit = tonumber(ARGV[2])
+  local cost = tonumber(ARGV[3])
+
+  local count = tonumber(redis.call('GET', key)) or 0
+  local allowed = 0
+
+  if count + cost <= limit then
+    count = redis.call('INCRBY', key, cost)
+    if count == cost then
+      redis.call('PEXPIRE', key, windowMs)
+    end
+    allowed = 1
+  end
+
+  return {allowed, count, redis.call('PTTL', key)}
+`;
+
+/**
+ * Sliding window counter: roll the current/previous window counters forward
+ * and count the request if the weighted estimate leaves room for it.
+ * Mirrors slideCounters() in base.js. Returns {allowed, windowStart,
+ * current, previous, estimate}; estimate is a string to keep the fraction.
+ */
+const SLIDING_COUNTER_SCRIPT = `
+  local key = KEYS[1]
+  local now = tonumber(ARGV[1])
+  local windowMs = tonumber(ARGV[2])
+  local limit = tonumber(ARGV[3])
+  local cost = tonumber(ARGV[4])
+  local windowStart = now - (now % windowMs)
+
+  local data = redis.call('HMGET', key, 'windowStart', 'current', 'previous')
+  local storedStart = tonumber(data[1])
+  local current = tonumber(data[2]) or 0
+  local previous = tonumber(data[3]) or 0
+
+  if storedStart ~= windowStart then
+    if storedStart == windowStart - windowMs then
+      previous = current
+    else
+      previous = 0
+    end
+    current = 0
+  end
+
+  local estimate = previous * (1 - (now - windowStart) / windowMs) + current
+  local allowed = 0
+
+  if estimate + cost <= limit then
+    current = current + cost
+    estimate = estimate + cost
+    allowed = 1
+  end
+
+  redis.call('HSET', key, 'windowStart', windowStart, 'current', current, 'previous', previous)
+  redis.call('PEXPIRE', key, windowMs * 2)
+
+  return {allowed, windowStart, current, previous, tostring(estimate)}
+`;
+
+/**
+ * Several sliding window counters in one hash, with fields prefixed by the
+ * window length. Mirrors slideMultiCounters() in base.js: the request is
+ * counted in every window or in none. ARGV holds now, cost and then
+ * windowMs/limit pairs. Returns {allowed} followed by {windowStart, current,
+ * previous, estimate, allowed} per window.
+ */
+const MULTI_COUNTER_SCRIPT = `
+  local key = KEYS[1]
+  local now = tonumber(ARGV[1])
+  local cost = tonumber(ARGV[2])
+  local windows = {}
+  local allowed = 1
+  local longest = 0
+
+  for i = 3, #ARGV, 2 do
+    local windowMs = tonumber(ARGV[i])
+    local limit = tonumber(ARGV[i + 1])
+    local windowStart = now - (now % windowMs)
+
+    local data = redis.call('HMGET', key, windowMs .. ':windowStart', windowMs .. ':current', windowMs .. ':previous')
+    local storedStart = tonumber(data[1])
+    local current = tonumber(data[2]) or 0
+    local previous = tonumber(data[3]) or 0
+
+    if storedStart ~= windowStart then
+      if storedStart == windowStart - windowMs then
+        previous = current
+      else
+        previous = 0
+      end
+      current = 0
+    end
+
+    local estimate = previous * (1 - (now - windowStart) / windowMs) + current
+    local fits = 0
+    if estimate + cost <= limit then
+      fits = 1
+    else
+      allowed = 0
+    end
+
+    if windowMs > longest then
+      longest = windowMs
+    end
+
+    table.insert(windows, {windowMs, windowStart, current, previous, estimate, fits})
+  end
+
+  local result = {allowed}
+
+  for _, w in ipairs(windows) do
+    if allowed == 1 then
+      w[3] = w[3] + cost
+      w[5] = w[5] + cost
+    end
+
+    redis.call('HSET', key, w[1] .. ':windowStart', w[2], w[1] .. ':current', w[3], w[1] .. ':previous', w[4])
+    table.insert(result, w[2])
+    table.insert(result, w[3])
+    table.insert(result, w[4])
+    table.insert(result, tostring(w[5]))
+    table.insert(result, w[6])
+  end
+
+  redis.call('PEXPIRE', key, longest * 2)
+
+  return result
+`;
+
+/**
+ * MULTI_COUNTER_SCRIPT over several keys, one hash each. Mirrors
+ * slideMultiKeyCounters() in base.js: the request is counted under every
+ * key or under none. ARGV holds now, cost and then, per key, the number of
+ * windows followed by their windowMs/limit pairs. Returns {allowed}
+ * followed by {windowStart, current, previous, estimate, allowed} per
+ * window, key after key. All keys must hash to the same cluster slot;
+ * see sameHashSlot().
+ */
+const MULTI_KEY_COUNTER_SCRIPT = `
+  local now = tonumber(ARGV[1])
+  local cost = tonumber(ARGV[2])
+  local keys = {}
+  local allowed = 1
+  local arg = 3
+
+  for k = 1, #KEYS do
+    local count = tonumber(ARGV[arg])
+    local windows = {}
+    local longest = 0
+    arg = arg + 1
+
+    for _ = 1, count do
+      local windowMs = tonumber(ARGV[arg])
+      local limit = tonumber(ARGV[arg + 1])
+      local windowStart = now - (now % windowMs)
+      arg = arg + 2
+
+      local data = redis.call('HMGET', KEYS[k], windowMs .. ':windowStart', windowMs .. ':current', windowMs .. ':previous')
+      local storedStart = tonumber(data[1])
+      local current = tonumber(data[2]) or 0
+      local previous = tonumber(data[3]) or 0
+
+      if storedStart ~= windowStart then
+        if storedStart == windowStart - windowMs then
+          previous = current
+        else
+          previous = 0
+        end
+        current = 0
+      end
+
+      local estimate = previous * (1 - (now - windowStart) / windowMs) + current
+      local fits = 0
+      if estimate + cost <= limit then
+        fits = 1
+      else
+        allowed = 0
+      end
+
+      if windowMs > longest then
+        longest = windowMs
+      end
+
+      table.insert(windows, {windowMs, windowStart, current, previous, estimate, fits})
+    end
+
+    table.insert(keys, {windows = windows, longest = longest})
+  end
+
+  local result = {allowed}
+
+  for k, entry in ipairs(keys) do
+    for _, w in ipairs(entry.windows) do
+      if allowed == 1 then
+        w[3] = w[3] + cost
+        w[5] = w[5] + cost
+      end
+
+      redis.call('HSET', KEYS[k], w[1] .. ':windowStart', w[2], w[1] .. ':current', w[3], w[1] .. ':previous', w[4])
+      table.insert(result, w[2])
+      table.insert(result, w[3])
+      table.insert(result, w[4])
+      table.insert(result, tostring(w[5]))
+      table.insert(result, w[6])
+    end
+
+    redis.call('PEXPIRE', KEYS[k], entry.longest * 2)
+  end
+
+  return result
+`;
+
+/**
+ * GCRA: advance the theoretical arrival time if the request conforms.
+ * Mirrors gcraStep() in base.js. Returns {allowed, tat, retryAfter} with
+ * the numbers as strings to keep the fractions.
+ */
+const GCRA_SCRIPT = `
+  local key = KEYS[1]
+  local now = tonumber(ARGV[1])
+  local interval = tonumber(ARGV[2])
+  local tolerance = tonumber(ARGV[3])
+  local cost = tonumber(ARGV[4])
+
+  local tat = tonumber(redis.call('GET', key))
+  if tat == nil or tat < now then
+    tat = now
+  end
+
+  local newTat = tat + interval * cost
+  local allowAt = newTat - tolerance
+
+  if now < allowAt then
+    return {0, tostring(tat), tostring(allowAt - now)}
+  end
+
+  redis.call('SET', key, newTat, 'PX', math.max(1, math.ceil(newTat - now)))
+  return {1, tostring(newTat), '0'}
+`;
+
+/**
+ * Calendar quota: a hash of {periodStart, used, creditsUsed, credits}.
+ * Mirrors quotaStep() in base.js; the hash expires with its period unless
+ * it holds credits. Returns {allowed, used, creditsUsed, credits}.
+ */
+const QUOTA_SCRIPT = `
+  local key = KEYS[1]
+  local now = tonumber(ARGV[1])
+  local periodStart = tonumber(ARGV[2])
+  local periodEnd = tonumber(ARGV[3])
+  local limit = tonumber(ARGV[4])
+  local cost = tonumber(ARGV[5])
+
+  local state = redis.call('HMGET', key, 'periodStart', 'used', 'creditsUsed', 'credits')
+  local used = 0
+  local creditsUsed = 0
+  if tonumber(state[1]) == periodStart then
+    used = tonumber(state[2]) or 0
+    creditsUsed = tonumber(state[3]) or 0
+  end
+  local credits = (tonumber(state[4]) or 0) + tonumber(ARGV[6])
+
+  local fromAllowance = math.min(cost, math.max(0, limit - used))
+  local fromCredits = cost - fromAllowance
+  local allowed = 0
+
+  if fromCredits <= credits then
+    used = used + fromAllowance
+    creditsUsed = creditsUsed + fromCredits
+    credits = credits - fromCredits
+    allowed = 1
+  end
+
+  redis.call('HSET', key, 'periodStart', periodStart, 'used', used, 'creditsUsed', creditsUsed, 'credits', credits)
+  if credits > 0 then
+    redis.call('PERSIST', key)
+  else
+    redis.call('PEXPIRE', key, math.max(1, periodEnd - now))
+  end
+
+  return {allowed, used, creditsUsed, credits}
+`;
+
+/**
+ * Concurrency leases: a sorted set of lease ids scored by expiry. Drops
+ * expired leases and adds the new one if there is room.
+ * Returns {allowed, count, earliestExpiry}.
+ */
+const ACQUIRE_LEASE_SCRIPT = `
+  local key = KEYS[1]
+  local now = tonumber(ARGV[1])
+  local leaseMs = tonumber(ARGV[2])
+  local limit = tonumber(ARGV[3])
+
+  redis.call('ZREMRANGEBYSCORE', key, '-inf', now)
+  local count = redis.call('ZCARD', key)
+  local allowed = 0
+
+  local cost = tonumber(ARGV[5])
+
+  if count + cost <= limit then
+    for i = 0, cost - 1 do
+      redis.call('ZADD', key, now + leaseMs, ARGV[4] .. ':' .. i)
+    end
+    count = count + cost
+    allowed = 1
+  end
+
+  local latest = redis.call('ZRANGE', key, -1, -1, 'WITHSCORES')
+  if latest[2] then
+    redis.call('PEXPIRE', key, math.max(1, math.ceil(tonumber(latest[2]) - now)))
+  end
+
+  local earliest = redis.call('ZRANGE', key, 0, 0, 'WITHSCORES')
+  return {allowed, count, earliest[2] or tostring(now)}
+`;
+
+/**
+ * Delete a hash field only while it still holds the expected JSON value.
+ * Returns 1 if it was deleted.
+ */
+const DELETE_FIELD_SCRIPT = `
+  if redis.call('HGET', KEYS[1], ARGV[1]) ~= ARGV[2] then
+    return 0
+  end
+  return redis.call('HDEL', KEYS[1], ARGV[1])
+`;
+
+/**
+ * Token bucket: refill from elapsed time and take tokens in one step.
+ * Returns {allowed, tokens}; tokens is a string to keep the fraction.
+ */
+const TOKEN_BUCKET_SCRIPT = `
+  local key = KEYS[1]
+  local now = tonumber(ARGV[1])
+  local capacity = tonumber(ARGV[2])
+  local rate = tonumber(ARGV[3])
+  local required = tonumber(ARGV[4])
+
+  local data = redis.call('HMGET', key, 'tokens', 'lastRefill')
+  local tokens = tonumber(data[1])
+  local lastRefill = tonumber(data[2])
+
+  if tokens == nil or lastRefill == nil or tokens ~= tokens then
+    tokens = capacity
+    lastRefill = now
+  end
+
+  local elapsed = math.max(0, now - lastRefill)
+  tokens = math.min(capacity, tokens + (elapsed / 1000) * rate)
+
+  local allowed = 0
+  if tokens >= required then
+    tokens = tokens - required
+    allowed = 1
+  end
+
+  redis.call('HSET', key, 'tokens', tostring(tokens), 'lastRefill', now)
+  redis.call('PEXPIRE', key, math.ceil(capacity / rate * 1000))
+
+  return {allowed, tostring(tokens)}
+`;
+
+/**
+ * Whether Redis Cluster is sure to put every key in the same hash slot:
+ * they must all carry the same `{hash tag}`. Keys without one are hashed
+ * whole and may land anywhere.
+ * @param {string[]} keys - Prefixed keys
+ * @returns {boolean}
+ */
+function sameHashSlot(keys) {
+  const tags = keys.map((key) => {
+    const open = key.indexOf('{');
+    const close = open === -1 ? -1 : key.indexOf('}', open + 1);
+    return close > open + 1 ? key.slice(open + 1, close) : null;
+  });
+  return tags[0] !== null && tags.every(tag => tag === tags[0]);
+}
+
+/**
+ * Redis store adapter
+ * Suitable for distributed applications
+ */
+class RedisStore extends BaseStore {
+  constructor(options = {}) {
+    super(options);
+    this.client = options.client || null;
+    this.host = options.host || 'localhost';
+    this.port = options.port || 6379;
+    this.password = options.password || null;
+    this.db = options.db || 0;
+    this.enableOfflineQueue = options.enableOfflineQueue !== false;
+    this.maxRetriesPerRequest = options.maxRetriesPerRequest || 3;
+    this.ownClient = false;
+  }
+
+  async _connect() {
+    if (this.client) {
+      // Using provided client
+      this.ownClient = false;
+      return;
+    }
+
+    // Lazy load redis to make it optional
+    let Redis;
+    try {
+      Redis = require('ioredis');
+    } catch (e) {
+      throw new Error('ioredis is required for RedisStore. Install it with: npm install ioredis');
+    }
+
+    this.client = new Redis({
+      host: this.host,
+      port: this.port,
+      password: this.password,
+      db: this.db,
+      enableOfflineQueue: this.enableOfflineQueue,
+      maxRetriesPerRequest: this.maxRetriesPerRequest,
+      lazyConnect: true
+    });
+
+    this.ownClient = true;
+    await this.client.connect();
+  }
+
+  async _disconnect() {
+    if (this.client && this.ownClient) {
+      await this.client.quit();
+      this.client = null;
+    }
+  }
+
+  async get(key) {
+    await this.ensureConnection();
+    const prefixedKey = this.prefixKey(key);
+    const value = await this.client.get(prefixedKey);
+    return value === null ? null : JSON.parse(value);
+  }
+
+  async set(key, value, ttlMs) {
+    await this.ensureConnection();
+    const prefixedKey = this.prefixKey(key);
+    const serialized = JSON.stringify(value);
+
+    if (ttlMs > 0) {
+      await this.client.set(prefixedKey, serialized, 'PX', Math.ceil(ttlMs));
+    } else {
+      await this.client.set(prefixedKey, serialized);
+    }
+  }
+
+  async delete(key) {
+    await this.ensureConnection();
+    await this.client.del(this.prefixKey(key));
+  }
+
+  async increment(key, windowMs, amount = 1) {
+    await this.ensureConnection();
+    const prefixedKey = this.prefixKey(key);
+    const ttlSeconds = Math.ceil(windowMs / 1000);
+    
+    // Use Lua script for atomic increment with TTL
+    const script = `
+      local current = redis.call('INCRBY', KEYS[1], ARGV[2])
+      if current == tonumber(ARGV[2]) then
+        redis.call('EXPIRE', KEYS[1], ARGV[1])
+      end
+      return current
+    `;
+    
+    const result = await this.client.eval(script, 1, prefixedKey, ttlSeconds, amount);
+    return parseInt(result, 10);
+  }
+
+  async reset(key) {
+    await this.ensureConnection();
+    const prefixedKey = this.prefixKey(key);
+    await this.client.del(prefixedKey);
+  }
+
+  async getTTL(key) {
+    await this.ensureConnection();
+    const prefixedKey = this.prefixKey(key);
+    const ttl = await this.client.pttl(prefixedKey);
+    return ttl > 0 ? ttl : -1;
+  }
+
+  async atomicFixedWindow(key, now, windowMs, limit, cost = 1) {
+    await this.ensureConnection();
+    const [allowed, count, ttl] = await this.client.eval(
+      FIXED_WINDOW_SCRIPT,
+      1,
+      this.prefixKey(key),
+      windowMs,
+      limit,
+      cost
+    );
+
+    return {
+      allowed: allowed === 1,
+      count: parseInt(count, 10),
+      resetAt: now + (ttl > 0 ? ttl : windowMs)
+    };
+  }
+
+  async atomicIncrement(key, now, windowStart, windowMs, limit, cost = 1) {
+    await this.ensureConnection();
+    const prefixedKey = this.prefixKey(key);
+    // Members must be unique so requests in the same millisecond all count;
+    // the script suffixes one member per unit of cost
+    const member = `${now}:${Math.random().toString(36).slice(2)}`;
+
+    const [count, allowed, oldest] = await this.client.eval(
+      SLIDING_WINDOW_SCRIPT,
+      1,
+      prefixedKey,
+      now,
+      windowStart,
+      windowMs,
+      limit,
+      member,
+      cost
+    );
+
+    return {
+      count: parseInt(count, 10),
+      allowed: allowed === 1,
+      oldest: parseFloat(oldest)
+    };
+  }
+
+  async removeOldEntries(key, windowStart) {
+    await this.ensureConnection();
+    await this.client.zremrangebyscore(this.prefixKey(key), '-inf', windowStart);
+  }
+
+  async getTimestamps(key) {
+    await this.ensureConnection();
+    const entries = await this.client.zrange(this.prefixKey(key), 0, -1, 'WITHSCORES');
+    const timestamps = [];
+
+    for (let i = 1; i < entries.length; i += 2) {
+      timestamps.push(parseFloat(entries[i]));
+    }
+
+    return timestamps;
+  }
+
+  async addTimestamp(key, timestamp, windowMs) {
+    await this.ensureConnection();
+    const prefixedKey = this.prefixKey(key);
+    const member = `${timestamp}:${Math.random().toString(36).slice(2)}`;
+
+    await this.client
+      .multi()
+      .zadd(prefixedKey, timestamp, member)
+      .pexpire(prefixedKey, windowMs)
+      .exec();
+  }
+
+  async atomicSlidingCounter(key, now, windowMs, limit, cost = 1) {
+    await this.ensureConnection();
+    const [allowed, windowStart, current, previous, estimate] = await this.client.eval(
+      SLIDING_COUNTER_SCRIPT,
+      1,
+      this.prefixKey(key),
+      now,
+      windowMs,
+      limit,
+      cost
+    );
+
+    return {
+      windowStart: parseInt(windowStart, 10),
+      current: parseInt(current, 10),
+      previous: parseInt(previous, 10),
+      estimate: parseFloat(estimate),
+      allowed: allowed === 1
+    };
+  }
+
+  async atomicMultiCounter(key, now, windows, cost = 1) {
+    await this.ensureConnection();
+    const args = [];
+    for (const { windowMs, limit } of windows) {
+      args.push(windowMs, limit);
+    }
+
+    const [allowed, ...fields] = await this.client.eval(
+      MULTI_COUNTER_SCRIPT,
+      1,
+      this.prefixKey(key),
+      now,
+      cost,
+      ...args
+    );
+
+    return {
+      allowed: allowed === 1,
+      windows: windows.map((_window, i) => {
+        const [windowStart, current, previous, estimate, fits] = fields.slice(i * 5, i * 5 + 5);
+        return {
+          windowStart: parseInt(windowStart, 10),
+          current: parseInt(current, 10),
+          previous: parseInt(previous, 10),
+          estimate: parseFloat(estimate),
+          allowed: fits === 1
+        };
+      })
+    };
+  }
+
+  async atomicMultiKeyCounter(entries, now, cost = 1) {
+    await this.ensureConnection();
+    const keys = entries.map(({ key }) => this.prefixKey(key));
+
+    // A script over keys in different cluster slots fails with CROSSSLOT;
+    // the limiter then updates them one after the other instead
+    if (this.client.isCluster && !sameHashSlot(keys)) {
+      return null;
+    }
+
+    const args = [];
+    for (const { windows } of entries) {
+      args.push(windows.length);
+      for (const { windowMs, limit } of windows) {
+        args.push(windowMs, limit);
+      }
+    }
+
+    const [allowed, ...fields] = await this.client.eval(
+      MULTI_KEY_COUNTER_SCRIPT,
+      entries.length,
+      ...keys,
+      now,
+      cost,
+      ...args
+    );
+
+    let offset = 0;
+    return {
+      allowed: allowed === 1,
+      keys: entries.map(({ windows }) => {
+        const results = windows.map(() => {
+          const [windowStart, current, previous, estimate, fits] = fields.slice(offset, offset + 5);
+          offset += 5;
+          return {
+            windowStart: parseInt(windowStart, 10),
+            current: parseInt(current, 10),
+            previous: parseInt(previous, 10),
+            estimate: parseFloat(estimate),
+            allowed: fits === 1
+          };
+        });
+        return { allowed: results.every(result => result.allowed), windows: results };
+      })
+    };
+  }
+
+  async atomicGcra(key, now, emissionInterval, tolerance, cost) {
+    await this.ensureConnection();
+    const [allowed, tat, retryAfter] = await this.client.eval(
+      GCRA_SCRIPT,
+      1,
+      this.prefixKey(key),
+      now,
+      emissionInterval,
+      tolerance,
+      cost
+    );
+
+    return {
+      allowed: allowed === 1,
+      tat: parseFloat(tat),
+      retryAfter: parseFloat(retryAfter)
+    };
+  }
+
+  async atomicQuota(key, now, periodStart, periodEnd, limit, cost = 1, credits = 0) {
+    await this.ensureConnection();
+    const [allowed, used, creditsUsed, balance] = await this.client.eval(
+      QUOTA_SCRIPT,
+      1,
+      this.prefixKey(key),
+      now,
+      periodStart,
+      periodEnd,
+      limit,
+      cost,
+      credits
+    );
+
+    return {
+      allowed: allowed === 1,
+      periodStart,
+      used: parseInt(used, 10),
+      creditsUsed: parseInt(creditsUsed, 10),
+      credits: parseInt(balance, 10)
+    };
+  }
+
+  async acquireLease(key, leaseId, now, leaseMs, limit, cost = 1) {
+    await this.ensureConnection();
+    const [allowed, count, earliestExpiry] = await this.client.eval(
+      ACQUIRE_LEASE_SCRIPT,
+      1,
+      this.prefixKey(key),
+      now,
+      leaseMs,
+      limit,
+      leaseId,
+      cost
+    );
+
+    return {
+      allowed: allowed === 1,
+      count: parseInt(count, 10),
+      earliestExpiry: parseFloat(earliestExpiry)
+    };
+  }
+
+  async releaseLease(key, leaseId, cost = 1) {
+    await this.ensureConnection();
+    await this.client.zrem(this.prefixKey(key), ...leaseSlots(leaseId, cost));
+  }
+
+  async atomicTokenBucket(key, now, bucketSize, refillRate, tokensRequired) {
+    await this.ensureConnection();
+    const [allowed, tokens] = await this.client.eval(
+      TOKEN_BUCKET_SCRIPT,
+      1,
+      this.prefixKey(key),
+      now,
+      bucketSize,
+      refillRate,
+      tokensRequired
+    );
+
+    return {
+      allowed: allowed === 1,
+      tokens: parseFloat(tokens)
+    };
+  }
+
+  async getBucket(key) {
+    await this.ensureConnection();
+    const [tokens, lastRefill] = await this.client.hmget(
+      this.prefixKey(key),
+      'tokens',
+      'lastRefill'
+    );
+
+    if (tokens === null || lastRefill === null) {
+      return null;
+    }
+
+    return {
+      tokens: parseFloat(tokens),
+      lastRefill: parseFloat(lastRefill)
+    };
+  }
+
+  async setBucket(key, bucket, ttlMs) {
+    await this.ensureConnection();
+    const prefixedKey = this.prefixKey(key);
+    const tx = this.client
+      .multi()
+      .hset(prefixedKey, 'tokens', bucket.tokens, 'lastRefill', bucket.lastRefill);
+
+    if (ttlMs > 0) {
+      tx.pexpire(prefixedKey, Math.ceil(ttlMs));
+    }
+
+    await tx.exec();
+  }
+
+  async deleteBucket(key) {
+    await this.delete(key);
+  }
+
+  async getFields(key) {
+    await this.ensureConnection();
+    const hash = await this.client.hgetall(this.prefixKey(key));
+    return Object.fromEntries(Object.entries(hash || {}).map(([field, value]) => [field, JSON.parse(value)]));
+  }
+
+  async setField(key, field, value) {
+    await this.ensureConnection();
+    await this.client.hset(this.prefixKey(key), field, JSON.stringify(value));
+  }
+
+  async deleteField(key, field, expected) {
+    await this.ensureConnection();
+    const prefixedKey = this.prefixKey(key);
+    const deleted = expected === undefined
+      ? await this.client.hdel(prefixedKey, field)
+      : await this.client.eval(DELETE_FIELD_SCRIPT, 1, prefixedKey, field, JSON.stringify(expected));
+    return deleted > 0;
+  }
+
+  /**
+   * Remove every key under this store's prefix
+   * @returns {Promise<number>} Number of keys deleted
+   */
+  async clear() {
+    return this.resetPattern('*');
+  }
+
+  /**
+   * Reset multiple keys by pattern
+   * @param {string} pattern
+   * @returns {Promise<number>} Number of keys deleted
+   */
+  async resetPattern(pattern) {
+    await this.ensureConnection();
+    const prefixedPattern = this.prefixKey(pattern);
+    
+    let cursor = '0';
+    let deleted = 0;
+    
+    do {
+      const [newCursor, keys] = await this.client.scan(
+        cursor,
+        'MATCH',
+        prefixedPattern,
+        'COUNT',
+        100
+      );
+      
+      cursor = newCursor;
+      
+      if (keys.length > 0) {
+        const result = await this.client.del(...keys);
+        deleted += result;
+      }
+    } while (cursor !== '0');
+    
+    return deleted;
+  }
+
+  /**
+   * Publish a message to every process subscribed through this Redis server
+   * @param {string} channel - Prefixed like keys
+   * @param {Object} message
+   * @returns {Promise<boolean>}
+   */
+  async publish(channel, message) {
+    await this.ensureConnection();
+    await this.client.publish(this.prefixKey(channel), JSON.stringify(message));
+    return true;
+  }
+
+  /**
+   * Subscribe on a dedicated connection, since a subscribed Redis
+   * connection cannot run other commands
+   * @param {string} channel - Prefixed like keys
+   * @param {Function} handler - message => void
+   * @param {Function} [onError] - Called with the error when a message is
+   *   not JSON or `handler` throws; either would otherwise escape the
+   *   connection's event emitter
+   * @returns {Promise<Function>} Async unsubscribe function that closes the connection
+   */
+  async subscribe(channel, handler, onError) {
+    await this.ensureConnection();
+    const name = this.prefixKey(channel);
+    const subscriber = this.client.duplicate();
+
+    subscriber.on('message', (received, payload) => {
+      if (received !== name) {
+        return;
+      }
+      try {
+        handler(JSON.parse(payload));
+      } catch (error) {
+        if (onError) {
+          onError(error);
+        }
+      }
+    });
+    await subscriber.subscribe(name);
+
+    return async () => {
+      await subscriber.unsubscribe(name);
+      await subscriber.quit();
+    };
+  }
+
+  async getStats() {
+    await this.ensureConnection();
+    const baseStats = await super.getStats();
+    
+    try {
+      const info = await this.client.info('memory');
+      const memoryMatch = info.match(/used_memory_human:([^\r\n]+)/);
+      
+      return {
+        ...baseStats,
+        host: this.host,
+        port: this.port,
+        db: this.db,
+        memory: memoryMatch ? memoryMatch[1] : 'unknown'
+      };
+    } catch (e) {
+      return {
+        ...baseStats,
+        host: this.host,
+        port: this.port,
+        db: this.db
+      };
+    }
+  }
+
+  /**
+   * Batch increment for multiple keys
+   * @param {Array<{key: string, windowMs: number}>} items
+   * @returns {Promise<number[]>}
+   */
+  async batchIncrement(items) {
+    await this.ensureConnection();
+    const pipeline = this.client.pipeline();
+    
+    const script = `
+      local current = redis.call('INCR', KEYS[1])
+      if current == 1 then
+        redis.call('EXPIRE', KEYS[1], ARGV[1])
+      end
+      return current
+    `;
+    
+    for (const { key, windowMs } of items) {
+      const prefixedKey = this.prefixKey(key);
+      const ttlSeconds = Math.ceil(windowMs / 1000);
+      pipeline.eval(script, 1, prefixedKey, ttlSeconds);
+    }
+    
+    const results = await pipeline.exec();
+    return results.map(([err, result]) => {
+      if (err) throw err;
+      return parseInt(result, 10);
+    });
+  }
+}
+
+module.exports = RedisStore;
+module.exports.RedisStore = RedisStore;
@@ -1,187 +1,617 @@
-/**
- * User tier management for differentiated rate limits
- */
-
-const DEFAULT_TIERS = {
-  free: {
-    windowMs: 60000,
-    maxRequests: 100,
-    tokenBucketSize: 10,
-    tokenRefillRate: 1
-  },
-  basic: {
-    windowMs: 60000,
-    maxRequests: 500,
-    tokenBucketSize: 50,
-    tokenRefillRate: 5
-  },
-  premium: {
-    windowMs: 60000,
-    maxRequests: 2000,
-    tokenBucketSize: 200,
-    tokenRefillRate: 20
-  },
-  enterprise: {
-    windowMs: 60000,
-    maxRequests: 10000,
-    tokenBucketSize: 1000,
-    tokenRefillRate: 100
-  }
-};
-
-class TierManager {
-  constructor(customTiers = {}) {
-    this.tiers = { ...DEFAULT_TIERS, ...customTiers };
-    this.userTierMap = new Map();
-    this.tierResolver = null;
-  }
-
-  /**
-   * Define a custom tier
-   * @param {string} tierName - Name of the tier
-   * @param {Object} limits - Rate limit configuration for the tier
-   */
-  defineTier(tierName, limits) {
-    if (!tierName || typeof tierName !== 'string') {
-      throw new Error('Tier name must be a non-empty string');
-    }
-    
-    this.tiers[tierName] = {
-      windowMs: limits.windowMs || 60000,
-      maxRequests: limits.maxRequests || 100,
-      tokenBucketSize: limits.tokenBucketSize || 10,
-      tokenRefillRate: limits.tokenRefillRate || 1,
-      ...limits
-    };
-    
-    return this;
-  }
-
-  /**
-   * Remove a tier definition
-   * @param {string} tierName - Name of the tier to remove
-   */
-  removeTier(tierName) {
-    if (DEFAULT_TIERS[tierName]) {
-      throw new Error(`Cannot remove default tier: ${tierName}`);
-    }
-    delete this.tiers[tierName];
-    return this;
-  }
-
-  /**
-   * Assign a user to a specific tier
-   * @param {string} userId - User identifier
-   * @param {string} tierName - Tier to assign
-   */
-  setUserTier(userId, tierName) {
-    if (!this.tiers[tierName]) {
-      throw new Error(`Unknown tier: ${tierName}`);
-    }
-    this.userTierMap.set(userId, tierName);
-    return this;
-  }
-
-  /**
-   * Get the tier for a specific user
-   * @param {string} userId - User identifier
-   * @returns {string} Tier name
-   */
-  getUserTier(userId) {
-    return this.userTierMap.get(userId) || 'free';
-  }
-
-  /**
-   * Set a custom resolver function for determining user tiers
-   * @param {Function} resolver - Async function that receives request and returns tier name
-   */
-  setTierResolver(resolver) {
-    if (typeof resolver !== 'function') {
-      throw new Error('Tier resolver must be a function');
-    }
-    this.tierResolver = resolver;
-    return this;
-  }
-
-  /**
-   * Resolve the tier for a request
-   * @param {Object} req - Request object
-   * @param {string} identifier - User/client identifier
-   * @returns {Promise<Object>} Tier configuration
-   */
-  async resolveTier(req, identifier) {
-    let tierName = 'free';
-    
-    if (this.tierResolver) {
-      try {
-        tierName = await this.tierResolver(req, identifier);
-      } catch (error) {
-        console.error('Tier resolver error:', error.message);
-        tierName = 'free';
-      }
-    } else if (identifier && this.userTierMap.has(identifier)) {
-      tierName = this.userTierMap.get(identifier);
-    }
-    
-    const tier = this.tiers[tierName] || this.tiers.free;
-    
-    return {
-      name: tierName,
-      ...tier
-    };
-  }
-
-  /**
-   * Get limits for a specific tier
-   * @param {string} tierName - Tier name
-   * @returns {Object} Tier limits
-   */
-  getTierLimits(tierName) {
-    return this.tiers[tierName] || this.tiers.free;
-  }
-
-  /**
-   * List all available tiers
-   * @returns {string[]} Array of tier names
-   */
-  listTiers() {
-    return Object.keys(this.tiers);
-  }
-
-  /**
-   * Get all tier configurations
-   * @returns {Object} All tier configurations
-   */
-  getAllTiers() {
-    return { ...this.tiers };
-  }
-
-  /**
-   * Bulk assign users to tiers
-   * @param {Object} assignments - Object mapping userIds to tier names
-   */
-  bulkAssign(assignments) {
-    for (const [userId, tierName] of Object.entries(assignments)) {
-      this.setUserTier(userId, tierName);
-    }
-    return this;
-  }
-
-  /**
-   * Clear all user tier assignments
-   */
-  clearAssignments() {
-    this.userTierMap.clear();
-    return this;
-  }
-}
-
-function createTierManager(customTiers = {}) {
-  return new TierManager(customTiers);
-}
-
-module.exports = {
-  TierManager,
-  createTierManager,
-  DEFAULT_TIERS
-};
+/**
+ * User tier management for differentiated rate limits
+ */
+
+const {
+  validateFunction,
+  validateLimits,
+  validateNonNegativeInteger,
+  validatePositiveInteger
+} = require('./utils/validation');
+const { parseRoute, routeId } = require('./utils/path-pattern');
+const { RouteTrie } = require('./utils/route-trie');
+const { overlayRule } = require('./rules');
+const { validateQuota } = require('./quotas');
+
+const DEFAULT_TIERS = {
+  free: {
+    windowMs: 60000,
+    maxRequests: 100,
+    tokenBucketSize: 10,
+    tokenRefillRate: 1
+  },
+  basic: {
+    windowMs: 60000,
+    maxRequests: 500,
+    tokenBucketSize: 50,
+    tokenRefillRate: 5
+  },
+  premium: {
+    windowMs: 60000,
+    maxRequests: 2000,
+    tokenBucketSize: 200,
+    tokenRefillRate: 20
+  },
+  enterprise: {
+    windowMs: 60000,
+    maxRequests: 10000,
+    tokenBucketSize: 1000,
+    tokenRefillRate: 100
+  }
+};
+
+/**
+ * A tier definition's own limits, without its parent and route overrides
+ * @param {Object} tier
+ * @returns {Object}
+ */
+function ownLimits(tier) {
+  const limits = { ...tier };
+  delete limits.extends;
+  delete limits.routes;
+  return limits;
+}
+
+/**
+ * Parse a tier's route overrides, keyed like route rules
+ * @param {string} tierName
+ * @param {Object} [routes] - Route pattern to limits
+ * @returns {Array<[string, Object]>} Route id and entry pairs
+ */
+function compileRoutes(tierName, routes = {}) {
+  if (typeof routes !== 'object' || routes === null || Array.isArray(routes)) {
+    throw new Error(`Routes of tier ${tierName} must be an object of route patterns to limits`);
+  }
+
+  return Object.entries(routes).map(([route, rule]) => {
+    const { method, ...limits } = rule || {};
+    if (limits.limits !== undefined) {
+      validateLimits(limits.limits, 'limits');
+    }
+    if (limits.quota !== undefined) {
+      validateQuota(limits.quota, 'quota');
+    }
+    const parsed = parseRoute(route, method);
+    return [routeId(parsed), { ...parsed, tier: tierName, limits }];
+  });
+}
+
+class TierManager {
+  /**
+   * @param {Object} [customTiers] - Extra tiers, keyed by tier name
+   * @param {Object} [options]
+   * @param {number} [options.cacheMs=60000] - How long a resolver's answer or
+   *   a stored assignment is reused for the same identifier; 0 looks it up
+   *   every time
+   * @param {number} [options.cacheSize=10000] - Identifiers cached at most;
+   *   the oldest entry is dropped first
+   * @param {Object} [options.store] - Store holding assignments shared by
+   *   every instance (see assignTier); changes are announced through the
+   *   store's publish/subscribe where it has one
+   * @param {string} [options.prefix='tier:'] - Prefix of the keys and the
+   *   channel used in the store
+   * @param {Function} [options.onError] - Called with the error when the
+   *   store cannot subscribe to or publish changes; instances then see
+   *   changes within `cacheMs`
+   */
+  constructor(customTiers = {}, options = {}) {
+    this.tiers = { ...DEFAULT_TIERS, ...customTiers };
+    this.userTierMap = new Map();
+    this.tierResolver = null;
+    this.store = options.store || null;
+    this.prefix = options.prefix !== undefined ? options.prefix : 'tier:';
+    this.subscription = null;
+    this.onError = options.onError !== undefined ? validateFunction(options.onError, 'onError') : null;
+    this.cacheMs = validateNonNegativeInteger(options.cacheMs !== undefined ? options.cacheMs : 60000, 'cacheMs');
+    this.cacheSize = validatePositiveInteger(options.cacheSize || 10000, 'cacheSize');
+    this.resolved = new Map();
+    this.resolving = new Map();
+    // Effective limits and route overrides per tier, built on first use
+    this.compiled = new Map();
+
+    // Checked once all are known, so a tier may extend one listed after it
+    for (const tierName of Object.keys(customTiers)) {
+      this.checkTier(tierName);
+    }
+  }
+
+  /**
+   * Define a custom tier, e.g.
+   * `defineTier('premium-plus', { extends: 'premium', maxRequests: 5000, routes: { '/export': { maxRequests: 20 } } })`
+   * @param {string} tierName - Name of the tier
+   * @param {Object} limits - Rate limit configuration for the tier; set
+   *   `limits` to an array of {windowMs, maxRequests} to enforce several
+   *   windows at once
+   * @param {string} [limits.extends] - Parent tier whose limits and route
+   *   overrides this one starts from; without it, missing limits get the
+   *   defaults (100 per minute)
+   * @param {Object} [limits.routes] - Limits for routes, keyed by route
+   *   pattern as for RuleEngine.setRouteRule(), laid over the tier's own
+   * @param {number|Object} [limits.quota] - Calendar quota for the tier's
+   *   keys, as a limit or `{limit, period, timezone}` (see QuotaManager)
+   */
+  defineTier(tierName, limits) {
+    if (!tierName || typeof tierName !== 'string') {
+      throw new Error('Tier name must be a non-empty string');
+    }
+
+    if (limits.limits !== undefined) {
+      validateLimits(limits.limits, 'limits');
+    }
+    if (limits.quota !== undefined) {
+      validateQuota(limits.quota, 'quota');
+    }
+
+    const previous = this.tiers[tierName];
+    this.tiers[tierName] = limits.extends !== undefined
+      ? { ...limits }
+      : {
+        windowMs: limits.windowMs || 60000,
+        maxRequests: limits.maxRequests || 100,
+        tokenBucketSize: limits.tokenBucketSize || 10,
+        tokenRefillRate: limits.tokenRefillRate || 1,
+        ...limits
+      };
+
+    try {
+      this.checkTier(tierName);
+    } catch (error) {
+      if (previous) {
+        this.tiers[tierName] = previous;
+      } else {
+        delete this.tiers[tierName];
+      }
+      throw error;
+    }
+
+    this.compiled.clear();
+    return this;
+  }
+
+  /**
+   * Remove a tier definition
+   * @param {string} tierName - Name of the tier to remove
+   */
+  removeTier(tierName) {
+    if (DEFAULT_TIERS[tierName]) {
+      throw new Error(`Cannot remove default tier: ${tierName}`);
+    }
+
+    const child = Object.keys(this.tiers).find(name => this.tiers[name].extends === tierName);
+    if (child) {
+      throw new Error(`Cannot remove tier ${tierName}: ${child} extends it`);
+    }
+
+    delete this.tiers[tierName];
+    this.compiled.clear();
+    return this;
+  }
+
+  /**
+   * Check that a tier's parents exist and do not loop back to it, and that
+   * its route overrides parse
+   * @param {string} tierName
+   */
+  checkTier(tierName) {
+    const chain = [tierName];
+    let parent = this.tiers[tierName].extends;
+
+    while (parent !== undefined) {
+      if (!this.tiers[parent]) {
+        throw new Error(`Tier ${chain[chain.length - 1]} extends unknown tier: ${parent}`);
+      }
+      if (chain.includes(parent)) {
+        throw new Error(`Tier inheritance cycle: ${[...chain, parent].join(' -> ')}`);
+      }
+      chain.push(parent);
+      parent = this.tiers[parent].extends;
+    }
+
+    compileRoutes(tierName, this.tiers[tierName].routes);
+  }
+
+  /**
+   * A tier's effective limits and route overrides: its parent's with its
+   * own laid over them. Route overrides for the same route and methods
+   * replace the parent's.
+   * @param {string} tierName - A defined tier
+   * @returns {{chain: string[], limits: Object, routes: Map, trie: RouteTrie|null}}
+   */
+  compile(tierName) {
+    if (!this.compiled.has(tierName)) {
+      const tier = this.tiers[tierName];
+      const parent = tier.extends !== undefined ? this.compile(tier.extends) : null;
+      const routes = new Map(parent ? parent.routes : []);
+
+      for (const [id, entry] of compileRoutes(tierName, tier.routes)) {
+        routes.set(id, entry);
+      }
+
+      this.compiled.set(tierName, {
+        chain: parent ? [...parent.chain, tierName] : [tierName],
+        limits: parent ? overlayRule(parent.limits, ownLimits(tier)) : ownLimits(tier),
+        routes,
+        trie: null
+      });
+    }
+
+    return this.compiled.get(tierName);
+  }
+
+  /**
+   * Assign a user to a specific tier
+   * @param {string} userId - User identifier
+   * @param {string} tierName - Tier to assign
+   */
+  setUserTier(userId, tierName) {
+    if (!this.tiers[tierName]) {
+      throw new Error(`Unknown tier: ${tierName}`);
+    }
+    this.userTierMap.set(userId, tierName);
+    return this;
+  }
+
+  /**
+   * Get the tier for a specific user
+   * @param {string} userId - User identifier
+   * @returns {string} Tier name
+   */
+  getUserTier(userId) {
+    return this.userTierMap.get(userId) || 'free';
+  }
+
+  /**
+   * Set a custom resolver function for determining user tiers
+   * @param {Function} resolver - Async function that receives request and returns tier name
+   */
+  setTierResolver(resolver) {
+    if (typeof resolver !== 'function') {
+      throw new Error('Tier resolver must be a function');
+    }
+    this.tierResolver = resolver;
+    this.invalidate();
+    return this;
+  }
+
+  /**
+   * Forget cached resolver answers, e.g. after a plan change
+   * @param {string} [identifier] - Only this identifier; all when omitted
+   */
+  invalidate(identifier) {
+    // A pending call may predate the change, so its answer is not kept
+    if (identifier === undefined) {
+      this.resolved.clear();
+      this.resolving.clear();
+    } else {
+      this.resolved.delete(identifier);
+      this.resolving.delete(identifier);
+    }
+    return this;
+  }
+
+  /**
+   * Look a tier name up, reusing the answer for an identifier for
+   * `cacheMs` and sharing one pending lookup between concurrent requests.
+   * A lookup that throws is not cached.
+   * @param {string} [identifier] - User/client identifier
+   * @param {Function} load - () => tier name or null
+   * @returns {Promise<string|null>}
+   */
+  async cachedLookup(identifier, load) {
+    const cacheable = identifier !== undefined && identifier !== null && this.cacheMs > 0;
+    if (!cacheable) {
+      return (await load()) || null;
+    }
+
+    const cached = this.resolved.get(identifier);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.name;
+    }
+
+    if (!this.resolving.has(identifier)) {
+      const pending = Promise.resolve()
+        .then(load)
+        .then((name) => {
+          if (this.resolving.get(identifier) === pending) {
+            this.remember(identifier, name || null);
+          }
+          return name || null;
+        })
+        .finally(() => {
+          if (this.resolving.get(identifier) === pending) {
+            this.resolving.delete(identifier);
+          }
+        });
+      this.resolving.set(identifier, pending);
+    }
+
+    return this.resolving.get(identifier);
+  }
+
+  /**
+   * Ask the resolver for a tier name (cached, see cachedLookup)
+   * @param {Object} req - Request object
+   * @param {string} [identifier] - User/client identifier
+   * @returns {Promise<string|null>} Tier name, or null if the resolver failed
+   */
+  async callResolver(req, identifier) {
+    try {
+      return await this.cachedLookup(identifier, () => this.tierResolver(req, identifier));
+    } catch (error) {
+      console.error('Tier resolver error:', error.message);
+      return null;
+    }
+  }
+
+  remember(identifier, name) {
+    this.resolved.delete(identifier);
+    if (this.resolved.size >= this.cacheSize) {
+      this.resolved.delete(this.resolved.keys().next().value);
+    }
+    this.resolved.set(identifier, { name, expiresAt: Date.now() + this.cacheMs });
+  }
+
+  /**
+   * Assign a user to a tier for every instance sharing the store. Without
+   * a store this is the same as setUserTier().
+   * @param {string} userId - User identifier
+   * @param {string} tierName - Tier to assign
+   * @returns {Promise<void>}
+   */
+  async assignTier(userId, tierName) {
+    if (!this.tiers[tierName]) {
+      throw new Error(`Unknown tier: ${tierName}`);
+    }
+
+    if (!this.store) {
+      this.userTierMap.set(userId, tierName);
+      return;
+    }
+
+    await this.store.set(this.assignmentKey(userId), tierName);
+    await this.tierChanged(String(userId));
+  }
+
+  /**
+   * Assign many users at once
+   * @param {Object} assignments - Object mapping userIds to tier names
+   * @returns {Promise<void>}
+   */
+  async assignTiers(assignments) {
+    const entries = Object.entries(assignments);
+    for (const [, tierName] of entries) {
+      if (!this.tiers[tierName]) {
+        throw new Error(`Unknown tier: ${tierName}`);
+      }
+    }
+
+    await Promise.all(entries.map(([userId, tierName]) => this.assignTier(userId, tierName)));
+  }
+
+  /**
+   * Remove a user's assignment, local and shared
+   * @param {string} userId - User identifier
+   * @returns {Promise<void>}
+   */
+  async unassignTier(userId) {
+    this.userTierMap.delete(userId);
+
+    if (this.store) {
+      await this.store.delete(this.assignmentKey(userId));
+      await this.tierChanged(String(userId));
+    }
+  }
+
+  /**
+   * A user's assignment: a local setUserTier() one, then the shared one
+   * (cached, see cachedLookup)
+   * @param {string} userId - User identifier
+   * @returns {Promise<string|null>} Tier name, or null if unassigned
+   */
+  async getAssignedTier(userId) {
+    if (this.userTierMap.has(userId)) {
+      return this.userTierMap.get(userId);
+    }
+    if (!this.store) {
+      return null;
+    }
+
+    await this.listen();
+    return this.cachedLookup(userId, () => this.store.get(this.assignmentKey(userId)));
+  }
+
+  assignmentKey(userId) {
+    return `${this.prefix}user:${userId}`;
+  }
+
+  /**
+   * Drop the local copy of a user's assignment and tell other instances
+   * to do the same
+   * @param {string} userId
+   * @returns {Promise<void>}
+   */
+  async tierChanged(userId) {
+    this.invalidate(userId);
+    await this.listen();
+    if (typeof this.store.publish === 'function') {
+      try {
+        await this.store.publish(`${this.prefix}changes`, { userId });
+      } catch (error) {
+        this.reportError(error);
+      }
+    }
+  }
+
+  /**
+   * Subscribe to assignment changes, once. Stores without publish/subscribe
+   * rely on `cacheMs` alone.
+   * @returns {Promise<void>}
+   */
+  async listen() {
+    if (!this.subscription && typeof this.store.subscribe === 'function') {
+      this.subscription = Promise.resolve()
+        .then(() => this.store.subscribe(`${this.prefix}changes`, (message) => {
+          if (message && message.userId !== undefined) {
+            this.invalidate(String(message.userId));
+          }
+        }, error => this.reportError(error)))
+        .catch((error) => {
+          this.reportError(error);
+          return null;
+        });
+    }
+    await this.subscription;
+  }
+
+  reportError(error) {
+    if (this.onError) {
+      this.onError(error);
+    }
+  }
+
+  /**
+   * Stop listening for assignment changes
+   * @returns {Promise<void>}
+   */
+  async close() {
+    const subscription = this.subscription;
+    this.subscription = null;
+
+    const unsubscribe = subscription && await subscription;
+    if (unsubscribe) {
+      await unsubscribe();
+    }
+  }
+
+  /**
+   * Resolve the tier for a request: the resolver's answer (cached, see
+   * callResolver) if one is set, otherwise the identifier's assignment
+   * @param {Object} req - Request object
+   * @param {string} identifier - User/client identifier
+   * @param {Object} [options]
+   * @param {boolean} [options.fallback=true] - Fall back to 'free' when
+   *   neither gives a tier; with false, resolve to null instead
+   * @returns {Promise<Object|null>} Tier configuration
+   */
+  async resolveTier(req, identifier, { fallback = true } = {}) {
+    let tierName = null;
+
+    if (this.tierResolver) {
+      tierName = await this.callResolver(req, identifier);
+    } else if (identifier) {
+      tierName = await this.getAssignedTier(identifier);
+    }
+
+    if (tierName === null) {
+      if (!fallback) {
+        return null;
+      }
+      tierName = 'free';
+    }
+
+    return {
+      name: tierName,
+      ...this.getTierLimits(tierName)
+    };
+  }
+
+  /**
+   * Get limits for a specific tier, including those it inherits
+   * @param {string} tierName - Tier name; unknown tiers get the free tier's
+   * @returns {Object} Tier limits
+   */
+  getTierLimits(tierName) {
+    return { ...this.compile(this.tiers[tierName] ? tierName : 'free').limits };
+  }
+
+  /**
+   * The limits each tier in a tier's inheritance chain sets itself, the
+   * root first. Laying them over each other gives getTierLimits().
+   * @param {string} tierName - Tier name; unknown tiers get the free tier's
+   * @returns {Array<{tier: string, limits: Object}>}
+   */
+  getTierLayers(tierName) {
+    return this.compile(this.tiers[tierName] ? tierName : 'free').chain
+      .map(name => ({ tier: name, limits: ownLimits(this.tiers[name]) }));
+  }
+
+  /**
+   * Find a tier's most specific route override for a request, matched
+   * like route rules (see RuleEngine.match)
+   * @param {string} tierName - Tier name; unknown tiers get the free tier's
+   * @param {string} path - Request path
+   * @param {string} [method] - HTTP method
+   * @returns {{tier: string, route: string, methods: string[]|null,
+   *   params: Object<string, string>, limits: Object}|null} The override,
+   *   with the tier that declared it
+   */
+  matchRoute(tierName, path, method) {
+    const compiled = this.compile(this.tiers[tierName] ? tierName : 'free');
+    if (compiled.routes.size === 0) {
+      return null;
+    }
+
+    if (!compiled.trie) {
+      compiled.trie = new RouteTrie([...compiled.routes.values()].map((entry, order) => ({ ...entry, order })));
+    }
+
+    const found = compiled.trie.lookup(path, method);
+    if (!found) {
+      return null;
+    }
+
+    return {
+      tier: found.entry.tier,
+      route: found.entry.name,
+      methods: found.entry.methods,
+      params: found.params,
+      limits: { ...found.entry.limits }
+    };
+  }
+
+  /**
+   * List all available tiers
+   * @returns {string[]} Array of tier names
+   */
+  listTiers() {
+    return Object.keys(this.tiers);
+  }
+
+  /**
+   * Get all tier configurations, as defined (see getTierLimits() for the
+   * limits a tier ends up with)
+   * @returns {Object} All tier configurations
+   */
+  getAllTiers() {
+    return { ...this.tiers };
+  }
+
+  /**
+   * Bulk assign users to tiers
+   * @param {Object} assignments - Object mapping userIds to tier names
+   */
+  bulkAssign(assignments) {
+    for (const [userId, tierName] of Object.entries(assignments)) {
+      this.setUserTier(userId, tierName);
+    }
+    return this;
+  }
+
+  /**
+   * Clear all user tier assignments
+   */
+  clearAssignments() {
+    this.userTierMap.clear();
+    return this;
+  }
+}
+
+function createTierManager(customTiers = {}) {
+  return new TierManager(customTiers);
+}
+
+module.exports = {
+  TierManager,
+  createTierManager,
+  DEFAULT_TIERS
+};
@@ -0,0 +1,125 @@
+/**
+ * Calendar periods in a time zone
+ * Quotas reset at the start of an hour, day, week or month as seen by the
+ * customer, not every `windowMs` after first use. Wall-clock times are
+ * converted with Intl, so daylight saving changes move the boundaries with
+ * the local clock.
+ */
+
+const { ValidationError } = require('./validation');
+
+const PERIODS = ['hour', 'day', 'week', 'month'];
+
+/**
+ * Formatter giving the wall-clock date and time in a time zone
+ * @param {string} timezone - IANA time zone, e.g. 'Europe/Berlin'
+ * @param {string} [name='timezone'] - Name of the field for error messages
+ * @returns {Intl.DateTimeFormat}
+ * @throws {ValidationError} If the time zone is not known
+ */
+function zonedFormat(timezone, name = 'timezone') {
+  try {
+    return new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short'
+    });
+  } catch (error) {
+    throw new ValidationError(`${name} '${timezone}' is not a known time zone`, 'timezone');
+  }
+}
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Wall-clock parts of an instant
+ * @param {Intl.DateTimeFormat} format - From zonedFormat()
+ * @param {number} ms - Timestamp
+ * @returns {{year: number, month: number, day: number, hour: number,
+ *   minute: number, second: number, weekday: number}} `month` from 1,
+ *   `weekday` from 0 for Sunday
+ */
+function zonedParts(format, ms) {
+  const parts = Object.fromEntries(format.formatToParts(new Date(ms)).map(part => [part.type, part.value]));
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour) % 24,
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS[parts.weekday]
+  };
+}
+
+/**
+ * How far the time zone's clock is ahead of UTC at an instant
+ * @param {Intl.DateTimeFormat} format
+ * @param {number} ms
+ * @returns {number} Milliseconds
+ */
+function offsetAt(format, ms) {
+  const { year, month, day, hour, minute, second } = zonedParts(format, ms);
+  return Date.UTC(year, month - 1, day, hour, minute, second) - (ms - (((ms % 1000) + 1000) % 1000));
+}
+
+/**
+ * Instant at which the time zone's clock shows a wall-clock time. Fields
+ * out of range roll over, as with Date.UTC (day 0 is the last day of the
+ * previous month). A time skipped by a daylight saving change maps to the
+ * instant after the gap.
+ * @param {Intl.DateTimeFormat} format
+ * @param {number} year
+ * @param {number} month - From 1
+ * @param {number} day
+ * @param {number} [hour=0]
+ * @returns {number} Timestamp
+ */
+function zonedTime(format, year, month, day, hour = 0) {
+  const wall = Date.UTC(year, month - 1, day, hour);
+  const guess = wall - offsetAt(format, wall);
+  return wall - offsetAt(format, guess);
+}
+
+/**
+ * The calendar period containing an instant
+ * @param {string} period - One of PERIODS
+ * @param {number} now - Timestamp
+ * @param {Object} [options]
+ * @param {Intl.DateTimeFormat} [options.format] - From zonedFormat(); UTC by default
+ * @param {number} [options.weekStart=1] - First day of the week, 0 for Sunday
+ * @returns {{start: number, end: number}} Timestamps; `end` is the start
+ *   of the next period
+ */
+function periodBounds(period, now, { format = zonedFormat('UTC'), weekStart = 1 } = {}) {
+  const { year, month, day, hour, weekday } = zonedParts(format, now);
+
+  switch (period) {
+    case 'hour':
+      return { start: zonedTime(format, year, month, day, hour), end: zonedTime(format, year, month, day, hour + 1) };
+    case 'day':
+      return { start: zonedTime(format, year, month, day), end: zonedTime(format, year, month, day + 1) };
+    case 'week': {
+      const first = day - ((weekday - weekStart + 7) % 7);
+      return { start: zonedTime(format, year, month, first), end: zonedTime(format, year, month, first + 7) };
+    }
+    case 'month':
+      return { start: zonedTime(format, year, month, 1), end: zonedTime(format, year, month + 1, 1) };
+    default:
+      throw new ValidationError(`period must be one of: ${PERIODS.join(', ')}`, 'period');
+  }
+}
+
+module.exports = {
+  PERIODS,
+  zonedFormat,
+  zonedParts,
+  zonedTime,
+  periodBounds
+};
@@ -0,0 +1,170 @@
+/**
+ * Declarative match conditions for named rules
+ * A `match` object is compiled once into a predicate over the normalized
+ * request. Every condition it lists must hold.
+ */
+
+const { ValidationError, validateNonNegativeInteger } = require('./validation');
+const { compilePattern, matchPattern } = require('./path-pattern');
+const { zonedFormat, zonedParts } = require('./calendar');
+
+const CONDITIONS = ['path', 'method', 'headers', 'query', 'body', 'role', 'contentLength', 'time'];
+
+/**
+ * Compile a value matcher: a string for equality, a RegExp, or true/false
+ * for presence/absence. Arrays (repeated headers or query params) match if
+ * any element does.
+ * @param {*} expected
+ * @param {string} name - Field name for error messages
+ * @returns {Function} value => boolean
+ */
+function compileValue(expected, name) {
+  if (expected === true || expected === false) {
+    return value => (value !== undefined && value !== null) === expected;
+  }
+
+  let test;
+  if (expected instanceof RegExp) {
+    test = value => expected.test(String(value));
+  } else if (['string', 'number'].includes(typeof expected)) {
+    test = value => String(value) === String(expected);
+  } else {
+    throw new ValidationError(`${name} must be a string, a RegExp, true or false`, name);
+  }
+
+  return (value) => {
+    if (value === undefined || value === null) {
+      return false;
+    }
+    return Array.isArray(value) ? value.some(test) : test(value);
+  };
+}
+
+/**
+ * `{ name: matcher }` over a record, or an array of names that must be present
+ */
+function compileFields(spec, condition, read) {
+  const fields = spec && typeof spec === 'object' && !(spec instanceof RegExp)
+    ? (Array.isArray(spec) ? spec.map(field => [field, true]) : Object.entries(spec))
+    : [];
+
+  if (fields.length === 0) {
+    throw new ValidationError(`match.${condition} must be a non-empty object or array of names`, condition);
+  }
+
+  const tests = fields.map(([field, expected]) => {
+    const test = compileValue(expected, `match.${condition}.${field}`);
+    return record => test(read(record, field));
+  });
+
+  return record => tests.every(test => test(record || {}));
+}
+
+function readPath(record, field) {
+  return field.split('.').reduce((value, part) => (value === undefined || value === null ? undefined : value[part]), record);
+}
+
+function parseClock(value, name) {
+  const clock = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(value);
+  if (!clock) {
+    throw new ValidationError(`${name} must be a time of day as HH:MM`, name);
+  }
+  return Number(clock[1]) * 60 + Number(clock[2]);
+}
+
+function compileTime({ from, to, timezone = 'UTC' } = {}) {
+  const start = parseClock(from, 'match.time.from');
+  const end = parseClock(to, 'match.time.to');
+
+  const format = zonedFormat(timezone, 'match.time.timezone');
+
+  // `to` is exclusive; a window with from > to wraps past midnight
+  return () => {
+    const { hour, minute } = zonedParts(format, Date.now());
+    const current = hour * 60 + minute;
+    return start <= end
+      ? current >= start && current < end
+      : current >= start || current < end;
+  };
+}
+
+function compileContentLength({ min, max } = {}) {
+  const low = min !== undefined ? validateNonNegativeInteger(min, 'match.contentLength.min') : 0;
+  const high = max !== undefined ? validateNonNegativeInteger(max, 'match.contentLength.max') : Infinity;
+
+  // A request without Content-Length has no body as far as we can tell
+  return (requestInfo) => {
+    const header = requestInfo.headers && requestInfo.headers['content-length'];
+    const length = header !== undefined ? Number(header) : 0;
+    return length >= low && length <= high;
+  };
+}
+
+const COMPILERS = {
+  path(route) {
+    const pattern = compilePattern(route);
+    return requestInfo => matchPattern(pattern, requestInfo.path || '/') !== null;
+  },
+
+  method(method) {
+    const methods = [].concat(method).map(name => String(name).toUpperCase());
+    return requestInfo => methods.includes(String(requestInfo.method).toUpperCase());
+  },
+
+  headers(spec) {
+    const test = compileFields(spec, 'headers', (record, field) => record[field.toLowerCase()]);
+    return requestInfo => test(requestInfo.headers);
+  },
+
+  query(spec) {
+    const test = compileFields(spec, 'query', (record, field) => record[field]);
+    return requestInfo => test(requestInfo.query);
+  },
+
+  body(spec) {
+    const test = compileFields(spec, 'body', readPath);
+    return requestInfo => test(requestInfo.body);
+  },
+
+  role(role) {
+    const roles = [].concat(role).map(String);
+    return (requestInfo) => {
+      const user = requestInfo.user || {};
+      const held = [].concat(user.roles || [], user.role !== undefined ? user.role : []);
+      return held.some(name => roles.includes(String(name)));
+    };
+  },
+
+  contentLength: compileContentLength,
+  time: compileTime
+};
+
+/**
+ * Compile a rule's `match` object into a predicate
+ * @param {Object|null} [match] - path, method, headers, query, body, role,
+ *   contentLength, time; null or undefined for no conditions
+ * @returns {Function} requestInfo => boolean
+ * @throws {ValidationError} If `match` is not an object, or on unknown or
+ *   malformed conditions
+ */
+function compileConditions(match) {
+  if (match === undefined || match === null) {
+    match = {};
+  } else if (typeof match !== 'object' || Array.isArray(match)) {
+    throw new ValidationError('match must be an object of conditions', 'match');
+  }
+
+  const tests = Object.entries(match).map(([condition, spec]) => {
+    if (!CONDITIONS.includes(condition)) {
+      throw new ValidationError(`match.${condition} is not a condition; use one of: ${CONDITIONS.join(', ')}`, condition);
+    }
+    return COMPILERS[condition](spec);
+  });
+
+  return requestInfo => tests.every(test => test(requestInfo));
+}
+
+module.exports = {
+  CONDITIONS,
+  compileConditions
+};
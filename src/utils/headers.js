@@ -0,0 +1,157 @@
+/**
+ * Rate limit response header formats for rate-guard
+ *
+ * - legacy: X-RateLimit-Limit / -Remaining / -Reset (reset as a Unix timestamp)
+ * - draft-7: `RateLimit` and `RateLimit-Policy` as in
+ *   draft-ietf-httpapi-ratelimit-headers-07
+ * - draft-8: named policies with partition keys as in
+ *   draft-ietf-httpapi-ratelimit-headers-08
+ * - both: legacy plus draft-8
+ *
+ * Results carrying a calendar quota also get Quota-Limit / -Remaining /
+ * -Reset (seconds until the period ends) / -Period in every mode except
+ * none (`headers: false`).
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Header modes accepted by the `headers` option
+ */
+const HEADER_MODES = ['legacy', 'draft-7', 'draft-8', 'both'];
+
+/**
+ * Resolve the `headers` option to a mode; `true` is the historical spelling
+ * of 'legacy' and `false` turns the rate limit headers off
+ * @param {boolean|string} [value]
+ * @returns {string|null} - Header mode, or null for none
+ */
+function resolveHeaderMode(value = true) {
+  if (value === true) return 'legacy';
+  if (value === false) return null;
+  return value;
+}
+
+/**
+ * Opaque partition key for a client key. Hashed so the headers never
+ * echo an IP address or API key back to the client.
+ * @param {string} key - Client key
+ * @returns {string} - Base64 of the first 12 bytes of SHA-256
+ */
+function partitionKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest().subarray(0, 12).toString('base64');
+}
+
+function seconds(ms) {
+  return Math.max(0, Math.ceil(ms / 1000));
+}
+
+/**
+ * One policy per enforced window: every window of a multi-window limit,
+ * otherwise the single limit of the result
+ * @param {Object} result - Result of RateLimitMiddleware#checkLimit()
+ * @returns {Array<{name: string, quota: number, window: number|null, remaining: number, reset: number}>}
+ */
+function policies(result, now = Date.now()) {
+  const windows = result.limits || [{
+    windowMs: result.windowMs,
+    total: result.limit,
+    remaining: result.remaining,
+    resetAt: result.resetAt
+  }];
+
+  return windows.map(({ windowMs, total, remaining, resetAt }) => {
+    const window = windowMs ? seconds(windowMs) : null;
+    return {
+      name: window ? `${total}-in-${window}s` : `${total}-concurrent`,
+      quota: total,
+      window,
+      remaining: Math.max(0, remaining),
+      reset: seconds(resetAt.getTime() - now)
+    };
+  });
+}
+
+function legacyHeaders(result) {
+  return {
+    'X-RateLimit-Limit': result.limit,
+    'X-RateLimit-Remaining': Math.max(0, result.remaining),
+    'X-RateLimit-Reset': result.resetTime
+  };
+}
+
+function draft7Headers(result, now = Date.now()) {
+  const policy = policies(result, now)
+    .map(({ quota, window }) => (window ? `${quota};w=${window}` : `${quota}`))
+    .join(', ');
+
+  return {
+    'RateLimit': `limit=${result.limit}, remaining=${Math.max(0, result.remaining)}, ` +
+      `reset=${seconds(result.resetAt.getTime() - now)}`,
+    'RateLimit-Policy': policy
+  };
+}
+
+function draft8Headers(result, now = Date.now()) {
+  const pk = result.key !== undefined ? `;pk=:${partitionKey(result.key)}:` : '';
+  const applied = policies(result, now);
+
+  return {
+    'RateLimit': applied
+      .map(({ name, remaining, reset }) => `"${name}";r=${remaining};t=${reset}${pk}`)
+      .join(', '),
+    'RateLimit-Policy': applied
+      .map(({ name, quota, window }) => `"${name}";q=${quota}${window ? `;w=${window}` : ''}${pk}`)
+      .join(', ')
+  };
+}
+
+/**
+ * Quota headers for the usage returned by QuotaManager
+ * @param {Object} usage - Result of QuotaManager#consume() or getUsage()
+ * @returns {Object<string, number|string>}
+ */
+function quotaHeaders(usage, now = Date.now()) {
+  return {
+    'Quota-Limit': usage.limit,
+    'Quota-Remaining': usage.remaining,
+    'Quota-Reset': seconds(usage.resetAt.getTime() - now),
+    'Quota-Period': usage.period
+  };
+}
+
+function limitHeaders(result, mode) {
+  switch (mode) {
+    case 'legacy':
+      return legacyHeaders(result);
+    case 'draft-7':
+      return draft7Headers(result);
+    case 'draft-8':
+      return draft8Headers(result);
+    case 'both':
+      return { ...legacyHeaders(result), ...draft8Headers(result) };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Rate limit headers for a result in the given mode, without Retry-After,
+ * plus the quota headers when the result has a quota
+ * @param {Object} result - Result of RateLimitMiddleware#checkLimit()
+ * @param {string|null} mode - One of HEADER_MODES, or null for none
+ * @returns {Object<string, number|string>}
+ */
+function formatHeaders(result, mode) {
+  const headers = limitHeaders(result, mode);
+  return mode && result.quota ? { ...headers, ...quotaHeaders(result.quota) } : headers;
+}
+
+module.exports = {
+  HEADER_MODES,
+  resolveHeaderMode,
+  partitionKey,
+  policies,
+  quotaHeaders,
+  formatHeaders
+};
@@ -1,25 +1,42 @@
-/**
- * Utility exports for rate-guard
- */
-
-const validation = require('./validation');
-const errors = require('./errors');
-
-module.exports = {
-  // Validation exports
-  ValidationError: validation.ValidationError,
-  validatePositiveInteger: validation.validatePositiveInteger,
-  validateNonNegativeInteger: validation.validateNonNegativeInteger,
-  validateNonEmptyString: validation.validateNonEmptyString,
-  validateEnum: validation.validateEnum,
-  validateFunction: validation.validateFunction,
-  validateRateLimitOptions: validation.validateRateLimitOptions,
-
-  // Error exports
-  RateGuardError: errors.RateGuardError,
-  RateLimitExceededError: errors.RateLimitExceededError,
-  StoreError: errors.StoreError,
-  ConfigurationError: errors.ConfigurationError,
-  formatErrorResponse: errors.formatErrorResponse,
-  asyncErrorHandler: errors.asyncErrorHandler
-};
+/**
+ * Utility exports for rate-guard
+ */
+
+const validation = require('./validation');
+const errors = require('./errors');
+const ip = require('./ip');
+const headers = require('./headers');
+
+module.exports = {
+  // Validation exports
+  ALGORITHMS: validation.ALGORITHMS,
+  ValidationError: validation.ValidationError,
+  validatePositiveInteger: validation.validatePositiveInteger,
+  validateNonNegativeInteger: validation.validateNonNegativeInteger,
+  validateNonEmptyString: validation.validateNonEmptyString,
+  validateEnum: validation.validateEnum,
+  validateFunction: validation.validateFunction,
+  validateLimits: validation.validateLimits,
+  validateRateLimitOptions: validation.validateRateLimitOptions,
+
+  // IP exports
+  normalizeIp: ip.normalizeIp,
+  DEFAULT_IPV6_SUBNET: ip.DEFAULT_IPV6_SUBNET,
+  parseIp: ip.parseIp,
+  formatIp: ip.formatIp,
+  ipKey: ip.ipKey,
+  compileTrustedProxies: ip.compileTrustedProxies,
+  resolveClientIp: ip.resolveClientIp,
+
+  // Header exports
+  HEADER_MODES: headers.HEADER_MODES,
+  partitionKey: headers.partitionKey,
+
+  // Error exports
+  RateGuardError: errors.RateGuardError,
+  RateLimitExceededError: errors.RateLimitExceededError,
+  StoreError: errors.StoreError,
+  ConfigurationError: errors.ConfigurationError,
+  formatErrorResponse: errors.formatErrorResponse,
+  asyncErrorHandler: errors.asyncErrorHandler
+};
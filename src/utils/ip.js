@@ -0,0 +1,332 @@
+/**
+ * IP address utilities for rate-guard
+ */
+
+const { ValidationError } = require('./validation');
+
+/**
+ * IPv6 prefix length clients are grouped by. A /56 is a common allocation
+ * to a single subscriber, who can otherwise rotate through 2^72 addresses.
+ */
+const DEFAULT_IPV6_SUBNET = 56;
+
+/**
+ * Normalize an address for comparison: IPv4-mapped IPv6 addresses
+ * (::ffff:192.0.2.1) become plain IPv4
+ * @param {string} ip - Address to normalize
+ * @returns {string} - The normalized address
+ */
+function normalizeIp(ip) {
+  if (typeof ip !== 'string') {
+    return ip;
+  }
+
+  const trimmed = ip.trim();
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(trimmed);
+  return mapped ? mapped[1] : trimmed.toLowerCase();
+}
+
+function parseIPv4(address) {
+  const parts = address.split('.');
+  if (parts.length !== 4 || !parts.every(part => /^\d{1,3}$/.test(part))) {
+    return null;
+  }
+
+  const bytes = parts.map(Number);
+  return bytes.every(byte => byte <= 255) ? bytes : null;
+}
+
+function parseIPv6(address) {
+  const halves = address.split('::');
+  if (halves.length > 2) {
+    return null;
+  }
+
+  const groups = halves.map(half => (half ? half.split(':') : []));
+  const last = groups[groups.length - 1];
+
+  // A trailing dotted quad fills the last two groups
+  if (last.length > 0 && last[last.length - 1].includes('.')) {
+    const ipv4 = parseIPv4(last.pop());
+    if (!ipv4) {
+      return null;
+    }
+    last.push(((ipv4[0] << 8) | ipv4[1]).toString(16), ((ipv4[2] << 8) | ipv4[3]).toString(16));
+  }
+
+  const [head, tail = []] = groups;
+  const missing = 8 - head.length - tail.length;
+  if (halves.length === 1 ? missing !== 0 : missing < 1) {
+    return null;
+  }
+
+  const words = [...head, ...new Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+  if (!words.every(word => /^[0-9a-f]{1,4}$/i.test(word))) {
+    return null;
+  }
+
+  const bytes = [];
+  for (const word of words) {
+    const value = parseInt(word, 16);
+    bytes.push(value >> 8, value & 0xff);
+  }
+  return bytes;
+}
+
+/**
+ * Parse an IPv4 or IPv6 address into bytes. Brackets and zone ids are
+ * ignored, and IPv4-mapped IPv6 addresses are parsed as IPv4.
+ * @param {string} ip
+ * @returns {number[]|null} - 4 or 16 bytes, or null if not an address
+ */
+function parseIp(ip) {
+  if (typeof ip !== 'string') {
+    return null;
+  }
+
+  const address = ip.trim().replace(/^\[(.*)\]$/, '$1').split('%')[0];
+  if (!address.includes(':')) {
+    return parseIPv4(address);
+  }
+
+  const bytes = parseIPv6(address);
+  if (bytes && bytes.slice(0, 10).every(byte => byte === 0) && bytes[10] === 0xff && bytes[11] === 0xff) {
+    return bytes.slice(12);
+  }
+  return bytes;
+}
+
+/**
+ * Canonical text of a parsed address: dotted quad for IPv4, RFC 5952 for
+ * IPv6 (lower case, no leading zeros, longest zero run compressed)
+ * @param {number[]} bytes - 4 or 16 bytes
+ * @returns {string}
+ */
+function formatIp(bytes) {
+  if (bytes.length === 4) {
+    return bytes.join('.');
+  }
+
+  const words = [];
+  for (let i = 0; i < 16; i += 2) {
+    words.push((bytes[i] << 8) | bytes[i + 1]);
+  }
+
+  // Longest run of two or more zero words, the first one on a tie
+  let best = { start: -1, length: 1 };
+  for (let i = 0; i < 8; i++) {
+    let length = 0;
+    while (i + length < 8 && words[i + length] === 0) {
+      length++;
+    }
+    if (length > best.length) {
+      best = { start: i, length };
+    }
+  }
+
+  const hex = words.map(word => word.toString(16));
+  if (best.start === -1) {
+    return hex.join(':');
+  }
+  return `${hex.slice(0, best.start).join(':')}::${hex.slice(best.start + best.length).join(':')}`;
+}
+
+/**
+ * Rate limit key for a client address. IPv4 (including IPv4-mapped IPv6)
+ * is keyed per address; IPv6 is keyed per subnet, so a client cannot
+ * rotate through the addresses of its own prefix. Anything that is not
+ * an address is returned unchanged.
+ * @param {string} ip - Client address
+ * @param {number|false} [ipv6Subnet=56] - Prefix length to group IPv6 by,
+ *   or false to key every IPv6 address separately
+ * @returns {string} - e.g. `192.0.2.1` or `2001:db8:0:ab00::/56`
+ */
+function ipKey(ip, ipv6Subnet = DEFAULT_IPV6_SUBNET) {
+  const bytes = parseIp(ip);
+
+  if (!bytes) {
+    return ip;
+  }
+
+  if (bytes.length === 4 || ipv6Subnet === false) {
+    return formatIp(bytes);
+  }
+
+  const masked = bytes.map((byte, i) => {
+    const bits = Math.max(0, Math.min(8, ipv6Subnet - i * 8));
+    return byte & ((0xff << (8 - bits)) & 0xff);
+  });
+  return `${formatIp(masked)}/${ipv6Subnet}`;
+}
+
+/**
+ * Parse an address or CIDR range (`10.0.0.0/8`, `2001:db8::/32`)
+ * @param {string} range
+ * @param {string} [name] - Option name for error messages
+ * @returns {{bytes: number[], prefix: number}}
+ * @throws {ValidationError} If the range is malformed
+ */
+function parseCidr(range, name = 'trustedProxies') {
+  const [address, prefix, extra] = String(range).split('/');
+  const bytes = parseIp(address);
+  const bits = bytes ? bytes.length * 8 : 0;
+  let length = prefix === undefined ? bits : Number(prefix);
+
+  // ::ffff:10.0.0.0/104 is 10.0.0.0/8
+  if (bytes && bytes.length === 4 && address.includes(':') && prefix !== undefined) {
+    length -= 96;
+  }
+
+  const wellFormed = extra === undefined && (prefix === undefined || /^\d+$/.test(prefix));
+  if (!bytes || !wellFormed || !(length >= 0 && length <= bits)) {
+    throw new ValidationError(`${name} entry '${range}' is not an IP address or CIDR range`, name);
+  }
+
+  return { bytes, prefix: length };
+}
+
+/**
+ * Whether an address lies in a range returned by parseCidr()
+ * @param {{bytes: number[], prefix: number}} range
+ * @param {string} ip
+ * @returns {boolean}
+ */
+function cidrContains(range, ip) {
+  const bytes = parseIp(ip);
+  return bytes !== null && inRange(bytes, range);
+}
+
+function inRange(bytes, range) {
+  if (bytes.length !== range.bytes.length) {
+    return false;
+  }
+
+  for (let bit = 0; bit < range.prefix; bit += 8) {
+    const mask = (0xff << (8 - Math.min(8, range.prefix - bit))) & 0xff;
+    if ((bytes[bit / 8] & mask) !== (range.bytes[bit / 8] & mask)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Compile a list of trusted proxy addresses and CIDR ranges into a
+ * predicate. A function is returned as is.
+ * @param {string[]|Function} [trustedProxies]
+ * @returns {Function|null} - ip => boolean, or null when nothing is trusted
+ * @throws {ValidationError} If an entry is malformed
+ */
+function compileTrustedProxies(trustedProxies = []) {
+  if (typeof trustedProxies === 'function') {
+    return trustedProxies;
+  }
+
+  if (!Array.isArray(trustedProxies)) {
+    throw new ValidationError('trustedProxies must be an array of addresses or CIDR ranges', 'trustedProxies');
+  }
+
+  if (trustedProxies.length === 0) {
+    return null;
+  }
+
+  const ranges = trustedProxies.map(range => parseCidr(range));
+  return (ip) => {
+    const bytes = parseIp(ip);
+    return bytes !== null && ranges.some(range => inRange(bytes, range));
+  };
+}
+
+/**
+ * Strip the port from a forwarded address (`198.51.100.1:4711`,
+ * `[2001:db8::1]:4711`)
+ * @param {string} value
+ * @returns {string}
+ */
+function stripPort(value) {
+  const bracketed = /^\[([^\]]*)\](?::\d+)?$/.exec(value);
+  if (bracketed) {
+    return bracketed[1];
+  }
+  return /^[\d.]+:\d+$/.test(value) ? value.split(':')[0] : value;
+}
+
+/**
+ * `for=` values of a Forwarded header (RFC 7239), in order
+ * @param {string} header
+ * @returns {string[]}
+ */
+function parseForwarded(header) {
+  return header.split(',').map((element) => {
+    const pair = element.split(';')
+      .map(part => part.trim())
+      .find(part => /^for=/i.test(part));
+    return pair ? pair.slice(4).replace(/^"(.*)"$/, '$1') : 'unknown';
+  });
+}
+
+function headerValue(value) {
+  return Array.isArray(value) ? value.join(',') : value;
+}
+
+/**
+ * Addresses recorded by proxies, client first: X-Forwarded-For, or the
+ * Forwarded header when X-Forwarded-For is absent
+ * @param {Object} headers - Request headers with lower-case names
+ * @returns {string[]}
+ */
+function forwardedHops(headers = {}) {
+  const forwardedFor = headerValue(headers['x-forwarded-for']);
+  if (forwardedFor) {
+    return forwardedFor.split(',').map(hop => hop.trim()).filter(Boolean);
+  }
+
+  const forwarded = headerValue(headers.forwarded);
+  return forwarded ? parseForwarded(forwarded) : [];
+}
+
+/**
+ * Work out the client address of a request that arrived from
+ * `remoteAddress`. Forwarding headers are only believed as far as they
+ * were written by trusted proxies: starting from the socket peer, hops are
+ * walked right to left and the first untrusted address is the client.
+ * A hop that is not an address (`unknown`, obfuscated identifiers) stops
+ * the walk at the last trusted proxy.
+ * @param {string} remoteAddress - Socket peer address
+ * @param {Object} [headers] - Request headers with lower-case names
+ * @param {string[]|Function|null} [trustedProxies] - Addresses and CIDR ranges
+ *   of trusted proxies, or a compiled predicate
+ * @returns {string|undefined} - Client address
+ */
+function resolveClientIp(remoteAddress, headers = {}, trustedProxies = []) {
+  const isTrusted = trustedProxies === null ? null : compileTrustedProxies(trustedProxies);
+  let client = normalizeIp(remoteAddress);
+
+  if (!isTrusted || !client) {
+    return client;
+  }
+
+  const hops = forwardedHops(headers);
+  while (hops.length > 0 && isTrusted(client)) {
+    const hop = normalizeIp(stripPort(hops.pop()));
+    if (parseIp(hop) === null) {
+      break;
+    }
+    client = hop;
+  }
+
+  return client;
+}
+
+module.exports = {
+  DEFAULT_IPV6_SUBNET,
+  normalizeIp,
+  parseIp,
+  formatIp,
+  ipKey,
+  parseCidr,
+  cidrContains,
+  compileTrustedProxies,
+  parseForwarded,
+  resolveClientIp
+};
@@ -0,0 +1,199 @@
+/**
+ * Express-style path patterns for route rules
+ *
+ *   /users/:id        named parameter, one segment
+ *   /files/:name?     optional parameter
+ *   /api/v1.0/*       wildcard, the rest of the path (zero or more segments)
+ *   /assets/*path     named wildcard
+ *
+ * Everything else is literal: `.`, `+`, `(` etc. carry no regex meaning.
+ * Static segments compare case-insensitively, like Express' default router.
+ */
+
+const { ValidationError } = require('./validation');
+
+// Specificity of a segment, compared position by position
+const RANK = {
+  static: 4,
+  param: 3,
+  end: 2,
+  optional: 1,
+  wildcard: 0
+};
+
+/**
+ * Split a request path into decoded segments, ignoring the query string,
+ * repeated slashes and a trailing slash
+ * @param {string} path
+ * @returns {string[]}
+ */
+function splitPath(path) {
+  return String(path || '/')
+    .split(/[?#]/)[0]
+    .split('/')
+    .filter(Boolean)
+    .map((segment) => {
+      try {
+        return decodeURIComponent(segment);
+      } catch (error) {
+        return segment;
+      }
+    });
+}
+
+/**
+ * Compile a route pattern
+ * @param {string} route - Pattern such as `/users/:id`
+ * @returns {{route: string, segments: Object[], rank: number[]}}
+ * @throws {ValidationError} If the pattern is malformed
+ */
+function compilePattern(route) {
+  if (typeof route !== 'string' || !route.startsWith('/')) {
+    throw new ValidationError(`route '${route}' must be a path starting with '/'`, 'route');
+  }
+
+  const parts = route.split('/').filter(Boolean);
+  const segments = parts.map((part, index) => {
+    if (part.startsWith('*')) {
+      if (index !== parts.length - 1) {
+        throw new ValidationError(`route '${route}': a wildcard must be the last segment`, 'route');
+      }
+      return { type: 'wildcard', name: part.slice(1) || '*' };
+    }
+
+    const param = /^:(\w+)(\?)?$/.exec(part);
+    if (param) {
+      return { type: param[2] ? 'optional' : 'param', name: param[1] };
+    }
+
+    if (part.startsWith(':') || part.includes('*')) {
+      throw new ValidationError(`route '${route}': invalid segment '${part}'`, 'route');
+    }
+
+    return { type: 'static', value: part.toLowerCase() };
+  });
+
+  return { route, segments, rank: segments.map(segment => RANK[segment.type]) };
+}
+
+function matchFrom(segments, parts, i, j, params) {
+  if (i === segments.length) {
+    return j === parts.length;
+  }
+
+  const segment = segments[i];
+  switch (segment.type) {
+    case 'static':
+      return j < parts.length && parts[j].toLowerCase() === segment.value &&
+        matchFrom(segments, parts, i + 1, j + 1, params);
+    case 'param':
+      if (j < parts.length && matchFrom(segments, parts, i + 1, j + 1, params)) {
+        params[segment.name] = parts[j];
+        return true;
+      }
+      return false;
+    case 'optional':
+      if (j < parts.length && matchFrom(segments, parts, i + 1, j + 1, params)) {
+        params[segment.name] = parts[j];
+        return true;
+      }
+      return matchFrom(segments, parts, i + 1, j, params);
+    case 'wildcard':
+      params[segment.name] = parts.slice(j).join('/');
+      return true;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Match a compiled pattern against a path
+ * @param {Object} pattern - Result of compilePattern()
+ * @param {string|string[]} path - Request path, or its segments
+ * @returns {Object<string, string>|null} Matched params, or null
+ */
+function matchPattern(pattern, path) {
+  const parts = Array.isArray(path) ? path : splitPath(path);
+  const params = {};
+  return matchFrom(pattern.segments, parts, 0, 0, params) ? params : null;
+}
+
+/**
+ * Parse a route as given to setRouteRule(): a pattern that may start with
+ * the methods it applies to (`'POST,PUT /items/:id'`), or a RegExp
+ * @param {string|RegExp} route
+ * @param {string|string[]} [method] - Methods, when not given in the route
+ * @returns {{name: string, pattern: Object|RegExp, methods: string[]|null}}
+ *   `methods` is sorted and upper-case, null for any method
+ * @throws {ValidationError} If the route is malformed
+ */
+function parseRoute(route, method) {
+  let methods = method !== undefined ? [].concat(method) : null;
+  let pattern = route;
+
+  if (typeof route === 'string') {
+    const prefixed = /^([A-Za-z]+(?:,[A-Za-z]+)*)\s+(\S+)$/.exec(route.trim());
+    if (prefixed) {
+      methods = prefixed[1].split(',');
+      pattern = prefixed[2];
+    }
+    pattern = compilePattern(pattern);
+  } else if (!(route instanceof RegExp)) {
+    throw new ValidationError('route must be a path pattern or a RegExp', 'route');
+  }
+
+  if (methods) {
+    methods = methods.map(name => String(name).toUpperCase()).sort();
+    if (methods.includes('*')) {
+      methods = null;
+    }
+  }
+
+  return {
+    name: route instanceof RegExp ? route.toString() : pattern.route,
+    pattern,
+    methods
+  };
+}
+
+/**
+ * Identifies a route and its methods, so rules for the same ones replace
+ * each other
+ * @param {{name: string, methods: string[]|null}} route - Result of parseRoute()
+ * @returns {string}
+ */
+function routeId({ name, methods }) {
+  return `${methods ? methods.join(',') : '*'} ${name}`;
+}
+
+/**
+ * Order two patterns that matched the same path, most specific first.
+ * Segments are compared left to right: static beats a parameter, which
+ * beats the end of a shorter pattern, which beats an optional parameter,
+ * which beats a wildcard.
+ * @param {Object} a - Compiled pattern
+ * @param {Object} b - Compiled pattern
+ * @returns {number} Negative if `a` is more specific
+ */
+function compareSpecificity(a, b) {
+  const length = Math.max(a.rank.length, b.rank.length);
+
+  for (let i = 0; i < length; i++) {
+    const rankA = i < a.rank.length ? a.rank[i] : RANK.end;
+    const rankB = i < b.rank.length ? b.rank[i] : RANK.end;
+    if (rankA !== rankB) {
+      return rankB - rankA;
+    }
+  }
+
+  return 0;
+}
+
+module.exports = {
+  splitPath,
+  compilePattern,
+  matchPattern,
+  parseRoute,
+  routeId,
+  compareSpecificity
+};
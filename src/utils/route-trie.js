@@ -0,0 +1,222 @@
+/**
+ * Segment trie over route rules
+ * Lookup walks the request path once per branch it can take, so its cost
+ * depends on the path and the shape of the patterns, not on how many rules
+ * there are. At each segment the children are tried from most to least
+ * specific (static, `:param`, end of pattern, `:param?`, `*`), which is the
+ * order compareSpecificity() ranks patterns in.
+ */
+
+const { splitPath, matchPattern, compareSpecificity } = require('./path-pattern');
+
+function createNode() {
+  return {
+    statics: new Map(),
+    param: null,
+    optional: null,
+    entries: [],
+    wildcards: []
+  };
+}
+
+/**
+ * Order two matching entries, most specific first: path patterns before
+ * RegExp routes, then pattern specificity, then a rule for named methods
+ * before one for any method, then insertion order
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {number}
+ */
+function compareEntries(a, b) {
+  const regexA = a.pattern instanceof RegExp;
+  const regexB = b.pattern instanceof RegExp;
+  if (regexA !== regexB) {
+    return regexA ? 1 : -1;
+  }
+
+  const specificity = regexA ? 0 : compareSpecificity(a.pattern, b.pattern);
+  if (specificity !== 0) {
+    return specificity;
+  }
+
+  if (Boolean(a.methods) !== Boolean(b.methods)) {
+    return a.methods ? -1 : 1;
+  }
+
+  return a.order - b.order;
+}
+
+function appliesTo(entry, method) {
+  return !entry.methods || entry.methods.includes(method);
+}
+
+function better(candidate, best) {
+  return !best || compareEntries(candidate, best) < 0;
+}
+
+class RouteTrie {
+  /**
+   * @param {Object[]} [entries] - Route entries `{ pattern, methods, order }`
+   */
+  constructor(entries = []) {
+    this.root = createNode();
+    this.regexps = [];
+    this.size = 0;
+
+    for (const entry of entries) {
+      this.insert(entry);
+    }
+  }
+
+  /**
+   * @param {Object} entry - `pattern` is a compiled pattern or a RegExp
+   */
+  insert(entry) {
+    this.size++;
+
+    if (entry.pattern instanceof RegExp) {
+      this.regexps.push(entry);
+      return;
+    }
+
+    let node = this.root;
+    for (const segment of entry.pattern.segments) {
+      if (segment.type === 'wildcard') {
+        node.wildcards.push(entry);
+        return;
+      }
+
+      if (segment.type === 'static') {
+        if (!node.statics.has(segment.value)) {
+          node.statics.set(segment.value, createNode());
+        }
+        node = node.statics.get(segment.value);
+      } else {
+        node[segment.type] = node[segment.type] || createNode();
+        node = node[segment.type];
+      }
+    }
+
+    node.entries.push(entry);
+  }
+
+  /**
+   * Most specific entry matching a request
+   * @param {string} path - Request path
+   * @param {string|null} method - Upper-case HTTP method
+   * @returns {{entry: Object, params: Object<string, string>}|null}
+   */
+  lookup(path, method) {
+    const parts = splitPath(path);
+    const state = { best: null };
+
+    this.walk(this.root, parts, 0, method, state);
+
+    if (state.best) {
+      return { entry: state.best, params: matchPattern(state.best.pattern, parts) };
+    }
+
+    // RegExp routes cannot be indexed and rank below every pattern
+    return this.scanRegexps(path, method);
+  }
+
+  walk(node, parts, j, method, state) {
+    // A match below a more specific branch outranks everything that
+    // follows, except entries with the very same ranks (methods, order)
+    const found = state.best;
+
+    if (j < parts.length) {
+      const child = node.statics.get(parts[j].toLowerCase());
+      if (child) {
+        this.walk(child, parts, j + 1, method, state);
+      }
+      if (node.param && state.best === found) {
+        this.walk(node.param, parts, j + 1, method, state);
+      }
+    }
+
+    if (state.best !== found) {
+      return;
+    }
+
+    if (j === parts.length) {
+      for (const entry of node.entries) {
+        if (appliesTo(entry, method) && better(entry, state.best)) {
+          state.best = entry;
+        }
+      }
+      if (state.best !== found) {
+        return;
+      }
+    }
+
+    if (node.optional) {
+      if (j < parts.length) {
+        this.walk(node.optional, parts, j + 1, method, state);
+      }
+      this.walk(node.optional, parts, j, method, state);
+      if (state.best !== found) {
+        return;
+      }
+    }
+
+    for (const entry of node.wildcards) {
+      if (appliesTo(entry, method) && better(entry, state.best)) {
+        state.best = entry;
+      }
+    }
+  }
+
+  scanRegexps(path, method) {
+    let best = null;
+    for (const entry of this.regexps) {
+      if (appliesTo(entry, method) && better(entry, best) && entry.pattern.test(path)) {
+        best = entry;
+      }
+    }
+
+    if (!best) {
+      return null;
+    }
+
+    const found = best.pattern.exec(path);
+    return { entry: best, params: { ...found.groups } };
+  }
+
+  /**
+   * Linear reference for lookup(): test every entry against the path
+   * @param {Object[]} entries
+   * @param {string} path
+   * @param {string|null} method
+   * @returns {{entry: Object, params: Object<string, string>}|null}
+   */
+  static scan(entries, path, method) {
+    const parts = splitPath(path);
+    let best = null;
+
+    for (const entry of entries) {
+      if (!appliesTo(entry, method)) {
+        continue;
+      }
+
+      let params;
+      if (entry.pattern instanceof RegExp) {
+        const found = entry.pattern.exec(path);
+        params = found ? { ...found.groups } : null;
+      } else {
+        params = matchPattern(entry.pattern, parts);
+      }
+
+      if (params && (!best || compareEntries(entry, best.entry) < 0)) {
+        best = { entry, params };
+      }
+    }
+
+    return best;
+  }
+}
+
+module.exports = {
+  RouteTrie,
+  compareEntries
+};
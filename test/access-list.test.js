@@ -0,0 +1,199 @@
+const { AccessList, hashApiKey } = require('../src/access-list');
+const { createMiddleware } = require('../src/middleware');
+const { MemoryStore } = require('../src/stores/memory');
+
+describe('AccessList', () => {
+  let store;
+  let accessList;
+
+  beforeEach(() => {
+    store = new MemoryStore({ autoCleanup: false });
+    accessList = new AccessList({ store });
+  });
+
+  afterEach(() => {
+    store.destroy();
+  });
+
+  describe('matchers', () => {
+    it('should match IPv4 and IPv6 CIDR ranges', async () => {
+      await accessList.allow({ cidr: '10.0.0.0/8' });
+      await accessList.deny({ cidr: '2001:db8::/32' });
+
+      expect((await accessList.check({ ip: '10.20.30.40' })).action).toBe('allow');
+      expect((await accessList.check({ ip: '2001:db8:1::1' })).action).toBe('deny');
+      expect(await accessList.check({ ip: '192.0.2.1' })).toBeNull();
+    });
+
+    it('should match exact user ids', async () => {
+      await accessList.deny({ userId: 42 });
+
+      expect((await accessList.check({ user: { id: 42 } })).action).toBe('deny');
+      expect(await accessList.check({ user: { id: 420 } })).toBeNull();
+      expect(await accessList.check({ user: null })).toBeNull();
+    });
+
+    it('should match API keys without storing them in clear', async () => {
+      await accessList.allow({ apiKey: 'secret-key' });
+
+      expect((await accessList.check({ headers: { 'x-api-key': 'secret-key' } })).action).toBe('allow');
+      expect(await accessList.check({ headers: { 'x-api-key': 'other' } })).toBeNull();
+      expect(JSON.stringify(await store.get('access-list'))).not.toContain('secret-key');
+      expect((await accessList.entries())[0].value).toBe(hashApiKey('secret-key'));
+    });
+
+    it('should read the API key from a configured header', async () => {
+      const custom = new AccessList({ store, key: 'custom', apiKeyHeader: 'X-Partner-Key', allow: [{ apiKey: 'p1' }] });
+      expect((await custom.check({ headers: { 'x-partner-key': 'p1' } })).action).toBe('allow');
+    });
+
+    it('should let a deny entry win over an allow entry', async () => {
+      await accessList.allow({ cidr: '10.0.0.0/8' });
+      await accessList.deny({ userId: 'abuser' });
+
+      const match = await accessList.check({ ip: '10.0.0.1', user: { id: 'abuser' } });
+      expect(match.action).toBe('deny');
+      expect(match.entry).toEqual(expect.objectContaining({ type: 'userId', value: 'abuser' }));
+    });
+
+    it('should reject malformed matchers', () => {
+      expect(() => accessList.createEntry('allow', {})).toThrow('matcher must have exactly one of: cidr, userId, apiKey');
+      expect(() => accessList.createEntry('allow', { cidr: '10.0.0.1', userId: 'u' })).toThrow('exactly one');
+      expect(() => accessList.createEntry('allow', { cidr: '10.0.0.0/99' })).toThrow('cidr entry \'10.0.0.0/99\'');
+      expect(() => accessList.createEntry('block', { userId: 'u' })).toThrow('action must be one of: allow, deny');
+      expect(() => new AccessList({ denyStatus: 500 })).toThrow('denyStatus must be one of: 403, 429');
+    });
+
+    it('should refuse a store without the record field methods', () => {
+      const plain = { get: async () => null, set: async () => {} };
+      expect(() => new AccessList({ store: plain })).toThrow('The access list needs a store implementing \'getFields\'');
+    });
+  });
+
+  describe('entries', () => {
+    it('should replace the entry for the same subject', async () => {
+      await accessList.allow({ cidr: '10.0.0.1' });
+      await accessList.deny({ cidr: '10.0.0.1/32' }, { reason: 'abuse' });
+
+      expect(await accessList.entries()).toEqual([
+        { action: 'deny', type: 'cidr', value: '10.0.0.1/32', expiresAt: null, reason: 'abuse' }
+      ]);
+    });
+
+    it('should expire entries', async () => {
+      await accessList.deny({ userId: 'u1' }, { ttlMs: 20 });
+      await accessList.deny({ userId: 'u2' }, { expiresAt: new Date(Date.now() - 1) });
+
+      expect((await accessList.check({ user: { id: 'u1' } })).action).toBe('deny');
+      expect(await accessList.check({ user: { id: 'u2' } })).toBeNull();
+
+      await new Promise(resolve => setTimeout(resolve, 30));
+      expect(await accessList.check({ user: { id: 'u1' } })).toBeNull();
+    });
+
+    it('should remove shared entries', async () => {
+      await accessList.deny({ userId: 'u1' });
+
+      expect(await accessList.remove({ userId: 'u1' })).toBe(true);
+      expect(await accessList.remove({ userId: 'u1' })).toBe(false);
+      expect(await accessList.check({ user: { id: 'u1' } })).toBeNull();
+    });
+
+    it('should keep static entries out of the store', async () => {
+      const local = new AccessList({ store, allow: [{ cidr: '127.0.0.1' }], deny: [{ userId: 'banned' }] });
+
+      expect((await local.check({ ip: '127.0.0.1' })).action).toBe('allow');
+      expect((await local.check({ user: { id: 'banned' } })).action).toBe('deny');
+      expect(await store.get('access-list')).toBeNull();
+    });
+
+    it('should share entries between instances through the store', async () => {
+      const other = new AccessList({ store, cacheMs: 0 });
+      await accessList.deny({ cidr: '198.51.100.0/24' });
+
+      expect((await other.check({ ip: '198.51.100.9' })).action).toBe('deny');
+    });
+
+    it('should keep entries written by several instances at the same time', async () => {
+      const other = new AccessList({ store, cacheMs: 0 });
+
+      await Promise.all([
+        accessList.deny({ userId: 'u1' }),
+        other.deny({ userId: 'u2' }),
+        accessList.allow({ cidr: '10.0.0.0/8' }),
+        other.allow({ userId: 'u3' })
+      ]);
+
+      expect((await other.entries()).map(entry => entry.value).sort()).toEqual(['10.0.0.0/8', 'u1', 'u2', 'u3']);
+    });
+
+    it('should delete expired entries from the store on the next write', async () => {
+      await accessList.deny({ userId: 'u1' }, { expiresAt: Date.now() - 1 });
+      await accessList.deny({ userId: 'u2' });
+
+      expect(Object.keys(await store.getFields('access-list'))).toEqual(['userId:u2']);
+    });
+
+    it('should read the store at most once per cacheMs', async () => {
+      const cached = new AccessList({ store, cacheMs: 60000 });
+      const get = jest.spyOn(store, 'getFields');
+
+      await Promise.all([cached.check({ ip: '10.0.0.1' }), cached.check({ ip: '10.0.0.2' })]);
+      await cached.check({ ip: '10.0.0.3' });
+      expect(get).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('middleware', () => {
+    const requestInfo = { ip: '203.0.113.5', path: '/api', headers: {} };
+
+    it('should let allowed requests bypass the limiter', async () => {
+      const middleware = createMiddleware({ store, maxRequests: 1, accessList });
+      await accessList.allow({ cidr: '203.0.113.0/24' });
+
+      for (let i = 0; i < 3; i++) {
+        const decision = await middleware.evaluate(requestInfo);
+        expect(decision).toEqual(expect.objectContaining({ allowed: true, skipped: true, result: null }));
+      }
+      expect(await store.keys('203.*')).toEqual([]);
+    });
+
+    it('should refuse denied requests before the limiter', async () => {
+      const middleware = createMiddleware({ store, maxRequests: 100, accessList });
+      await accessList.deny({ cidr: '203.0.113.5' }, { reason: 'scraping' });
+
+      const decision = await middleware.evaluate(requestInfo);
+      expect(decision.status).toBe(403);
+      expect(decision.body).toEqual({ error: 'Forbidden', message: 'Access denied' });
+      expect(decision.access.entry.reason).toBe('scraping');
+      expect(await store.keys('203.*')).toEqual([]);
+    });
+
+    it('should answer with the configured deny status in express() without calling onRateLimited', async () => {
+      const onRateLimited = jest.fn();
+      const middleware = createMiddleware({
+        store,
+        onRateLimited,
+        accessList: new AccessList({ store, denyStatus: 429, deny: [{ apiKey: 'revoked' }] })
+      });
+      const req = { ip: '203.0.113.5', path: '/api', headers: { 'x-api-key': 'revoked' } };
+      const res = { setHeader: jest.fn(), status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+
+      await middleware.express()(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(429);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Too Many Requests', message: 'Access denied' });
+      expect(onRateLimited).not.toHaveBeenCalled();
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should call next() without an error for allowed requests', async () => {
+      const middleware = createMiddleware({ store, accessList: new AccessList({ store, allow: [{ userId: 'ops' }] }) });
+      const next = jest.fn();
+
+      await middleware.express()({ ip: '203.0.113.5', path: '/', headers: {}, user: { id: 'ops' } }, { setHeader: jest.fn() }, next);
+      expect(next).toHaveBeenCalledWith();
+    });
+  });
+});
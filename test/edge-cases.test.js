@@ -1,131 +1,257 @@
-const { SlidingWindowLimiter, TokenBucketLimiter } = require('../src/limiters');
-const { MemoryStore } = require('../src/stores/memory');
-
-describe('Edge Cases', () => {
-  let store;
-
-  beforeEach(() => {
-    store = new MemoryStore({ autoCleanup: false });
-  });
-
-  afterEach(() => {
-    store.destroy();
-  });
-
-  describe('TokenBucketLimiter edge cases', () => {
-    test('should handle tokensRequired of 0', async () => {
-      const limiter = new TokenBucketLimiter(store, {
-        bucketSize: 10,
-        refillRate: 1,
-        refillInterval: 1000
-      });
-
-      const result = await limiter.isAllowed('test-key', 0);
-      expect(result.allowed).toBe(true);
-    });
-
-    test('should handle negative tokensRequired', async () => {
-      const limiter = new TokenBucketLimiter(store, {
-        bucketSize: 10,
-        refillRate: 1,
-        refillInterval: 1000
-      });
-
-      const result = await limiter.isAllowed('test-key', -5);
-      expect(result.allowed).toBe(true);
-    });
-
-    test('should reject requests exceeding bucket capacity', async () => {
-      const limiter = new TokenBucketLimiter(store, {
-        bucketSize: 10,
-        refillRate: 1,
-        refillInterval: 1000
-      });
-
-      const result = await limiter.isAllowed('test-key', 15);
-      expect(result.allowed).toBe(false);
-      expect(result.reason).toBe('Request exceeds bucket capacity');
-    });
-
-    test('should handle corrupted bucket data', async () => {
-      const limiter = new TokenBucketLimiter(store, {
-        bucketSize: 10,
-        refillRate: 1,
-        refillInterval: 1000
-      });
-
-      // Set corrupted data
-      await store.set('test-key', { tokens: NaN, lastRefill: Date.now() });
-
-      const result = await limiter.isAllowed('test-key', 1);
-      expect(result.allowed).toBe(true);
-      expect(typeof result.remaining).toBe('number');
-      expect(isNaN(result.remaining)).toBe(false);
-    });
-
-    test('getStatus should return full bucket for new keys', async () => {
-      const limiter = new TokenBucketLimiter(store, {
-        bucketSize: 10,
-        refillRate: 1,
-        refillInterval: 1000
-      });
-
-      const status = await limiter.getStatus('new-key');
-      expect(status.tokens).toBe(10);
-      expect(status.bucketSize).toBe(10);
-    });
-  });
-
-  describe('SlidingWindowLimiter edge cases', () => {
-    test('should handle rapid concurrent requests', async () => {
-      const limiter = new SlidingWindowLimiter(store, {
-        windowMs: 1000,
-        maxRequests: 5
-      });
-
-      // Simulate concurrent requests
-      const results = await Promise.all([
-        limiter.isAllowed('concurrent-key'),
-        limiter.isAllowed('concurrent-key'),
-        limiter.isAllowed('concurrent-key'),
-        limiter.isAllowed('concurrent-key'),
-        limiter.isAllowed('concurrent-key')
-      ]);
-
-      const allowedCount = results.filter(r => r.allowed).length;
-      expect(allowedCount).toBe(5);
-    });
-
-    test('should handle 6th concurrent request correctly', async () => {
-      const limiter = new SlidingWindowLimiter(store, {
-        windowMs: 1000,
-        maxRequests: 5
-      });
-
-      // Simulate 6 concurrent requests
-      const results = await Promise.all([
-        limiter.isAllowed('concurrent-key'),
-        limiter.isAllowed('concurrent-key'),
-        limiter.isAllowed('concurrent-key'),
-        limiter.isAllowed('concurrent-key'),
-        limiter.isAllowed('concurrent-key'),
-        limiter.isAllowed('concurrent-key')
-      ]);
-
-      const allowedCount = results.filter(r => r.allowed).length;
-      expect(allowedCount).toBe(5);
-    });
-  });
-
-  describe('createLimiter edge cases', () => {
-    const { createLimiter } = require('../src/limiters');
-
-    test('should throw error for missing store', () => {
-      expect(() => createLimiter('token-bucket', null)).toThrow('Store is required');
-    });
-
-    test('should throw error for unknown limiter type', () => {
-      expect(() => createLimiter('unknown-type', store)).toThrow('Unknown limiter type');
-    });
-  });
-});
+const { SlidingWindowLimiter, TokenBucketLimiter } = require('../src/limiters');
+const { MemoryStore } = require('../src/stores/memory');
+
+describe('Edge Cases', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new MemoryStore({ autoCleanup: false });
+  });
+
+  afterEach(() => {
+    store.destroy();
+  });
+
+  describe('TokenBucketLimiter edge cases', () => {
+    test('should handle tokensRequired of 0', async () => {
+      const limiter = new TokenBucketLimiter(store, {
+        bucketSize: 10,
+        refillRate: 1,
+        refillInterval: 1000
+      });
+
+      const result = await limiter.isAllowed('test-key', 0);
+      expect(result.allowed).toBe(true);
+    });
+
+    test('should handle negative tokensRequired', async () => {
+      const limiter = new TokenBucketLimiter(store, {
+        bucketSize: 10,
+        refillRate: 1,
+        refillInterval: 1000
+      });
+
+      const result = await limiter.isAllowed('test-key', -5);
+      expect(result.allowed).toBe(true);
+    });
+
+    test('should reject requests exceeding bucket capacity', async () => {
+      const limiter = new TokenBucketLimiter(store, {
+        bucketSize: 10,
+        refillRate: 1,
+        refillInterval: 1000
+      });
+
+      const result = await limiter.isAllowed('test-key', 15);
+      expect(result.allowed).toBe(false);
+      expect(result.reason).toBe('Request exceeds bucket capacity');
+    });
+
+    test('should handle corrupted bucket data', async () => {
+      const limiter = new TokenBucketLimiter(store, {
+        bucketSize: 10,
+        refillRate: 1,
+        refillInterval: 1000
+      });
+
+      // Set corrupted data
+      await store.set('test-key', { tokens: NaN, lastRefill: Date.now() });
+
+      const result = await limiter.isAllowed('test-key', 1);
+      expect(result.allowed).toBe(true);
+      expect(typeof result.remaining).toBe('number');
+      expect(isNaN(result.remaining)).toBe(false);
+    });
+
+    test('getStatus should return full bucket for new keys', async () => {
+      const limiter = new TokenBucketLimiter(store, {
+        bucketSize: 10,
+        refillRate: 1,
+        refillInterval: 1000
+      });
+
+      const status = await limiter.getStatus('new-key');
+      expect(status.tokens).toBe(10);
+      expect(status.bucketSize).toBe(10);
+    });
+  });
+
+  describe('SlidingWindowLimiter edge cases', () => {
+    test('should handle rapid concurrent requests', async () => {
+      const limiter = new SlidingWindowLimiter(store, {
+        windowMs: 1000,
+        maxRequests: 5
+      });
+
+      // Simulate concurrent requests
+      const results = await Promise.all([
+        limiter.isAllowed('concurrent-key'),
+        limiter.isAllowed('concurrent-key'),
+        limiter.isAllowed('concurrent-key'),
+        limiter.isAllowed('concurrent-key'),
+        limiter.isAllowed('concurrent-key')
+      ]);
+
+      const allowedCount = results.filter(r => r.allowed).length;
+      expect(allowedCount).toBe(5);
+    });
+
+    test('should handle 6th concurrent request correctly', async () => {
+      const limiter = new SlidingWindowLimiter(store, {
+        windowMs: 1000,
+        maxRequests: 5
+      });
+
+      // Simulate 6 concurrent requests
+      const results = await Promise.all([
+        limiter.isAllowed('concurrent-key'),
+        limiter.isAllowed('concurrent-key'),
+        limiter.isAllowed('concurrent-key'),
+        limiter.isAllowed('concurrent-key'),
+        limiter.isAllowed('concurrent-key'),
+        limiter.isAllowed('concurrent-key')
+      ]);
+
+      const allowedCount = results.filter(r => r.allowed).length;
+      expect(allowedCount).toBe(5);
+    });
+  });
+
+  describe('createLimiter edge cases', () => {
+    const { createLimiter } = require('../src/limiters');
+
+    test('should throw error for missing store', () => {
+      expect(() => createLimiter('token-bucket', null)).toThrow('Store is required');
+    });
+
+    test('should throw error for unknown limiter type', () => {
+      expect(() => createLimiter('unknown-type', store)).toThrow('Unknown limiter type');
+    });
+  });
+
+  describe('IPv6 subnet keying', () => {
+    const { ipKey, formatIp, parseIp } = require('../src/utils/ip');
+    const { RuleEngine } = require('../src/rules');
+
+    test('should key every address of a /56 the same way', () => {
+      expect(ipKey('2001:db8:0:ab12::1')).toBe('2001:db8:0:ab00::/56');
+      expect(ipKey('2001:db8:0:abff:ffff:ffff:ffff:ffff')).toBe('2001:db8:0:ab00::/56');
+      expect(ipKey('2001:db8:0:ac00::1')).toBe('2001:db8:0:ac00::/56');
+    });
+
+    test('should give compressed and expanded notations the same key', () => {
+      const key = ipKey('2001:db8::1', 64);
+      expect(key).toBe('2001:db8::/64');
+      expect(ipKey('2001:0DB8:0000:0000:0000:0000:0000:0001', 64)).toBe(key);
+      expect(ipKey('2001:db8:0:0::ffff', 64)).toBe(key);
+      expect(ipKey('[2001:db8::abcd]', 64)).toBe(key);
+    });
+
+    test('should key IPv4 and IPv4-mapped IPv6 per address', () => {
+      expect(ipKey('192.0.2.1')).toBe('192.0.2.1');
+      expect(ipKey('::ffff:192.0.2.1')).toBe('192.0.2.1');
+      expect(ipKey('::FFFF:c000:0201')).toBe('192.0.2.1');
+      expect(ipKey('0:0:0:0:0:ffff:192.0.2.1')).toBe('192.0.2.1');
+    });
+
+    test('should canonicalise without grouping when ipv6Subnet is false', () => {
+      expect(ipKey('2001:0db8:0000:0000:0001:0000:0000:0001', false)).toBe('2001:db8::1:0:0:1');
+      expect(ipKey('2001:db8:0:1:1:1:1:1', false)).toBe('2001:db8:0:1:1:1:1:1');
+      expect(ipKey('::', 128)).toBe('::/128');
+    });
+
+    test('should leave non-addresses alone', () => {
+      expect(ipKey('unknown')).toBe('unknown');
+      expect(ipKey(undefined)).toBeUndefined();
+    });
+
+    test('should format addresses in RFC 5952 form', () => {
+      expect(formatIp(parseIp('0:0:0:0:0:0:0:1'))).toBe('::1');
+      expect(formatIp(parseIp('fe80:0:0:0:1:0:0:0'))).toBe('fe80::1:0:0:0');
+      expect(formatIp(parseIp('2001:db8:0:1:0:0:0:0'))).toBe('2001:db8:0:1::');
+    });
+
+    test('RuleEngine.generateKey should group IPv6 clients', () => {
+      const engine = new RuleEngine();
+      expect(engine.generateKey({ ip: '2001:db8:0:ab12::1' })).toBe('ratelimit:2001:db8:0:ab00::/56');
+      expect(engine.generateKey({ ip: '2001:DB8::1', ipv6Subnet: 64, route: '/api' }))
+        .toBe('ratelimit:2001:db8::/64:/api');
+      expect(engine.generateKey({ ip: '::ffff:192.0.2.1' })).toBe('ratelimit:192.0.2.1');
+      expect(engine.generateKey({ ip: '2001:db8::1', userId: 'u1' })).toBe('ratelimit:u1');
+    });
+  });
+
+  describe('resolveClientIp edge cases', () => {
+    const { resolveClientIp, parseIp, parseCidr, compileTrustedProxies } = require('../src/utils/ip');
+    const xff = value => ({ 'x-forwarded-for': value });
+
+    test('should ignore X-Forwarded-For from untrusted peers', () => {
+      expect(resolveClientIp('203.0.113.5', xff('1.2.3.4'))).toBe('203.0.113.5');
+      expect(resolveClientIp('203.0.113.5', xff('1.2.3.4'), ['10.0.0.1'])).toBe('203.0.113.5');
+    });
+
+    test('should skip trusted hops from the right', () => {
+      const trusted = ['10.0.0.1', '10.0.0.2'];
+      expect(resolveClientIp('10.0.0.1', xff('198.51.100.7, 10.0.0.2'), trusted)).toBe('198.51.100.7');
+    });
+
+    test('should not let clients spoof addresses to the left of the real one', () => {
+      expect(resolveClientIp('10.0.0.1', xff('6.6.6.6, 198.51.100.7'), ['10.0.0.1'])).toBe('198.51.100.7');
+    });
+
+    test('should compare IPv4-mapped IPv6 peers as IPv4', () => {
+      expect(resolveClientIp('::ffff:127.0.0.1', xff('198.51.100.7'), ['127.0.0.1'])).toBe('198.51.100.7');
+      expect(resolveClientIp('::ffff:203.0.113.5')).toBe('203.0.113.5');
+    });
+
+    test('should fall back to the last proxy when every hop is trusted', () => {
+      expect(resolveClientIp('10.0.0.1', xff('10.0.0.2'), ['10.0.0.1', '10.0.0.2'])).toBe('10.0.0.2');
+      expect(resolveClientIp('10.0.0.1', xff(' , '), ['10.0.0.1'])).toBe('10.0.0.1');
+    });
+
+    test('should trust whole IPv4 and IPv6 CIDR ranges', () => {
+      const trusted = ['10.0.0.0/8', '2001:db8::/32'];
+      const headers = xff('198.51.100.7, 10.20.30.40, 2001:db8:ffff::1');
+
+      expect(resolveClientIp('2001:db8::5', headers, trusted)).toBe('198.51.100.7');
+      expect(resolveClientIp('2001:db9::5', headers, trusted)).toBe('2001:db9::5');
+      expect(resolveClientIp('11.0.0.1', headers, trusted)).toBe('11.0.0.1');
+    });
+
+    test('should read the Forwarded header when X-Forwarded-For is absent', () => {
+      const headers = {
+        forwarded: 'for=6.6.6.6, for="[2001:db8:cafe::17]:4711";proto=https, for=10.0.0.2;by=10.0.0.1'
+      };
+      expect(resolveClientIp('10.0.0.1', headers, ['10.0.0.0/24'])).toBe('2001:db8:cafe::17');
+      expect(resolveClientIp('10.0.0.1', { ...headers, ...xff('198.51.100.7') }, ['10.0.0.0/24'])).toBe('198.51.100.7');
+    });
+
+    test('should stop at hops that are not addresses', () => {
+      expect(resolveClientIp('10.0.0.1', { forwarded: 'for=198.51.100.7, for=unknown' }, ['10.0.0.1'])).toBe('10.0.0.1');
+      expect(resolveClientIp('10.0.0.1', { forwarded: 'for=_hidden' }, ['10.0.0.1'])).toBe('10.0.0.1');
+      expect(resolveClientIp('10.0.0.1', xff('198.51.100.7:5060'), ['10.0.0.1'])).toBe('198.51.100.7');
+    });
+
+    test('should parse IPv4, IPv6 and mixed notation', () => {
+      expect(parseIp('192.0.2.1')).toEqual([192, 0, 2, 1]);
+      expect(parseIp('::ffff:192.0.2.1')).toEqual([192, 0, 2, 1]);
+      expect(parseIp('::1')).toEqual([...new Array(15).fill(0), 1]);
+      expect(parseIp('[2001:db8::1]')).toEqual(parseIp('2001:0db8:0000:0000:0000:0000:0000:0001'));
+      expect(parseIp('fe80::1%eth0')).toEqual(parseIp('fe80::1'));
+      expect(parseIp('64:ff9b::192.0.2.1')).toEqual(parseIp('64:ff9b::c000:201'));
+
+      for (const invalid of ['256.0.0.1', '1.2.3', '1::2::3', '1:2:3:4:5:6:7:8:9', 'unknown', '', undefined]) {
+        expect(parseIp(invalid)).toBeNull();
+      }
+    });
+
+    test('should reject malformed trusted proxy entries', () => {
+      expect(parseCidr('::ffff:10.0.0.0/104')).toEqual({ bytes: [10, 0, 0, 0], prefix: 8 });
+      expect(compileTrustedProxies([])).toBeNull();
+      for (const invalid of ['10.0.0.0/33', '10.0.0.0/', 'localhost', '2001:db8::/129', '10.0.0.0/8/8']) {
+        expect(() => compileTrustedProxies([invalid])).toThrow('is not an IP address or CIDR range');
+      }
+      expect(() => compileTrustedProxies('10.0.0.1')).toThrow('trustedProxies must be an array');
+    });
+  });
+});
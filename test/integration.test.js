@@ -0,0 +1,337 @@
+const http = require('http');
+const rateGuard = require('../src');
+const { MemoryStore } = require('../src');
+
+/**
+ * Just enough of Express for the middleware: req.ip/req.path,
+ * res.status()/res.json() and a next() chain
+ */
+function expressApp(...handlers) {
+  return http.createServer((req, res) => {
+    req.ip = req.socket.remoteAddress;
+    req.path = new URL(req.url, 'http://localhost').pathname;
+    res.status = (code) => {
+      res.statusCode = code;
+      return res;
+    };
+    res.json = (body) => {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(body));
+    };
+
+    let index = 0;
+    const next = (error) => {
+      if (error) {
+        res.status(500).json({ error: error.message });
+        return;
+      }
+      const handler = handlers[index++];
+      handler(req, res, next);
+    };
+    next();
+  });
+}
+
+/**
+ * Just enough of Koa: a ctx with ip/path/state/set() and a response
+ * written from ctx.status/ctx.body once the middleware chain settles
+ */
+function koaApp(...handlers) {
+  return http.createServer(async (req, res) => {
+    const ctx = {
+      req,
+      res,
+      ip: req.socket.remoteAddress,
+      path: new URL(req.url, 'http://localhost').pathname,
+      method: req.method,
+      headers: req.headers,
+      state: {},
+      status: 404,
+      body: undefined,
+      set: (name, value) => res.setHeader(name, value),
+      throw: (status, message) => {
+        throw Object.assign(new Error(message), { status });
+      }
+    };
+
+    const dispatch = (i) => handlers[i] ? handlers[i](ctx, () => dispatch(i + 1)) : Promise.resolve();
+
+    try {
+      await dispatch(0);
+    } catch (error) {
+      ctx.status = error.status || 500;
+      ctx.body = { error: error.message };
+    }
+
+    res.statusCode = ctx.status;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(ctx.body));
+  });
+}
+
+function listen(server) {
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve(`http://127.0.0.1:${server.address().port}`);
+    });
+  });
+}
+
+function get(url, headers = {}) {
+  return new Promise((resolve, reject) => {
+    http.get(url, { headers }, (res) => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => {
+        resolve({ status: res.statusCode, headers: res.headers, body: data ? JSON.parse(data) : null });
+      });
+    }).on('error', reject);
+  });
+}
+
+describe('rateGuard() integration', () => {
+  let server;
+  let guard;
+
+  afterEach(async () => {
+    if (server) {
+      await new Promise(resolve => server.close(resolve));
+      server = null;
+    }
+    if (guard) {
+      await guard.close();
+      guard = null;
+    }
+  });
+
+  describe('README quick start', () => {
+    it('should limit an Express app with app.use(rateGuard(...))', async () => {
+      guard = rateGuard({ windowMs: 60 * 1000, maxRequests: 2 });
+      server = expressApp(guard, (req, res) => res.json({ message: 'Hello World' }));
+      const url = await listen(server);
+
+      const first = await get(url);
+      expect(first.status).toBe(200);
+      expect(first.body).toEqual({ message: 'Hello World' });
+      expect(first.headers['x-ratelimit-limit']).toBe('2');
+      expect(first.headers['x-ratelimit-remaining']).toBe('1');
+      expect(Number(first.headers['x-ratelimit-reset'])).toBeGreaterThan(Date.now() / 1000);
+
+      expect((await get(url)).status).toBe(200);
+
+      const limited = await get(url);
+      expect(limited.status).toBe(429);
+      expect(limited.headers['retry-after']).toBeDefined();
+      expect(limited.body).toEqual(expect.objectContaining({
+        error: 'Too Many Requests',
+        retryAfter: expect.any(Number)
+      }));
+    });
+
+    it('should expose the same middleware as guard.express', async () => {
+      guard = rateGuard({ maxRequests: 1 });
+      expect(guard.express).toBe(guard);
+      expect(guard.length).toBe(3);
+    });
+
+    it('should limit a Koa app with guard.koa', async () => {
+      guard = rateGuard({ windowMs: 60 * 1000, maxRequests: 1 });
+      server = koaApp(guard.koa, async (ctx) => {
+        ctx.status = 200;
+        ctx.body = { message: 'Hello World' };
+      });
+      const url = await listen(server);
+
+      const first = await get(url);
+      expect(first.status).toBe(200);
+      expect(first.headers['x-ratelimit-remaining']).toBe('0');
+
+      const limited = await get(url);
+      expect(limited.status).toBe(429);
+      expect(limited.body.error).toBe('Too Many Requests');
+    });
+  });
+
+  describe('configuration', () => {
+    it('should key clients with a custom keyGenerator', async () => {
+      guard = rateGuard({
+        maxRequests: 1,
+        keyGenerator: (req) => req.headers['x-api-key']
+      });
+      server = expressApp(guard, (req, res) => res.json({ ok: true }));
+      const url = await listen(server);
+
+      expect((await get(url, { 'x-api-key': 'a' })).status).toBe(200);
+      expect((await get(url, { 'x-api-key': 'b' })).status).toBe(200);
+      expect((await get(url, { 'x-api-key': 'a' })).status).toBe(429);
+    });
+
+    it('should apply route rules passed as an object', async () => {
+      guard = rateGuard({
+        maxRequests: 100,
+        rules: {
+          '/api/login': { maxRequests: 1 }
+        }
+      });
+      server = expressApp(guard, (req, res) => res.json({ ok: true }));
+      const url = await listen(server);
+
+      expect((await get(`${url}/api/login`)).headers['x-ratelimit-limit']).toBe('1');
+      expect((await get(`${url}/api/login`)).status).toBe(429);
+      expect((await get(`${url}/api/items`)).headers['x-ratelimit-limit']).toBe('100');
+    });
+
+    it('should apply custom tiers to authenticated users', async () => {
+      guard = rateGuard({
+        maxRequests: 100,
+        tiers: { partner: { windowMs: 60000, maxRequests: 1 } }
+      });
+      const user = { id: 'u1', tier: 'partner' };
+      server = expressApp(
+        (req, res, next) => {
+          req.user = user;
+          next();
+        },
+        guard,
+        (req, res) => res.json({ ok: true })
+      );
+      const url = await listen(server);
+
+      expect((await get(url)).status).toBe(200);
+      expect((await get(url)).status).toBe(429);
+    });
+
+    it('should share access list entries through the guard store', async () => {
+      guard = rateGuard({ maxRequests: 100, accessList: true });
+      server = expressApp(guard, (req, res) => res.json({ ok: true }));
+      const url = await listen(server);
+
+      expect((await get(url)).status).toBe(200);
+      await guard.accessList.deny({ cidr: '127.0.0.0/8' }, { ttlMs: 60000 });
+
+      const denied = await get(url);
+      expect(denied.status).toBe(403);
+      expect(denied.body).toEqual({ error: 'Forbidden', message: 'Access denied' });
+      expect(await guard.store.getFields('access-list')).toEqual({ 'cidr:127.0.0.0/8': expect.objectContaining({ action: 'deny' }) });
+    });
+
+    it('should reject invalid configuration up front', () => {
+      expect(() => rateGuard({ algorithm: 'nope' })).toThrow('algorithm must be one of');
+      expect(() => rateGuard({ store: 'cassandra' })).toThrow('store must be one of');
+    });
+  });
+
+  describe('node:http', () => {
+    const hello = (req, res) => {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ message: 'Hello World' }));
+    };
+
+    it('should limit a plain http.createServer handler', async () => {
+      guard = rateGuard({ maxRequests: 1 });
+      server = http.createServer(guard.middleware.http(hello));
+      const url = await listen(server);
+
+      const first = await get(url);
+      expect(first.status).toBe(200);
+      expect(first.body).toEqual({ message: 'Hello World' });
+      expect(first.headers['x-ratelimit-limit']).toBe('1');
+
+      const limited = await get(url);
+      expect(limited.status).toBe(429);
+      expect(limited.headers['content-type']).toBe('application/json');
+      expect(limited.headers['retry-after']).toBeDefined();
+      expect(limited.body.error).toBe('Too Many Requests');
+    });
+
+    it('should only believe X-Forwarded-For from trusted proxies', async () => {
+      guard = rateGuard({ maxRequests: 1, trustedProxies: ['127.0.0.1'] });
+      server = http.createServer(guard.http(hello));
+      const url = await listen(server);
+
+      expect((await get(url, { 'x-forwarded-for': '198.51.100.1' })).status).toBe(200);
+      expect((await get(url, { 'x-forwarded-for': '198.51.100.2' })).status).toBe(200);
+      expect((await get(url, { 'x-forwarded-for': '198.51.100.1' })).status).toBe(429);
+      expect(await guard.store.get('198.51.100.2')).not.toBeNull();
+    });
+
+    it('should key on the socket address when the peer is not trusted', async () => {
+      guard = rateGuard({ maxRequests: 1 });
+      server = http.createServer(guard.http(hello, { trustedProxies: ['10.0.0.1'] }));
+      const url = await listen(server);
+
+      expect((await get(url, { 'x-forwarded-for': '198.51.100.1' })).status).toBe(200);
+      expect((await get(url, { 'x-forwarded-for': '198.51.100.2' })).status).toBe(429);
+    });
+
+    it('should answer 500 when the store fails', async () => {
+      guard = rateGuard({ maxRequests: 1 });
+      jest.spyOn(guard.store, 'atomicIncrement').mockRejectedValue(new Error('store down'));
+      const handler = jest.fn(hello);
+      server = http.createServer(guard.http(handler));
+      const url = await listen(server);
+
+      const response = await get(url);
+      expect(response.status).toBe(500);
+      expect(handler).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('helpers', () => {
+    it('should check, consume and reset keys outside of a request', async () => {
+      guard = rateGuard({ maxRequests: 5 });
+
+      expect((await guard.check('job:1')).remaining).toBe(4);
+      const consumed = await guard.consume('job:1', 3);
+      expect(consumed.allowed).toBe(true);
+      expect(consumed.remaining).toBe(1);
+      expect((await guard.consume('job:1', 2)).allowed).toBe(false);
+
+      await guard.reset('job:1');
+      expect((await guard.check('job:1')).remaining).toBe(4);
+    });
+
+    it('should reset the counters of a key\'s tier and route', async () => {
+      guard = rateGuard({ tiers: { tiny: { windowMs: 60000, maxRequests: 2 } } });
+      guard.tierManager.setUserTier('u1', 'tiny');
+      guard.ruleEngine.setRouteRule('/upload', { windowMs: 60000 });
+
+      await guard.consume('u1', 2);
+      await guard.consume('u1', 2, { path: '/upload' });
+      expect((await guard.check('u1')).allowed).toBe(false);
+
+      await guard.reset('u1');
+      expect((await guard.check('u1')).allowed).toBe(true);
+      expect((await guard.check('u1', { path: '/upload' })).allowed).toBe(false);
+      await guard.reset('u1', { path: '/upload' });
+      expect((await guard.check('u1', { path: '/upload' })).allowed).toBe(true);
+    });
+
+    it('should share state between the middleware and the helpers', async () => {
+      guard = rateGuard({ maxRequests: 2, keyGenerator: () => 'shared' });
+      server = expressApp(guard, (req, res) => res.json({ ok: true }));
+      const url = await listen(server);
+
+      await guard.consume('shared', 2);
+      expect((await get(url)).status).toBe(429);
+    });
+
+    it('should only close stores it created', async () => {
+      const store = new MemoryStore();
+      const close = jest.spyOn(store, 'close');
+
+      const external = rateGuard({ store });
+      expect(external.store).toBe(store);
+      await external.close();
+      expect(close).not.toHaveBeenCalled();
+      store.destroy();
+
+      guard = rateGuard();
+      expect(guard.store).toBeInstanceOf(MemoryStore);
+      const other = rateGuard();
+      expect(guard.store).not.toBe(other.store);
+      await other.close();
+    });
+  });
+});
@@ -1,104 +1,637 @@
-const { SlidingWindowLimiter, TokenBucketLimiter } = require('../src/limiters');
-const MemoryStore = require('../src/stores/memory');
-
-describe('SlidingWindowLimiter', () => {
-  let store;
-  let limiter;
-
-  beforeEach(() => {
-    store = new MemoryStore();
-    limiter = new SlidingWindowLimiter(store, {
-      windowMs: 1000,
-      maxRequests: 5
-    });
-  });
-
-  afterEach(async () => {
-    await store.close();
-  });
-
-  test('should allow requests within limit', async () => {
-    const result = await limiter.isAllowed('test-key');
-    expect(result.allowed).toBe(true);
-    expect(result.remaining).toBe(4);
-  });
-
-  test('should block requests over limit', async () => {
-    for (let i = 0; i < 5; i++) {
-      await limiter.isAllowed('test-key');
-    }
-    const result = await limiter.isAllowed('test-key');
-    expect(result.allowed).toBe(false);
-    expect(result.remaining).toBe(0);
-  });
-
-  test('should handle corrupted timestamp data', async () => {
-    // Simulate corrupted data
-    await store.set('corrupted-key', { timestamps: [null, undefined, 'invalid', NaN] });
-    const result = await limiter.isAllowed('corrupted-key');
-    expect(result.allowed).toBe(true);
-  });
-
-  test('should handle missing timestamps array', async () => {
-    await store.set('no-array-key', { foo: 'bar' });
-    const result = await limiter.isAllowed('no-array-key');
-    expect(result.allowed).toBe(true);
-  });
-
-  test('should reset key', async () => {
-    await limiter.isAllowed('reset-key');
-    await limiter.reset('reset-key');
-    const data = await store.get('reset-key');
-    expect(data).toBeNull();
-  });
-});
-
-describe('TokenBucketLimiter', () => {
-  let store;
-  let limiter;
-
-  beforeEach(() => {
-    store = new MemoryStore();
-    limiter = new TokenBucketLimiter(store, {
-      bucketSize: 5,
-      refillRate: 10
-    });
-  });
-
-  afterEach(async () => {
-    await store.close();
-  });
-
-  test('should allow requests when tokens available', async () => {
-    const result = await limiter.isAllowed('test-key');
-    expect(result.allowed).toBe(true);
-    expect(result.remaining).toBe(4);
-  });
-
-  test('should block when no tokens', async () => {
-    for (let i = 0; i < 5; i++) {
-      await limiter.isAllowed('test-key');
-    }
-    const result = await limiter.isAllowed('test-key');
-    expect(result.allowed).toBe(false);
-  });
-
-  test('should handle corrupted token data', async () => {
-    await store.set('corrupted-key', { tokens: NaN, lastRefill: 'invalid' });
-    const result = await limiter.isAllowed('corrupted-key');
-    expect(result.allowed).toBe(true);
-    expect(result.remaining).toBe(4);
-  });
-
-  test('should handle missing token fields', async () => {
-    await store.set('missing-fields', { unrelated: 'data' });
-    const result = await limiter.isAllowed('missing-fields');
-    expect(result.allowed).toBe(true);
-  });
-
-  test('should consume multiple tokens', async () => {
-    const result = await limiter.isAllowed('multi-key', 3);
-    expect(result.allowed).toBe(true);
-    expect(result.remaining).toBe(2);
-  });
-});
+const {
+  SlidingWindowLimiter,
+  SlidingWindowCounterLimiter,
+  MultiWindowLimiter,
+  HierarchicalLimiter,
+  TokenBucketLimiter,
+  LeakyBucketLimiter,
+  FixedWindowLimiter,
+  GcraLimiter,
+  ConcurrencyLimiter,
+  createLimiter
+} = require('../src/limiters');
+const MemoryStore = require('../src/stores/memory');
+
+describe('SlidingWindowLimiter', () => {
+  let store;
+  let limiter;
+
+  beforeEach(() => {
+    store = new MemoryStore();
+    limiter = new SlidingWindowLimiter(store, {
+      windowMs: 1000,
+      maxRequests: 5
+    });
+  });
+
+  afterEach(async () => {
+    await store.close();
+  });
+
+  test('should allow requests within limit', async () => {
+    const result = await limiter.isAllowed('test-key');
+    expect(result.allowed).toBe(true);
+    expect(result.remaining).toBe(4);
+  });
+
+  test('should block requests over limit', async () => {
+    for (let i = 0; i < 5; i++) {
+      await limiter.isAllowed('test-key');
+    }
+    const result = await limiter.isAllowed('test-key');
+    expect(result.allowed).toBe(false);
+    expect(result.remaining).toBe(0);
+  });
+
+  test('should handle corrupted timestamp data', async () => {
+    // Simulate corrupted data
+    await store.set('corrupted-key', { timestamps: [null, undefined, 'invalid', NaN] });
+    const result = await limiter.isAllowed('corrupted-key');
+    expect(result.allowed).toBe(true);
+  });
+
+  test('should handle missing timestamps array', async () => {
+    await store.set('no-array-key', { foo: 'bar' });
+    const result = await limiter.isAllowed('no-array-key');
+    expect(result.allowed).toBe(true);
+  });
+
+  test('should count weighted requests as several units', async () => {
+    const heavy = await limiter.isAllowed('test-key', 4);
+    expect(heavy.allowed).toBe(true);
+    expect(heavy.remaining).toBe(1);
+
+    const blocked = await limiter.isAllowed('test-key', 2);
+    expect(blocked.allowed).toBe(false);
+    expect(blocked.remaining).toBe(1);
+    expect((await limiter.isAllowed('test-key')).allowed).toBe(true);
+  });
+
+  test('should reset key', async () => {
+    await limiter.isAllowed('reset-key');
+    await limiter.reset('reset-key');
+    const data = await store.get('reset-key');
+    expect(data).toBeNull();
+  });
+});
+
+describe('TokenBucketLimiter', () => {
+  let store;
+  let limiter;
+
+  beforeEach(() => {
+    store = new MemoryStore();
+    limiter = new TokenBucketLimiter(store, {
+      bucketSize: 5,
+      refillRate: 10
+    });
+  });
+
+  afterEach(async () => {
+    await store.close();
+  });
+
+  test('should allow requests when tokens available', async () => {
+    const result = await limiter.isAllowed('test-key');
+    expect(result.allowed).toBe(true);
+    expect(result.remaining).toBe(4);
+  });
+
+  test('should block when no tokens', async () => {
+    for (let i = 0; i < 5; i++) {
+      await limiter.isAllowed('test-key');
+    }
+    const result = await limiter.isAllowed('test-key');
+    expect(result.allowed).toBe(false);
+  });
+
+  test('should handle corrupted token data', async () => {
+    await store.set('corrupted-key', { tokens: NaN, lastRefill: 'invalid' });
+    const result = await limiter.isAllowed('corrupted-key');
+    expect(result.allowed).toBe(true);
+    expect(result.remaining).toBe(4);
+  });
+
+  test('should handle missing token fields', async () => {
+    await store.set('missing-fields', { unrelated: 'data' });
+    const result = await limiter.isAllowed('missing-fields');
+    expect(result.allowed).toBe(true);
+  });
+
+  test('should consume multiple tokens', async () => {
+    const result = await limiter.isAllowed('multi-key', 3);
+    expect(result.allowed).toBe(true);
+    expect(result.remaining).toBe(2);
+  });
+});
+
+describe('FixedWindowLimiter', () => {
+  let store;
+  let limiter;
+
+  beforeEach(() => {
+    store = new MemoryStore();
+    limiter = new FixedWindowLimiter(store, {
+      windowMs: 1000,
+      maxRequests: 3
+    });
+  });
+
+  afterEach(async () => {
+    await store.close();
+  });
+
+  test('should allow requests within limit', async () => {
+    const result = await limiter.isAllowed('test-key');
+    expect(result.allowed).toBe(true);
+    expect(result.remaining).toBe(2);
+    expect(result.total).toBe(3);
+  });
+
+  test('should block requests over limit', async () => {
+    for (let i = 0; i < 3; i++) {
+      await limiter.isAllowed('test-key');
+    }
+    const result = await limiter.isAllowed('test-key');
+    expect(result.allowed).toBe(false);
+    expect(result.remaining).toBe(0);
+  });
+
+  test('should add the request cost to the counter', async () => {
+    const heavy = await limiter.isAllowed('test-key', 2);
+    expect(heavy.allowed).toBe(true);
+    expect(heavy.remaining).toBe(1);
+    expect((await limiter.isAllowed('test-key', 2)).allowed).toBe(false);
+  });
+
+  test('should not count refused requests', async () => {
+    await limiter.isAllowed('test-key', 2);
+    const refused = await limiter.isAllowed('test-key', 2);
+    expect(refused.allowed).toBe(false);
+    expect(refused.remaining).toBe(1);
+    expect((await limiter.isAllowed('test-key')).allowed).toBe(true);
+  });
+
+  test('should report reset at the end of the current window', async () => {
+    const before = Date.now();
+    const first = await limiter.isAllowed('test-key');
+    const second = await limiter.isAllowed('test-key');
+    expect(first.resetAt.getTime()).toBeLessThanOrEqual(before + 1000 + 5);
+    expect(second.resetAt.getTime()).toBeLessThanOrEqual(first.resetAt.getTime() + 5);
+  });
+
+  test('should start a new window after reset', async () => {
+    for (let i = 0; i < 3; i++) {
+      await limiter.isAllowed('reset-key');
+    }
+    await limiter.reset('reset-key');
+    const result = await limiter.isAllowed('reset-key');
+    expect(result.allowed).toBe(true);
+  });
+
+  test('should be created by createLimiter', () => {
+    expect(createLimiter('fixed-window', store, { maxRequests: 3 })).toBeInstanceOf(FixedWindowLimiter);
+  });
+});
+
+describe('SlidingWindowCounterLimiter', () => {
+  let store;
+  let limiter;
+  let now;
+
+  beforeEach(() => {
+    // Start exactly on a window boundary
+    now = 1700000000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    store = new MemoryStore();
+    limiter = new SlidingWindowCounterLimiter(store, {
+      windowMs: 1000,
+      maxRequests: 4
+    });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await store.close();
+  });
+
+  test('should allow requests within limit', async () => {
+    const result = await limiter.isAllowed('test-key');
+    expect(result.allowed).toBe(true);
+    expect(result.remaining).toBe(3);
+    expect(result.total).toBe(4);
+  });
+
+  test('should block requests over limit', async () => {
+    for (let i = 0; i < 4; i++) {
+      await limiter.isAllowed('test-key');
+    }
+    const result = await limiter.isAllowed('test-key');
+    expect(result.allowed).toBe(false);
+    expect(result.remaining).toBe(0);
+  });
+
+  test('should weight the previous window by its remaining overlap', async () => {
+    for (let i = 0; i < 4; i++) {
+      await limiter.isAllowed('test-key');
+    }
+
+    // 25% into the next window: estimate = 4 * 0.75 = 3, room for one
+    now += 1250;
+    expect((await limiter.isAllowed('test-key')).allowed).toBe(true);
+    const blocked = await limiter.isAllowed('test-key');
+    expect(blocked.allowed).toBe(false);
+
+    // 4 * (1 - f) + 1 <= 3 once f >= 0.5
+    expect(blocked.resetAt.getTime()).toBe(1700000001500);
+
+    now = 1700000001500;
+    expect((await limiter.isAllowed('test-key')).allowed).toBe(true);
+  });
+
+  test('should weigh costly requests against the estimate', async () => {
+    expect((await limiter.isAllowed('test-key', 3)).remaining).toBe(1);
+
+    const blocked = await limiter.isAllowed('test-key', 2);
+    expect(blocked.allowed).toBe(false);
+
+    // 3 * (1 - f) + 2 <= 4 once f >= 1/3 of the next window
+    expect(blocked.resetAt.getTime()).toBe(1700000001334);
+    now = 1700000001334;
+    expect((await limiter.isAllowed('test-key', 2)).allowed).toBe(true);
+  });
+
+  test('should forget windows older than the previous one', async () => {
+    for (let i = 0; i < 4; i++) {
+      await limiter.isAllowed('test-key');
+    }
+    now += 2000;
+    const result = await limiter.isAllowed('test-key');
+    expect(result.allowed).toBe(true);
+    expect(result.remaining).toBe(3);
+  });
+
+  test('should be created by createLimiter', () => {
+    expect(createLimiter('sliding-window-counter', store, {})).toBeInstanceOf(SlidingWindowCounterLimiter);
+  });
+});
+
+describe('MultiWindowLimiter', () => {
+  let store;
+  let limiter;
+  let now;
+
+  beforeEach(() => {
+    now = 1700000000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    store = new MemoryStore();
+    limiter = new MultiWindowLimiter(store, {
+      limits: [
+        { windowMs: 1000, maxRequests: 2 },
+        { windowMs: 60000, maxRequests: 3 }
+      ]
+    });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await store.close();
+  });
+
+  test('should report every window and the most restrictive one', async () => {
+    await limiter.isAllowed('test-key');
+    const result = await limiter.isAllowed('test-key');
+
+    expect(result.allowed).toBe(true);
+    expect(result.remaining).toBe(0);
+    expect(result.total).toBe(2);
+    expect(result.limits).toEqual([
+      expect.objectContaining({ windowMs: 1000, remaining: 0, total: 2 }),
+      expect.objectContaining({ windowMs: 60000, remaining: 1, total: 3 })
+    ]);
+  });
+
+  test('should not charge any window when one of them rejects', async () => {
+    await limiter.isAllowed('test-key');
+    await limiter.isAllowed('test-key');
+
+    const blocked = await limiter.isAllowed('test-key');
+    expect(blocked.allowed).toBe(false);
+    expect(blocked.total).toBe(2);
+    expect(blocked.limits[1]).toEqual(expect.objectContaining({ allowed: true, remaining: 1 }));
+
+    // The per-second window has passed; the minute still has one left
+    now += 2000;
+    const next = await limiter.isAllowed('test-key');
+    expect(next.allowed).toBe(true);
+    expect(next.limits[1].remaining).toBe(0);
+  });
+
+  test('should report the rejecting window that frees up last', async () => {
+    for (let i = 0; i < 2; i++) {
+      await limiter.isAllowed('test-key');
+    }
+    now += 2000;
+    await limiter.isAllowed('test-key');
+
+    now += 2000;
+    const blocked = await limiter.isAllowed('test-key');
+    expect(blocked.allowed).toBe(false);
+    expect(blocked.total).toBe(3);
+
+    // The minute window rolls over at ...40000; 3 * (1 - f) + 1 <= 3 once f >= 1/3
+    expect(blocked.resetAt.getTime()).toBeGreaterThanOrEqual(1700000060000);
+    expect(blocked.resetAt.getTime()).toBeLessThan(1700000061000);
+  });
+
+  test('should reject an invalid list of limits', () => {
+    expect(() => new MultiWindowLimiter(store, { limits: [] })).toThrow('limits must be a non-empty array');
+    expect(() => new MultiWindowLimiter(store, { limits: [{ windowMs: 1000 }] }))
+      .toThrow('limits[0].maxRequests must be a positive integer');
+  });
+});
+
+describe('HierarchicalLimiter', () => {
+  let store;
+  let limiter;
+  let now;
+
+  beforeEach(() => {
+    now = 1700000000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    store = new MemoryStore();
+    limiter = new HierarchicalLimiter(store, {
+      levels: [
+        { windowMs: 60000, maxRequests: 2 },
+        { limits: [{ windowMs: 1000, maxRequests: 10 }, { windowMs: 60000, maxRequests: 3 }] }
+      ]
+    });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await store.close();
+  });
+
+  test('should report each key and the most restrictive window overall', async () => {
+    const result = await limiter.isAllowed(['user-1', 'org-1']);
+
+    expect(result.allowed).toBe(true);
+    expect(result.remaining).toBe(1);
+    expect(result.total).toBe(2);
+    expect(result.limits).toHaveLength(3);
+    expect(result.levels).toEqual([
+      expect.objectContaining({ key: 'user-1', allowed: true, remaining: 1, total: 2 }),
+      expect.objectContaining({ key: 'org-1', allowed: true, remaining: 2, total: 3 })
+    ]);
+    expect(result.levels[1].limits.map(window => window.remaining)).toEqual([9, 2]);
+  });
+
+  test('should share the pool between keys and charge nothing when it is full', async () => {
+    await limiter.isAllowed(['user-1', 'org-1']);
+    await limiter.isAllowed(['user-2', 'org-1']);
+    await limiter.isAllowed(['user-2', 'org-1']);
+
+    const blocked = await limiter.isAllowed(['user-1', 'org-1']);
+    expect(blocked.allowed).toBe(false);
+    expect(blocked.total).toBe(3);
+    expect(blocked.levels[0]).toEqual(expect.objectContaining({ allowed: true, remaining: 1 }));
+
+    // The rejected request did not use up user-1's own limit
+    const other = await limiter.isAllowed(['user-1', 'org-2']);
+    expect(other.levels[0].remaining).toBe(0);
+  });
+
+  test('should not charge the pool when the key itself is full', async () => {
+    await limiter.isAllowed(['user-1', 'org-1'], 2);
+
+    const blocked = await limiter.isAllowed(['user-1', 'org-1']);
+    expect(blocked.allowed).toBe(false);
+    expect(blocked.levels[1]).toEqual(expect.objectContaining({ allowed: true, remaining: 1 }));
+  });
+
+  test('should reset every key', async () => {
+    await limiter.isAllowed(['user-1', 'org-1'], 2);
+    await limiter.reset(['user-1', 'org-1']);
+
+    expect((await limiter.isAllowed(['user-1', 'org-1'], 2)).allowed).toBe(true);
+  });
+
+  test('should reject invalid levels and a wrong number of keys', async () => {
+    expect(() => new HierarchicalLimiter(store, { levels: [] })).toThrow('levels must be a non-empty array');
+    expect(() => new HierarchicalLimiter(store, { levels: [{ limits: [] }] }))
+      .toThrow('levels[0].limits must be a non-empty array');
+    await expect(limiter.isAllowed(['user-1'])).rejects.toThrow('Expected 2 keys, got 1');
+  });
+});
+
+describe('GcraLimiter', () => {
+  let store;
+  let limiter;
+  let now;
+
+  beforeEach(() => {
+    now = 1700000000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    store = new MemoryStore();
+    // One request every 100ms, bursts of up to 3
+    limiter = new GcraLimiter(store, {
+      windowMs: 1000,
+      maxRequests: 10,
+      burst: 3
+    });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await store.close();
+  });
+
+  test('should allow a burst up to the configured size', async () => {
+    const results = [];
+    for (let i = 0; i < 3; i++) {
+      results.push(await limiter.isAllowed('test-key'));
+    }
+    expect(results.map(r => r.allowed)).toEqual([true, true, true]);
+    expect(results.map(r => r.remaining)).toEqual([2, 1, 0]);
+    expect(results[0].total).toBe(3);
+  });
+
+  test('should reject with an exact retryAfter once the burst is spent', async () => {
+    for (let i = 0; i < 3; i++) {
+      await limiter.isAllowed('test-key');
+    }
+    now += 30;
+    const result = await limiter.isAllowed('test-key');
+    expect(result.allowed).toBe(false);
+    expect(result.retryAfter).toBe(70);
+    expect(result.resetAt.getTime()).toBe(now + 70);
+
+    now += 70;
+    expect((await limiter.isAllowed('test-key')).allowed).toBe(true);
+  });
+
+  test('should store a single arrival time per key', async () => {
+    await limiter.isAllowed('test-key');
+    await limiter.isAllowed('test-key');
+    expect(await store.get('test-key')).toBe(now + 200);
+  });
+
+  test('should accept an explicit emission interval', () => {
+    const custom = new GcraLimiter(store, { emissionInterval: 250, burst: 4 });
+    expect(custom.tolerance).toBe(1000);
+  });
+
+  test('should be created by createLimiter', () => {
+    expect(createLimiter('gcra', store, {})).toBeInstanceOf(GcraLimiter);
+  });
+});
+
+describe('ConcurrencyLimiter', () => {
+  let store;
+  let limiter;
+
+  beforeEach(() => {
+    store = new MemoryStore();
+    limiter = new ConcurrencyLimiter(store, {
+      maxConcurrent: 2,
+      leaseMs: 1000
+    });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await store.close();
+  });
+
+  test('should hand out leases up to the cap', async () => {
+    const first = await limiter.acquire('test-key');
+    const second = await limiter.acquire('test-key');
+    const third = await limiter.acquire('test-key');
+
+    expect(first.allowed).toBe(true);
+    expect(first.lease).toEqual(expect.objectContaining({ key: 'test-key' }));
+    expect(second.remaining).toBe(0);
+    expect(third.allowed).toBe(false);
+    expect(third.lease).toBeNull();
+  });
+
+  test('should hold one slot per unit of cost', async () => {
+    const heavy = await limiter.acquire('test-key', 2);
+    expect(heavy.allowed).toBe(true);
+    expect(heavy.remaining).toBe(0);
+    expect((await limiter.acquire('test-key')).allowed).toBe(false);
+
+    await limiter.release(heavy.lease);
+    expect((await limiter.acquire('test-key', 2)).allowed).toBe(true);
+  });
+
+  test('should free a slot on release', async () => {
+    const first = await limiter.acquire('test-key');
+    await limiter.acquire('test-key');
+    await limiter.release(first.lease);
+    await limiter.release(first.lease);
+
+    expect((await limiter.acquire('test-key')).allowed).toBe(true);
+    expect((await limiter.acquire('test-key')).allowed).toBe(false);
+  });
+
+  test('should expire leases that were never released', async () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    await limiter.acquire('test-key');
+    await limiter.acquire('test-key');
+
+    const blocked = await limiter.acquire('test-key');
+    expect(blocked.resetAt.getTime()).toBe(now + 1000);
+
+    Date.now.mockImplementation(() => now + 1001);
+    expect((await limiter.acquire('test-key')).allowed).toBe(true);
+  });
+
+  test('should refuse a store without lease methods', () => {
+    const plain = { get: async () => null, set: async () => {} };
+    expect(() => new ConcurrencyLimiter(plain)).toThrow('The concurrency limiter needs a store implementing \'acquireLease\'');
+  });
+
+  test('should be created by createLimiter', () => {
+    expect(createLimiter('concurrency', store, {})).toBeInstanceOf(ConcurrencyLimiter);
+  });
+});
+
+describe('LeakyBucketLimiter', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new MemoryStore();
+  });
+
+  afterEach(async () => {
+    await store.close();
+  });
+
+  test('should pass requests straight through while tokens remain', async () => {
+    const limiter = new LeakyBucketLimiter(store, { bucketSize: 2, refillRate: 100 });
+    const result = await limiter.isAllowed('test-key');
+    expect(result.allowed).toBe(true);
+    expect(result.queued).toBe(false);
+  });
+
+  test('should delay over-limit requests instead of rejecting them', async () => {
+    // Drains one request every 20ms
+    const limiter = new LeakyBucketLimiter(store, {
+      bucketSize: 1,
+      refillRate: 50,
+      maxQueueSize: 5,
+      maxWaitMs: 1000
+    });
+
+    const results = await Promise.all([
+      limiter.isAllowed('test-key'),
+      limiter.isAllowed('test-key'),
+      limiter.isAllowed('test-key')
+    ]);
+
+    expect(results.map(r => r.allowed)).toEqual([true, true, true]);
+    expect(results.map(r => r.queued)).toEqual([false, true, true]);
+    expect(results[2].waitMs).toBeGreaterThanOrEqual(results[1].waitMs);
+    expect(results[2].waitMs).toBeGreaterThanOrEqual(20);
+  });
+
+  test('should reject when the queue is full', async () => {
+    const limiter = new LeakyBucketLimiter(store, {
+      bucketSize: 1,
+      refillRate: 50,
+      maxQueueSize: 1,
+      maxWaitMs: 1000
+    });
+
+    const results = await Promise.all([
+      limiter.isAllowed('test-key'),
+      limiter.isAllowed('test-key'),
+      limiter.isAllowed('test-key')
+    ]);
+
+    expect(results.map(r => r.allowed)).toEqual([true, true, false]);
+    expect(results[2].reason).toBe('Queue is full');
+  });
+
+  test('should reject when the wait would exceed maxWaitMs', async () => {
+    const limiter = new LeakyBucketLimiter(store, {
+      bucketSize: 1,
+      refillRate: 1,
+      maxQueueSize: 10,
+      maxWaitMs: 100
+    });
+
+    await limiter.isAllowed('test-key');
+    const result = await limiter.isAllowed('test-key');
+    expect(result.allowed).toBe(false);
+    expect(result.reason).toBe('Wait would exceed maxWaitMs');
+    expect(limiter.queues.size).toBe(0);
+  });
+
+  test('should be created by createLimiter', () => {
+    expect(createLimiter('leaky-bucket', store, {})).toBeInstanceOf(LeakyBucketLimiter);
+  });
+});
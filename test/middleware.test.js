@@ -1,221 +1,1014 @@
-const { RateLimitMiddleware, createMiddleware } = require('../src/middleware');
-const { MemoryStore } = require('../src/stores/memory');
-
-describe('RateLimitMiddleware', () => {
-  let store;
-
-  beforeEach(() => {
-    store = new MemoryStore();
-  });
-
-  afterEach(async () => {
-    await store.clear();
-  });
-
-  describe('Express middleware', () => {
-    it('should allow requests under the limit', async () => {
-      const middleware = createMiddleware({
-        store,
-        maxRequests: 5,
-        windowMs: 60000
-      });
-
-      const req = { ip: '127.0.0.1', path: '/api/test', method: 'GET', headers: {} };
-      const res = {
-        setHeader: jest.fn(),
-        status: jest.fn().mockReturnThis(),
-        json: jest.fn()
-      };
-      const next = jest.fn();
-
-      await middleware.express()(req, res, next);
-
-      expect(next).toHaveBeenCalled();
-      expect(res.setHeader).toHaveBeenCalledWith('X-RateLimit-Limit', expect.any(Number));
-      expect(res.setHeader).toHaveBeenCalledWith('X-RateLimit-Remaining', expect.any(Number));
-    });
-
-    it('should block requests over the limit', async () => {
-      const middleware = createMiddleware({
-        store,
-        maxRequests: 2,
-        windowMs: 60000
-      });
-
-      const req = { ip: '127.0.0.1', path: '/api/test', method: 'GET', headers: {} };
-      const res = {
-        setHeader: jest.fn(),
-        status: jest.fn().mockReturnThis(),
-        json: jest.fn()
-      };
-      const next = jest.fn();
-
-      const expressMiddleware = middleware.express();
-
-      // Make requests up to and over the limit
-      await expressMiddleware(req, res, next);
-      await expressMiddleware(req, res, next);
-      await expressMiddleware(req, res, next);
-
-      expect(res.status).toHaveBeenCalledWith(429);
-      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
-        error: 'Too Many Requests'
-      }));
-    });
-
-    it('should skip requests when skip function returns true', async () => {
-      const middleware = createMiddleware({
-        store,
-        maxRequests: 1,
-        windowMs: 60000,
-        skip: (req) => req.path === '/health'
-      });
-
-      const req = { ip: '127.0.0.1', path: '/health', method: 'GET', headers: {} };
-      const res = {
-        setHeader: jest.fn(),
-        status: jest.fn().mockReturnThis(),
-        json: jest.fn()
-      };
-      const next = jest.fn();
-
-      const expressMiddleware = middleware.express();
-
-      await expressMiddleware(req, res, next);
-      await expressMiddleware(req, res, next);
-      await expressMiddleware(req, res, next);
-
-      expect(next).toHaveBeenCalledTimes(3);
-      expect(res.status).not.toHaveBeenCalled();
-    });
-
-    it('should use custom key generator', async () => {
-      const middleware = createMiddleware({
-        store,
-        maxRequests: 5,
-        windowMs: 60000,
-        keyGenerator: (req) => `user:${req.headers['x-user-id']}`
-      });
-
-      const req1 = { ip: '127.0.0.1', path: '/api', method: 'GET', headers: { 'x-user-id': 'user1' } };
-      const req2 = { ip: '127.0.0.1', path: '/api', method: 'GET', headers: { 'x-user-id': 'user2' } };
-      const res = {
-        setHeader: jest.fn(),
-        status: jest.fn().mockReturnThis(),
-        json: jest.fn()
-      };
-      const next = jest.fn();
-
-      const expressMiddleware = middleware.express();
-
-      await expressMiddleware(req1, res, next);
-      await expressMiddleware(req2, res, next);
-
-      // Both should pass as they have different keys
-      expect(next).toHaveBeenCalledTimes(2);
-    });
-
-    it('should call custom onRateLimited handler', async () => {
-      const onRateLimited = jest.fn((req, res, next, result) => {
-        res.status(503).json({ custom: 'response' });
-      });
-
-      const middleware = createMiddleware({
-        store,
-        maxRequests: 1,
-        windowMs: 60000,
-        onRateLimited
-      });
-
-      const req = { ip: '127.0.0.1', path: '/api', method: 'GET', headers: {} };
-      const res = {
-        setHeader: jest.fn(),
-        status: jest.fn().mockReturnThis(),
-        json: jest.fn()
-      };
-      const next = jest.fn();
-
-      const expressMiddleware = middleware.express();
-
-      await expressMiddleware(req, res, next);
-      await expressMiddleware(req, res, next);
-
-      expect(onRateLimited).toHaveBeenCalled();
-      expect(res.status).toHaveBeenCalledWith(503);
-    });
-  });
-
-  describe('Koa middleware', () => {
-    it('should allow requests under the limit', async () => {
-      const middleware = createMiddleware({
-        store,
-        maxRequests: 5,
-        windowMs: 60000
-      });
-
-      const ctx = {
-        ip: '127.0.0.1',
-        path: '/api/test',
-        method: 'GET',
-        headers: {},
-        state: {},
-        set: jest.fn()
-      };
-      const next = jest.fn();
-
-      await middleware.koa()(ctx, next);
-
-      expect(next).toHaveBeenCalled();
-      expect(ctx.set).toHaveBeenCalledWith('X-RateLimit-Limit', expect.any(Number));
-    });
-
-    it('should block requests over the limit', async () => {
-      const middleware = createMiddleware({
-        store,
-        maxRequests: 1,
-        windowMs: 60000
-      });
-
-      const ctx = {
-        ip: '127.0.0.1',
-        path: '/api/test',
-        method: 'GET',
-        headers: {},
-        state: {},
-        set: jest.fn()
-      };
-      const next = jest.fn();
-
-      const koaMiddleware = middleware.koa();
-
-      await koaMiddleware(ctx, next);
-      await koaMiddleware(ctx, next);
-
-      expect(ctx.status).toBe(429);
-      expect(ctx.body).toEqual(expect.objectContaining({
-        error: 'Too Many Requests'
-      }));
-    });
-  });
-
-  describe('createMiddleware factory', () => {
-    it('should create middleware with default options', () => {
-      const middleware = createMiddleware();
-      
-      expect(middleware).toBeInstanceOf(RateLimitMiddleware);
-      expect(middleware.express).toBeDefined();
-      expect(middleware.koa).toBeDefined();
-    });
-
-    it('should create middleware with token bucket algorithm', () => {
-      const middleware = createMiddleware({
-        algorithm: 'token-bucket',
-        bucketSize: 10,
-        tokensPerInterval: 1,
-        interval: 1000
-      });
-
-      expect(middleware).toBeInstanceOf(RateLimitMiddleware);
-    });
-  });
-});
+const { RateLimitMiddleware, createMiddleware } = require('../src/middleware');
+const { MemoryStore } = require('../src/stores/memory');
+const { EventEmitter } = require('events');
+const { RuleEngine } = require('../src/rules');
+const { TierManager } = require('../src/tiers');
+const { GcraLimiter } = require('../src/limiters');
+
+describe('RateLimitMiddleware', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new MemoryStore();
+  });
+
+  afterEach(async () => {
+    await store.clear();
+  });
+
+  describe('Express middleware', () => {
+    it('should allow requests under the limit', async () => {
+      const middleware = createMiddleware({
+        store,
+        maxRequests: 5,
+        windowMs: 60000
+      });
+
+      const req = { ip: '127.0.0.1', path: '/api/test', method: 'GET', headers: {} };
+      const res = {
+        setHeader: jest.fn(),
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn()
+      };
+      const next = jest.fn();
+
+      await middleware.express()(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(res.setHeader).toHaveBeenCalledWith('X-RateLimit-Limit', expect.any(Number));
+      expect(res.setHeader).toHaveBeenCalledWith('X-RateLimit-Remaining', expect.any(Number));
+    });
+
+    it('should block requests over the limit', async () => {
+      const middleware = createMiddleware({
+        store,
+        maxRequests: 2,
+        windowMs: 60000
+      });
+
+      const req = { ip: '127.0.0.1', path: '/api/test', method: 'GET', headers: {} };
+      const res = {
+        setHeader: jest.fn(),
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn()
+      };
+      const next = jest.fn();
+
+      const expressMiddleware = middleware.express();
+
+      // Make requests up to and over the limit
+      await expressMiddleware(req, res, next);
+      await expressMiddleware(req, res, next);
+      await expressMiddleware(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(429);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        error: 'Too Many Requests'
+      }));
+    });
+
+    it('should skip requests when skip function returns true', async () => {
+      const middleware = createMiddleware({
+        store,
+        maxRequests: 1,
+        windowMs: 60000,
+        skip: (req) => req.path === '/health'
+      });
+
+      const req = { ip: '127.0.0.1', path: '/health', method: 'GET', headers: {} };
+      const res = {
+        setHeader: jest.fn(),
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn()
+      };
+      const next = jest.fn();
+
+      const expressMiddleware = middleware.express();
+
+      await expressMiddleware(req, res, next);
+      await expressMiddleware(req, res, next);
+      await expressMiddleware(req, res, next);
+
+      expect(next).toHaveBeenCalledTimes(3);
+      expect(next).toHaveBeenCalledWith();
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it('should use custom key generator', async () => {
+      const middleware = createMiddleware({
+        store,
+        maxRequests: 5,
+        windowMs: 60000,
+        keyGenerator: (req) => `user:${req.headers['x-user-id']}`
+      });
+
+      const req1 = { ip: '127.0.0.1', path: '/api', method: 'GET', headers: { 'x-user-id': 'user1' } };
+      const req2 = { ip: '127.0.0.1', path: '/api', method: 'GET', headers: { 'x-user-id': 'user2' } };
+      const res = {
+        setHeader: jest.fn(),
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn()
+      };
+      const next = jest.fn();
+
+      const expressMiddleware = middleware.express();
+
+      await expressMiddleware(req1, res, next);
+      await expressMiddleware(req2, res, next);
+
+      // Both should pass as they have different keys
+      expect(next).toHaveBeenCalledTimes(2);
+    });
+
+    it('should call custom onRateLimited handler', async () => {
+      const onRateLimited = jest.fn((req, res, next, result) => {
+        res.status(503).json({ custom: 'response' });
+      });
+
+      const middleware = createMiddleware({
+        store,
+        maxRequests: 1,
+        windowMs: 60000,
+        onRateLimited
+      });
+
+      const req = { ip: '127.0.0.1', path: '/api', method: 'GET', headers: {} };
+      const res = {
+        setHeader: jest.fn(),
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn()
+      };
+      const next = jest.fn();
+
+      const expressMiddleware = middleware.express();
+
+      await expressMiddleware(req, res, next);
+      await expressMiddleware(req, res, next);
+
+      expect(onRateLimited).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(503);
+    });
+  });
+
+  describe('Request cost', () => {
+    const createRes = () => ({
+      setHeader: jest.fn(),
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    });
+
+    it('should charge the cost returned by the cost option', async () => {
+      const middleware = createMiddleware({
+        store,
+        maxRequests: 10,
+        windowMs: 60000,
+        cost: (req) => (req.path === '/api/bulk' ? 8 : 1)
+      });
+      const expressMiddleware = middleware.express();
+      const next = jest.fn();
+
+      const bulk = createRes();
+      await expressMiddleware({ ip: '127.0.0.1', path: '/api/bulk', method: 'POST', headers: {} }, bulk, next);
+      expect(bulk.setHeader).toHaveBeenCalledWith('X-RateLimit-Remaining', 2);
+
+      const again = createRes();
+      await expressMiddleware({ ip: '127.0.0.1', path: '/api/bulk', method: 'POST', headers: {} }, again, next);
+      expect(again.status).toHaveBeenCalledWith(429);
+
+      const single = createRes();
+      await expressMiddleware({ ip: '127.0.0.1', path: '/api/item', method: 'GET', headers: {} }, single, next);
+      expect(single.status).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledTimes(2);
+    });
+
+    it('should use the cost of the matching route rule', async () => {
+      const ruleEngine = new RuleEngine({ maxRequests: 10, windowMs: 60000 });
+      ruleEngine.setRouteRule('/api/search', { cost: 5 });
+
+      const middleware = createMiddleware({ store, ruleEngine });
+      const result = await middleware.checkLimit('client', { path: '/api/search' });
+
+      expect(result.allowed).toBe(true);
+      expect(result.cost).toBe(5);
+      expect(result.remaining).toBe(5);
+    });
+
+    it('should reject invalid costs', async () => {
+      const ruleEngine = new RuleEngine();
+      expect(() => ruleEngine.setRouteRule('/api', { cost: 0 })).toThrow('cost must be a positive integer');
+
+      const middleware = createMiddleware({ store, cost: () => -1 });
+      const next = jest.fn();
+      await middleware.express()({ ip: '127.0.0.1', path: '/', method: 'GET', headers: {} }, createRes(), next);
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ name: 'ValidationError' }));
+    });
+  });
+
+  describe('Multiple limits', () => {
+    const createRes = () => ({
+      setHeader: jest.fn(),
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    });
+
+    it('should enforce every limit of a route rule and report the tightest', async () => {
+      const ruleEngine = new RuleEngine({ maxRequests: 100, windowMs: 60000 });
+      ruleEngine.setRouteRule('/api/search', {
+        limits: [
+          { windowMs: 1000, maxRequests: 5 },
+          { windowMs: 3600000, maxRequests: 2 }
+        ]
+      });
+
+      const middleware = createMiddleware({ store, ruleEngine });
+      const expressMiddleware = middleware.express();
+      const req = { ip: '127.0.0.1', path: '/api/search', method: 'GET', headers: {} };
+      const next = jest.fn();
+
+      const first = createRes();
+      await expressMiddleware(req, first, next);
+      expect(first.setHeader).toHaveBeenCalledWith('X-RateLimit-Limit', 2);
+      expect(first.setHeader).toHaveBeenCalledWith('X-RateLimit-Remaining', 1);
+
+      await expressMiddleware(req, createRes(), next);
+      const blocked = createRes();
+      await expressMiddleware(req, blocked, next);
+      expect(blocked.status).toHaveBeenCalledWith(429);
+      expect(next).toHaveBeenCalledTimes(2);
+
+      const result = await middleware.checkLimit('other', { path: '/api/search' });
+      expect(result.limits).toHaveLength(2);
+    });
+
+    it('should let a tier replace a single window with several', async () => {
+      const tierManager = new TierManager();
+      tierManager.defineTier('trial', {
+        limits: [
+          { windowMs: 1000, maxRequests: 1 },
+          { windowMs: 86400000, maxRequests: 50 }
+        ]
+      });
+
+      const middleware = createMiddleware({ store, tierManager, maxRequests: 100 });
+      const requestInfo = { path: '/api', user: { tier: 'trial' } };
+
+      expect((await middleware.checkLimit('trial-user', requestInfo)).allowed).toBe(true);
+      const blocked = await middleware.checkLimit('trial-user', requestInfo);
+      expect(blocked.allowed).toBe(false);
+      expect(blocked.limits[1].remaining).toBe(49);
+    });
+
+    it('should resolve tiers through the tier manager and key limits by tier', async () => {
+      const tierManager = new TierManager({ trial: { maxRequests: 1 }, paid: { maxRequests: 3 } });
+      let plan = 'trial';
+      const resolver = jest.fn(async () => plan);
+      tierManager.setTierResolver(resolver);
+
+      const middleware = createMiddleware({ store, tierManager, maxRequests: 100 });
+      const requestInfo = { ip: '203.0.113.5', path: '/api', headers: {}, user: { id: 'u1' } };
+
+      const first = await middleware.evaluate(requestInfo);
+      expect(first.result).toEqual(expect.objectContaining({ tier: 'trial', limit: 1, key: '203.0.113.5:tier:trial' }));
+      expect((await middleware.evaluate(requestInfo)).allowed).toBe(false);
+      expect(resolver).toHaveBeenCalledTimes(1);
+      expect(resolver).toHaveBeenCalledWith(requestInfo, 'u1');
+
+      // An upgrade starts from a fresh count as soon as the cache forgets the user
+      plan = 'paid';
+      tierManager.invalidate('u1');
+      const upgraded = await middleware.evaluate(requestInfo);
+      expect(upgraded.allowed).toBe(true);
+      expect(upgraded.result).toEqual(expect.objectContaining({ tier: 'paid', remaining: 2 }));
+    });
+
+    it('should fall back to user.tier and then to no tier', async () => {
+      const middleware = createMiddleware({ store, maxRequests: 7 });
+
+      const tiered = await middleware.checkLimit('k', { path: '/', user: { tier: 'basic' } });
+      expect(tiered).toEqual(expect.objectContaining({ tier: 'basic', limit: 500 }));
+
+      const plain = await middleware.checkLimit('k', { path: '/' });
+      expect(plain).toEqual(expect.objectContaining({ tier: null, limit: 7, key: 'k' }));
+    });
+
+    it('should count tier route overrides apart from the tier\'s other requests', async () => {
+      const tierManager = new TierManager({
+        exporter: { extends: 'premium', routes: { '/export': { maxRequests: 2 } } }
+      });
+      const middleware = createMiddleware({ store, tierManager });
+      const user = { id: 'u1', tier: 'exporter' };
+
+      await middleware.checkLimit('k', { path: '/export', method: 'GET', user });
+      const exported = await middleware.checkLimit('k', { path: '/export', method: 'GET', user });
+      expect(exported).toEqual(expect.objectContaining({ limit: 2, remaining: 0, key: 'k:tier:exporter:/export' }));
+      expect((await middleware.checkLimit('k', { path: '/export', method: 'GET', user })).allowed).toBe(false);
+
+      const other = await middleware.checkLimit('k', { path: '/search', method: 'GET', user });
+      expect(other).toEqual(expect.objectContaining({ allowed: true, limit: 2000, key: 'k:tier:exporter' }));
+    });
+
+    it('should count route rules apart from the client\'s other requests', async () => {
+      const ruleEngine = new RuleEngine({ maxRequests: 100, windowMs: 60000 });
+      ruleEngine.setRouteRule('POST /login', { maxRequests: 2 });
+      const middleware = createMiddleware({ store, ruleEngine });
+
+      for (let i = 0; i < 3; i++) {
+        await middleware.checkLimit('k', { path: '/home', method: 'GET' });
+      }
+      const login = await middleware.checkLimit('k', { path: '/login', method: 'POST' });
+      expect(login).toEqual(expect.objectContaining({ allowed: true, remaining: 1, key: 'k:POST /login' }));
+
+      await middleware.checkLimit('k', { path: '/login', method: 'POST' });
+      expect((await middleware.checkLimit('k', { path: '/login', method: 'POST' })).allowed).toBe(false);
+      expect((await middleware.checkLimit('k', { path: '/home', method: 'GET' })).remaining).toBe(96);
+    });
+
+    it('should count limits kept by different algorithms under their own keys', async () => {
+      const ruleEngine = new RuleEngine({ maxRequests: 2, windowMs: 60000 });
+      ruleEngine.setRouteRule('/cheap', { algorithm: 'fixed-window', maxRequests: 3 });
+      ruleEngine.addRule('bots', { match: { headers: { 'user-agent': /bot/ } }, algorithm: 'gcra', maxRequests: 1 });
+      const middleware = createMiddleware({ store, ruleEngine });
+      const allowed = { home: 0, cheap: 0 };
+
+      for (let i = 0; i < 5; i++) {
+        allowed.home += (await middleware.checkLimit('k', { path: '/home', headers: {} })).allowed ? 1 : 0;
+        allowed.cheap += (await middleware.checkLimit('k', { path: '/cheap', headers: {} })).allowed ? 1 : 0;
+      }
+      expect(allowed).toEqual({ home: 2, cheap: 3 });
+
+      const bot = await middleware.checkLimit('k', { path: '/home', headers: { 'user-agent': 'bot' } });
+      expect(bot).toEqual(expect.objectContaining({ allowed: true, key: 'k:rule:bots:gcra' }));
+    });
+
+    it('should resolve limits in the documented order and explain them', async () => {
+      const ruleEngine = new RuleEngine({ maxRequests: 100, windowMs: 60000 });
+      ruleEngine.setRouteRule('/api/*', { maxRequests: 50, cost: 2 });
+      ruleEngine.addRule('bulk', { match: { query: { bulk: 'true' } }, maxRequests: 10 });
+      const tierManager = new TierManager({
+        team: { extends: 'basic', windowMs: 30000, routes: { 'GET /api/export': { maxRequests: 3 } } }
+      });
+      const middleware = createMiddleware({ store, ruleEngine, tierManager, algorithm: 'fixed-window' });
+
+      const requestInfo = {
+        ip: '203.0.113.9',
+        path: '/api/export',
+        method: 'GET',
+        headers: {},
+        query: { bulk: 'true' },
+        user: { tier: 'team' },
+        routeConfig: { maxRequests: 7 }
+      };
+      const explained = await middleware.explain(requestInfo);
+
+      expect(explained.layers.map(layer => layer.source))
+        .toEqual(['config', 'default', 'route', 'rule', 'routeConfig', 'tier', 'tier', 'tier-route']);
+      expect(explained.layers[2]).toEqual(expect.objectContaining({ route: '/api/*', limits: { maxRequests: 50, cost: 2 } }));
+      expect(explained.layers[3]).toEqual(expect.objectContaining({ name: 'bulk' }));
+      expect(explained.layers.slice(5, 7).map(layer => layer.tier)).toEqual(['basic', 'team']);
+      expect(explained).toEqual(expect.objectContaining({ key: '203.0.113.9:tier:team:GET /api/export:rule:bulk', tier: 'team' }));
+      expect(explained.limits).toEqual(expect.objectContaining({
+        algorithm: 'sliding-window',
+        windowMs: 30000,
+        maxRequests: 3,
+        cost: 2
+      }));
+      expect(explained.fields).toEqual(expect.objectContaining({
+        algorithm: 'default',
+        windowMs: 'tier',
+        maxRequests: 'tier-route',
+        cost: 'route'
+      }));
+
+      // explain() does not count the request; checkLimit() uses the same limits
+      const result = await middleware.checkLimit(middleware.defaultKeyGenerator(requestInfo), requestInfo);
+      expect(result).toEqual(expect.objectContaining({ limit: 3, remaining: 1, cost: 2, key: explained.key }));
+    });
+
+    it('should explain a request with no rules or tier', async () => {
+      const middleware = createMiddleware({ store, maxRequests: 7 });
+      const explained = await middleware.explain({ ip: '198.51.100.1', path: '/', method: 'GET', headers: {} });
+
+      expect(explained.tier).toBeNull();
+      expect(explained.layers.map(layer => layer.source)).toEqual(['config', 'default']);
+      expect(explained.limits.maxRequests).toBe(7);
+      expect(explained.fields.maxRequests).toBe('default');
+    });
+
+    it('should count tenant requests under the user and the organisation\'s tier pool', async () => {
+      const tierManager = new TierManager({ team: { windowMs: 60000, maxRequests: 3 } });
+      tierManager.setUserTier('acme', 'team');
+      const tenantResolver = jest.fn((req, requestInfo) => requestInfo.user && requestInfo.user.orgId);
+      const middleware = createMiddleware({ store, tierManager, tenantResolver, maxRequests: 2 });
+      const alice = { ip: '203.0.113.1', path: '/api', headers: {}, user: { id: 'alice', orgId: 'acme' } };
+      const bob = { ip: '203.0.113.2', path: '/api', headers: {}, user: { id: 'bob', orgId: 'acme' } };
+
+      const first = await middleware.evaluate(alice);
+      expect(first.result).toEqual(expect.objectContaining({
+        tenant: 'acme',
+        tier: 'team',
+        key: '203.0.113.1',
+        remaining: 1
+      }));
+      expect(first.result.levels.map(level => level.key)).toEqual(['203.0.113.1', 'ratelimit:tenant:acme:team']);
+      expect(tenantResolver).toHaveBeenCalledWith(alice, alice);
+
+      // Alice is held to her own limit of 2, and the organisation to 3 in all
+      expect((await middleware.evaluate(alice)).allowed).toBe(true);
+      expect((await middleware.evaluate(alice)).allowed).toBe(false);
+      expect((await middleware.evaluate(bob)).allowed).toBe(true);
+
+      const blocked = await middleware.evaluate(bob);
+      expect(blocked.allowed).toBe(false);
+      expect(blocked.result.levels.map(level => level.allowed)).toEqual([true, false]);
+    });
+
+    it('should give organisations without a tier the free tier\'s pool', async () => {
+      const middleware = createMiddleware({ store, tenantResolver: () => 'globex', maxRequests: 5 });
+      const result = await middleware.checkLimit('k', { path: '/', user: { tier: 'enterprise' } });
+
+      expect(result).toEqual(expect.objectContaining({ tenant: 'globex', tier: 'free', limit: 5 }));
+      expect(result.levels[1]).toEqual(expect.objectContaining({ key: 'ratelimit:tenant:globex:free', total: 100 }));
+    });
+
+    it('should explain the user and pool limits of a tenant request', async () => {
+      const tierManager = new TierManager({
+        team: { extends: 'basic', routes: { '/export': { maxRequests: 10 } } }
+      });
+      tierManager.setUserTier('acme', 'team');
+      const middleware = createMiddleware({ store, tierManager, tenantResolver: () => 'acme', maxRequests: 2 });
+
+      const explained = await middleware.explain({ ip: '203.0.113.1', path: '/export', method: 'GET', headers: {} });
+      expect(explained).toEqual(expect.objectContaining({ key: '203.0.113.1', tier: 'team', tenant: 'acme' }));
+      expect(explained.limits.maxRequests).toBe(2);
+      expect(explained.fields.maxRequests).toBe('default');
+      expect(explained.pool).toEqual(expect.objectContaining({ key: 'ratelimit:tenant:acme:team:/export' }));
+      expect(explained.pool.limits.maxRequests).toBe(10);
+      expect(explained.pool.fields.maxRequests).toBe('tier-route');
+    });
+
+    it('should drop inherited limits when a rule sets a single window', () => {
+      const ruleEngine = new RuleEngine({ limits: [{ windowMs: 1000, maxRequests: 10 }] });
+      ruleEngine.setRouteRule('/api/upload', { maxRequests: 5 });
+
+      expect(ruleEngine.getRule('/api/other').limits).toHaveLength(1);
+      expect(ruleEngine.getRule('/api/upload').limits).toBeUndefined();
+    });
+  });
+
+  describe('Concurrency limits', () => {
+    function createResponse() {
+      const res = new EventEmitter();
+      res.setHeader = jest.fn();
+      res.status = jest.fn().mockReturnValue(res);
+      res.json = jest.fn();
+      return res;
+    }
+
+    it('should hold a slot until the express response finishes', async () => {
+      const middleware = createMiddleware({ store, algorithm: 'concurrency', maxRequests: 1 });
+      const expressMiddleware = middleware.express();
+      const req = { ip: '127.0.0.1', path: '/export', method: 'GET', headers: {} };
+      const next = jest.fn();
+
+      const first = createResponse();
+      await expressMiddleware(req, first, next);
+
+      const second = createResponse();
+      await expressMiddleware(req, second, next);
+      expect(second.status).toHaveBeenCalledWith(429);
+
+      first.emit('finish');
+      first.emit('close');
+      await new Promise(resolve => setImmediate(resolve));
+
+      const third = createResponse();
+      await expressMiddleware(req, third, next);
+      expect(third.status).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledTimes(2);
+    });
+
+    it('should release the koa slot after downstream middleware', async () => {
+      const middleware = createMiddleware({ store, algorithm: 'concurrency', maxRequests: 1 });
+      const koaMiddleware = middleware.koa();
+      const createCtx = () => ({
+        ip: '127.0.0.1',
+        path: '/export',
+        method: 'GET',
+        headers: {},
+        state: {},
+        set: jest.fn()
+      });
+
+      const inner = createCtx();
+      await koaMiddleware(createCtx(), async () => {
+        await koaMiddleware(inner, jest.fn());
+      });
+      expect(inner.status).toBe(429);
+
+      const after = createCtx();
+      await koaMiddleware(after, jest.fn());
+      expect(after.status).toBeUndefined();
+    });
+  });
+
+  describe('Koa middleware', () => {
+    it('should allow requests under the limit', async () => {
+      const middleware = createMiddleware({
+        store,
+        maxRequests: 5,
+        windowMs: 60000
+      });
+
+      const ctx = {
+        ip: '127.0.0.1',
+        path: '/api/test',
+        method: 'GET',
+        headers: {},
+        state: {},
+        set: jest.fn()
+      };
+      const next = jest.fn();
+
+      await middleware.koa()(ctx, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(ctx.set).toHaveBeenCalledWith('X-RateLimit-Limit', expect.any(Number));
+    });
+
+    it('should block requests over the limit', async () => {
+      const middleware = createMiddleware({
+        store,
+        maxRequests: 1,
+        windowMs: 60000
+      });
+
+      const ctx = {
+        ip: '127.0.0.1',
+        path: '/api/test',
+        method: 'GET',
+        headers: {},
+        state: {},
+        set: jest.fn()
+      };
+      const next = jest.fn();
+
+      const koaMiddleware = middleware.koa();
+
+      await koaMiddleware(ctx, next);
+      await koaMiddleware(ctx, next);
+
+      expect(ctx.status).toBe(429);
+      expect(ctx.body).toEqual(expect.objectContaining({
+        error: 'Too Many Requests'
+      }));
+    });
+  });
+
+  describe('Fastify plugin', () => {
+    async function register(middleware) {
+      const hooks = {};
+      const instance = {
+        decorateRequest: jest.fn(),
+        hasRequestDecorator: jest.fn(() => false),
+        addHook: jest.fn((name, hook) => {
+          hooks[name] = hook;
+        })
+      };
+
+      await middleware.fastify()(instance, {});
+      return { instance, hooks };
+    }
+
+    const createRequest = (config = {}, url = '/api/items?page=2') => ({
+      ip: '127.0.0.1',
+      url,
+      method: 'GET',
+      headers: {},
+      routeOptions: { config }
+    });
+
+    function createReply() {
+      const reply = {
+        raw: new EventEmitter(),
+        header: jest.fn(() => reply),
+        code: jest.fn(() => reply),
+        send: jest.fn(() => reply)
+      };
+      return reply;
+    }
+
+    it('should resolve the client from request.raw behind trusted proxies', async () => {
+      const middleware = createMiddleware({ store, maxRequests: 5, trustedProxies: ['10.0.0.0/8'] });
+      const { hooks } = await register(middleware);
+      const request = {
+        ...createRequest(),
+        ip: '10.1.2.3',
+        raw: { socket: { remoteAddress: '10.1.2.3' } },
+        headers: { forwarded: 'for=198.51.100.7' }
+      };
+
+      await hooks.onRequest(request, createReply());
+      expect(request.rateLimit.key).toBe('198.51.100.7');
+    });
+
+    it('should register as a non-encapsulated plugin with an onRequest hook', async () => {
+      const plugin = createMiddleware({ store }).fastify();
+      expect(plugin[Symbol.for('skip-override')]).toBe(true);
+
+      const { instance, hooks } = await register(createMiddleware({ store }));
+      expect(instance.decorateRequest).toHaveBeenCalledWith('rateLimit', null);
+      expect(hooks.onRequest).toEqual(expect.any(Function));
+      expect(hooks.onRoute).toEqual(expect.any(Function));
+    });
+
+    it('should set headers, decorate the request and reject over the limit', async () => {
+      const { hooks } = await register(createMiddleware({ store, maxRequests: 1 }));
+
+      const request = createRequest();
+      const reply = createReply();
+      await hooks.onRequest(request, reply);
+
+      expect(request.rateLimit).toEqual(expect.objectContaining({ allowed: true, limit: 1 }));
+      expect(reply.header).toHaveBeenCalledWith('X-RateLimit-Remaining', 0);
+      expect(reply.code).not.toHaveBeenCalled();
+
+      const blocked = createReply();
+      await hooks.onRequest(createRequest(), blocked);
+      expect(blocked.header).toHaveBeenCalledWith('Retry-After', expect.any(Number));
+      expect(blocked.code).toHaveBeenCalledWith(429);
+      expect(blocked.send).toHaveBeenCalledWith(expect.objectContaining({ error: 'Too Many Requests' }));
+    });
+
+    it('should apply per-route limits from config.rateLimit', async () => {
+      const { hooks } = await register(createMiddleware({ store, maxRequests: 100 }));
+
+      const request = createRequest({ rateLimit: { maxRequests: 2, cost: 2 } });
+      const reply = createReply();
+      await hooks.onRequest(request, reply);
+
+      expect(reply.header).toHaveBeenCalledWith('X-RateLimit-Limit', 2);
+      expect(request.rateLimit.cost).toBe(2);
+      expect(request.rateLimit.remaining).toBe(0);
+    });
+
+    it('should skip routes with rateLimit: false', async () => {
+      const { hooks } = await register(createMiddleware({ store, maxRequests: 1 }));
+
+      for (let i = 0; i < 3; i++) {
+        const reply = createReply();
+        await hooks.onRequest(createRequest({ rateLimit: false }, '/health'), reply);
+        expect(reply.header).not.toHaveBeenCalled();
+      }
+    });
+
+    it('should reject invalid per-route limits when the route is declared', async () => {
+      const { hooks } = await register(createMiddleware({ store }));
+
+      expect(() => hooks.onRoute({ config: { rateLimit: { algorithm: 'nope' } } }))
+        .toThrow('algorithm must be one of');
+      expect(() => hooks.onRoute({ config: {} })).not.toThrow();
+    });
+
+    it('should release concurrency slots when the raw response finishes', async () => {
+      const { hooks } = await register(createMiddleware({ store, algorithm: 'concurrency', maxRequests: 1 }));
+
+      const first = createReply();
+      await hooks.onRequest(createRequest(), first);
+
+      const second = createReply();
+      await hooks.onRequest(createRequest(), second);
+      expect(second.code).toHaveBeenCalledWith(429);
+
+      first.raw.emit('finish');
+      await new Promise(resolve => setImmediate(resolve));
+
+      const third = createReply();
+      await hooks.onRequest(createRequest(), third);
+      expect(third.code).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('evaluate', () => {
+    it('should return a decision for a normalized request', async () => {
+      const middleware = createMiddleware({ store, maxRequests: 1 });
+      const requestInfo = { ip: '10.0.0.1', path: '/api', method: 'GET', headers: {} };
+
+      const allowed = await middleware.evaluate(requestInfo);
+      expect(allowed).toEqual(expect.objectContaining({
+        allowed: true,
+        skipped: false,
+        status: 200,
+        body: null
+      }));
+      expect(allowed.headers).toEqual({
+        'X-RateLimit-Limit': 1,
+        'X-RateLimit-Remaining': 0,
+        'X-RateLimit-Reset': expect.any(Number)
+      });
+
+      const rejected = await middleware.evaluate(requestInfo);
+      expect(rejected.status).toBe(429);
+      expect(rejected.headers['Retry-After']).toEqual(expect.any(Number));
+      expect(rejected.body).toEqual(expect.objectContaining({ error: 'Too Many Requests' }));
+      expect(rejected.result.allowed).toBe(false);
+    });
+
+    it('should report skipped requests without touching the store', async () => {
+      const middleware = createMiddleware({ store, skip: (req) => req.path === '/health' });
+      const decision = await middleware.evaluate({ ip: '10.0.0.1', path: '/health' });
+
+      expect(decision).toEqual({ allowed: true, skipped: true, status: 200, headers: {}, body: null, result: null });
+      expect(await store.keys()).toEqual([]);
+    });
+
+    it('should let each adapter take its own extractRequestInfo', async () => {
+      const middleware = createMiddleware({ store, maxRequests: 1 });
+      const expressMiddleware = middleware.express({
+        extractRequestInfo: (req) => ({ ip: req.headers['cf-connecting-ip'], path: req.originalUrl, headers: req.headers })
+      });
+      const keyGenerator = jest.spyOn(middleware, 'keyGenerator');
+      const req = { originalUrl: '/api', headers: { 'cf-connecting-ip': '203.0.113.9' } };
+      const res = { setHeader: jest.fn(), status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+      await expressMiddleware(req, res, jest.fn());
+      expect(keyGenerator).toHaveBeenCalledWith(req, expect.objectContaining({ ip: '203.0.113.9' }));
+      expect(res.setHeader).toHaveBeenCalledWith('X-RateLimit-Limit', 1);
+    });
+  });
+
+  describe('Header modes', () => {
+    const requestInfo = { ip: '10.0.0.1', path: '/api', method: 'GET', headers: {} };
+    const { partitionKey } = require('../src/utils/headers');
+
+    it('should send legacy headers by default', async () => {
+      const middleware = createMiddleware({ store, maxRequests: 5 });
+      const { headers } = await middleware.evaluate(requestInfo);
+
+      expect(Object.keys(headers)).toEqual(['X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset']);
+    });
+
+    it('should send draft-7 RateLimit and RateLimit-Policy headers', async () => {
+      const middleware = createMiddleware({ store, maxRequests: 5, windowMs: 60000, headers: 'draft-7' });
+      const { headers } = await middleware.evaluate(requestInfo);
+
+      expect(headers).toEqual({
+        'RateLimit': 'limit=5, remaining=4, reset=60',
+        'RateLimit-Policy': '5;w=60'
+      });
+    });
+
+    it('should send named draft-8 policies with a hashed partition key', async () => {
+      const middleware = createMiddleware({ store, maxRequests: 5, windowMs: 60000, headers: 'draft-8' });
+      const { headers } = await middleware.evaluate(requestInfo);
+      const pk = partitionKey('10.0.0.1');
+
+      expect(pk).not.toContain('10.0.0.1');
+      expect(headers).toEqual({
+        'RateLimit': `"5-in-60s";r=4;t=60;pk=:${pk}:`,
+        'RateLimit-Policy': `"5-in-60s";q=5;w=60;pk=:${pk}:`
+      });
+    });
+
+    it('should list every window of a multi-window limit', async () => {
+      const middleware = createMiddleware({
+        store,
+        headers: 'draft-8',
+        limits: [{ windowMs: 1000, maxRequests: 2 }, { windowMs: 3600000, maxRequests: 100 }]
+      });
+      const { headers } = await middleware.evaluate(requestInfo);
+
+      expect(headers['RateLimit-Policy']).toMatch(/^"2-in-1s";q=2;w=1;pk=:.+:, "100-in-3600s";q=100;w=3600;pk=:.+:$/);
+      expect(headers['RateLimit']).toMatch(/^"2-in-1s";r=1;t=\d;pk=:.+:, "100-in-3600s";r=99;t=\d+;pk=:.+:$/);
+    });
+
+    it('should describe token bucket windows as the time to refill', async () => {
+      const middleware = createMiddleware({ store, algorithm: 'token-bucket', bucketSize: 10, refillRate: 2, headers: 'draft-7' });
+      const { headers } = await middleware.evaluate(requestInfo);
+
+      expect(headers['RateLimit-Policy']).toBe('10;w=5');
+    });
+
+    it('should send legacy and draft-8 headers with both, plus Retry-After when limited', async () => {
+      const middleware = createMiddleware({ store, maxRequests: 1, headers: 'both' });
+      await middleware.evaluate(requestInfo);
+      const { headers } = await middleware.evaluate(requestInfo);
+
+      expect(Object.keys(headers).sort()).toEqual([
+        'RateLimit', 'RateLimit-Policy', 'Retry-After',
+        'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset'
+      ]);
+      expect(headers['RateLimit']).toMatch(/^"1-in-60s";r=0;t=\d+;pk=/);
+    });
+
+    it('should set the same headers from express() and koa()', async () => {
+      const middleware = createMiddleware({ store, maxRequests: 5, headers: 'draft-7' });
+      const res = { setHeader: jest.fn(), status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const ctx = { ...requestInfo, ip: '10.0.0.2', state: {}, set: jest.fn() };
+
+      await middleware.express()({ ...requestInfo, ip: '10.0.0.3' }, res, jest.fn());
+      await middleware.koa()(ctx, jest.fn());
+
+      expect(res.setHeader.mock.calls).toEqual(ctx.set.mock.calls);
+      expect(res.setHeader).toHaveBeenCalledWith('RateLimit-Policy', '5;w=60');
+    });
+
+    it('should send no rate limit headers with headers: false', async () => {
+      const middleware = createMiddleware({ store, maxRequests: 1, headers: false });
+      expect((await middleware.evaluate(requestInfo)).headers).toEqual({});
+      expect(Object.keys((await middleware.evaluate(requestInfo)).headers)).toEqual(['Retry-After']);
+    });
+
+    it('should reject unknown header modes', () => {
+      expect(() => createMiddleware({ store, headers: 'draft-6' }))
+        .toThrow('headers must be one of: legacy, draft-7, draft-8, both');
+    });
+  });
+
+  describe('IPv6 keying', () => {
+    const evaluate = (middleware, ip) => middleware.evaluate({ ip, path: '/', headers: {} });
+
+    it('should share one quota across a /56 by default', async () => {
+      const middleware = createMiddleware({ store, maxRequests: 2 });
+
+      expect((await evaluate(middleware, '2001:db8:0:ab01::1')).allowed).toBe(true);
+      expect((await evaluate(middleware, '2001:db8:0:ab02::2')).allowed).toBe(true);
+      expect((await evaluate(middleware, '2001:db8:0:abff::3')).allowed).toBe(false);
+      expect((await evaluate(middleware, '2001:db8:0:ac00::1')).allowed).toBe(true);
+    });
+
+    it('should group by the configured prefix length', async () => {
+      const middleware = createMiddleware({ store, maxRequests: 1, ipv6Subnet: 64 });
+
+      expect((await evaluate(middleware, '2001:db8:0:1::1')).result.key).toBe('2001:db8:0:1::/64');
+      expect((await evaluate(middleware, '2001:db8:0:2::1')).allowed).toBe(true);
+    });
+
+    it('should reject invalid prefix lengths', () => {
+      expect(() => createMiddleware({ store, ipv6Subnet: 129 })).toThrow('ipv6Subnet must be an integer from 1 to 128');
+    });
+  });
+
+  describe('Trusted proxies', () => {
+    const socket = { remoteAddress: '10.1.2.3' };
+    const headers = { 'x-forwarded-for': '6.6.6.6, 198.51.100.7' };
+
+    it('should resolve the client behind trusted proxies in express()', async () => {
+      const middleware = createMiddleware({ store, maxRequests: 5, trustedProxies: ['10.0.0.0/8'] });
+      const req = { ip: '10.1.2.3', socket, path: '/', headers };
+      const res = { setHeader: jest.fn(), status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+      await middleware.express()(req, res, jest.fn());
+      expect(await store.get('198.51.100.7')).not.toBeNull();
+    });
+
+    it('should resolve the client from ctx.req in koa()', async () => {
+      const middleware = createMiddleware({ store, maxRequests: 5, trustedProxies: ['10.0.0.0/8'] });
+      const ctx = { ip: '10.1.2.3', req: { socket }, path: '/', headers, state: {}, set: jest.fn() };
+
+      await middleware.koa()(ctx, jest.fn());
+      expect(await store.get('198.51.100.7')).not.toBeNull();
+    });
+
+    it('should ignore forwarding headers from untrusted peers', async () => {
+      const middleware = createMiddleware({ store, maxRequests: 5, trustedProxies: ['192.168.0.0/16'] });
+      const ctx = { ip: '10.1.2.3', req: { socket }, path: '/', headers, state: {}, set: jest.fn() };
+
+      await middleware.koa()(ctx, jest.fn());
+      expect(await store.get('10.1.2.3')).not.toBeNull();
+      expect(await store.get('198.51.100.7')).toBeNull();
+    });
+
+    it('should keep the framework address when no proxies are trusted', () => {
+      const middleware = createMiddleware({ store });
+      expect(middleware.clientIp({ socket }, '198.51.100.9', headers)).toBe('198.51.100.9');
+      expect(middleware.clientIp({ socket }, undefined, headers)).toBe('10.1.2.3');
+    });
+
+    it('should reject malformed entries up front', () => {
+      expect(() => createMiddleware({ store, trustedProxies: ['10.0.0.0/40'] }))
+        .toThrow('trustedProxies entry \'10.0.0.0/40\' is not an IP address or CIDR range');
+    });
+  });
+
+  describe('Fetch adapter', () => {
+    it('should add headers to the handler response', async () => {
+      const middleware = createMiddleware({ store, maxRequests: 2 });
+      const handler = middleware.fetch(async () => Response.json({ ok: true }));
+
+      const response = await handler(new Request('https://example.com/api/items?x=1'));
+      expect(response.status).toBe(200);
+      expect(await response.json()).toEqual({ ok: true });
+      expect(response.headers.get('X-RateLimit-Limit')).toBe('2');
+      expect(response.headers.get('X-RateLimit-Remaining')).toBe('1');
+    });
+
+    it('should answer 429 without calling the handler', async () => {
+      const middleware = createMiddleware({ store, maxRequests: 1 });
+      const inner = jest.fn(async () => new Response('ok'));
+      const handler = middleware.fetch(inner, {
+        extractRequestInfo: (request) => ({
+          ip: request.headers.get('x-client'),
+          path: new URL(request.url).pathname
+        })
+      });
+      const request = () => new Request('https://example.com/', { headers: { 'x-client': 'a' } });
+
+      await handler(request());
+      const response = await handler(request());
+
+      expect(inner).toHaveBeenCalledTimes(1);
+      expect(response.status).toBe(429);
+      expect(response.headers.get('Content-Type')).toBe('application/json');
+      expect(response.headers.get('Retry-After')).not.toBeNull();
+      expect((await response.json()).error).toBe('Too Many Requests');
+    });
+
+    it('should release concurrency slots once the handler settles', async () => {
+      const middleware = createMiddleware({ store, algorithm: 'concurrency', maxRequests: 1 });
+      const handler = middleware.fetch(async () => new Response('ok'));
+
+      expect((await handler(new Request('https://example.com/'))).status).toBe(200);
+      expect((await handler(new Request('https://example.com/'))).status).toBe(200);
+    });
+  });
+
+  describe('Hono middleware', () => {
+    function createContext(headers = {}) {
+      const vars = new Map();
+      return {
+        req: { raw: new Request('https://example.com/api', { headers }) },
+        env: { incoming: { socket: { remoteAddress: '198.51.100.7' } } },
+        set: (name, value) => vars.set(name, value),
+        get: (name) => vars.get(name),
+        header: jest.fn(),
+        json: jest.fn((body, status) => new Response(JSON.stringify(body), { status }))
+      };
+    }
+
+    it('should set headers and expose the result on the context', async () => {
+      const middleware = createMiddleware({ store, maxRequests: 1 });
+      const c = createContext();
+      const next = jest.fn();
+
+      await middleware.hono()(c, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(c.header).toHaveBeenCalledWith('X-RateLimit-Limit', '1');
+      expect(c.get('rateLimit')).toEqual(expect.objectContaining({ allowed: true }));
+    });
+
+    it('should key on the Node socket address and reject over the limit', async () => {
+      const middleware = createMiddleware({ store, maxRequests: 1 });
+      const honoMiddleware = middleware.hono();
+
+      await honoMiddleware(createContext(), jest.fn());
+      const c = createContext();
+      const next = jest.fn();
+      const response = await honoMiddleware(c, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(response.status).toBe(429);
+      expect(c.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Too Many Requests' }), 429);
+      expect(await store.get('198.51.100.7')).not.toBeNull();
+    });
+  });
+
+  describe('createMiddleware factory', () => {
+    it('should create middleware with default options', () => {
+      const middleware = createMiddleware();
+      
+      expect(middleware).toBeInstanceOf(RateLimitMiddleware);
+      expect(middleware.express).toBeDefined();
+      expect(middleware.koa).toBeDefined();
+    });
+
+    it('should use the algorithm of the matching route rule', async () => {
+      const ruleEngine = new RuleEngine({ maxRequests: 5, windowMs: 60000 });
+      ruleEngine.setRouteRule('/api/login', { algorithm: 'gcra', maxRequests: 1, burst: 1 });
+
+      const middleware = createMiddleware({ store, ruleEngine });
+
+      const login = await middleware.checkLimit('client', { path: '/api/login', method: 'POST' });
+      const other = await middleware.checkLimit('client', { path: '/api/users', method: 'GET' });
+
+      expect(login.limit).toBe(1);
+      expect(other.limit).toBe(5);
+      expect([...middleware.limiters.values()].some(l => l instanceof GcraLimiter)).toBe(true);
+    });
+
+    it('should reject unknown algorithms', () => {
+      expect(() => createMiddleware({ algorithm: 'nope' })).toThrow('algorithm must be one of');
+    });
+
+    it('should create middleware with token bucket algorithm', () => {
+      const middleware = createMiddleware({
+        algorithm: 'token-bucket',
+        bucketSize: 10,
+        tokensPerInterval: 1,
+        interval: 1000
+      });
+
+      expect(middleware).toBeInstanceOf(RateLimitMiddleware);
+    });
+  });
+});
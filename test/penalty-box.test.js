@@ -0,0 +1,163 @@
+const { PenaltyBox } = require('../src/penalty-box');
+const { createMiddleware } = require('../src/middleware');
+const { MemoryStore } = require('../src/stores/memory');
+const rateGuard = require('../src');
+
+describe('PenaltyBox', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new MemoryStore({ autoCleanup: false });
+  });
+
+  afterEach(() => {
+    store.destroy();
+  });
+
+  describe('bans', () => {
+    it('should ban a key after threshold violations', async () => {
+      const box = new PenaltyBox({ store, threshold: 3, banMs: 60000 });
+
+      expect(await box.recordViolation('k')).toBeNull();
+      expect(await box.recordViolation('k')).toBeNull();
+      const ban = await box.recordViolation('k');
+
+      expect(ban.until - ban.bannedAt).toBe(60000);
+      expect(ban.strikes).toBe(1);
+      expect(await box.isBanned('k')).toBe(true);
+      expect(await box.isBanned('other')).toBe(false);
+    });
+
+    it('should only count violations within windowMs', async () => {
+      const box = new PenaltyBox({ store, threshold: 2, windowMs: 20 });
+
+      await box.recordViolation('k');
+      await new Promise(resolve => setTimeout(resolve, 30));
+      expect(await box.recordViolation('k')).toBeNull();
+    });
+
+    it('should grow repeated bans exponentially up to maxBanMs', async () => {
+      const box = new PenaltyBox({ store, threshold: 1, banMs: 1000, multiplier: 2, maxBanMs: 3000 });
+      const durations = [];
+
+      for (let i = 0; i < 3; i++) {
+        const ban = await box.recordViolation('k');
+        durations.push(ban.until - ban.bannedAt);
+      }
+
+      expect(durations).toEqual([1000, 2000, 3000]);
+    });
+
+    it('should keep counting strikes until decayMs after the last ban', async () => {
+      jest.useFakeTimers({ now: new Date('2024-03-14T10:00:00Z') });
+      const box = new PenaltyBox({ store, threshold: 1, banMs: 1000, multiplier: 2, decayMs: 1000 });
+      const strikes = [];
+
+      for (const wait of [0, 600, 600, 1001]) {
+        jest.advanceTimersByTime(wait);
+        strikes.push((await box.recordViolation('k')).strikes);
+      }
+      jest.useRealTimers();
+
+      expect(strikes).toEqual([1, 2, 3, 1]);
+    });
+
+    it('should expire bans', async () => {
+      const box = new PenaltyBox({ store });
+      await box.ban('k', 20);
+
+      expect(await box.isBanned('k')).toBe(true);
+      await new Promise(resolve => setTimeout(resolve, 30));
+      expect(await box.isBanned('k')).toBe(false);
+    });
+
+    it('should forget violations and strikes on unban', async () => {
+      const box = new PenaltyBox({ store, threshold: 2, banMs: 1000, multiplier: 2 });
+      await box.recordViolation('k');
+      await box.recordViolation('k');
+      await box.unban('k');
+
+      expect(await box.isBanned('k')).toBe(false);
+      expect(await box.recordViolation('k')).toBeNull();
+      const ban = await box.recordViolation('k');
+      expect(ban.until - ban.bannedAt).toBe(1000);
+    });
+
+    it('should share bans through the store', async () => {
+      await new PenaltyBox({ store }).ban('k', 60000);
+      expect(await new PenaltyBox({ store }).isBanned('k')).toBe(true);
+    });
+
+    it('should validate its options', () => {
+      expect(() => new PenaltyBox({ threshold: -1 })).toThrow('threshold must be a positive integer');
+      expect(() => new PenaltyBox({ multiplier: 0.5 })).toThrow('multiplier must be a number of at least 1');
+    });
+  });
+
+  describe('middleware', () => {
+    const requestInfo = { ip: '203.0.113.5', path: '/api', headers: {} };
+
+    it('should report ban status in rejection bodies', async () => {
+      const penaltyBox = new PenaltyBox({ store, threshold: 2, banMs: 60000 });
+      const middleware = createMiddleware({ store, maxRequests: 1, penaltyBox });
+
+      expect((await middleware.evaluate(requestInfo)).allowed).toBe(true);
+
+      const limited = await middleware.evaluate(requestInfo);
+      expect(limited.body).toEqual(expect.objectContaining({ message: 'Rate limit exceeded', banned: false }));
+
+      const banned = await middleware.evaluate(requestInfo);
+      expect(banned.status).toBe(429);
+      expect(banned.result.ban).toBe(banned.ban);
+      expect(banned.headers['Retry-After']).toBe(60);
+      expect(banned.body).toEqual({
+        error: 'Too Many Requests',
+        message: 'Temporarily banned',
+        retryAfter: 60,
+        banned: true,
+        bannedUntil: new Date(banned.ban.until).toISOString()
+      });
+    });
+
+    it('should reject banned keys without touching the limiter', async () => {
+      const penaltyBox = new PenaltyBox({ store });
+      const middleware = createMiddleware({ store, maxRequests: 100, penaltyBox });
+      await penaltyBox.ban('203.0.113.5', 60000);
+      const checkLimit = jest.spyOn(middleware, 'checkLimit');
+
+      const decision = await middleware.evaluate(requestInfo);
+      expect(decision.allowed).toBe(false);
+      expect(decision.result).toBeNull();
+      expect(decision.body.banned).toBe(true);
+      expect(checkLimit).not.toHaveBeenCalled();
+      expect((await middleware.evaluate({ ...requestInfo, ip: '203.0.113.6' })).allowed).toBe(true);
+    });
+
+    it('should leave rejection bodies alone without a penalty box', async () => {
+      const middleware = createMiddleware({ store, maxRequests: 1 });
+      await middleware.evaluate(requestInfo);
+
+      expect((await middleware.evaluate(requestInfo)).body).not.toHaveProperty('banned');
+    });
+  });
+
+  describe('rateGuard()', () => {
+    it('should expose ban, unban and isBanned', async () => {
+      const guard = rateGuard({ maxRequests: 100, penaltyBox: { banMs: 60000 } });
+
+      await guard.ban('203.0.113.5');
+      expect(await guard.isBanned('203.0.113.5')).toBe(true);
+      expect((await guard.evaluate({ ip: '203.0.113.5', path: '/' })).body.banned).toBe(true);
+
+      await guard.unban('203.0.113.5');
+      expect(await guard.isBanned('203.0.113.5')).toBe(false);
+      await guard.close();
+    });
+
+    it('should ask for a penalty box before banning', async () => {
+      const guard = rateGuard();
+      await expect(guard.ban('k')).rejects.toThrow('Bans need a penalty box');
+      await guard.close();
+    });
+  });
+});
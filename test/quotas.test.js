@@ -0,0 +1,290 @@
+const { QuotaManager } = require('../src/quotas');
+const { periodBounds, zonedFormat } = require('../src/utils/calendar');
+const { createMiddleware } = require('../src/middleware');
+const { TierManager } = require('../src/tiers');
+const { PenaltyBox } = require('../src/penalty-box');
+const { MemoryStore } = require('../src/stores/memory');
+const rateGuard = require('../src');
+
+const at = iso => new Date(iso).getTime();
+
+describe('calendar periods', () => {
+  it('should align months, weeks and days to UTC by default', () => {
+    const now = at('2024-03-14T10:20:00Z'); // a Thursday
+
+    expect(periodBounds('month', now)).toEqual({ start: at('2024-03-01T00:00:00Z'), end: at('2024-04-01T00:00:00Z') });
+    expect(periodBounds('week', now)).toEqual({ start: at('2024-03-11T00:00:00Z'), end: at('2024-03-18T00:00:00Z') });
+    expect(periodBounds('week', now, { weekStart: 0 }).start).toBe(at('2024-03-10T00:00:00Z'));
+    expect(periodBounds('day', now)).toEqual({ start: at('2024-03-14T00:00:00Z'), end: at('2024-03-15T00:00:00Z') });
+    expect(periodBounds('hour', now)).toEqual({ start: at('2024-03-14T10:00:00Z'), end: at('2024-03-14T11:00:00Z') });
+  });
+
+  it('should follow the local calendar of a time zone', () => {
+    const tokyo = zonedFormat('Asia/Tokyo');
+    const kolkata = zonedFormat('Asia/Kolkata');
+
+    // Already 1 March in Tokyo
+    expect(periodBounds('month', at('2024-02-29T16:00:00Z'), { format: tokyo }))
+      .toEqual({ start: at('2024-02-29T15:00:00Z'), end: at('2024-03-31T15:00:00Z') });
+    expect(periodBounds('hour', at('2024-03-14T10:10:00Z'), { format: kolkata }))
+      .toEqual({ start: at('2024-03-14T09:30:00Z'), end: at('2024-03-14T10:30:00Z') });
+  });
+
+  it('should move with daylight saving changes', () => {
+    const newYork = zonedFormat('America/New_York');
+
+    // Clocks go forward on 10 March, so that day has 23 hours
+    expect(periodBounds('day', at('2024-03-10T12:00:00Z'), { format: newYork }))
+      .toEqual({ start: at('2024-03-10T05:00:00Z'), end: at('2024-03-11T04:00:00Z') });
+    expect(periodBounds('month', at('2024-11-15T12:00:00Z'), { format: newYork }))
+      .toEqual({ start: at('2024-11-01T04:00:00Z'), end: at('2024-12-01T05:00:00Z') });
+  });
+
+  it('should reject unknown periods and time zones', () => {
+    expect(() => periodBounds('year', Date.now())).toThrow('period must be one of: hour, day, week, month');
+    expect(() => zonedFormat('Mars/Olympus_Mons')).toThrow('timezone \'Mars/Olympus_Mons\' is not a known time zone');
+  });
+});
+
+describe('QuotaManager', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new MemoryStore({ autoCleanup: false });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    store.destroy();
+  });
+
+  describe('usage', () => {
+    it('should refuse requests once the period allowance is used', async () => {
+      jest.useFakeTimers({ now: new Date('2024-03-14T10:00:00Z') });
+      const quotas = new QuotaManager({ store, limit: 3, period: 'day' });
+
+      expect((await quotas.consume('k', 2)).allowed).toBe(true);
+      expect((await quotas.consume('k', 2)).allowed).toBe(false);
+      const usage = await quotas.consume('k');
+
+      expect(usage).toEqual({
+        allowed: true,
+        key: 'k',
+        limit: 3,
+        used: 3,
+        remaining: 0,
+        credits: 0,
+        period: 'day',
+        timezone: 'UTC',
+        periodStart: new Date('2024-03-14T00:00:00Z'),
+        resetAt: new Date('2024-03-15T00:00:00Z')
+      });
+      expect((await quotas.consume('k')).allowed).toBe(false);
+    });
+
+    it('should start again when the next period begins', async () => {
+      jest.useFakeTimers({ now: new Date('2024-03-31T23:59:00Z') });
+      const quotas = new QuotaManager({ store, limit: 1 });
+
+      expect((await quotas.consume('k')).allowed).toBe(true);
+      expect((await quotas.consume('k')).allowed).toBe(false);
+
+      jest.setSystemTime(new Date('2024-04-01T00:00:00Z'));
+      expect((await quotas.consume('k')).allowed).toBe(true);
+      expect((await quotas.getUsage('k')).periodStart).toEqual(new Date('2024-04-01T00:00:00Z'));
+    });
+
+    it('should report usage without charging it', async () => {
+      const quotas = new QuotaManager({ store, limit: 10 });
+      await quotas.consume('k', 4);
+
+      const usage = await quotas.getUsage('k');
+      expect(usage).not.toHaveProperty('allowed');
+      expect(usage.used).toBe(4);
+      expect((await quotas.getUsage('k')).remaining).toBe(6);
+    });
+
+    it('should only read the store when reporting usage', async () => {
+      const quotas = new QuotaManager({ store, limit: 10 });
+      const set = jest.spyOn(store, 'set');
+      const atomicQuota = jest.spyOn(store, 'atomicQuota');
+
+      expect((await quotas.getUsage('k')).remaining).toBe(10);
+      expect(await store.get('quota:usage:k')).toBeNull();
+      expect(set).not.toHaveBeenCalled();
+      expect(atomicQuota).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to get and set for stores without atomicQuota', async () => {
+      store.atomicQuota = undefined;
+      const quotas = new QuotaManager({ store, limit: 2 });
+
+      expect((await quotas.consume('k', 2)).allowed).toBe(true);
+      expect((await quotas.consume('k')).allowed).toBe(false);
+      expect((await quotas.getUsage('k')).used).toBe(2);
+    });
+
+    it('should apply no quota to keys without a limit', async () => {
+      const quotas = new QuotaManager({ store });
+
+      expect(await quotas.consume('k')).toBeNull();
+      expect(await quotas.getUsage('k')).toBeNull();
+      expect((await quotas.consume('k', 1, { limit: 5 })).remaining).toBe(4);
+    });
+
+    it('should forget usage on reset', async () => {
+      const quotas = new QuotaManager({ store, limit: 1 });
+      await quotas.consume('k');
+      await quotas.reset('k');
+
+      expect((await quotas.consume('k')).allowed).toBe(true);
+    });
+  });
+
+  describe('credits', () => {
+    it('should spend credits once the allowance is used', async () => {
+      const quotas = new QuotaManager({ store, limit: 2 });
+
+      expect((await quotas.addCredits('k', 3)).remaining).toBe(5);
+      await quotas.consume('k', 2);
+      const overAllowance = await quotas.consume('k', 2);
+
+      expect(overAllowance.allowed).toBe(true);
+      expect(overAllowance.used).toBe(4);
+      expect(overAllowance.credits).toBe(1);
+      expect((await quotas.consume('k', 2)).allowed).toBe(false);
+      expect((await quotas.getUsage('k')).credits).toBe(1);
+    });
+
+    it('should carry credits into the next period', async () => {
+      jest.useFakeTimers({ now: new Date('2024-03-14T10:00:00Z') });
+      const quotas = new QuotaManager({ store, limit: 1, period: 'day' });
+
+      await quotas.addCredits('k', 5);
+      await quotas.consume('k', 3);
+
+      jest.setSystemTime(new Date('2024-03-15T10:00:00Z'));
+      const usage = await quotas.getUsage('k');
+      expect(usage.used).toBe(0);
+      expect(usage.credits).toBe(3);
+      expect(usage.remaining).toBe(4);
+    });
+
+    it('should keep a quota holding credits past the end of its period', async () => {
+      const quotas = new QuotaManager({ store, limit: 1, period: 'hour' });
+
+      await quotas.consume('a');
+      await quotas.addCredits('b', 1);
+
+      expect(await store.getTTL('quota:usage:a')).toBeGreaterThan(0);
+      expect(await store.getTTL('quota:usage:b')).toBe(-1);
+    });
+  });
+
+  describe('settings', () => {
+    it('should let a key\'s own settings win over rules and defaults', async () => {
+      jest.useFakeTimers({ now: new Date('2024-03-14T20:00:00Z') });
+      const quotas = new QuotaManager({ store, limit: 100, period: 'day' });
+
+      await quotas.configure('k', { limit: 10, timezone: 'Asia/Tokyo' });
+      const usage = await quotas.getUsage('k', { limit: 50, period: 'month' });
+
+      expect(usage.limit).toBe(10);
+      expect(usage.period).toBe('month');
+      expect(usage.periodStart).toEqual(new Date('2024-02-29T15:00:00Z'));
+
+      await quotas.configure('k', null);
+      expect((await quotas.getUsage('k', { limit: 50 })).limit).toBe(50);
+    });
+
+    it('should validate its settings', async () => {
+      expect(() => new QuotaManager({ period: 'year' })).toThrow('period must be one of: hour, day, week, month');
+      expect(() => new QuotaManager({ limit: 0 })).toThrow('limit must be a positive integer');
+      expect(() => new QuotaManager({ weekStart: 7 })).toThrow('weekStart must be a day from 0 (Sunday) to 6');
+
+      const quotas = new QuotaManager({ store });
+      await expect(quotas.configure('k', { timezone: 'Nowhere' })).rejects.toThrow('settings.timezone \'Nowhere\' is not a known time zone');
+      await expect(quotas.addCredits('k', -1)).rejects.toThrow('units must be a positive integer');
+    });
+  });
+
+  describe('middleware', () => {
+    const requestInfo = { ip: '203.0.113.5', path: '/api', headers: {} };
+
+    it('should send quota headers and refuse requests over the quota', async () => {
+      jest.useFakeTimers({ now: new Date('2024-03-14T10:00:00Z') });
+      const quotas = new QuotaManager({ store, limit: 1, period: 'day' });
+      const penaltyBox = new PenaltyBox({ store, threshold: 1 });
+      const middleware = createMiddleware({ store, maxRequests: 100, quotas, penaltyBox });
+
+      const allowed = await middleware.evaluate(requestInfo);
+      expect(allowed.headers).toEqual(expect.objectContaining({
+        'X-RateLimit-Remaining': 99,
+        'Quota-Limit': 1,
+        'Quota-Remaining': 0,
+        'Quota-Reset': 14 * 3600,
+        'Quota-Period': 'day'
+      }));
+
+      const refused = await middleware.evaluate(requestInfo);
+      expect(refused.status).toBe(429);
+      expect(refused.result.reason).toBe('quota');
+      expect(refused.body.message).toBe('Quota exceeded');
+      expect(refused.headers['Retry-After']).toBe(14 * 3600);
+      expect(await penaltyBox.isBanned('203.0.113.5')).toBe(false);
+    });
+
+    it('should send no quota headers when headers are turned off', async () => {
+      const quotas = new QuotaManager({ store, limit: 10 });
+      const middleware = createMiddleware({ store, maxRequests: 100, quotas, headers: false });
+
+      const allowed = await middleware.evaluate(requestInfo);
+      expect(allowed.result.quota.remaining).toBe(9);
+      expect(allowed.headers).not.toHaveProperty('Quota-Limit');
+      expect(allowed.headers).not.toHaveProperty('X-RateLimit-Limit');
+    });
+
+    it('should leave the quota alone for requests over the rate limit', async () => {
+      const quotas = new QuotaManager({ store, limit: 10 });
+      const middleware = createMiddleware({ store, maxRequests: 1, quotas });
+
+      await middleware.evaluate(requestInfo);
+      const limited = await middleware.evaluate(requestInfo);
+
+      expect(limited.body.message).toBe('Rate limit exceeded');
+      expect(limited.result.quota).toBeNull();
+      expect((await quotas.getUsage('203.0.113.5')).used).toBe(1);
+    });
+
+    it('should take the quota from the tier and keep usage across tiers', async () => {
+      const tierManager = new TierManager({ pro: { extends: 'free', quota: { limit: 1000, period: 'month' } } });
+      const quotas = new QuotaManager({ store });
+      const middleware = createMiddleware({ store, quotas, tierManager, keyGenerator: () => 'acct' });
+
+      expect((await middleware.evaluate({ ...requestInfo, user: { tier: 'free' } })).headers).not.toHaveProperty('Quota-Limit');
+      const pro = await middleware.evaluate({ ...requestInfo, user: { tier: 'pro' } });
+
+      expect(pro.headers['Quota-Limit']).toBe(1000);
+      expect(pro.result.quota.key).toBe('acct');
+      expect((await middleware.explain({ ...requestInfo, user: { tier: 'pro' } })).fields.quota).toBe('tier');
+    });
+  });
+
+  describe('rateGuard()', () => {
+    it('should expose getUsage and addCredits', async () => {
+      const guard = rateGuard({ maxRequests: 100, quotas: { limit: 2 } });
+
+      await guard.check('k');
+      expect((await guard.getUsage('k')).used).toBe(1);
+      expect((await guard.addCredits('k', 5)).remaining).toBe(6);
+      expect(guard.quotas).toBeInstanceOf(QuotaManager);
+      await guard.close();
+    });
+
+    it('should ask for a quota manager before reporting usage', async () => {
+      const guard = rateGuard();
+      await expect(guard.getUsage('k')).rejects.toThrow('Quotas need a quota manager');
+      await guard.close();
+    });
+  });
+});
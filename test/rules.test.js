@@ -0,0 +1,375 @@
+const { RuleEngine } = require('../src/rules');
+const { RouteTrie } = require('../src/utils/route-trie');
+const { compilePattern } = require('../src/utils/path-pattern');
+const { createMiddleware } = require('../src/middleware');
+const { MemoryStore } = require('../src/stores/memory');
+
+describe('RuleEngine', () => {
+  let rules;
+
+  beforeEach(() => {
+    rules = new RuleEngine();
+  });
+
+  describe('path patterns', () => {
+    it('should match named params', () => {
+      rules.setRouteRule('/users/:id/posts/:postId', { maxRequests: 5 });
+
+      const match = rules.match('/users/42/posts/7', 'GET');
+      expect(match.route).toBe('/users/:id/posts/:postId');
+      expect(match.params).toEqual({ id: '42', postId: '7' });
+      expect(match.rule.maxRequests).toBe(5);
+      expect(rules.match('/users/42/posts', 'GET')).toBeNull();
+    });
+
+    it('should treat regex characters literally', () => {
+      rules.setRouteRule('/api/v1.0/*', { maxRequests: 5 });
+
+      expect(rules.match('/api/v1.0/items/3')).not.toBeNull();
+      expect(rules.match('/api/v1x0/items/3')).toBeNull();
+    });
+
+    it('should let a wildcard match the rest of the path', () => {
+      rules.setRouteRule('/files/*', { maxRequests: 5 });
+      rules.setRouteRule('/assets/*path', { maxRequests: 5 });
+
+      expect(rules.match('/files').params).toEqual({ '*': '' });
+      expect(rules.match('/files/a/b.txt').params).toEqual({ '*': 'a/b.txt' });
+      expect(rules.match('/assets/css/site.css').params).toEqual({ path: 'css/site.css' });
+    });
+
+    it('should match optional params', () => {
+      rules.setRouteRule('/reports/:year/:month?', { maxRequests: 5 });
+
+      expect(rules.match('/reports/2024').params).toEqual({ year: '2024' });
+      expect(rules.match('/reports/2024/05').params).toEqual({ year: '2024', month: '05' });
+      expect(rules.match('/reports/2024/05/01')).toBeNull();
+    });
+
+    it('should ignore query strings, trailing slashes and static case', () => {
+      rules.setRouteRule('/api/search', { maxRequests: 5 });
+
+      expect(rules.match('/api/search?q=x')).not.toBeNull();
+      expect(rules.match('/api/search/')).not.toBeNull();
+      expect(rules.match('/API/Search')).not.toBeNull();
+    });
+
+    it('should decode params', () => {
+      rules.setRouteRule('/tags/:tag', { maxRequests: 5 });
+      expect(rules.match('/tags/caf%C3%A9').params).toEqual({ tag: 'café' });
+    });
+
+    it('should still accept RegExp routes with named groups', () => {
+      rules.setRouteRule(/^\/legacy\/(?<id>\d+)$/, { maxRequests: 5 });
+
+      expect(rules.match('/legacy/12').params).toEqual({ id: '12' });
+      expect(rules.match('/legacy/ab')).toBeNull();
+    });
+
+    it('should reject malformed patterns', () => {
+      expect(() => rules.setRouteRule('api', {})).toThrow('must be a path starting with \'/\'');
+      expect(() => rules.setRouteRule('/a/*/b', {})).toThrow('a wildcard must be the last segment');
+      expect(() => rules.setRouteRule('/a/:', {})).toThrow('invalid segment \':\'');
+      expect(() => rules.setRouteRule(42, {})).toThrow('route must be a path pattern or a RegExp');
+    });
+  });
+
+  describe('specificity', () => {
+    it('should prefer static segments over params over wildcards', () => {
+      rules.setRouteRule('/api/*', { maxRequests: 1 });
+      rules.setRouteRule('/api/users/:id', { maxRequests: 2 });
+      rules.setRouteRule('/api/users/me', { maxRequests: 3 });
+
+      expect(rules.match('/api/users/me').rule.maxRequests).toBe(3);
+      expect(rules.match('/api/users/7').rule.maxRequests).toBe(2);
+      expect(rules.match('/api/orders').rule.maxRequests).toBe(1);
+    });
+
+    it('should prefer an exact pattern over optional params and wildcards', () => {
+      rules.setRouteRule('/docs/*', { maxRequests: 1 });
+      rules.setRouteRule('/docs/:page?', { maxRequests: 2 });
+      rules.setRouteRule('/docs', { maxRequests: 3 });
+
+      expect(rules.match('/docs').rule.maxRequests).toBe(3);
+      expect(rules.match('/docs/intro').rule.maxRequests).toBe(2);
+      expect(rules.match('/docs/intro/setup').rule.maxRequests).toBe(1);
+    });
+
+    it('should prefer patterns over RegExp routes', () => {
+      rules.setRouteRule(/^\/api\/users$/, { maxRequests: 1 });
+      rules.setRouteRule('/api/*', { maxRequests: 2 });
+
+      expect(rules.match('/api/users').rule.maxRequests).toBe(2);
+    });
+
+    it('should fall back to the rule set first', () => {
+      rules.setRouteRule('/a/:x', { maxRequests: 1 });
+      rules.setRouteRule('/a/:y', { maxRequests: 2 });
+
+      expect(rules.match('/a/b').rule.maxRequests).toBe(1);
+    });
+  });
+
+  describe('methods', () => {
+    it('should only apply method rules to their methods', () => {
+      rules.setRouteRule('/api/upload', { method: 'post', maxRequests: 10 });
+
+      const match = rules.match('/api/upload', 'POST');
+      expect(match.methods).toEqual(['POST']);
+      expect(match.rule).not.toHaveProperty('method');
+      expect(rules.match('/api/upload', 'GET')).toBeNull();
+      expect(rules.match('/api/upload')).toBeNull();
+    });
+
+    it('should prefer a method rule over an any-method rule for the same pattern', () => {
+      rules.setRouteRule('/api/items', { maxRequests: 100 });
+      rules.setRouteRule('POST,PUT /api/items', { maxRequests: 10 });
+
+      expect(rules.match('/api/items', 'PUT').rule.maxRequests).toBe(10);
+      expect(rules.match('/api/items', 'GET').rule.maxRequests).toBe(100);
+    });
+
+    it('should let a more specific path win over a method', () => {
+      rules.setRouteRule('/api/*', { method: ['GET', 'POST'], maxRequests: 1 });
+      rules.setRouteRule('/api/items', { maxRequests: 2 });
+
+      expect(rules.match('/api/items', 'GET').rule.maxRequests).toBe(2);
+    });
+
+    it('should replace the rule for the same pattern and methods', () => {
+      rules.setRouteRule('GET /a', { maxRequests: 1 });
+      rules.setRouteRule('/a', { method: 'get', maxRequests: 2 });
+
+      expect(rules.match('/a', 'GET').rule.maxRequests).toBe(2);
+      expect(rules.getAllRules().routes).toEqual({ 'GET /a': expect.objectContaining({ maxRequests: 2 }) });
+    });
+  });
+
+  describe('route trie', () => {
+    // Small deterministic PRNG so failures can be replayed from the seed
+    function random(seed) {
+      let state = seed;
+      return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+      };
+    }
+
+    const pick = (next, items) => items[Math.floor(next() * items.length)];
+
+    function randomEntries(next, count) {
+      return Array.from({ length: count }, (_, order) => {
+        const segments = Array.from({ length: Math.floor(next() * 4) }, () => pick(next, ['a', 'b', 'A', ':p', ':q?']));
+        if (next() < 0.25) {
+          segments.push(pick(next, ['*', '*rest']));
+        }
+        const methods = pick(next, [null, null, ['GET'], ['POST'], ['GET', 'POST']]);
+        return { pattern: compilePattern(`/${segments.join('/')}`), methods, order };
+      });
+    }
+
+    function randomPath(next) {
+      const parts = Array.from({ length: Math.floor(next() * 5) }, () => pick(next, ['a', 'b', 'B', 'x']));
+      return `/${parts.join('/')}${next() < 0.2 ? '/' : ''}`;
+    }
+
+    it('should find the same rule and params as a linear scan', () => {
+      for (let seed = 1; seed <= 300; seed++) {
+        const next = random(seed);
+        const entries = randomEntries(next, 1 + Math.floor(next() * 12));
+        const trie = new RouteTrie(entries);
+
+        for (let i = 0; i < 30; i++) {
+          const path = randomPath(next);
+          const method = pick(next, [null, 'GET', 'POST']);
+          const expected = RouteTrie.scan(entries, path, method);
+          const actual = trie.lookup(path, method);
+
+          expect({ seed, path, method, match: actual && { route: actual.entry.pattern.route, order: actual.entry.order, params: actual.params } })
+            .toEqual({ seed, path, method, match: expected && { route: expected.entry.pattern.route, order: expected.entry.order, params: expected.params } });
+        }
+      }
+    });
+
+    it('should look rules up without testing each of them', () => {
+      for (let i = 0; i < 400; i++) {
+        rules.setRouteRule(`/api/resource${i}/:id`, { maxRequests: i + 1 });
+      }
+      rules.match('/warm-up');
+      const test = jest.spyOn(RegExp.prototype, 'test');
+
+      expect(rules.match('/api/resource399/7').rule.maxRequests).toBe(400);
+      expect(test).not.toHaveBeenCalled();
+      test.mockRestore();
+    });
+
+    it('should rebuild after rules change', () => {
+      rules.setRouteRule('/a/*', { maxRequests: 1 });
+      expect(rules.match('/a/b').rule.maxRequests).toBe(1);
+
+      rules.setRouteRule('/a/b', { maxRequests: 2 });
+      expect(rules.match('/a/b').rule.maxRequests).toBe(2);
+
+      rules.clearRules();
+      expect(rules.match('/a/b')).toBeNull();
+    });
+  });
+
+  describe('named rules', () => {
+    const browser = { path: '/api/items', method: 'GET', headers: { 'user-agent': 'Mozilla/5.0' }, query: {}, user: null };
+
+    it('should lay a matching rule over the route rule', () => {
+      rules.setRouteRule('/api/*', { maxRequests: 50, windowMs: 1000 });
+      rules.addRule('scripts', { match: { headers: { 'User-Agent': /^python-requests\// } }, maxRequests: 5 });
+
+      const scripted = { ...browser, headers: { 'user-agent': 'python-requests/2.31' } };
+      expect(rules.evaluate(scripted)).toEqual(expect.objectContaining({ maxRequests: 5, windowMs: 1000 }));
+      expect(rules.evaluate(browser).maxRequests).toBe(50);
+    });
+
+    it('should match header equality and presence', () => {
+      rules.addRule('internal', { match: { headers: { 'x-client': 'batch', 'x-debug': false } }, maxRequests: 1 });
+
+      expect(rules.findNamedRule({ headers: { 'x-client': 'batch' } }).name).toBe('internal');
+      expect(rules.findNamedRule({ headers: { 'x-client': 'batch', 'x-debug': '1' } })).toBeNull();
+      expect(rules.findNamedRule({ headers: { 'x-client': 'web' } })).toBeNull();
+    });
+
+    it('should match query params and body fields', () => {
+      rules.addRule('exports', { match: { query: ['export'] }, cost: 10 });
+      rules.addRule('bulk', { match: { body: { 'options.mode': 'bulk' } }, cost: 5 });
+
+      expect(rules.findNamedRule({ query: { export: 'csv' } }).name).toBe('exports');
+      expect(rules.findNamedRule({ query: {}, body: { options: { mode: 'bulk' } } }).name).toBe('bulk');
+      expect(rules.findNamedRule({ query: {}, body: { options: null } })).toBeNull();
+    });
+
+    it('should match user roles', () => {
+      rules.addRule('staff', { match: { role: ['admin', 'support'] }, maxRequests: 1000 });
+
+      expect(rules.findNamedRule({ user: { role: 'admin' } }).name).toBe('staff');
+      expect(rules.findNamedRule({ user: { roles: ['viewer', 'support'] } }).name).toBe('staff');
+      expect(rules.findNamedRule({ user: { role: 'viewer' } })).toBeNull();
+      expect(rules.findNamedRule({ user: null })).toBeNull();
+    });
+
+    it('should match content-length ranges', () => {
+      rules.addRule('uploads', { match: { contentLength: { min: 1048576 } }, maxRequests: 2 });
+      rules.addRule('small', { match: { contentLength: { max: 1024 } }, maxRequests: 200 });
+
+      expect(rules.findNamedRule({ headers: { 'content-length': '5000000' } }).name).toBe('uploads');
+      expect(rules.findNamedRule({ headers: { 'content-length': '10' } }).name).toBe('small');
+      expect(rules.findNamedRule({ headers: {} }).name).toBe('small');
+      expect(rules.findNamedRule({ headers: { 'content-length': '4096' } })).toBeNull();
+    });
+
+    it('should match the time of day, wrapping past midnight', () => {
+      jest.useFakeTimers({ now: new Date('2024-03-01T23:30:00Z') });
+      try {
+        rules.addRule('night', { match: { time: { from: '22:00', to: '06:00' } }, maxRequests: 1000 });
+        rules.addRule('tokyo-day', { match: { time: { from: '08:00', to: '18:00', timezone: 'Asia/Tokyo' } }, maxRequests: 1 });
+
+        expect(rules.findNamedRule({}).name).toBe('night');
+        jest.setSystemTime(new Date('2024-03-01T06:00:00Z'));
+        expect(rules.findNamedRule({}).name).toBe('tokyo-day');
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    it('should require every condition and then the predicate', () => {
+      const condition = jest.fn(req => req.trusted === true);
+      rules.addRule('trusted-posts', { match: { method: 'POST', path: '/api/*' }, condition, maxRequests: 500 });
+
+      expect(rules.findNamedRule({ path: '/api/items', method: 'GET' })).toBeNull();
+      expect(condition).not.toHaveBeenCalled();
+      expect(rules.findNamedRule({ path: '/api/items', method: 'POST' }, { trusted: true }).name).toBe('trusted-posts');
+      expect(condition).toHaveBeenCalledWith({ trusted: true }, { path: '/api/items', method: 'POST' });
+    });
+
+    it('should try rules by priority, then in the order added', () => {
+      rules.addRule('first', { condition: () => true, maxRequests: 1 });
+      rules.addRule('second', { condition: () => true, maxRequests: 2 });
+      expect(rules.findNamedRule({}).name).toBe('first');
+
+      rules.addRule('urgent', { priority: 10, condition: () => true, maxRequests: 3 });
+      expect(rules.findNamedRule({}).name).toBe('urgent');
+
+      rules.removeRule('urgent');
+      expect(rules.findNamedRule({}).name).toBe('first');
+    });
+
+    it('should treat a null match as no conditions', () => {
+      rules.addRule('everyone', { match: null, maxRequests: 10 });
+      expect(rules.findNamedRule({ path: '/' }).name).toBe('everyone');
+    });
+
+    it('should list named rules as they were defined', () => {
+      const definition = { match: { role: 'admin' }, maxRequests: 10 };
+      rules.addRule('admins', definition);
+      expect(rules.getAllRules().named).toEqual({ admins: definition });
+    });
+
+    it('should reject malformed rules', () => {
+      expect(() => rules.addRule('', {})).toThrow('name must be a non-empty string');
+      expect(() => rules.addRule('r', { match: 'admin' })).toThrow('match must be an object of conditions');
+      expect(() => rules.addRule('r', { match: [] })).toThrow('match must be an object of conditions');
+      expect(() => rules.addRule('r', { match: { cookie: 'x' } })).toThrow('match.cookie is not a condition');
+      expect(() => rules.addRule('r', { match: { headers: 'x' } })).toThrow('match.headers must be a non-empty object');
+      expect(() => rules.addRule('r', { match: { query: { q: {} } } })).toThrow('match.query.q must be a string, a RegExp, true or false');
+      expect(() => rules.addRule('r', { match: { time: { from: '9:00', to: '17:00' } } })).toThrow('match.time.from must be a time of day as HH:MM');
+      expect(() => rules.addRule('r', { match: { time: { from: '09:00', to: '17:00', timezone: 'Mars/Base' } } })).toThrow('is not a known time zone');
+      expect(() => rules.addRule('r', { match: { contentLength: { min: -1 } } })).toThrow('match.contentLength.min must be a non-negative integer');
+      expect(() => rules.addRule('r', { condition: 'yes' })).toThrow('condition must be a function');
+      expect(() => rules.addRule('r', { algorithm: 'nope' })).toThrow('algorithm must be one of');
+    });
+  });
+
+  describe('getRule', () => {
+    it('should fall back to the default rule', () => {
+      expect(rules.getRule('/nothing')).toEqual(rules.defaultRule);
+    });
+
+    it('should apply the rule matched for the method', () => {
+      rules.setRouteRule('POST /api/:resource', { maxRequests: 10 });
+
+      expect(rules.getRule('/api/items', null, 'POST').maxRequests).toBe(10);
+      expect(rules.getRule('/api/items', null, 'GET').maxRequests).toBe(100);
+    });
+  });
+
+  describe('middleware', () => {
+    it('should apply method rules to matching requests', async () => {
+      const store = new MemoryStore({ autoCleanup: false });
+      const ruleEngine = new RuleEngine();
+      ruleEngine.setRouteRule('POST /api/items/:id', { maxRequests: 1 });
+      const middleware = createMiddleware({ store, ruleEngine, maxRequests: 100 });
+
+      const post = { ip: '203.0.113.5', path: '/api/items/1', method: 'POST', headers: {} };
+      expect((await middleware.evaluate(post)).allowed).toBe(true);
+      expect((await middleware.evaluate(post)).allowed).toBe(false);
+      expect((await middleware.evaluate({ ...post, ip: '203.0.113.6', method: 'GET' })).result.limit).toBe(100);
+      store.destroy();
+    });
+
+    it('should apply named rules from headers and query strings', async () => {
+      const store = new MemoryStore({ autoCleanup: false });
+      const ruleEngine = new RuleEngine();
+      ruleEngine.addRule('scripts', { match: { headers: { 'user-agent': /python-requests/ } }, maxRequests: 1 });
+      ruleEngine.addRule('exports', { match: { query: { format: 'csv' } }, cost: 10 });
+      const middleware = createMiddleware({ store, ruleEngine, maxRequests: 100 });
+      const req = { ip: '203.0.113.5', path: '/api/items', url: '/api/items?format=csv', method: 'GET', headers: {} };
+      const res = { setHeader: jest.fn() };
+
+      await middleware.express()(req, res, jest.fn());
+      expect(res.setHeader).toHaveBeenCalledWith('X-RateLimit-Remaining', 90);
+
+      const scripted = { ip: '203.0.113.6', path: '/api/items', headers: { 'user-agent': 'python-requests/2.31' } };
+      expect((await middleware.evaluate(scripted)).allowed).toBe(true);
+      expect((await middleware.evaluate(scripted)).allowed).toBe(false);
+      store.destroy();
+    });
+  });
+});
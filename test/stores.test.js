@@ -0,0 +1,344 @@
+const { EventEmitter } = require('events');
+const {
+  FixedWindowLimiter,
+  SlidingWindowLimiter,
+  SlidingWindowCounterLimiter,
+  MultiWindowLimiter,
+  HierarchicalLimiter,
+  TokenBucketLimiter
+} = require('../src/limiters');
+const { BaseStore, MemoryStore, RedisStore, StoreFactory } = require('../src/stores');
+const { QuotaManager } = require('../src/quotas');
+
+/**
+ * Minimal custom store: only the core methods, so the limiters have to use
+ * the non-atomic BaseStore fallbacks
+ */
+class MapStore extends BaseStore {
+  constructor(options) {
+    super(options);
+    this.data = new Map();
+  }
+
+  async get(key) {
+    return this.data.has(key) ? this.data.get(key) : null;
+  }
+
+  async set(key, value) {
+    this.data.set(key, value);
+  }
+
+  async delete(key) {
+    this.data.delete(key);
+  }
+
+  async increment(key, windowMs, amount = 1) {
+    const count = (this.data.get(key) || 0) + amount;
+    this.data.set(key, count);
+    return count;
+  }
+
+  async getTTL() {
+    return -1;
+  }
+
+  async reset(key) {
+    this.data.delete(key);
+  }
+}
+
+describe('MemoryStore contract', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new MemoryStore({ autoCleanup: false });
+  });
+
+  afterEach(() => {
+    store.destroy();
+  });
+
+  test('get/set/delete round-trip values', async () => {
+    await store.set('key', { a: 1 });
+    expect(await store.get('key')).toEqual({ a: 1 });
+    await store.delete('key');
+    expect(await store.get('key')).toBeNull();
+  });
+
+  test('set honours ttl', async () => {
+    await store.set('short', 'value', 1);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    expect(await store.get('short')).toBeNull();
+  });
+
+  test('increment counts within a window and reports ttl', async () => {
+    expect(await store.increment('counter', 1000)).toBe(1);
+    expect(await store.increment('counter', 1000)).toBe(2);
+    const ttl = await store.getTTL('counter');
+    expect(ttl).toBeGreaterThan(0);
+    expect(ttl).toBeLessThanOrEqual(1000);
+  });
+
+  test('atomicIncrement only records requests that fit in the window', async () => {
+    const now = Date.now();
+    const first = await store.atomicIncrement('log', now, now - 1000, 1000, 1);
+    const second = await store.atomicIncrement('log', now + 1, now - 999, 1000, 1);
+
+    expect(first).toEqual({ count: 1, allowed: true, oldest: now });
+    expect(second).toEqual({ count: 1, allowed: false, oldest: now });
+    expect(await store.getTimestamps('log')).toEqual([now]);
+  });
+
+  test('atomicIncrement drops entries that left the window', async () => {
+    const now = Date.now();
+    await store.atomicIncrement('log', now, now - 1000, 1000, 1);
+    const later = await store.atomicIncrement('log', now + 1000, now, 1000, 1);
+
+    expect(later.allowed).toBe(true);
+    expect(await store.getTimestamps('log')).toEqual([now + 1000]);
+  });
+
+  test('atomicTokenBucket refills and takes tokens', async () => {
+    const now = Date.now();
+    const first = await store.atomicTokenBucket('bucket', now, 2, 1, 2);
+    const empty = await store.atomicTokenBucket('bucket', now, 2, 1, 1);
+    const refilled = await store.atomicTokenBucket('bucket', now + 1000, 2, 1, 1);
+
+    expect(first).toEqual({ allowed: true, tokens: 0 });
+    expect(empty).toEqual({ allowed: false, tokens: 0 });
+    expect(refilled).toEqual({ allowed: true, tokens: 0 });
+    expect(await store.getBucket('bucket')).toEqual({ tokens: 0, lastRefill: now + 1000 });
+  });
+
+  test('atomicSlidingCounter rolls the current window into the previous one', async () => {
+    const start = 1700000000000;
+    await store.atomicSlidingCounter('counter', start, 1000, 10);
+    await store.atomicSlidingCounter('counter', start + 10, 1000, 10);
+    const next = await store.atomicSlidingCounter('counter', start + 1500, 1000, 10);
+
+    expect(next).toEqual({
+      windowStart: start + 1000,
+      current: 1,
+      previous: 2,
+      estimate: 2,
+      allowed: true
+    });
+  });
+
+  test('atomicMultiCounter counts a request in every window or in none', async () => {
+    const start = 1700000000000;
+    const windows = [{ windowMs: 1000, limit: 1 }, { windowMs: 60000, limit: 5 }];
+
+    const first = await store.atomicMultiCounter('multi', start, windows);
+    const second = await store.atomicMultiCounter('multi', start + 10, windows);
+
+    expect(first.allowed).toBe(true);
+    expect(second.allowed).toBe(false);
+    expect(second.windows.map(w => w.allowed)).toEqual([false, true]);
+    expect(second.windows.map(w => w.current)).toEqual([1, 1]);
+  });
+
+  test('atomicMultiKeyCounter counts a request under every key or under none', async () => {
+    const start = 1700000000000;
+    const entries = [
+      { key: 'user', windows: [{ windowMs: 60000, limit: 5 }] },
+      { key: 'org', windows: [{ windowMs: 60000, limit: 1 }] }
+    ];
+
+    const first = await store.atomicMultiKeyCounter(entries, start, 1);
+    const second = await store.atomicMultiKeyCounter(entries, start + 10, 1);
+
+    expect(first.allowed).toBe(true);
+    expect(second.allowed).toBe(false);
+    expect(second.keys.map(key => key.allowed)).toEqual([true, false]);
+    expect(second.keys.map(key => key.windows[0].current)).toEqual([1, 1]);
+  });
+
+  test('atomicQuota starts each period afresh and keeps credits', async () => {
+    const start = 1700000000000;
+    const end = start + 3600000;
+
+    expect(await store.atomicQuota('quota', start, start, end, 1, 0, 2)).toEqual({
+      allowed: true, periodStart: start, used: 0, creditsUsed: 0, credits: 2
+    });
+    await store.atomicQuota('quota', start, start, end, 1, 2);
+    const refused = await store.atomicQuota('quota', start + 1, start, end, 1, 2);
+    const next = await store.atomicQuota('quota', end, end, end + 3600000, 1, 1);
+
+    expect(refused).toEqual({ allowed: false, periodStart: start, used: 1, creditsUsed: 1, credits: 1 });
+    expect(next).toEqual({ allowed: true, periodStart: end, used: 1, creditsUsed: 0, credits: 1 });
+  });
+
+  test('clear removes every key', async () => {
+    await store.set('a', 1);
+    await store.set('b', 2);
+    await store.clear();
+    expect(await store.get('a')).toBeNull();
+    expect(await store.get('b')).toBeNull();
+  });
+});
+
+describe('BaseStore fallbacks', () => {
+  test('fixed window limiter works on a store without atomic primitives', async () => {
+    const store = new MapStore();
+    const limiter = new FixedWindowLimiter(store, { windowMs: 1000, maxRequests: 2 });
+
+    expect((await limiter.isAllowed('key')).allowed).toBe(true);
+    expect((await limiter.isAllowed('key', 2)).allowed).toBe(false);
+    expect((await limiter.isAllowed('key')).allowed).toBe(true);
+    expect(await store.get('key')).toBe(2);
+  });
+
+  test('sliding window limiter works on a store without atomic primitives', async () => {
+    const store = new MapStore();
+    const limiter = new SlidingWindowLimiter(store, { windowMs: 1000, maxRequests: 2 });
+
+    expect((await limiter.isAllowed('key')).allowed).toBe(true);
+    expect((await limiter.isAllowed('key')).allowed).toBe(true);
+    const blocked = await limiter.isAllowed('key');
+    expect(blocked.allowed).toBe(false);
+    expect(blocked.remaining).toBe(0);
+  });
+
+  test('sliding window counter limiter works on a store without atomic primitives', async () => {
+    const store = new MapStore();
+    const limiter = new SlidingWindowCounterLimiter(store, { windowMs: 60000, maxRequests: 2 });
+
+    expect((await limiter.isAllowed('key')).allowed).toBe(true);
+    expect((await limiter.isAllowed('key')).allowed).toBe(true);
+    expect((await limiter.isAllowed('key')).allowed).toBe(false);
+    expect((await store.get('key')).current).toBe(2);
+  });
+
+  test('multi-window limiter works on a store without atomic primitives', async () => {
+    const store = new MapStore();
+    const limiter = new MultiWindowLimiter(store, {
+      limits: [{ windowMs: 60000, maxRequests: 1 }, { windowMs: 3600000, maxRequests: 10 }]
+    });
+
+    expect((await limiter.isAllowed('key')).allowed).toBe(true);
+    expect((await limiter.isAllowed('key')).allowed).toBe(false);
+    expect((await store.get('key')).windows[3600000].current).toBe(1);
+  });
+
+  test('hierarchical limiter works on a store without atomic primitives', async () => {
+    const store = new MapStore();
+    const limiter = new HierarchicalLimiter(store, {
+      levels: [{ windowMs: 60000, maxRequests: 5 }, { windowMs: 60000, maxRequests: 1 }]
+    });
+
+    expect((await limiter.isAllowed(['user', 'org'])).allowed).toBe(true);
+    expect((await limiter.isAllowed(['user', 'org'])).allowed).toBe(false);
+    expect((await store.get('user')).windows[60000].current).toBe(1);
+  });
+
+  test('quotas work on a store without atomic primitives', async () => {
+    const store = new MapStore();
+    const quotas = new QuotaManager({ store, limit: 1 });
+
+    expect((await quotas.consume('key')).allowed).toBe(true);
+    expect((await quotas.consume('key')).allowed).toBe(false);
+    await quotas.addCredits('key', 1);
+    expect((await quotas.consume('key')).allowed).toBe(true);
+    expect(await store.get('quota:usage:key')).toEqual(expect.objectContaining({ used: 1, creditsUsed: 1, credits: 0 }));
+  });
+
+  test('token bucket limiter works on a store without atomic primitives', async () => {
+    const store = new MapStore();
+    const limiter = new TokenBucketLimiter(store, { bucketSize: 2, refillRate: 1 });
+
+    expect((await limiter.isAllowed('key', 2)).allowed).toBe(true);
+    expect((await limiter.isAllowed('key')).allowed).toBe(false);
+
+    await limiter.reset('key');
+    expect(await store.getBucket('key')).toBeNull();
+  });
+});
+
+describe('StoreFactory.register', () => {
+  test('accepts BaseStore subclasses implementing the core methods', () => {
+    const factory = new StoreFactory();
+    expect(() => factory.register('map', MapStore)).not.toThrow();
+    expect(factory.hasType('map')).toBe(true);
+  });
+
+  test('rejects stores missing part of the contract', () => {
+    const factory = new StoreFactory();
+
+    class Partial {
+      async get() {}
+      async set() {}
+      async increment() {}
+      async reset() {}
+    }
+
+    expect(() => factory.register('partial', Partial)).toThrow('Custom store must implement \'close\' method');
+  });
+
+  test('accepts stores with only the core methods', () => {
+    const factory = new StoreFactory();
+
+    class Core {
+      async get() {}
+      async set() {}
+      async increment() {}
+      async reset() {}
+      async close() {}
+    }
+
+    expect(() => factory.register('core', Core)).not.toThrow();
+  });
+});
+
+describe('RedisStore subscribe', () => {
+  test('passes malformed messages and handler errors to onError', async () => {
+    const subscriber = Object.assign(new EventEmitter(), {
+      subscribe: async () => {},
+      unsubscribe: async () => {},
+      quit: async () => {}
+    });
+    const store = new RedisStore({ client: { duplicate: () => subscriber } });
+    const handler = jest.fn((message) => {
+      if (message.fail) {
+        throw new Error('handler failed');
+      }
+    });
+    const onError = jest.fn();
+
+    const unsubscribe = await store.subscribe('changes', handler, onError);
+    subscriber.emit('message', 'rg:changes', '{"userId":"u1"}');
+    subscriber.emit('message', 'rg:changes', 'not json');
+    subscriber.emit('message', 'rg:changes', '{"fail":true}');
+    subscriber.emit('message', 'rg:other', 'not json');
+
+    expect(handler).toHaveBeenCalledWith({ userId: 'u1' });
+    expect(onError).toHaveBeenCalledTimes(2);
+    expect(onError.mock.calls[0][0]).toBeInstanceOf(SyntaxError);
+    expect(onError.mock.calls[1][0].message).toBe('handler failed');
+    await unsubscribe();
+  });
+});
+
+describe('RedisStore on a cluster', () => {
+  const entries = [
+    { key: 'ratelimit:u1', windows: [{ windowMs: 60000, limit: 10 }] },
+    { key: 'ratelimit:tenant:acme', windows: [{ windowMs: 60000, limit: 100 }] }
+  ];
+
+  test('leaves keys in different hash slots to the non-atomic fallback', async () => {
+    const client = { isCluster: true, eval: jest.fn() };
+    const store = new RedisStore({ client });
+
+    expect(await store.atomicMultiKeyCounter(entries, Date.now())).toBeNull();
+    expect(client.eval).not.toHaveBeenCalled();
+  });
+
+  test('runs the script when the prefix holds a hash tag', async () => {
+    const client = { isCluster: true, eval: jest.fn(async () => [1, 0, 1, 0, 1, 1, 0, 1, 0, 1, 1]) };
+    const store = new RedisStore({ client, prefix: '{rg}:' });
+
+    const result = await store.atomicMultiKeyCounter(entries, Date.now());
+    expect(result.allowed).toBe(true);
+    expect(client.eval.mock.calls[0].slice(1, 4)).toEqual([2, '{rg}:ratelimit:u1', '{rg}:ratelimit:tenant:acme']);
+  });
+});
@@ -1,139 +1,493 @@
-const { TierManager, createTierManager, DEFAULT_TIERS } = require('../src/tiers');
-
-describe('TierManager', () => {
-  let tierManager;
-
-  beforeEach(() => {
-    tierManager = new TierManager();
-  });
-
-  describe('constructor', () => {
-    it('should initialize with default tiers', () => {
-      const tiers = tierManager.listTiers();
-      expect(tiers).toContain('free');
-      expect(tiers).toContain('basic');
-      expect(tiers).toContain('premium');
-      expect(tiers).toContain('enterprise');
-    });
-
-    it('should accept custom tiers', () => {
-      const manager = new TierManager({
-        vip: { maxRequests: 50000 }
-      });
-      expect(manager.listTiers()).toContain('vip');
-    });
-  });
-
-  describe('defineTier', () => {
-    it('should add a new tier', () => {
-      tierManager.defineTier('custom', { maxRequests: 5000 });
-      expect(tierManager.listTiers()).toContain('custom');
-    });
-
-    it('should throw for invalid tier name', () => {
-      expect(() => tierManager.defineTier('', {})).toThrow();
-      expect(() => tierManager.defineTier(null, {})).toThrow();
-    });
-
-    it('should set default values for missing properties', () => {
-      tierManager.defineTier('partial', { maxRequests: 300 });
-      const limits = tierManager.getTierLimits('partial');
-      expect(limits.windowMs).toBe(60000);
-      expect(limits.maxRequests).toBe(300);
-    });
-  });
-
-  describe('removeTier', () => {
-    it('should remove custom tier', () => {
-      tierManager.defineTier('temp', { maxRequests: 100 });
-      tierManager.removeTier('temp');
-      expect(tierManager.listTiers()).not.toContain('temp');
-    });
-
-    it('should throw when removing default tier', () => {
-      expect(() => tierManager.removeTier('free')).toThrow();
-    });
-  });
-
-  describe('user tier management', () => {
-    it('should assign user to tier', () => {
-      tierManager.setUserTier('user-1', 'premium');
-      expect(tierManager.getUserTier('user-1')).toBe('premium');
-    });
-
-    it('should return free tier for unknown users', () => {
-      expect(tierManager.getUserTier('unknown')).toBe('free');
-    });
-
-    it('should throw for unknown tier assignment', () => {
-      expect(() => tierManager.setUserTier('user-1', 'nonexistent')).toThrow();
-    });
-
-    it('should bulk assign users', () => {
-      tierManager.bulkAssign({
-        'user-1': 'basic',
-        'user-2': 'premium'
-      });
-      expect(tierManager.getUserTier('user-1')).toBe('basic');
-      expect(tierManager.getUserTier('user-2')).toBe('premium');
-    });
-
-    it('should clear all assignments', () => {
-      tierManager.setUserTier('user-1', 'premium');
-      tierManager.clearAssignments();
-      expect(tierManager.getUserTier('user-1')).toBe('free');
-    });
-  });
-
-  describe('resolveTier', () => {
-    it('should resolve tier from user map', async () => {
-      tierManager.setUserTier('user-1', 'enterprise');
-      const result = await tierManager.resolveTier({}, 'user-1');
-      expect(result.name).toBe('enterprise');
-      expect(result.maxRequests).toBe(10000);
-    });
-
-    it('should use custom resolver when set', async () => {
-      tierManager.setTierResolver(async (req) => {
-        return req.headers?.['x-api-tier'] || 'free';
-      });
-
-      const req = { headers: { 'x-api-tier': 'premium' } };
-      const result = await tierManager.resolveTier(req, 'user-1');
-      expect(result.name).toBe('premium');
-    });
-
-    it('should fallback to free on resolver error', async () => {
-      tierManager.setTierResolver(async () => {
-        throw new Error('Resolver failed');
-      });
-
-      const result = await tierManager.resolveTier({}, 'user-1');
-      expect(result.name).toBe('free');
-    });
-
-    it('should throw for invalid resolver', () => {
-      expect(() => tierManager.setTierResolver('not a function')).toThrow();
-    });
-  });
-
-  describe('createTierManager helper', () => {
-    it('should create a TierManager instance', () => {
-      const manager = createTierManager();
-      expect(manager).toBeInstanceOf(TierManager);
-    });
-
-    it('should accept custom tiers', () => {
-      const manager = createTierManager({ ultra: { maxRequests: 100000 } });
-      expect(manager.listTiers()).toContain('ultra');
-    });
-  });
-
-  describe('DEFAULT_TIERS', () => {
-    it('should have correct structure', () => {
-      expect(DEFAULT_TIERS.free).toBeDefined();
-      expect(DEFAULT_TIERS.free.maxRequests).toBe(100);
-      expect(DEFAULT_TIERS.premium.maxRequests).toBe(2000);
-    });
-  });
-});
+const { TierManager, createTierManager, DEFAULT_TIERS } = require('../src/tiers');
+const { MemoryStore } = require('../src/stores/memory');
+const { BaseStore } = require('../src/stores/base');
+
+describe('TierManager', () => {
+  let tierManager;
+
+  beforeEach(() => {
+    tierManager = new TierManager();
+  });
+
+  describe('constructor', () => {
+    it('should initialize with default tiers', () => {
+      const tiers = tierManager.listTiers();
+      expect(tiers).toContain('free');
+      expect(tiers).toContain('basic');
+      expect(tiers).toContain('premium');
+      expect(tiers).toContain('enterprise');
+    });
+
+    it('should accept custom tiers', () => {
+      const manager = new TierManager({
+        vip: { maxRequests: 50000 }
+      });
+      expect(manager.listTiers()).toContain('vip');
+    });
+  });
+
+  describe('defineTier', () => {
+    it('should add a new tier', () => {
+      tierManager.defineTier('custom', { maxRequests: 5000 });
+      expect(tierManager.listTiers()).toContain('custom');
+    });
+
+    it('should throw for invalid tier name', () => {
+      expect(() => tierManager.defineTier('', {})).toThrow();
+      expect(() => tierManager.defineTier(null, {})).toThrow();
+    });
+
+    it('should set default values for missing properties', () => {
+      tierManager.defineTier('partial', { maxRequests: 300 });
+      const limits = tierManager.getTierLimits('partial');
+      expect(limits.windowMs).toBe(60000);
+      expect(limits.maxRequests).toBe(300);
+    });
+  });
+
+  describe('removeTier', () => {
+    it('should remove custom tier', () => {
+      tierManager.defineTier('temp', { maxRequests: 100 });
+      tierManager.removeTier('temp');
+      expect(tierManager.listTiers()).not.toContain('temp');
+    });
+
+    it('should throw when removing default tier', () => {
+      expect(() => tierManager.removeTier('free')).toThrow();
+    });
+  });
+
+  describe('user tier management', () => {
+    it('should assign user to tier', () => {
+      tierManager.setUserTier('user-1', 'premium');
+      expect(tierManager.getUserTier('user-1')).toBe('premium');
+    });
+
+    it('should return free tier for unknown users', () => {
+      expect(tierManager.getUserTier('unknown')).toBe('free');
+    });
+
+    it('should throw for unknown tier assignment', () => {
+      expect(() => tierManager.setUserTier('user-1', 'nonexistent')).toThrow();
+    });
+
+    it('should bulk assign users', () => {
+      tierManager.bulkAssign({
+        'user-1': 'basic',
+        'user-2': 'premium'
+      });
+      expect(tierManager.getUserTier('user-1')).toBe('basic');
+      expect(tierManager.getUserTier('user-2')).toBe('premium');
+    });
+
+    it('should clear all assignments', () => {
+      tierManager.setUserTier('user-1', 'premium');
+      tierManager.clearAssignments();
+      expect(tierManager.getUserTier('user-1')).toBe('free');
+    });
+  });
+
+  describe('resolveTier', () => {
+    it('should resolve tier from user map', async () => {
+      tierManager.setUserTier('user-1', 'enterprise');
+      const result = await tierManager.resolveTier({}, 'user-1');
+      expect(result.name).toBe('enterprise');
+      expect(result.maxRequests).toBe(10000);
+    });
+
+    it('should use custom resolver when set', async () => {
+      tierManager.setTierResolver(async (req) => {
+        return req.headers?.['x-api-tier'] || 'free';
+      });
+
+      const req = { headers: { 'x-api-tier': 'premium' } };
+      const result = await tierManager.resolveTier(req, 'user-1');
+      expect(result.name).toBe('premium');
+    });
+
+    it('should fallback to free on resolver error', async () => {
+      tierManager.setTierResolver(async () => {
+        throw new Error('Resolver failed');
+      });
+
+      const result = await tierManager.resolveTier({}, 'user-1');
+      expect(result.name).toBe('free');
+    });
+
+    it('should throw for invalid resolver', () => {
+      expect(() => tierManager.setTierResolver('not a function')).toThrow();
+    });
+
+    it('should resolve to null without a tier when asked not to fall back', async () => {
+      expect(await tierManager.resolveTier({}, 'user-1', { fallback: false })).toBeNull();
+
+      tierManager.setUserTier('user-1', 'basic');
+      expect((await tierManager.resolveTier({}, 'user-1', { fallback: false })).name).toBe('basic');
+    });
+  });
+
+  describe('resolver cache', () => {
+    it('should reuse an answer per identifier for cacheMs', async () => {
+      const resolver = jest.fn(async (req, id) => (id === 'user-1' ? 'premium' : 'basic'));
+      tierManager.setTierResolver(resolver);
+
+      expect((await tierManager.resolveTier({}, 'user-1')).name).toBe('premium');
+      expect((await tierManager.resolveTier({}, 'user-1')).name).toBe('premium');
+      expect((await tierManager.resolveTier({}, 'user-2')).name).toBe('basic');
+      expect(resolver).toHaveBeenCalledTimes(2);
+    });
+
+    it('should ask again once an answer expires', async () => {
+      const manager = new TierManager({}, { cacheMs: 20 });
+      const resolver = jest.fn(async () => 'basic');
+      manager.setTierResolver(resolver);
+
+      await manager.resolveTier({}, 'user-1');
+      await new Promise(resolve => setTimeout(resolve, 30));
+      await manager.resolveTier({}, 'user-1');
+      expect(resolver).toHaveBeenCalledTimes(2);
+    });
+
+    it('should share one pending call between concurrent requests', async () => {
+      const resolver = jest.fn(() => new Promise(resolve => setTimeout(() => resolve('premium'), 10)));
+      tierManager.setTierResolver(resolver);
+
+      const tiers = await Promise.all([1, 2, 3].map(() => tierManager.resolveTier({}, 'user-1')));
+      expect(tiers.map(tier => tier.name)).toEqual(['premium', 'premium', 'premium']);
+      expect(resolver).toHaveBeenCalledTimes(1);
+    });
+
+    it('should forget an identifier on invalidate', async () => {
+      let plan = 'basic';
+      tierManager.setTierResolver(async () => plan);
+
+      await tierManager.resolveTier({}, 'user-1');
+      plan = 'enterprise';
+      expect((await tierManager.resolveTier({}, 'user-1')).name).toBe('basic');
+
+      tierManager.invalidate('user-1');
+      expect((await tierManager.resolveTier({}, 'user-1')).name).toBe('enterprise');
+    });
+
+    it('should not cache failures', async () => {
+      const resolver = jest.fn()
+        .mockRejectedValueOnce(new Error('Billing down'))
+        .mockResolvedValue('premium');
+      tierManager.setTierResolver(resolver);
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect((await tierManager.resolveTier({}, 'user-1')).name).toBe('free');
+      expect((await tierManager.resolveTier({}, 'user-1')).name).toBe('premium');
+      console.error.mockRestore();
+    });
+
+    it('should call the resolver every time with cacheMs 0 or without an identifier', async () => {
+      const manager = new TierManager({}, { cacheMs: 0 });
+      const resolver = jest.fn(async () => 'basic');
+      manager.setTierResolver(resolver);
+      tierManager.setTierResolver(resolver);
+
+      await manager.resolveTier({}, 'user-1');
+      await manager.resolveTier({}, 'user-1');
+      await tierManager.resolveTier({});
+      await tierManager.resolveTier({});
+      expect(resolver).toHaveBeenCalledTimes(4);
+    });
+
+    it('should drop the oldest identifier beyond cacheSize', async () => {
+      const manager = new TierManager({}, { cacheSize: 2 });
+      const resolver = jest.fn(async () => 'basic');
+      manager.setTierResolver(resolver);
+
+      for (const id of ['a', 'b', 'c', 'b', 'a']) {
+        await manager.resolveTier({}, id);
+      }
+      expect(resolver.mock.calls.map(call => call[1])).toEqual(['a', 'b', 'c', 'a']);
+    });
+
+    it('should validate its options', () => {
+      expect(() => new TierManager({}, { cacheMs: -1 })).toThrow('cacheMs must be a non-negative integer');
+    });
+  });
+
+  describe('shared assignments', () => {
+    let store;
+    let managers;
+
+    const createManager = (options = {}) => {
+      const manager = new TierManager({}, { store, ...options });
+      managers.push(manager);
+      return manager;
+    };
+
+    beforeEach(() => {
+      store = new MemoryStore({ autoCleanup: false });
+      managers = [];
+    });
+
+    afterEach(async () => {
+      await Promise.all(managers.map(manager => manager.close()));
+      store.destroy();
+    });
+
+    it('should share assignments between instances through the store', async () => {
+      await createManager().assignTier('user-1', 'premium');
+
+      expect(await store.get('tier:user:user-1')).toBe('premium');
+      expect((await createManager().resolveTier({}, 'user-1')).name).toBe('premium');
+    });
+
+    it('should invalidate other instances\' caches when an assignment changes', async () => {
+      const writer = createManager();
+      const reader = createManager();
+      await writer.assignTier('user-1', 'basic');
+      expect(await reader.getAssignedTier('user-1')).toBe('basic');
+
+      await writer.assignTier('user-1', 'enterprise');
+      expect(await reader.getAssignedTier('user-1')).toBe('enterprise');
+
+      await writer.unassignTier('user-1');
+      expect(await reader.getAssignedTier('user-1')).toBeNull();
+      expect((await reader.resolveTier({}, 'user-1')).name).toBe('free');
+    });
+
+    it('should read the store once per identifier within cacheMs, including misses', async () => {
+      const manager = createManager();
+      const get = jest.spyOn(store, 'get');
+
+      await Promise.all([manager.getAssignedTier('user-1'), manager.getAssignedTier('user-1')]);
+      await manager.getAssignedTier('user-1');
+      expect(get).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fall back to cacheMs for stores without publish/subscribe', async () => {
+      // Only get/set/delete: publish() and subscribe() keep BaseStore's no-ops
+      class PlainStore extends BaseStore {
+        constructor() {
+          super();
+          this.values = new Map();
+        }
+
+        async get(key) {
+          return this.values.has(key) ? this.values.get(key) : null;
+        }
+
+        async set(key, value) {
+          this.values.set(key, value);
+        }
+
+        async delete(key) {
+          this.values.delete(key);
+        }
+
+        destroy() {}
+      }
+      store = new PlainStore();
+
+      const writer = createManager();
+      const reader = createManager({ cacheMs: 20 });
+      await writer.assignTier('user-1', 'basic');
+      expect(await reader.getAssignedTier('user-1')).toBe('basic');
+
+      await writer.assignTier('user-1', 'premium');
+      expect(await reader.getAssignedTier('user-1')).toBe('basic');
+
+      await new Promise(resolve => setTimeout(resolve, 30));
+      expect(await reader.getAssignedTier('user-1')).toBe('premium');
+    });
+
+    it('should work with stores that have no publish or subscribe method', async () => {
+      const values = new Map();
+      store = {
+        get: async key => (values.has(key) ? values.get(key) : null),
+        set: async (key, value) => { values.set(key, value); },
+        delete: async (key) => { values.delete(key); },
+        destroy() {}
+      };
+
+      await createManager().assignTier('user-1', 'basic');
+      expect(await createManager().getAssignedTier('user-1')).toBe('basic');
+    });
+
+    it('should report publish and subscribe failures to onError', async () => {
+      const onError = jest.fn();
+      jest.spyOn(store, 'subscribe').mockRejectedValue(new Error('subscribe failed'));
+      jest.spyOn(store, 'publish').mockRejectedValue(new Error('publish failed'));
+
+      const manager = createManager({ onError });
+      await manager.assignTier('user-1', 'basic');
+
+      expect(await manager.getAssignedTier('user-1')).toBe('basic');
+      expect(onError.mock.calls.map(([error]) => error.message)).toEqual(['subscribe failed', 'publish failed']);
+      expect(() => new TierManager({}, { onError: 'log' })).toThrow('onError must be a function');
+    });
+
+    it('should prefer local setUserTier assignments', async () => {
+      const manager = createManager();
+      await manager.assignTier('user-1', 'basic');
+      manager.setUserTier('user-1', 'enterprise');
+
+      expect(await manager.getAssignedTier('user-1')).toBe('enterprise');
+    });
+
+    it('should assign in bulk and reject unknown tiers before writing', async () => {
+      const manager = createManager();
+      await manager.assignTiers({ a: 'basic', b: 'premium' });
+      expect(await manager.getAssignedTier('b')).toBe('premium');
+
+      await expect(manager.assignTiers({ c: 'basic', d: 'gold' })).rejects.toThrow('Unknown tier: gold');
+      expect(await store.get('tier:user:c')).toBeNull();
+    });
+
+    it('should stop listening on close', async () => {
+      const manager = createManager();
+      await manager.getAssignedTier('user-1');
+      expect(store.channels.listenerCount('tier:changes')).toBe(1);
+
+      await manager.close();
+      expect(store.channels.listenerCount('tier:changes')).toBe(0);
+    });
+
+    it('should keep assignments in memory without a store', async () => {
+      await tierManager.assignTier('user-1', 'basic');
+      expect(tierManager.getUserTier('user-1')).toBe('basic');
+
+      await tierManager.unassignTier('user-1');
+      expect(await tierManager.getAssignedTier('user-1')).toBeNull();
+    });
+  });
+
+  describe('inheritance', () => {
+    it('should start an extending tier from its parent\'s limits', () => {
+      tierManager.defineTier('premium-plus', { extends: 'premium', maxRequests: 5000 });
+
+      expect(tierManager.getTierLimits('premium-plus')).toEqual({
+        ...DEFAULT_TIERS.premium,
+        maxRequests: 5000
+      });
+      expect(tierManager.getTierLayers('premium-plus')).toEqual([
+        { tier: 'premium', limits: DEFAULT_TIERS.premium },
+        { tier: 'premium-plus', limits: { maxRequests: 5000 } }
+      ]);
+    });
+
+    it('should follow the whole chain and pick up parent changes', () => {
+      tierManager
+        .defineTier('team', { extends: 'basic', windowMs: 1000 })
+        .defineTier('team-large', { extends: 'team', maxRequests: 900 });
+
+      expect(tierManager.getTierLimits('team-large')).toEqual(expect.objectContaining({
+        windowMs: 1000,
+        maxRequests: 900,
+        tokenBucketSize: DEFAULT_TIERS.basic.tokenBucketSize
+      }));
+
+      tierManager.defineTier('team', { extends: 'basic', windowMs: 2000 });
+      expect(tierManager.getTierLimits('team-large').windowMs).toBe(2000);
+    });
+
+    it('should allow constructor tiers to extend tiers listed after them', () => {
+      const manager = new TierManager({
+        gold: { extends: 'silver', maxRequests: 50 },
+        silver: { extends: 'free', maxRequests: 20 }
+      });
+
+      expect(manager.getTierLimits('gold').maxRequests).toBe(50);
+      expect(manager.getTierLayers('gold').map(layer => layer.tier)).toEqual(['free', 'silver', 'gold']);
+    });
+
+    it('should reject unknown parents and cycles, keeping the old definition', () => {
+      expect(() => tierManager.defineTier('orphan', { extends: 'missing' }))
+        .toThrow('Tier orphan extends unknown tier: missing');
+      expect(tierManager.listTiers()).not.toContain('orphan');
+
+      tierManager.defineTier('a', { maxRequests: 1 }).defineTier('b', { extends: 'a' });
+      expect(() => tierManager.defineTier('a', { extends: 'b' }))
+        .toThrow('Tier inheritance cycle: a -> b -> a');
+      expect(tierManager.getTierLimits('b').maxRequests).toBe(1);
+
+      expect(() => new TierManager({ x: { extends: 'y' }, y: { extends: 'x' } })).toThrow('cycle');
+    });
+
+    it('should not remove a tier another one extends', () => {
+      tierManager.defineTier('parent', { maxRequests: 1 }).defineTier('child', { extends: 'parent' });
+
+      expect(() => tierManager.removeTier('parent')).toThrow('Cannot remove tier parent: child extends it');
+      tierManager.removeTier('child').removeTier('parent');
+      expect(tierManager.listTiers()).not.toContain('parent');
+    });
+  });
+
+  describe('route overrides', () => {
+    beforeEach(() => {
+      tierManager.defineTier('pro', {
+        maxRequests: 2000,
+        routes: {
+          '/export': { maxRequests: 20 },
+          'POST /reports/:id': { maxRequests: 5 }
+        }
+      });
+    });
+
+    it('should match a tier\'s routes like route rules', () => {
+      expect(tierManager.matchRoute('pro', '/export', 'GET')).toEqual({
+        tier: 'pro',
+        route: '/export',
+        methods: null,
+        params: {},
+        limits: { maxRequests: 20 }
+      });
+      expect(tierManager.matchRoute('pro', '/reports/7', 'POST')).toEqual(expect.objectContaining({
+        methods: ['POST'],
+        params: { id: '7' }
+      }));
+      expect(tierManager.matchRoute('pro', '/reports/7', 'GET')).toBeNull();
+      expect(tierManager.matchRoute('free', '/export', 'GET')).toBeNull();
+    });
+
+    it('should inherit routes and let the child replace them', () => {
+      tierManager.defineTier('pro-plus', {
+        extends: 'pro',
+        routes: { '/export': { maxRequests: 100 } }
+      });
+
+      expect(tierManager.matchRoute('pro-plus', '/export', 'GET'))
+        .toEqual(expect.objectContaining({ tier: 'pro-plus', limits: { maxRequests: 100 } }));
+      expect(tierManager.matchRoute('pro-plus', '/reports/1', 'POST'))
+        .toEqual(expect.objectContaining({ tier: 'pro', limits: { maxRequests: 5 } }));
+    });
+
+    it('should keep routes out of the tier limits', () => {
+      expect(tierManager.getTierLimits('pro')).not.toHaveProperty('routes');
+      expect(tierManager.getAllTiers().pro.routes).toBeDefined();
+    });
+
+    it('should reject malformed routes', () => {
+      expect(() => tierManager.defineTier('bad', { routes: { 'export': { maxRequests: 1 } } }))
+        .toThrow('must be a path starting with \'/\'');
+      expect(() => tierManager.defineTier('bad', { routes: ['/export'] }))
+        .toThrow('Routes of tier bad must be an object');
+      expect(tierManager.listTiers()).not.toContain('bad');
+    });
+  });
+
+  describe('createTierManager helper', () => {
+    it('should create a TierManager instance', () => {
+      const manager = createTierManager();
+      expect(manager).toBeInstanceOf(TierManager);
+    });
+
+    it('should accept custom tiers', () => {
+      const manager = createTierManager({ ultra: { maxRequests: 100000 } });
+      expect(manager.listTiers()).toContain('ultra');
+    });
+  });
+
+  describe('DEFAULT_TIERS', () => {
+    it('should have correct structure', () => {
+      expect(DEFAULT_TIERS.free).toBeDefined();
+      expect(DEFAULT_TIERS.free.maxRequests).toBe(100);
+      expect(DEFAULT_TIERS.premium.maxRequests).toBe(2000);
+    });
+  });
+});
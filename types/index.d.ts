@@ -1,92 +1,544 @@
-declare module 'rate-guard' {
-  import { Request, Response, NextFunction } from 'express';
-
-  export interface RedisConfig {
-    host?: string;
-    port?: number;
-    password?: string | null;
-    db?: number;
-    keyPrefix?: string;
-  }
-
-  export interface MongoConfig {
-    uri?: string;
-    dbName?: string;
-    collectionName?: string;
-  }
-
-  export interface RateLimitConfig {
-    windowMs?: number;
-    maxRequests?: number;
-    bucketSize?: number;
-    refillRate?: number;
-    store?: 'memory' | 'redis' | 'mongo';
-    redis?: RedisConfig;
-    mongo?: MongoConfig;
-    statusCode?: number;
-    message?: string;
-    headers?: boolean;
-    skip?: ((req: Request) => boolean) | null;
-    keyGenerator?: ((req: Request) => string) | null;
-    enableLogging?: boolean;
-  }
-
-  export interface RateLimitInfo {
-    limit: number;
-    current: number;
-    remaining: number;
-    resetTime: Date;
-  }
-
-  export interface Store {
-    increment(key: string): Promise<RateLimitInfo>;
-    get(key: string): Promise<RateLimitInfo | null>;
-    reset(key: string): Promise<void>;
-    close(): Promise<void>;
-  }
-
-  export interface RuleDefinition {
-    windowMs?: number;
-    maxRequests?: number;
-    condition?: (req: Request) => boolean;
-  }
-
-  export type Middleware = (req: Request, res: Response, next: NextFunction) => void;
-
-  export function slidingWindow(config?: RateLimitConfig): Middleware;
-  export function tokenBucket(config?: RateLimitConfig): Middleware;
-
-  export class MemoryStore implements Store {
-    constructor(config?: RateLimitConfig);
-    increment(key: string): Promise<RateLimitInfo>;
-    get(key: string): Promise<RateLimitInfo | null>;
-    reset(key: string): Promise<void>;
-    close(): Promise<void>;
-  }
-
-  export class RedisStore implements Store {
-    constructor(config?: RedisConfig);
-    increment(key: string): Promise<RateLimitInfo>;
-    get(key: string): Promise<RateLimitInfo | null>;
-    reset(key: string): Promise<void>;
-    close(): Promise<void>;
-  }
-
-  export class MongoStore implements Store {
-    constructor(config?: MongoConfig);
-    increment(key: string): Promise<RateLimitInfo>;
-    get(key: string): Promise<RateLimitInfo | null>;
-    reset(key: string): Promise<void>;
-    close(): Promise<void>;
-  }
-
-  export class RuleEngine {
-    constructor();
-    addRule(name: string, rule: RuleDefinition): this;
-    removeRule(name: string): this;
-    getRule(name: string): RuleDefinition | undefined;
-    evaluate(req: Request): RuleDefinition;
-  }
-
-  export default function rateGuard(config?: RateLimitConfig): Middleware;
-}
+declare module 'rate-guard' {
+  import { Request, Response, NextFunction } from 'express';
+
+  export interface RedisConfig {
+    host?: string;
+    port?: number;
+    password?: string | null;
+    db?: number;
+    keyPrefix?: string;
+  }
+
+  export interface MongoConfig {
+    uri?: string;
+    dbName?: string;
+    collectionName?: string;
+  }
+
+  export type Algorithm = 'sliding-window' | 'sliding-window-counter' | 'token-bucket' | 'leaky-bucket' | 'fixed-window' | 'gcra' | 'concurrency';
+
+  export type HeaderMode = 'legacy' | 'draft-7' | 'draft-8' | 'both';
+
+  export interface RateLimitConfig {
+    windowMs?: number;
+    maxRequests?: number;
+    algorithm?: Algorithm;
+    burst?: number;
+    emissionInterval?: number;
+    maxConcurrent?: number;
+    leaseMs?: number;
+    maxQueueSize?: number;
+    maxWaitMs?: number;
+    limits?: WindowLimit[];
+    bucketSize?: number;
+    refillRate?: number;
+    store?: 'memory' | 'redis' | 'mongo';
+    redis?: RedisConfig;
+    mongo?: MongoConfig;
+    statusCode?: number;
+    message?: string;
+    headers?: HeaderMode | boolean;
+    skip?: ((req: Request) => boolean) | null;
+    keyGenerator?: ((req: Request, requestInfo?: RequestInfo) => string) | null;
+    tenantResolver?: ((req: Request, requestInfo?: RequestInfo) => string | null | undefined | Promise<string | null | undefined>) | null;
+    ipv6Subnet?: number | false;
+    cost?: ((req: Request) => number | Promise<number>) | null;
+    trustedProxies?: string[] | ((ip: string) => boolean);
+    enableLogging?: boolean;
+  }
+
+  export interface RateLimitInfo {
+    limit: number;
+    current: number;
+    remaining: number;
+    resetTime: Date;
+  }
+
+  export interface SlidingWindowResult {
+    count: number;
+    allowed: boolean;
+    oldest: number;
+  }
+
+  export interface WindowLimit {
+    windowMs: number;
+    maxRequests: number;
+  }
+
+  export interface MultiCounterResult {
+    allowed: boolean;
+    windows: SlidingCounterResult[];
+  }
+
+  export interface SlidingCounterResult {
+    windowStart: number;
+    current: number;
+    previous: number;
+    estimate: number;
+    allowed: boolean;
+  }
+
+  export interface TokenBucketState {
+    tokens: number;
+    lastRefill: number;
+  }
+
+  export interface Store {
+    get(key: string): Promise<any>;
+    set(key: string, value: any, ttlMs?: number): Promise<void>;
+    delete(key: string): Promise<void>;
+    increment(key: string, windowMs: number, amount?: number): Promise<number>;
+    getTTL(key: string): Promise<number>;
+    reset(key: string): Promise<void>;
+    close(): Promise<void>;
+
+    atomicFixedWindow(key: string, now: number, windowMs: number, limit: number, cost?: number): Promise<{ allowed: boolean; count: number; resetAt: number } | null>;
+    atomicIncrement(key: string, now: number, windowStart: number, windowMs: number, limit: number, cost?: number): Promise<SlidingWindowResult | null>;
+    removeOldEntries(key: string, windowStart: number): Promise<void>;
+    getTimestamps(key: string): Promise<number[]>;
+    addTimestamp(key: string, timestamp: number, windowMs: number): Promise<void>;
+
+    atomicSlidingCounter(key: string, now: number, windowMs: number, limit: number, cost?: number): Promise<SlidingCounterResult | null>;
+    atomicMultiCounter(key: string, now: number, windows: Array<{ windowMs: number; limit: number }>, cost?: number): Promise<MultiCounterResult | null>;
+    atomicMultiKeyCounter(entries: Array<{ key: string; windows: Array<{ windowMs: number; limit: number }> }>, now: number, cost?: number): Promise<{ allowed: boolean; keys: MultiCounterResult[] } | null>;
+    atomicGcra(key: string, now: number, emissionInterval: number, tolerance: number, cost: number): Promise<{ allowed: boolean; tat: number; retryAfter: number } | null>;
+    acquireLease(key: string, leaseId: string, now: number, leaseMs: number, limit: number, cost?: number): Promise<{ allowed: boolean; count: number; earliestExpiry: number }>;
+    releaseLease(key: string, leaseId: string, cost?: number): Promise<void>;
+    atomicTokenBucket(key: string, now: number, bucketSize: number, refillRate: number, tokensRequired: number): Promise<{ allowed: boolean; tokens: number } | null>;
+    atomicQuota(key: string, now: number, periodStart: number, periodEnd: number, limit: number, cost?: number, credits?: number): Promise<QuotaState | null>;
+    getBucket(key: string): Promise<TokenBucketState | null>;
+    setBucket(key: string, bucket: TokenBucketState, ttlMs?: number): Promise<void>;
+    deleteBucket(key: string): Promise<void>;
+    getFields(key: string): Promise<Record<string, any>>;
+    setField(key: string, field: string, value: any): Promise<void>;
+    deleteField(key: string, field: string, expected?: any): Promise<boolean>;
+
+    publish(channel: string, message: any): Promise<boolean>;
+    subscribe(channel: string, handler: (message: any) => void, onError?: (error: Error) => void): Promise<(() => Promise<void>) | null>;
+  }
+
+  export abstract class BaseStore implements Store {
+    constructor(options?: { prefix?: string });
+    prefix: string;
+    connect(): Promise<void>;
+    disconnect(): Promise<void>;
+    close(): Promise<void>;
+    abstract get(key: string): Promise<any>;
+    abstract set(key: string, value: any, ttlMs?: number): Promise<void>;
+    abstract delete(key: string): Promise<void>;
+    abstract increment(key: string, windowMs: number, amount?: number): Promise<number>;
+    abstract getTTL(key: string): Promise<number>;
+    abstract reset(key: string): Promise<void>;
+    atomicFixedWindow(key: string, now: number, windowMs: number, limit: number, cost?: number): Promise<{ allowed: boolean; count: number; resetAt: number } | null>;
+    atomicIncrement(key: string, now: number, windowStart: number, windowMs: number, limit: number, cost?: number): Promise<SlidingWindowResult | null>;
+    removeOldEntries(key: string, windowStart: number): Promise<void>;
+    getTimestamps(key: string): Promise<number[]>;
+    addTimestamp(key: string, timestamp: number, windowMs: number): Promise<void>;
+    atomicSlidingCounter(key: string, now: number, windowMs: number, limit: number, cost?: number): Promise<SlidingCounterResult | null>;
+    atomicMultiCounter(key: string, now: number, windows: Array<{ windowMs: number; limit: number }>, cost?: number): Promise<MultiCounterResult | null>;
+    atomicMultiKeyCounter(entries: Array<{ key: string; windows: Array<{ windowMs: number; limit: number }> }>, now: number, cost?: number): Promise<{ allowed: boolean; keys: MultiCounterResult[] } | null>;
+    atomicGcra(key: string, now: number, emissionInterval: number, tolerance: number, cost: number): Promise<{ allowed: boolean; tat: number; retryAfter: number } | null>;
+    acquireLease(key: string, leaseId: string, now: number, leaseMs: number, limit: number, cost?: number): Promise<{ allowed: boolean; count: number; earliestExpiry: number }>;
+    releaseLease(key: string, leaseId: string, cost?: number): Promise<void>;
+    atomicTokenBucket(key: string, now: number, bucketSize: number, refillRate: number, tokensRequired: number): Promise<{ allowed: boolean; tokens: number } | null>;
+    atomicQuota(key: string, now: number, periodStart: number, periodEnd: number, limit: number, cost?: number, credits?: number): Promise<QuotaState | null>;
+    getBucket(key: string): Promise<TokenBucketState | null>;
+    setBucket(key: string, bucket: TokenBucketState, ttlMs?: number): Promise<void>;
+    deleteBucket(key: string): Promise<void>;
+    getFields(key: string): Promise<Record<string, any>>;
+    setField(key: string, field: string, value: any): Promise<void>;
+    deleteField(key: string, field: string, expected?: any): Promise<boolean>;
+    publish(channel: string, message: any): Promise<boolean>;
+    subscribe(channel: string, handler: (message: any) => void, onError?: (error: Error) => void): Promise<(() => Promise<void>) | null>;
+  }
+
+  export interface RuleDefinition {
+    windowMs?: number;
+    maxRequests?: number;
+    algorithm?: Algorithm;
+    cost?: number;
+    limits?: WindowLimit[];
+    quota?: number | QuotaSettings;
+  }
+
+  export type ValueMatcher = string | number | RegExp | boolean;
+
+  export interface RuleMatch {
+    path?: string;
+    method?: string | string[];
+    headers?: Record<string, ValueMatcher> | string[];
+    query?: Record<string, ValueMatcher> | string[];
+    body?: Record<string, ValueMatcher> | string[];
+    role?: string | string[];
+    contentLength?: { min?: number; max?: number };
+    time?: { from: string; to: string; timezone?: string };
+  }
+
+  export interface NamedRuleDefinition extends RuleDefinition {
+    match?: RuleMatch | null;
+    condition?: (req: any, requestInfo: RequestInfo) => boolean;
+    priority?: number;
+  }
+
+  export interface RouteRuleDefinition extends RuleDefinition {
+    method?: string | string[];
+  }
+
+  export interface RouteMatch {
+    route: string;
+    methods: string[] | null;
+    params: Record<string, string>;
+    rule: RuleDefinition;
+    overrides: RouteRuleDefinition;
+  }
+
+  export type LimitSource = 'config' | 'default' | 'route' | 'rule' | 'routeConfig' | 'tier' | 'tier-route';
+
+  export interface LimitLayer {
+    source: LimitSource;
+    limits: RuleDefinition & Record<string, any>;
+    route?: string;
+    methods?: string[] | null;
+    params?: Record<string, string>;
+    name?: string;
+    tier?: string;
+  }
+
+  export interface Explanation {
+    key: string;
+    tier: string | null;
+    tenant: string | null;
+    layers: LimitLayer[];
+    limits: RuleDefinition & Record<string, any>;
+    fields: Record<string, LimitSource>;
+    pool: { key: string; limits: RuleDefinition & Record<string, any>; fields: Record<string, LimitSource> } | null;
+  }
+
+  export type Middleware = (req: Request, res: Response, next: NextFunction) => void;
+
+  export type KoaMiddleware = (ctx: any, next: () => Promise<any>) => Promise<void>;
+
+  export type FastifyPlugin = (instance: any, options?: any) => Promise<void>;
+
+  export type HonoMiddleware = (c: any, next: () => Promise<void>) => Promise<globalThis.Response | void>;
+
+  export type FetchHandler = (request: globalThis.Request, ...rest: any[]) => globalThis.Response | Promise<globalThis.Response>;
+
+  export type NodeHttpHandler = (req: import('http').IncomingMessage, res: import('http').ServerResponse) => void | Promise<void>;
+
+  export interface AdapterOptions {
+    extractRequestInfo?: (...args: any[]) => RequestInfo;
+  }
+
+  export interface Decision {
+    allowed: boolean;
+    skipped: boolean;
+    status: number;
+    headers: Record<string, number | string>;
+    body: { error: string; message: string; retryAfter?: number; banned?: boolean; bannedUntil?: string } | null;
+    result: RateLimitResult | null;
+    access?: AccessMatch;
+    ban?: Ban;
+  }
+
+  export interface WindowResult {
+    windowMs: number;
+    allowed: boolean;
+    remaining: number;
+    resetAt: Date;
+    total: number;
+  }
+
+  export interface LevelResult {
+    key: string;
+    allowed: boolean;
+    remaining: number;
+    resetAt: Date;
+    total: number;
+    limits: WindowResult[];
+  }
+
+  export interface RateLimitResult {
+    allowed: boolean;
+    remaining: number;
+    resetAt: Date;
+    total: number;
+    limit: number;
+    resetTime: number;
+    retryAfter: number;
+    key: string;
+    tier: string | null;
+    tenant: string | null;
+    windowMs: number | null;
+    cost: number;
+    limits?: WindowResult[];
+    levels?: LevelResult[];
+    quota: QuotaUsage | null;
+    reason?: string;
+    ban?: Ban;
+    release: (() => Promise<void>) | null;
+  }
+
+  export interface RequestInfo {
+    ip?: string;
+    path?: string;
+    method?: string;
+    headers?: Record<string, string | string[] | undefined>;
+    query?: Record<string, string | string[] | undefined>;
+    body?: any;
+    user?: { tier?: string; [key: string]: any } | null;
+  }
+
+  export interface RateGuardOptions extends Omit<RateLimitConfig, 'store'> {
+    store?: RateLimitConfig['store'] | Store;
+    rules?: Record<string, RouteRuleDefinition>;
+    tiers?: Record<string, TierDefinition>;
+    ruleEngine?: RuleEngine;
+    tierManager?: TierManager;
+    accessList?: AccessList | AccessListOptions | boolean;
+    penaltyBox?: PenaltyBox | PenaltyBoxOptions | boolean;
+    quotas?: QuotaManager | QuotaManagerOptions | boolean;
+    onRateLimited?: (...args: any[]) => any;
+  }
+
+  export interface RateGuard extends Middleware {
+    express: Middleware;
+    koa: KoaMiddleware;
+    fastify: FastifyPlugin;
+    hono: HonoMiddleware;
+    fetch(handler: FetchHandler, options?: AdapterOptions): FetchHandler;
+    http(handler: NodeHttpHandler, options?: AdapterOptions & Pick<RateLimitConfig, 'trustedProxies'>): NodeHttpHandler;
+    evaluate(requestInfo: RequestInfo): Promise<Decision>;
+    explain(requestInfo: RequestInfo): Promise<Explanation>;
+    store: Store;
+    ruleEngine: RuleEngine;
+    tierManager: TierManager;
+    accessList: AccessList | null;
+    penaltyBox: PenaltyBox | null;
+    quotas: QuotaManager | null;
+    ban(key: string, ms?: number): Promise<Ban>;
+    unban(key: string): Promise<void>;
+    isBanned(key: string): Promise<boolean>;
+    getUsage(key: string, requestInfo?: RequestInfo): Promise<QuotaUsage | null>;
+    addCredits(key: string, units: number, requestInfo?: RequestInfo): Promise<QuotaUsage>;
+    check(key: string, requestInfo?: RequestInfo): Promise<RateLimitResult>;
+    consume(key: string, cost?: number, requestInfo?: RequestInfo): Promise<RateLimitResult>;
+    reset(key: string, requestInfo?: RequestInfo): Promise<void>;
+    close(): Promise<void>;
+  }
+
+  export function slidingWindow(config?: RateLimitConfig): Middleware;
+  export function tokenBucket(config?: RateLimitConfig): Middleware;
+
+
+
+
+  export class MemoryStore extends BaseStore {
+    constructor(options?: { prefix?: string; cleanupInterval?: number; autoCleanup?: boolean });
+    get(key: string): Promise<any>;
+    set(key: string, value: any, ttlMs?: number): Promise<void>;
+    delete(key: string): Promise<void>;
+    increment(key: string, windowMs: number, amount?: number): Promise<number>;
+    getTTL(key: string): Promise<number>;
+    reset(key: string): Promise<void>;
+    clear(): Promise<void>;
+    destroy(): void;
+  }
+
+  export class RedisStore extends BaseStore {
+    constructor(config?: RedisConfig & { prefix?: string; client?: any });
+    get(key: string): Promise<any>;
+    set(key: string, value: any, ttlMs?: number): Promise<void>;
+    delete(key: string): Promise<void>;
+    increment(key: string, windowMs: number, amount?: number): Promise<number>;
+    getTTL(key: string): Promise<number>;
+    reset(key: string): Promise<void>;
+    clear(): Promise<number>;
+  }
+
+  export class MongoStore extends BaseStore {
+    constructor(config?: MongoConfig & { prefix?: string; client?: any; collection?: any });
+    get(key: string): Promise<any>;
+    set(key: string, value: any, ttlMs?: number): Promise<void>;
+    delete(key: string): Promise<void>;
+    increment(key: string, windowMs: number, amount?: number): Promise<number>;
+    getTTL(key: string): Promise<number>;
+    reset(key: string): Promise<void>;
+    clear(): Promise<number>;
+  }
+
+  export class RuleEngine {
+    constructor(defaultRule?: RuleDefinition);
+    setRouteRule(route: string | RegExp, rule: RouteRuleDefinition): this;
+    setTierRule(tier: string, rule: RuleDefinition): this;
+    match(path: string, method?: string): RouteMatch | null;
+    addRule(name: string, rule: NamedRuleDefinition): this;
+    removeRule(name: string): this;
+    findNamedRule(requestInfo: RequestInfo, req?: any): { name: string; rule: RuleDefinition } | null;
+    explain(requestInfo: RequestInfo, req?: any): LimitLayer[];
+    evaluate(requestInfo: RequestInfo, req?: any): RuleDefinition;
+    getRule(route: string, tier?: string | null, method?: string): RuleDefinition;
+    generateKey(options: { ip?: string; userId?: string; tenantId?: string; route?: string; tier?: string; ipv6Subnet?: number | false }): string;
+  }
+
+  export interface TierManagerOptions {
+    cacheMs?: number;
+    cacheSize?: number;
+    store?: Store;
+    prefix?: string;
+    onError?: (error: Error) => void;
+  }
+
+  export type TierConfig = RuleDefinition & { tokenBucketSize?: number; tokenRefillRate?: number };
+
+  export interface TierDefinition extends TierConfig {
+    extends?: string;
+    routes?: Record<string, RouteRuleDefinition>;
+  }
+
+  export interface TierRouteMatch {
+    tier: string;
+    route: string;
+    methods: string[] | null;
+    params: Record<string, string>;
+    limits: RuleDefinition;
+  }
+
+  export class TierManager {
+    constructor(customTiers?: Record<string, TierDefinition>, options?: TierManagerOptions);
+    defineTier(tierName: string, limits: TierDefinition): this;
+    removeTier(tierName: string): this;
+    setUserTier(userId: string, tierName: string): this;
+    getUserTier(userId: string): string;
+    setTierResolver(resolver: (req: any, identifier?: string) => string | null | undefined | Promise<string | null | undefined>): this;
+    invalidate(identifier?: string): this;
+    assignTier(userId: string, tierName: string): Promise<void>;
+    assignTiers(assignments: Record<string, string>): Promise<void>;
+    unassignTier(userId: string): Promise<void>;
+    getAssignedTier(userId: string): Promise<string | null>;
+    close(): Promise<void>;
+    resolveTier(req: any, identifier?: string, options?: { fallback?: boolean }): Promise<(TierConfig & { name: string }) | null>;
+    getTierLimits(tierName: string): TierConfig;
+    getTierLayers(tierName: string): Array<{ tier: string; limits: TierConfig }>;
+    matchRoute(tierName: string, path: string, method?: string): TierRouteMatch | null;
+    listTiers(): string[];
+    getAllTiers(): Record<string, TierDefinition>;
+  }
+
+  export type AccessMatcher = { cidr: string } | { userId: string | number } | { apiKey: string };
+
+  export interface AccessEntry {
+    action: 'allow' | 'deny';
+    type: 'cidr' | 'userId' | 'apiKey';
+    value: string;
+    expiresAt: number | null;
+    reason: string | null;
+  }
+
+  export interface AccessMatch {
+    action: 'allow' | 'deny';
+    entry: AccessEntry;
+  }
+
+  export interface AccessListOptions {
+    store?: Store;
+    key?: string;
+    cacheMs?: number;
+    denyStatus?: 403 | 429;
+    apiKeyHeader?: string;
+    allow?: AccessMatcher[];
+    deny?: AccessMatcher[];
+  }
+
+  export interface AccessEntryOptions {
+    expiresAt?: Date | number;
+    ttlMs?: number;
+    reason?: string;
+  }
+
+  export class AccessList {
+    constructor(options?: AccessListOptions);
+    readonly denyStatus: 403 | 429;
+    allow(matcher: AccessMatcher, options?: AccessEntryOptions): Promise<AccessEntry>;
+    deny(matcher: AccessMatcher, options?: AccessEntryOptions): Promise<AccessEntry>;
+    remove(matcher: AccessMatcher): Promise<boolean>;
+    entries(): Promise<AccessEntry[]>;
+    check(requestInfo: RequestInfo): Promise<AccessMatch | null>;
+  }
+
+  export interface Ban {
+    bannedAt: number;
+    until: number;
+    strikes?: number;
+    reason?: string;
+    [key: string]: any;
+  }
+
+  export interface PenaltyBoxOptions {
+    store?: Store;
+    prefix?: string;
+    threshold?: number;
+    windowMs?: number;
+    banMs?: number;
+    multiplier?: number;
+    maxBanMs?: number;
+    decayMs?: number;
+  }
+
+  export class PenaltyBox {
+    constructor(options?: PenaltyBoxOptions);
+    recordViolation(key: string): Promise<Ban | null>;
+    ban(key: string, ms?: number, details?: Record<string, any>): Promise<Ban>;
+    unban(key: string): Promise<void>;
+    getBan(key: string): Promise<Ban | null>;
+    isBanned(key: string): Promise<boolean>;
+  }
+
+  export type QuotaPeriod = 'hour' | 'day' | 'week' | 'month';
+
+  export interface QuotaSettings {
+    limit?: number;
+    period?: QuotaPeriod;
+    timezone?: string;
+    weekStart?: number;
+  }
+
+  export interface QuotaState {
+    allowed: boolean;
+    periodStart: number;
+    used: number;
+    creditsUsed: number;
+    credits: number;
+  }
+
+  export interface QuotaUsage {
+    allowed?: boolean;
+    key: string;
+    limit: number;
+    used: number;
+    remaining: number;
+    credits: number;
+    period: QuotaPeriod;
+    timezone: string;
+    periodStart: Date;
+    resetAt: Date;
+  }
+
+  export interface QuotaManagerOptions extends QuotaSettings {
+    store?: Store;
+    prefix?: string;
+  }
+
+  export class QuotaManager {
+    constructor(options?: QuotaManagerOptions);
+    configure(key: string, settings: number | QuotaSettings | null): Promise<QuotaSettings | null>;
+    getSettings(key: string, quota?: number | QuotaSettings): Promise<QuotaSettings & { period: QuotaPeriod; timezone: string; weekStart: number }>;
+    consume(key: string, cost?: number, quota?: number | QuotaSettings): Promise<QuotaUsage | null>;
+    getUsage(key: string, quota?: number | QuotaSettings): Promise<QuotaUsage | null>;
+    addCredits(key: string, units: number, quota?: number | QuotaSettings): Promise<QuotaUsage>;
+    reset(key: string): Promise<void>;
+  }
+
+  export function rateGuard(options?: RateGuardOptions): RateGuard;
+  export default rateGuard;
+}